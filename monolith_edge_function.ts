@@ -1,8 +1,20 @@
 // Supabase Edge Function: monolith-chat
 // ELITE EDITION: Professional Research Orchestration, Domain Reputation, Diversity Guard, and Conflict Synthesis.
-// RESPONSE: Non-Streaming JSON
+// RESPONSE: JSON by default, Server-Sent Events when the request sets `stream: true`.
 
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createChatProvider, resolveModel, completionText } from "./shared/chatProviders.js"
+import { sseFrame } from "./shared/sse.js"
+import { classifyKeyError, selectUsableKeys } from "./shared/keyPolicy.js"
+import { hashApiKey, checkApiKeyAccess } from "./shared/apiKeys.js"
+import { canInSpace } from "./shared/spaceRoles.js"
+import { createSearchCache } from "./shared/searchCache.js"
+import { createContentFetcher, contentFetchConfigFromEnv } from "./shared/contentFetcher.js"
+import { planResearch, resolveModes, orchestrateSearch, eliteRerank } from "./shared/orchestrator.js"
+import { mergeSourcePolicy } from "./shared/sourcePolicy.js"
+import { budgetContext } from "./shared/contextBudget.js"
+import { applySummary } from "./shared/conversationSummary.js"
+import { retrieveKnowledge } from "./shared/spaceKnowledge.js"
 
 const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
@@ -10,24 +22,7 @@ const corsHeaders = {
 }
 
 // --- ELITE CONFIG ---
-const DOMAIN_REPUTATION: Record<string, number> = {
-    "reuters.com": 0.25,
-    "apnews.com": 0.25,
-    "nytimes.com": 0.20,
-    "wsj.com": 0.20,
-    "theguardian.com": 0.18,
-    "bbc.com": 0.18,
-    "bloomberg.com": 0.20,
-    "nature.com": 0.30,
-    "science.org": 0.30,
-    "arxiv.org": 0.25,
-    "github.com": 0.15,
-    "stackoverflow.com": 0.12,
-    "wikipedia.org": 0.10,
-    "gov": 0.25, // Check for .gov in hostname
-    "edu": 0.20  // Check for .edu in hostname
-};
-
+// Domain reputation, DOMAIN_CAP and rerank boosts live in shared/orchestrator.js (shared with the Node server)
 const GLOBAL_MONOLITH_GUIDELINES = `
 CORE PROTOCOLS:
 1. TRUTH & TRIANGULATION: Never hallucinate. If the research documents provide conflicting data, highlight the discrepancy with sophisticated discernment.
@@ -40,6 +35,19 @@ CORE PROTOCOLS:
 8. COMPLETENESS: End with a clear summary. Never use placeholders like "I'll look that up."
 `;
 
+// --- MODEL PROVIDER ---
+// Any OpenAI-compatible endpoint. LLM_API_KEY pins a single key, otherwise LONGCAT_KEYS are rotated.
+const chatProvider = createChatProvider({
+    baseUrl: Deno.env.get('LLM_BASE_URL'),
+    models: {
+        planner: Deno.env.get('LLM_PLANNER_MODEL'),
+        synthesizer: Deno.env.get('LLM_SYNTHESIZER_MODEL'),
+        thinker: Deno.env.get('LLM_THINKER_MODEL'),
+        embedding: Deno.env.get('LLM_EMBEDDING_MODEL')
+    }
+});
+const LLM_API_KEY = Deno.env.get('LLM_API_KEY');
+
 // --- UTILITIES ---
 const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
 
@@ -53,17 +61,6 @@ const sanitizeContent = (text: string) => {
         .slice(0, 600); // Slightly larger context for better reading comprehension
 }
 
-const getDomainBoost = (url: string) => {
-    try {
-        const hostname = new URL(url).hostname.toLowerCase();
-        let boost = 0;
-        for (const [domain, score] of Object.entries(DOMAIN_REPUTATION)) {
-            if (hostname.endsWith(domain)) boost = Math.max(boost, score);
-        }
-        return boost;
-    } catch { return 0; }
-}
-
 const executeRotatedRequest = async (keys: string[], requestFn: (key: string) => Promise<any>, offset: number = 0) => {
     let attempts = 0;
     while (attempts < keys.length) {
@@ -71,10 +68,12 @@ const executeRotatedRequest = async (keys: string[], requestFn: (key: string) =>
         try {
             return await requestFn(keys[keyIndex]);
         } catch (error: any) {
+            if (error?.name === 'AbortError') throw error;
             const status = error.status || 0;
             const shouldRotate = status >= 500 || status === 0 || [401, 402, 403, 429].includes(status);
             if (shouldRotate) {
                 console.warn(`[Safety Net] Rotating key due to status ${status}`);
+                reportKeyFailure(keys[keyIndex], status, error.message);
                 attempts++;
                 if (attempts < keys.length) {
                     await sleep(status === 429 ? 2000 : 500);
@@ -87,6 +86,46 @@ const executeRotatedRequest = async (keys: string[], requestFn: (key: string) =>
     throw new Error(`Monolith Safety Net: Service disruption. All ${keys.length} keys exhausted.`);
 }
 
+// --- KEY VAULT ---
+// Keys come from the provider_keys table shared with the Node server (disabled / cooling keys skipped);
+// the LANGSEARCH_KEYS / LONGCAT_KEYS env lists are the fallback.
+let supabaseAdmin: any = null;
+async function getSupabaseAdmin() {
+    if (!supabaseAdmin) {
+        const { createClient } = await import("https://esm.sh/@supabase/supabase-js@2");
+        supabaseAdmin = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+    }
+    return supabaseAdmin;
+}
+
+async function loadProviderKeys(provider: string, envVar: string) {
+    const envKeys = Deno.env.get(envVar)?.split(',').map(k => k.trim()).filter(Boolean) || [];
+    try {
+        const admin = await getSupabaseAdmin();
+        const { data, error } = await admin.from('provider_keys').select('*').eq('provider', provider);
+        if (error || !data || data.length === 0) return envKeys;
+        return selectUsableKeys(data).map((k: any) => k.key);
+    } catch {
+        return envKeys;
+    }
+}
+
+function reportKeyFailure(key: string, status: number, message: string) {
+    const verdict = classifyKeyError(status);
+    if (!verdict) return;
+    getSupabaseAdmin()
+        .then(admin => admin.from('provider_keys').update({
+            last_error: `${status}: ${message}`.slice(0, 500),
+            last_error_at: new Date().toISOString(),
+            cooldown_until: new Date(Date.now() + verdict.cooldownMs).toISOString(),
+            exhausted: verdict.exhausted
+        }).eq('key', key))
+        .catch(() => { /* vault bookkeeping is best-effort */ });
+}
+
+const executeChatRequest = (keys: string[], requestFn: (key: string | null) => Promise<any>) =>
+    LLM_API_KEY ? requestFn(LLM_API_KEY) : executeRotatedRequest(keys, requestFn);
+
 async function getDailyPulse(keys: string[]) {
     try {
         const now = new Date();
@@ -108,148 +147,262 @@ async function getDailyPulse(keys: string[]) {
 
 // --- CORE MODULES ---
 
-async function planStrategy(query: string, history: any[], deep: boolean, search: boolean, thinking: boolean, keys: string[]) {
-    return await executeRotatedRequest(keys, async (apiKey) => {
-        const resp = await fetch('https://api.longcat.chat/openai/v1/chat/completions', {
+// Planner, freshness layering and elite rerank come from shared/orchestrator.js; these adapters plug in
+// the LangSearch key rotation and the search cache.
+const plannerCompletion = (keys: string[], models: any) => (messages: any[], params: any) =>
+    executeChatRequest(keys, async (apiKey) => completionText(await chatProvider.complete({
+        apiKey,
+        model: resolveModel(chatProvider, 'planner', models),
+        messages,
+        ...params
+    })));
+
+const langSearchLayer = (keys: string[], bypassCache = false) => ({ query, freshness, count, path, layer }: any) =>
+    searchCache.lookup(
+        { provider: 'langsearch', query, freshness, count, bypass: bypassCache },
+        () => executeRotatedRequest(keys, async (apiKey) => {
+            const resp = await fetch('https://api.langsearch.com/v1/web-search', {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ query, summary: true, count, freshness })
+            });
+            if (!resp.ok) throw { status: resp.status, message: await resp.text() };
+            const data = await resp.json();
+            return data.data?.webPages?.value || [];
+        }, path + layer)
+    );
+
+const langSearchRerank = (keys: string[]) => (query: string, chunk: any[], cIdx: number) =>
+    executeRotatedRequest(keys, async (apiKey) => {
+        const r = await fetch('https://api.langsearch.com/v1/rerank', {
             method: 'POST',
             headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
             body: JSON.stringify({
-                model: 'LongCat-Flash-Chat',
-                messages: [
-                    {
-                        role: 'system',
-                        content: `You are the Monolith Search Planner. 
-                        DETERMINE if the query requires real-time web access (current events, recent facts, prices, news).
-                        If the query is a greeting, a purely conversational follow-up, a request for personal identity ("who are you"), or a general knowledge question that does NOT need recency (e.g., "how to bake a cake", "what is photosynthesis"), set "skip_search": true.
-                        Otherwise, output queries for search.
-                        
-                        Output JSON:
-                          "queries": ["query1", ...],
-                          "depth_label": "Surface" | "Standard" | "Deep" | "Elite",
-                          "use_hour_layer": boolean,
-                          "skip_search": boolean,
-                          "freshness": "hour" | "day" | "week" | "month" | "year" | "all",
-                          "suggest_thinking": boolean
-                        }`
-                    },
-                    {
-                        role: 'user',
-                        content: `Query: "${query}"\nUser Context: [Search: ${search}, Deep: ${deep}, Thinking: ${thinking}, History Length: ${history.length}]\nDetermine the optimal strategy. If the query involves complex reasoning, math, or coding, set suggest_thinking: true.`
-                    }
-                ],
-                temperature: 0.1,
-                response_format: { type: "json_object" }
+                model: 'langsearch-reranker-v1',
+                query: query,
+                documents: chunk.map(d => sanitizeContent(d.summary || d.snippet || d.name)),
+                top_n: chunk.length
             })
         });
-        if (!resp.ok) throw { status: resp.status, message: await resp.text() };
-        const data = await resp.json();
-        return JSON.parse(data.choices[0].message.content.trim().replace(/```json|```/g, ''));
-    });
-}
-
-async function orchestrateSearch(planner: any, searchQuery: string, deep: boolean, keys: string[]) {
-    if (planner.skip_search) return [];
-
-    const queries = planner.queries || [searchQuery];
-    if (!queries.includes(searchQuery)) queries.unshift(searchQuery);
-
-    const countPerCall = deep ? 35 : 20;
-    const results: any[] = [];
-    const seenUrls = new Set();
-    const domainCounts: Record<string, number> = {};
-    const DOMAIN_CAP = 3;
-
-    // OPTIMIZATION 1: Parallel Query Execution
-    // We run all unique query paths in parallel, but keep freshness layers within a query paced.
-    const queryPromises = queries.map(async (q: string, qIdx: number) => {
-        const localResults: any[] = [];
-        const freshnessLayers = [];
-        if (planner.freshness !== 'all') freshnessLayers.push(planner.freshness);
-        if (planner.use_hour_layer && planner.freshness !== 'hour') freshnessLayers.push('hour');
-        freshnessLayers.push('all');
-
-        for (let lIdx = 0; lIdx < freshnessLayers.length; lIdx++) {
-            const f = freshnessLayers[lIdx];
-            try {
-                const layerResults = await executeRotatedRequest(keys, async (apiKey) => {
-                    const resp = await fetch('https://api.langsearch.com/v1/web-search', {
-                        method: 'POST',
-                        headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ query: q, summary: true, count: countPerCall, freshness: f })
-                    });
-                    if (!resp.ok) throw { status: resp.status, message: await resp.text() };
-                    const data = await resp.json();
-                    return (data.data?.webPages?.value || []).map((r: any) => ({ ...r, origin_freshness: f }));
-                }, qIdx + lIdx);
-                localResults.push(...layerResults);
-            } catch (err) { console.warn(`[Search] Query ${qIdx} Layer ${lIdx} error.`, err); }
-
-            // Minimal pause between layers of the SAME query to avoid burst limits
-            if (lIdx < freshnessLayers.length - 1) await sleep(200);
-        }
-        return localResults;
-    });
+        if (!r.ok) throw { status: r.status, message: await r.text() };
+        const data = await r.json();
+        return data.results;
+    }, cIdx);
+
+// --- SEARCH CACHE ---
+// Same search_cache table as the Node server (SEARCH_CACHE=off disables it). Repeated query/freshness
+// layers within and across requests are served from here instead of LangSearch.
+const searchCache = createSearchCache(Deno.env.get('SEARCH_CACHE') === 'off' ? null : {
+    name: 'postgres',
+    get: async (key: string) => {
+        const admin = await getSupabaseAdmin();
+        const { data, error } = await admin.from('search_cache').select('results')
+            .eq('cache_key', key).gt('expires_at', new Date().toISOString()).maybeSingle();
+        if (error) throw error;
+        return data?.results || null;
+    },
+    set: async (key: string, value: any[], ttlMs: number, meta: any) => {
+        const admin = await getSupabaseAdmin();
+        const { error } = await admin.from('search_cache').upsert({
+            cache_key: key,
+            provider: meta.provider,
+            query: meta.query,
+            freshness: meta.freshness,
+            results: value,
+            expires_at: new Date(Date.now() + ttlMs).toISOString(),
+            created_at: new Date().toISOString()
+        });
+        if (error) throw error;
+    }
+});
 
-    const allRawResults = await Promise.all(queryPromises);
+// --- PAGE READER ---
+// Top reranked pages are downloaded and cut down to their most query-relevant passages (CONTENT_FETCH_* env).
+// The extracted text rides along on the emitted sources, so it is stored with the message.
+const contentConfig = contentFetchConfigFromEnv((name: string) => Deno.env.get(name));
+// A and AAAA records, so the private-host check also catches public names pointing at internal addresses
+const resolveHost = async (hostname: string) => {
+    const lookups = await Promise.allSettled([Deno.resolveDns(hostname, 'A'), Deno.resolveDns(hostname, 'AAAA')]);
+    const found = lookups.flatMap(r => r.status === 'fulfilled' ? r.value : []);
+    if (found.length === 0 && lookups[0].status === 'rejected') throw lookups[0].reason;
+    return found;
+};
+const contentFetcher = createContentFetcher({ ...contentConfig.fetcher, resolveHost });
+
+// --- PIPELINE ---
+// Planning -> Search -> Rerank -> Synthesis payload. `emit` receives stage events (used by streaming mode).
+// `allowDeep: false` (API keys without the `deep` scope) stops the planner from auto-escalating to deep research.
+// `sourcePolicy` is the space's allow/deny lists, reputation weights and domain cap (merged with any request override).
+// `thread` is the conversation's stored summary; it replaces the history turns it covers in the synthesis prompt.
+// `spaceId` (set once membership is checked) adds matching chunks of the space's uploaded files.
+async function buildResearchContext(body: any, emit: (event: any) => void, signal?: AbortSignal, { allowDeep = true, sourcePolicy = null, thread = null, spaceId = null }: any = {}) {
+    const { query, history = [], deep = false, custom_prompt = null, search = true, thinking = false, queries: providedQueries = null, models = null } = body;
+
+    const [LANGSEARCH_KEYS, LONGCAT_KEYS] = await Promise.all([
+        loadProviderKeys('langsearch', 'LANGSEARCH_KEYS'),
+        loadProviderKeys('longcat', 'LONGCAT_KEYS')
+    ]);
+
+    // 1. Planning (with Auto-Toggle detection)
+    const planner = await planResearch(
+        { query, history, deep, search, thinking, queries: providedQueries, rewrittenQuery: body.rewritten_query || null },
+        plannerCompletion(LONGCAT_KEYS, models)
+    );
+    const { activeSearch, activeDeep, activeThinking, runSearch, autoApplied } = resolveModes(planner, { search, deep, thinking, allowDeep });
+    // Follow-ups are searched and reranked in their standalone form; synthesis still answers `query` as asked
+    const rewrittenQuery = planner.rewritten_query || query;
+    const searchQueries = planner.queries || [rewrittenQuery];
+
+    emit({ type: 'plan', search_queries: searchQueries, rewritten_query: rewrittenQuery, depth_label: planner.depth_label || null, skip_search: Boolean(planner.skip_search), auto_applied: autoApplied });
+    if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+
+    // 2. Orchestrated Search (Parallel)
+    let topSources: any[] = [];
+    let rawResults = [];
+    if (runSearch) {
+        rawResults = await orchestrateSearch(planner, rewrittenQuery, activeDeep, { searchLayer: langSearchLayer(LANGSEARCH_KEYS, body.cache === 'bypass'), policy: sourcePolicy, signal });
+
+        // 3. Elite Reranking (Parallel); BM25 covers failed chunks, RERANK_FUSION=rrf fuses both rankings
+        const reranked = await eliteRerank(rewrittenQuery, rawResults, {
+            rerankChunk: langSearchRerank(LANGSEARCH_KEYS),
+            paths: searchQueries,
+            fusion: Deno.env.get('RERANK_FUSION') === 'rrf',
+            policy: sourcePolicy
+        });
+        topSources = reranked.slice(0, 55);
 
-    for (const batch of allRawResults) {
-        for (const r of batch) {
-            if (seenUrls.has(r.url)) continue;
-            try {
-                const host = new URL(r.url).hostname;
-                if ((domainCounts[host] || 0) < DOMAIN_CAP) {
-                    domainCounts[host] = (domainCounts[host] || 0) + 1;
-                    seenUrls.add(r.url);
-                    results.push(r);
-                }
-            } catch { /* skip */ }
+        // 4. Full-page reading of the top sources
+        if (contentConfig.enabled && body.read_pages !== false && topSources.length > 0) {
+            const topN = activeDeep ? contentConfig.deepTopN : contentConfig.topN;
+            emit({ type: 'reading', urls: topSources.slice(0, topN).map(s => s.url) });
+            topSources = await contentFetcher.readSources(rewrittenQuery, topSources, { topN, signal });
         }
     }
 
-    return results;
-}
+    // 4b. Space knowledge base: uploaded files are cited next to the web (source_type "space_file")
+    if (spaceId) {
+        const spaceDocs = await retrieveKnowledge(rewrittenQuery, {
+            embedQuery: chatProvider.models.embedding
+                ? async (text: string) => (await executeChatRequest(LONGCAT_KEYS, (apiKey) => chatProvider.embed({ input: [text], apiKey, signal })))[0]
+                : null,
+            matchChunks: async ({ terms, embedding, limit, minSimilarity }: any) => {
+                const admin = await getSupabaseAdmin();
+                const { data, error } = await admin.rpc('match_space_chunks', { p_space_id: spaceId, p_terms: terms, p_embedding: embedding, p_limit: limit, p_min_similarity: minSimilarity });
+                if (error) throw error;
+                return data || [];
+            }
+        });
+        if (spaceDocs.length > 0) emit({ type: 'knowledge', chunks: spaceDocs.length, files: [...new Set(spaceDocs.map(d => d.file_name))] });
+        topSources = [...spaceDocs, ...topSources];
+    }
 
-async function eliteRerank(query: string, results: any[], keys: string[]) {
-    if (results.length === 0) return [];
+    // 5. Elite Synthesis - TOOL-BASED GROUNDING
+    const now = new Date();
+    const dateTimeContext = `Current Date/Time: ${now.toLocaleDateString()} ${now.toLocaleTimeString()}`;
 
-    // OPTIMIZATION 2: Parallel Reranking Chunks
-    const chunks = [];
-    for (let i = 0; i < results.length; i += 50) chunks.push(results.slice(i, i + 50));
+    // Static system prompt (cacheable)
+    const systemPrompt = `${GLOBAL_MONOLITH_GUIDELINES}
+${custom_prompt ? `USER INSTRUCTIONS: ${custom_prompt}` : ''}
+${dateTimeContext}
+MODE: ${activeSearch ? 'WEB RESEARCH (REAL-TIME)' : 'OFFLINE (KNOWLEDGE OVERRIDE)'}
+${activeThinking ? 'REASONING PROTOCOL: You are a thinking model. Prioritize deep multi-step reasoning before delivering your final answer.' : ''}`;
 
-    const rerankPromises = chunks.map(async (chunk, cIdx) => {
-        try {
-            return await executeRotatedRequest(keys, async (apiKey) => {
-                const r = await fetch('https://api.langsearch.com/v1/rerank', {
-                    method: 'POST',
-                    headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        model: 'langsearch-reranker-v1',
-                        query: query,
-                        documents: chunk.map(d => sanitizeContent(d.summary || d.snippet || d.name)),
-                        top_n: chunk.length
-                    })
-                });
-                if (!r.ok) throw { status: r.status, message: await r.text() };
-                const data = await r.json();
-                return data.results.map((res: any) => ({ ...chunk[res.index], relevance_score: res.relevance_score }));
-            }, cIdx);
-        } catch { return chunk.map(d => ({ ...d, relevance_score: 0 })); }
+    // Token budget: reserve the answer, then fit history and the best documents into the window.
+    // Kept documents are what gets emitted as `sources`, so [n] citations line up with the client's list.
+    const maxTokens = activeThinking ? 32768 : 16384;
+    const renderDocument = (c: any, i: number) => `[DOCUMENT ${i + 1}]${c.source_type === 'space_file' ? ' (uploaded space file)' : ''} Title: ${c.name}\nURL: ${c.url}\nContent: ${c.passages?.length ? c.passages.join('\n…\n') : sanitizeContent(c.summary || c.snippet)}`;
+    const remembered = applySummary(history, thread || {});
+    const budget = budgetContext({
+        contextWindow: Number(Deno.env.get('CONTEXT_WINDOW_TOKENS')) || undefined,
+        reserveTokens: maxTokens,
+        fixedText: `${systemPrompt}\n${query}\n${rewrittenQuery}`,
+        history: remembered.history,
+        summary: remembered.summary,
+        documents: topSources.slice(0, 50),
+        renderDocument
     });
+    topSources = budget.documents;
+    const contextText = topSources.map(renderDocument).join('\n\n');
+
+    emit({ type: 'sources', sources: topSources, all_sources: rawResults });
+    if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+
+    // Tool-based injection
+    const researchToolCall = {
+        role: 'assistant' as const,
+        tool_calls: [{ id: 'research_1', type: 'function' as const, function: { name: 'access_research_database', arguments: JSON.stringify({ query: rewrittenQuery }) } }]
+    };
+    const researchToolResponse = {
+        role: 'tool' as const,
+        tool_call_id: 'research_1',
+        content: contextText || 'No documents found in the research database. Use internal knowledge with discernment.'
+    };
+
+    const messagesPayload = topSources.length > 0
+        ? [{ role: 'system', content: systemPrompt }, ...budget.history, { role: 'user', content: query }, researchToolCall, researchToolResponse]
+        : [{ role: 'system', content: systemPrompt }, ...budget.history, { role: 'user', content: query }];
+
+    return {
+        keys: LONGCAT_KEYS,
+        topSources,
+        rawResults,
+        searchQueries,
+        rewrittenQuery,
+        autoApplied,
+        contextReport: budget.report,
+        synthesisRequest: {
+            model: resolveModel(chatProvider, activeThinking ? 'thinker' : 'synthesizer', models),
+            messages: messagesPayload,
+            tools: topSources.length > 0 ? [{ type: 'function', function: { name: 'access_research_database', description: 'Retrieve external web research documentation.', parameters: { type: 'object', properties: { query: { type: 'string' } } } } }] : undefined,
+            max_tokens: maxTokens,
+            temperature: activeThinking ? 1.0 : 0.5
+        }
+    };
+}
 
-    const allReranked = (await Promise.all(rerankPromises)).flat();
-
-    // ELITE SCORING: Temporal + Reputation + Diversification
-    return allReranked.map(doc => {
-        let boost = getDomainBoost(doc.url); // Domain Reputation Boost
-        if (doc.origin_freshness === 'hour') boost += 0.22;
-        else if (doc.origin_freshness === 'day') boost += 0.14;
+// --- STREAMING RESPONSE ---
+// SSE events: plan -> reading? -> knowledge? -> sources -> delta* -> done (or error). Client disconnects abort the upstream model request.
+function streamResearch(body: any, req: Request, access = {}) {
+    const controller = new AbortController();
+    req.signal?.addEventListener('abort', () => controller.abort());
+    const encoder = new TextEncoder();
+
+    const stream = new ReadableStream({
+        async start(streamController) {
+            const emit = (event: any) => {
+                if (!controller.signal.aborted) streamController.enqueue(encoder.encode(sseFrame(event)));
+            };
+            try {
+                const ctx = await buildResearchContext(body, emit, controller.signal, access);
+                const tokens = await executeChatRequest(ctx.keys, (apiKey) =>
+                    chatProvider.openStream({ apiKey, signal: controller.signal, ...ctx.synthesisRequest })
+                );
+
+                let finishReason = null;
+                for await (const part of tokens) {
+                    if (part.content) emit({ type: 'delta', content: part.content });
+                    if (part.finish_reason) finishReason = part.finish_reason;
+                }
 
-        if (doc.datePublished) {
-            const ageDays = (new Date().getTime() - new Date(doc.datePublished).getTime()) / (1000 * 3600 * 24);
-            if (ageDays < 15) boost += 0.10;
+                emit({ type: 'done', finish_reason: finishReason || 'stop', search_queries: ctx.searchQueries, rewritten_query: ctx.rewrittenQuery, auto_applied: ctx.autoApplied, context: ctx.contextReport });
+                if (!controller.signal.aborted) streamController.enqueue(encoder.encode(sseFrame('[DONE]')));
+            } catch (err: any) {
+                if (err?.name !== 'AbortError') {
+                    console.error("Monolith stream error:", err);
+                    emit({ type: 'error', error: err.message || "Elite Engine Error" });
+                }
+            } finally {
+                try { streamController.close(); } catch { /* already closed by cancel */ }
+            }
+        },
+        cancel() {
+            controller.abort();
         }
-        return { ...doc, relevance_score: (doc.relevance_score || 0) + boost };
-    }).sort((a, b) => b.relevance_score - a.relevance_score);
+    });
+
+    return new Response(stream, {
+        headers: { ...corsHeaders, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' }
+    });
 }
 
 // --- MAIN SERVE ---
@@ -257,13 +410,23 @@ serve(async (req) => {
     if (req.method === 'OPTIONS') return new Response('ok', { headers: corsHeaders });
 
     try {
+        // Monolith API keys are looked up by hash on every request, so revocation applies immediately
         const authHeader = req.headers.get('Authorization');
         const providedKey = authHeader?.replace('Bearer ', '').trim();
+        let keyRecord: any = null;
+        let sessionUser: any = null;
         if (providedKey?.startsWith('pk-')) {
-            const { createClient } = await import("https://esm.sh/@supabase/supabase-js@2");
-            const supabaseAdmin = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
-            const { data: keyRecord } = await supabaseAdmin.from('api_keys').select('*').eq('key', providedKey).single();
-            if (!keyRecord) return new Response(JSON.stringify({ error: "Invalid API Key" }), { status: 403, headers: corsHeaders });
+            const admin = await getSupabaseAdmin();
+            const { data } = await admin.from('api_keys').select('*').eq('key_hash', await hashApiKey(providedKey)).maybeSingle();
+            keyRecord = data;
+            const denied = checkApiKeyAccess(keyRecord);
+            if (denied) return new Response(JSON.stringify({ error: denied.error }), { status: denied.status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } });
+        } else if (req.method === 'POST') {
+            // Dashboard calls must carry a signed-in user's session, not just the anon key
+            const admin = await getSupabaseAdmin();
+            const { data } = providedKey ? await admin.auth.getUser(providedKey) : { data: null };
+            if (!data?.user) return new Response(JSON.stringify({ error: "Sign in required" }), { status: 401, headers: { ...corsHeaders, 'Content-Type': 'application/json' } });
+            sessionUser = data.user;
         }
 
         if (req.method !== 'POST') {
@@ -277,99 +440,68 @@ serve(async (req) => {
             return new Response(JSON.stringify({ error: "Invalid JSON body or empty request." }), { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } });
         }
 
-        const { query, history = [], deep = false, custom_prompt = null, search = true, thinking = false, queries: providedQueries = null } = body;
-
-        if (!query) {
+        if (!body.query) {
             return new Response(JSON.stringify({ error: "Missing 'query' in request body." }), { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } });
         }
 
-        const LANGSEARCH_KEYS = Deno.env.get('LANGSEARCH_KEYS')?.split(',').map(k => k.trim()).filter(Boolean) || [];
-        const LONGCAT_KEYS = Deno.env.get('LONGCAT_KEYS')?.split(',').map(k => k.trim()).filter(Boolean) || [];
-
-        // --- NON-STREAMING RESPONSE ---
-        // 1. Planning (with Auto-Toggle detection)
-        let planner;
-        let pulseSources = [];
-        const isGreeting = /^(hi|hello|hey|greetings|how are you|how's it going|who are you|what is your name|thanks|thank you|bye|goodbye|good morning|good afternoon|good evening)$/i.test(query.trim().toLowerCase());
-
-        if (providedQueries) {
-            planner = { queries: providedQueries, freshness: 'all', use_hour_layer: deep, skip_search: false, suggest_thinking: thinking };
-        } else if (isGreeting) {
-            planner = { queries: [], skip_search: true, suggest_thinking: false };
-        } else {
-            planner = await planStrategy(query, history, deep, search, thinking, LONGCAT_KEYS);
+        const access: any = { allowDeep: true, sourcePolicy: null, thread: null, spaceId: null };
+        if (keyRecord) {
+            const denied = checkApiKeyAccess(keyRecord, { scopes: body.deep ? ['chat', 'deep'] : ['chat'], spaceId: body.space_id ?? null });
+            if (denied) return new Response(JSON.stringify({ error: denied.error }), { status: denied.status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } });
+            access.allowDeep = checkApiKeyAccess(keyRecord, { scopes: ['deep'] }) === null;
         }
 
-        const activeSearch = search || (!search && !planner.skip_search);
-        const activeDeep = deep || (!deep && (planner.depth_label === 'Deep' || planner.depth_label === 'Elite'));
-        const activeThinking = thinking || (!thinking && planner.suggest_thinking);
+        // Shared spaces: viewers can read threads but not run queries
+        const spaceId = body.space_id && body.space_id !== 'default' ? body.space_id : null;
+        const memberId = keyRecord?.owner_id || sessionUser?.id;
+        if (spaceId && memberId) {
+            const admin = await getSupabaseAdmin();
+            const { data: membership } = await admin.from('space_members').select('role').eq('space_id', spaceId).eq('user_id', memberId).maybeSingle();
+            if (!canInSpace(membership?.role, 'query')) {
+                return new Response(JSON.stringify({ error: membership ? "Viewers cannot query this space" : "Space not found" }), { status: membership ? 403 : 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } });
+            }
+            const { data: space } = await admin.from('spaces').select('source_policy').eq('id', spaceId).maybeSingle();
+            access.sourcePolicy = space?.source_policy || null;
+            access.spaceId = spaceId;
+        }
 
-        // 2. Orchestrated Search (Parallel)
-        let topSources = pulseSources;
-        let rawResults = [];
-        if (activeSearch && !planner.skip_search) {
-            rawResults = await orchestrateSearch(planner, query, activeDeep, LANGSEARCH_KEYS);
+        // Rolling thread summary: only readable by the thread's creator or members of its space
+        if (body.conversation_id && memberId) {
+            const admin = await getSupabaseAdmin();
+            const { data: conversation } = await admin.from('conversations').select('owner_id, space_id, summary, summary_through').eq('id', body.conversation_id).maybeSingle();
+            let allowed = conversation?.owner_id === memberId && !conversation.space_id;
+            if (conversation?.space_id) {
+                const { data: membership } = await admin.from('space_members').select('role').eq('space_id', conversation.space_id).eq('user_id', memberId).maybeSingle();
+                allowed = Boolean(membership) && (!keyRecord || checkApiKeyAccess(keyRecord, { spaceId: conversation.space_id }) === null);
+            }
+            if (!allowed) return new Response(JSON.stringify({ error: "Conversation not found" }), { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } });
+            access.thread = conversation;
+        }
 
-            // 3. Elite Reranking (Parallel)
-            const reranked = await eliteRerank(query, rawResults, LANGSEARCH_KEYS);
-            topSources = reranked.slice(0, 55);
+        // Source policy: the space's, with any `source_policy` fields in the request taking precedence
+        try {
+            access.sourcePolicy = mergeSourcePolicy(access.sourcePolicy, body.source_policy);
+        } catch (err: any) {
+            return new Response(JSON.stringify({ error: err.message }), { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } });
         }
 
-        // 4. Elite Synthesis - TOOL-BASED GROUNDING
-        const now = new Date();
-        const dateTimeContext = `Current Date/Time: ${now.toLocaleDateString()} ${now.toLocaleTimeString()}`;
-        const contextText = topSources.map((c, i) => `[DOCUMENT ${i + 1}] Title: ${c.name}\nURL: ${c.url}\nContent: ${sanitizeContent(c.summary || c.snippet)}`).join('\n\n');
+        if (body.stream) return streamResearch(body, req, access);
 
-        // Static system prompt (cacheable)
-        const systemPrompt = `${GLOBAL_MONOLITH_GUIDELINES}
-${custom_prompt ? `USER INSTRUCTIONS: ${custom_prompt}` : ''}
-${dateTimeContext}
-MODE: ${activeSearch ? 'WEB RESEARCH (REAL-TIME)' : 'OFFLINE (KNOWLEDGE OVERRIDE)'}
-${activeThinking ? 'REASONING PROTOCOL: You are a thinking model. Prioritize deep multi-step reasoning before delivering your final answer.' : ''}`;
-
-        // Tool-based injection
-        const researchToolCall = {
-            role: 'assistant' as const,
-            tool_calls: [{ id: 'research_1', type: 'function' as const, function: { name: 'access_research_database', arguments: JSON.stringify({ query }) } }]
-        };
-        const researchToolResponse = {
-            role: 'tool' as const,
-            tool_call_id: 'research_1',
-            content: contextText || 'No documents found in the research database. Use internal knowledge with discernment.'
-        };
-
-        const messagesPayload = topSources.length > 0
-            ? [{ role: 'system', content: systemPrompt }, ...history, { role: 'user', content: query }, researchToolCall, researchToolResponse]
-            : [{ role: 'system', content: systemPrompt }, ...history, { role: 'user', content: query }];
-
-        const modelName = activeThinking ? 'LongCat-Flash-Thinking' : 'LongCat-Flash-Chat';
-        const aiResponse = await executeRotatedRequest(LONGCAT_KEYS, async (apiKey) => {
-            const resp = await fetch('https://api.longcat.chat/openai/v1/chat/completions', {
-                method: 'POST',
-                headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    model: modelName,
-                    messages: messagesPayload,
-                    tools: topSources.length > 0 ? [{ type: 'function', function: { name: 'access_research_database', description: 'Retrieve external web research documentation.', parameters: { type: 'object', properties: { query: { type: 'string' } } } } }] : undefined,
-                    max_tokens: activeThinking ? 32768 : 16384,
-                    temperature: activeThinking ? 1.0 : 0.5
-                })
-            });
-            if (!resp.ok) throw { status: resp.status, message: await resp.text() };
-            const data = await resp.json();
-            return data.choices[0].message.content;
+        // --- NON-STREAMING RESPONSE ---
+        const ctx = await buildResearchContext(body, () => { }, undefined, access);
+        const aiResponse = await executeChatRequest(ctx.keys, async (apiKey) => {
+            const data = await chatProvider.complete({ apiKey, ...ctx.synthesisRequest });
+            return completionText(data);
         });
 
         return new Response(JSON.stringify({
             answer: aiResponse,
-            sources: topSources.slice(0, 50),
-            all_sources: rawResults,
-            search_queries: planner.queries || [query],
-            auto_applied: {
-                search: activeSearch && !search,
-                deep: activeDeep && !deep,
-                thinking: activeThinking && !thinking
-            }
+            sources: ctx.topSources,
+            all_sources: ctx.rawResults,
+            search_queries: ctx.searchQueries,
+            rewritten_query: ctx.rewrittenQuery,
+            auto_applied: ctx.autoApplied,
+            context: ctx.contextReport
         }), {
             headers: { ...corsHeaders, 'Content-Type': 'application/json' }
         });
@@ -26,3 +26,19 @@ export const query = (text, params) => {
     console.log('EXECUTING QUERY:', text);
     return pool.query(text, params);
 };
+
+// Runs `fn(client)` inside BEGIN/COMMIT on one pooled connection; rolls back when it throws
+export const withTransaction = async (fn) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+    } finally {
+        client.release();
+    }
+};
@@ -1,13 +1,36 @@
 import express from 'express';
 import cors from 'cors';
 import { query } from './db.js';
-import { searchWeb, rerankResults, parallelSearch } from './services/searchService.js';
-import { getAIResponse, generateSearchQueries } from './services/aiService.js';
+import { searchWebWithCacheStatus, rerankResults, getSearchProvider } from './services/searchService.js';
+import { searchCache, getSearchCacheStats } from './services/searchCache.js';
+import { refreshConversationSummary, updateConversationSummary, SUMMARY_COLUMNS } from './services/summaryService.js';
+import { listSpaceFiles, addSpaceFile, deleteSpaceFile, maxUploadBytes } from './services/knowledgeService.js';
+import { SEARCH_PROVIDERS } from '../shared/searchProviders.js';
+import { generateSearchQueries, plannerCompletion } from './services/aiService.js';
+import { prepareResearch, runResearch } from './services/researchService.js';
+import { enqueueResearchJob, getResearchJob, cancelResearchJob, startResearchWorker } from './services/researchJobService.js';
+import { rewriteFollowUp } from '../shared/orchestrator.js';
+import { exportConversation } from '../shared/conversationExport.js';
+import { activeBranch, selectBranchTo } from '../shared/messageTree.js';
+import { importConversations } from './services/importService.js';
+import { searchHistory } from './services/historySearchService.js';
+import { createShare, listShares, revokeShare, getSharedThread } from './services/shareService.js';
+import { listWatches, createWatch, updateWatch, deleteWatch, triggerWatch, listWatchRuns, startWatchScheduler } from './services/watchService.js';
+import { normalizeSourcePolicy } from '../shared/sourcePolicy.js';
+import { sseFrame } from '../shared/sse.js';
+import { KEY_PROVIDERS } from '../shared/keyPolicy.js';
+import { seedProviderKeysFromEnv, listKeyHealth, addProviderKey, updateProviderKey } from './services/keyVault.js';
+import { transcribeAudio } from './services/transcriptionService.js';
+import { meterApiUsage, getCurrentUsage, getUsageSummary } from './services/usageService.js';
+import { generateApiKey, hashApiKey, apiKeyPrefix, normalizeScopes, checkApiKeyAccess } from '../shared/apiKeys.js';
+import { requireUser } from './services/authService.js';
+import { getSpaceRole, getConversationAccess, listSpaceMembers, addSpaceMember, updateSpaceMemberRole, removeSpaceMember } from './services/spaceService.js';
+import { canInSpace } from '../shared/spaceRoles.js';
 import crypto from 'crypto';
 
 const app = express();
 
-app.use(cors());
+app.use(cors({ exposedHeaders: ['Content-Disposition'] })); // export downloads read their filename from it
 app.use(express.json({ limit: '50mb' }));
 
 // Init DB
@@ -21,6 +44,9 @@ const initDb = async () => {
         created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
       );
     `);
+        await query(`ALTER TABLE spaces ADD COLUMN IF NOT EXISTS model_config JSONB DEFAULT '{}'::jsonb;`);
+        await query(`ALTER TABLE spaces ADD COLUMN IF NOT EXISTS source_policy JSONB DEFAULT '{}'::jsonb;`);
+
         await query(`
       CREATE TABLE IF NOT EXISTS conversations (
         id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -36,6 +62,10 @@ const initDb = async () => {
         } catch (e) {
             // Silently fail if column already exists or table doesn't exist yet
         }
+        // Rolling summary of older turns (see server/services/summaryService.js)
+        await query(`ALTER TABLE conversations ADD COLUMN IF NOT EXISTS summary TEXT;`);
+        await query(`ALTER TABLE conversations ADD COLUMN IF NOT EXISTS summary_through TIMESTAMP WITH TIME ZONE;`);
+        await query(`ALTER TABLE conversations ADD COLUMN IF NOT EXISTS summary_updated_at TIMESTAMP WITH TIME ZONE;`);
 
         await query(`
       CREATE TABLE IF NOT EXISTS messages (
@@ -48,6 +78,147 @@ const initDb = async () => {
       );
     `);
         await query(`CREATE INDEX IF NOT EXISTS idx_messages_conversation_id ON messages(conversation_id);`);
+        // Message branches (shared/messageTree.js). Flat threads from before branching are chained in order;
+        // once a thread has any parent_id it is left alone, so this is safe to run on every start.
+        await query(`ALTER TABLE messages ADD COLUMN IF NOT EXISTS parent_id UUID REFERENCES messages(id) ON DELETE CASCADE;`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_messages_parent_id ON messages(parent_id);`);
+        await query(`
+      UPDATE messages m SET parent_id = ordered.previous_id
+      FROM (
+        SELECT id, LAG(id) OVER (PARTITION BY conversation_id ORDER BY created_at, id) AS previous_id
+        FROM messages
+        WHERE conversation_id IN (SELECT conversation_id FROM messages GROUP BY conversation_id HAVING COUNT(parent_id) = 0 AND COUNT(*) > 1)
+      ) ordered
+      WHERE m.id = ordered.id AND ordered.previous_id IS NOT NULL;
+    `);
+        // Full-text history search: expression indexes, matched by the queries in historySearchService.js
+        await query(`CREATE INDEX IF NOT EXISTS idx_messages_content_fts ON messages USING GIN (to_tsvector('english', content));`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_conversations_title_fts ON conversations USING GIN (to_tsvector('english', title));`);
+
+        // Space knowledge base: uploaded files and their indexed chunks (see server/services/knowledgeService.js)
+        await query(`
+      CREATE TABLE IF NOT EXISTS space_files (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        space_id UUID NOT NULL REFERENCES spaces(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        file_type TEXT NOT NULL,                 -- markdown | text | html | pdf | csv
+        size_bytes INTEGER NOT NULL,
+        char_count INTEGER NOT NULL DEFAULT 0,
+        chunk_count INTEGER NOT NULL DEFAULT 0,
+        embedded BOOLEAN NOT NULL DEFAULT false, -- chunks carry embeddings
+        status TEXT NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'ready', 'error')),
+        error TEXT,
+        uploaded_by UUID,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+        await query(`
+      CREATE TABLE IF NOT EXISTS space_file_chunks (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        file_id UUID NOT NULL REFERENCES space_files(id) ON DELETE CASCADE,
+        space_id UUID NOT NULL REFERENCES spaces(id) ON DELETE CASCADE,
+        chunk_index INTEGER NOT NULL,
+        heading TEXT,
+        content TEXT NOT NULL,
+        tsv TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', coalesce(heading, '') || ' ' || content)) STORED,
+        embedding REAL[]
+      );
+    `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_space_files_space_id ON space_files(space_id);`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_space_file_chunks_space_id ON space_file_chunks(space_id);`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_space_file_chunks_tsv ON space_file_chunks USING GIN (tsv);`);
+
+        await query(`
+      CREATE OR REPLACE FUNCTION cosine_similarity(a REAL[], b REAL[]) RETURNS REAL
+      LANGUAGE sql IMMUTABLE AS $$
+        SELECT (SUM(x * y) / NULLIF(SQRT(SUM(x * x)) * SQRT(SUM(y * y)), 0))::real FROM unnest(a, b) AS t(x, y);
+      $$;
+    `);
+        await query(`
+      CREATE OR REPLACE FUNCTION match_space_chunks(p_space_id UUID, p_terms TEXT, p_embedding REAL[] DEFAULT NULL, p_limit INTEGER DEFAULT 6, p_min_similarity REAL DEFAULT 0.3)
+      RETURNS TABLE (file_id UUID, file_name TEXT, chunk_index INTEGER, heading TEXT, content TEXT, text_rank REAL, similarity REAL, score REAL)
+      LANGUAGE sql STABLE AS $$
+        WITH q AS (
+          SELECT CASE WHEN coalesce(p_terms, '') = '' THEN NULL ELSE to_tsquery('english', p_terms) END AS tsq
+        ), scored AS (
+          SELECT c.file_id, f.name AS file_name, c.chunk_index, c.heading, c.content,
+                 (CASE WHEN q.tsq IS NOT NULL AND c.tsv @@ q.tsq THEN ts_rank_cd(c.tsv, q.tsq, 32) ELSE 0 END)::real AS text_rank,
+                 CASE WHEN p_embedding IS NOT NULL AND c.embedding IS NOT NULL THEN cosine_similarity(c.embedding, p_embedding) END AS similarity
+          FROM space_file_chunks c
+          JOIN space_files f ON f.id = c.file_id AND f.status = 'ready'
+          CROSS JOIN q
+          WHERE c.space_id = p_space_id
+            AND ((q.tsq IS NOT NULL AND c.tsv @@ q.tsq) OR (p_embedding IS NOT NULL AND c.embedding IS NOT NULL))
+        )
+        SELECT s.*, (CASE WHEN s.similarity IS NULL THEN s.text_rank ELSE 0.7 * s.similarity + 0.3 * s.text_rank END)::real AS score
+        FROM scored s
+        WHERE s.text_rank > 0 OR s.similarity >= p_min_similarity
+        ORDER BY score DESC
+        LIMIT p_limit;
+      $$;
+    `);
+
+        // Public share links (see server/services/shareService.js)
+        await query(`
+      CREATE TABLE IF NOT EXISTS shared_threads (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        slug TEXT UNIQUE NOT NULL,                 -- 128 random bits, base64url
+        conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+        title TEXT NOT NULL,
+        snapshot JSONB NOT NULL,                   -- { messages: [{ id, role, content, search_results, created_at }] }
+        excluded_message_ids UUID[] NOT NULL DEFAULT '{}',
+        created_by UUID,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        revoked_at TIMESTAMP WITH TIME ZONE
+      );
+    `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_shared_threads_conversation_id ON shared_threads(conversation_id);`);
+
+        // Scheduled watch queries (see server/services/watchService.js)
+        await query(`
+      CREATE TABLE IF NOT EXISTS watches (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        space_id UUID NOT NULL REFERENCES spaces(id) ON DELETE CASCADE,
+        conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL, -- the thread runs are saved to
+        created_by UUID,                           -- runs act for this member while they can query the space
+        name TEXT NOT NULL,
+        query TEXT NOT NULL,
+        search BOOLEAN NOT NULL DEFAULT true,
+        deep BOOLEAN NOT NULL DEFAULT false,
+        thinking BOOLEAN NOT NULL DEFAULT false,
+        schedule TEXT NOT NULL,                    -- 5-field cron, UTC
+        enabled BOOLEAN NOT NULL DEFAULT true,
+        next_run_at TIMESTAMP WITH TIME ZONE,
+        locked_at TIMESTAMP WITH TIME ZONE,        -- set while a scheduler runs it
+        last_run_at TIMESTAMP WITH TIME ZONE,
+        last_status TEXT,
+        last_error TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+        await query(`
+      CREATE TABLE IF NOT EXISTS watch_runs (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        watch_id UUID NOT NULL REFERENCES watches(id) ON DELETE CASCADE,
+        message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+        status TEXT NOT NULL CHECK (status IN ('running', 'succeeded', 'failed')),
+        started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP WITH TIME ZONE,
+        source_urls TEXT[] NOT NULL DEFAULT '{}',  -- canonical URLs of the run's web sources
+        new_sources JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ name, url, snippet }] not returned by earlier runs
+        whats_new TEXT,
+        error TEXT
+      );
+    `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_watches_space_id ON watches(space_id);`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_watches_next_run_at ON watches(next_run_at) WHERE enabled;`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_watch_runs_watch_started ON watch_runs(watch_id, started_at DESC);`);
+
+        // Ownership (Supabase auth user id). Rows without an owner are invisible until claimed.
+        for (const table of ['spaces', 'conversations']) {
+            await query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS owner_id UUID;`);
+            await query(`CREATE INDEX IF NOT EXISTS idx_${table}_owner_id ON ${table}(owner_id);`);
+        }
 
         await query(`
       CREATE TABLE IF NOT EXISTS api_keys (
@@ -59,18 +230,173 @@ const initDb = async () => {
       );
     `);
 
+        // Hashed, scoped, expiring keys. Legacy plaintext keys are hashed in place and cleared.
+        await query(`ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS key_hash TEXT UNIQUE;`);
+        await query(`ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS key_prefix TEXT;`);
+        await query(`ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS scopes TEXT[] NOT NULL DEFAULT '{search,chat,deep}';`);
+        await query(`ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS allowed_space_ids UUID[];`);
+        await query(`ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;`);
+        await query(`ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP WITH TIME ZONE;`);
+        await query(`ALTER TABLE api_keys ALTER COLUMN key DROP NOT NULL;`);
+        await query(`
+      UPDATE api_keys SET key_hash = encode(sha256(convert_to(key, 'UTF8')), 'hex'), key_prefix = left(key, 11), key = NULL
+      WHERE key IS NOT NULL;
+    `);
+
+        await query(`ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS owner_id UUID;`);
+
+        // Shared spaces: every space owner gets an `owner` membership (backfilled for existing spaces)
+        await query(`
+      CREATE TABLE IF NOT EXISTS space_members (
+        space_id UUID REFERENCES spaces(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL,
+        email TEXT,
+        role TEXT NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+        invited_by UUID,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (space_id, user_id)
+      );
+    `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_space_members_user_id ON space_members(user_id);`);
+        await query(`
+      INSERT INTO space_members (space_id, user_id, role)
+      SELECT id, owner_id, 'owner' FROM spaces WHERE owner_id IS NOT NULL
+      ON CONFLICT (space_id, user_id) DO NOTHING;
+    `);
+
+        // Per-key limits (NULL = unlimited)
+        await query(`ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS rate_limit_rpm INTEGER DEFAULT 60;`);
+        await query(`ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS daily_deep_quota INTEGER DEFAULT 100;`);
+        await query(`ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS max_tokens INTEGER;`);
+
+        await query(`
+      CREATE TABLE IF NOT EXISTS api_usage (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        api_key_id UUID REFERENCES api_keys(id) ON DELETE CASCADE,
+        endpoint TEXT NOT NULL,
+        mode TEXT NOT NULL DEFAULT 'standard',
+        status INTEGER,
+        upstream_calls INTEGER NOT NULL DEFAULT 0,
+        prompt_tokens INTEGER NOT NULL DEFAULT 0,
+        completion_tokens INTEGER NOT NULL DEFAULT 0,
+        total_tokens INTEGER NOT NULL DEFAULT 0,
+        duration_ms INTEGER,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_api_usage_key_created ON api_usage(api_key_id, created_at DESC);`);
+
+        await query(`
+      CREATE TABLE IF NOT EXISTS provider_keys (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        provider TEXT NOT NULL,
+        key TEXT NOT NULL,
+        label TEXT,
+        disabled BOOLEAN NOT NULL DEFAULT false,
+        exhausted BOOLEAN NOT NULL DEFAULT false,
+        cooldown_until TIMESTAMP WITH TIME ZONE,
+        last_error TEXT,
+        last_error_at TIMESTAMP WITH TIME ZONE,
+        success_count INTEGER NOT NULL DEFAULT 0,
+        failure_count INTEGER NOT NULL DEFAULT 0,
+        last_used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (provider, key)
+      );
+    `);
+        await seedProviderKeysFromEnv();
+
+        await query(`
+      CREATE TABLE IF NOT EXISTS search_cache (
+        cache_key TEXT PRIMARY KEY,
+        provider TEXT NOT NULL,
+        query TEXT NOT NULL,
+        freshness TEXT NOT NULL,
+        results JSONB NOT NULL,
+        hit_count INTEGER NOT NULL DEFAULT 0,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_search_cache_expires_at ON search_cache(expires_at);`);
+
+        // Asynchronous research jobs (see server/services/researchJobService.js)
+        await query(`
+      CREATE TABLE IF NOT EXISTS research_jobs (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        api_key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+        usage_id UUID REFERENCES api_usage(id) ON DELETE SET NULL, -- ledger row of the POST; the job's tokens are added to it
+        request JSONB NOT NULL,                    -- the /api/v1/chat/completions-style body, minus webhook fields
+        status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+        stage TEXT NOT NULL DEFAULT 'queued',
+        progress JSONB NOT NULL DEFAULT '[]'::jsonb, -- stage events, oldest first
+        partial JSONB NOT NULL DEFAULT '{}'::jsonb,  -- search_queries, search_results and the answer so far
+        result JSONB,
+        error TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        heartbeat_at TIMESTAMP WITH TIME ZONE,     -- refreshed by the worker running it
+        webhook_url TEXT,
+        webhook_secret TEXT,                       -- HMAC key for the callback signature
+        webhook_status TEXT CHECK (webhook_status IN ('pending', 'delivered', 'failed')),
+        webhook_attempts INTEGER NOT NULL DEFAULT 0,
+        webhook_next_at TIMESTAMP WITH TIME ZONE,
+        webhook_error TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        started_at TIMESTAMP WITH TIME ZONE,
+        finished_at TIMESTAMP WITH TIME ZONE
+      );
+    `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_research_jobs_active ON research_jobs(created_at) WHERE status IN ('queued', 'running');`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_research_jobs_webhook_due ON research_jobs(webhook_next_at) WHERE webhook_status = 'pending';`);
+
         console.log('Database tables initialized');
+        return true;
     } catch (err) {
         console.error('Error initializing DB:', err);
+        return false;
+    }
+};
+
+// The watch scheduler and research job worker need their tables, so they only start once those exist
+initDb().then((ready) => {
+    if (!ready) {
+        console.error('[Workers] Database setup failed; not starting the watch scheduler or research job worker');
+        return;
     }
+    startWatchScheduler();
+    startResearchWorker();
+});
+
+// Returns the row only if it belongs to the user (404s look the same whether the row is missing or foreign)
+const findOwnedRow = async (table, id, ownerId) => {
+    const result = await query(`SELECT * FROM ${table} WHERE id = $1 AND owner_id = $2`, [id, ownerId]);
+    return result.rows[0] || null;
 };
 
-initDb();
+// Space-level permission check; answers 404 for non-members and 403 for members without the permission
+const requireSpacePermission = (action) => async (req, res, next) => {
+    try {
+        const role = await getSpaceRole(req.params.id, req.user.id);
+        if (!role) return res.status(404).json({ error: 'Space not found' });
+        if (!canInSpace(role, action)) return res.status(403).json({ error: `Your role (${role}) cannot ${action} this space` });
+        req.spaceRole = role;
+        next();
+    } catch (err) {
+        console.error(`SERVER ERROR [space access ${req.params.id}]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+};
 
 // --- Spaces API ---
-app.get('/api/spaces', async (req, res) => {
+// Every dashboard route below is scoped to the signed-in user (req.user.id)
+app.get('/api/spaces', requireUser, async (req, res) => {
     try {
-        const result = await query('SELECT * FROM spaces ORDER BY created_at DESC');
+        const result = await query(
+            `SELECT s.*, m.role FROM spaces s
+             JOIN space_members m ON m.space_id = s.id AND m.user_id = $1
+             ORDER BY s.created_at DESC`,
+            [req.user.id]
+        );
         res.json(result.rows);
     } catch (err) {
         console.error('SERVER ERROR [GET /spaces]:', err);
@@ -78,36 +404,43 @@ app.get('/api/spaces', async (req, res) => {
     }
 });
 
-app.post('/api/spaces', async (req, res) => {
-    const { name, system_prompt } = req.body;
+app.post('/api/spaces', requireUser, async (req, res) => {
+    const { name, system_prompt, model_config = {}, source_policy = null } = req.body;
     try {
         const result = await query(
-            'INSERT INTO spaces (name, system_prompt) VALUES ($1, $2) RETURNING *',
-            [name, system_prompt]
+            'INSERT INTO spaces (name, system_prompt, model_config, source_policy, owner_id) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+            [name, system_prompt, JSON.stringify(model_config), JSON.stringify(normalizeSourcePolicy(source_policy)), req.user.id]
         );
-        res.json(result.rows[0]);
+        await query(
+            "INSERT INTO space_members (space_id, user_id, email, role) VALUES ($1, $2, $3, 'owner')",
+            [result.rows[0].id, req.user.id, req.user.email]
+        );
+        res.json({ ...result.rows[0], role: 'owner' });
     } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
         console.error('SERVER ERROR [POST /spaces]:', err);
         res.status(500).json({ error: err.message });
     }
 });
 
-app.patch('/api/spaces/:id', async (req, res) => {
+app.patch('/api/spaces/:id', requireUser, requireSpacePermission('edit'), async (req, res) => {
     const { id } = req.params;
-    const { name, system_prompt } = req.body;
+    const { name, system_prompt, model_config, source_policy } = req.body;
     try {
         const result = await query(
-            'UPDATE spaces SET name = COALESCE($1, name), system_prompt = COALESCE($2, system_prompt) WHERE id = $3 RETURNING *',
-            [name, system_prompt, id]
+            `UPDATE spaces SET name = COALESCE($1, name), system_prompt = COALESCE($2, system_prompt), model_config = COALESCE($3, model_config),
+             source_policy = COALESCE($4, source_policy) WHERE id = $5 RETURNING *`,
+            [name, system_prompt, model_config ? JSON.stringify(model_config) : null, source_policy ? JSON.stringify(normalizeSourcePolicy(source_policy)) : null, id]
         );
-        res.json(result.rows[0]);
+        res.json({ ...result.rows[0], role: req.spaceRole });
     } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
         console.error(`SERVER ERROR [PATCH /spaces/${id}]:`, err);
         res.status(500).json({ error: err.message });
     }
 });
 
-app.delete('/api/spaces/:id', async (req, res) => {
+app.delete('/api/spaces/:id', requireUser, requireSpacePermission('manage'), async (req, res) => {
     const { id } = req.params;
     try {
         await query('DELETE FROM spaces WHERE id = $1', [id]);
@@ -118,21 +451,201 @@ app.delete('/api/spaces/:id', async (req, res) => {
     }
 });
 
-// Get all conversations (with optional space_id filter)
-app.get('/api/conversations', async (req, res) => {
+// --- Space Members API ---
+app.get('/api/spaces/:id/members', requireUser, requireSpacePermission('read'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        res.json(await listSpaceMembers(id));
+    } catch (err) {
+        console.error(`SERVER ERROR [GET /spaces/${id}/members]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Invite by { email } or { user_id }, with role owner/editor/viewer (default viewer)
+app.post('/api/spaces/:id/members', requireUser, requireSpacePermission('manage'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        res.json(await addSpaceMember(id, req.body, req.user.id));
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error(`SERVER ERROR [POST /spaces/${id}/members]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.patch('/api/spaces/:id/members/:userId', requireUser, requireSpacePermission('manage'), async (req, res) => {
+    const { id, userId } = req.params;
+    try {
+        const member = await updateSpaceMemberRole(id, userId, req.body.role);
+        if (!member) return res.status(404).json({ error: 'Member not found' });
+        res.json(member);
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error(`SERVER ERROR [PATCH /spaces/${id}/members/${userId}]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Owners can remove anyone; any member can remove themselves (leave the space)
+app.delete('/api/spaces/:id/members/:userId', requireUser, async (req, res) => {
+    const { id, userId } = req.params;
+    try {
+        const role = await getSpaceRole(id, req.user.id);
+        if (!role) return res.status(404).json({ error: 'Space not found' });
+        if (userId !== req.user.id && !canInSpace(role, 'manage')) {
+            return res.status(403).json({ error: `Your role (${role}) cannot manage this space` });
+        }
+        const removed = await removeSpaceMember(id, userId);
+        if (!removed) return res.status(404).json({ error: 'Member not found' });
+        res.json({ success: true });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error(`SERVER ERROR [DELETE /spaces/${id}/members/${userId}]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- Space knowledge base ---
+// Members list the files; owners/editors upload (raw body, file name in `?name=`) and delete them
+app.get('/api/spaces/:id/files', requireUser, async (req, res) => {
+    const { id } = req.params;
+    try {
+        if (!(await getSpaceRole(id, req.user.id))) return res.status(404).json({ error: 'Space not found' });
+        res.json(await listSpaceFiles(id));
+    } catch (err) {
+        console.error(`SERVER ERROR [GET /spaces/${id}/files]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/spaces/:id/files', requireUser, express.raw({ type: () => true, limit: maxUploadBytes + 1024 }), async (req, res) => {
+    const { id } = req.params;
+    const name = String(req.query.name || '').trim();
+    if (!name) return res.status(400).json({ error: 'File name is required (?name=)' });
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) return res.status(400).json({ error: 'File body is required' });
+    try {
+        const role = await getSpaceRole(id, req.user.id);
+        if (!role) return res.status(404).json({ error: 'Space not found' });
+        if (!canInSpace(role, 'edit')) return res.status(403).json({ error: `Your role (${role}) cannot add files to this space` });
+        const file = await addSpaceFile({ spaceId: id, userId: req.user.id, name, mimeType: req.headers['content-type'] || '', bytes: new Uint8Array(req.body) });
+        res.json(file);
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error(`SERVER ERROR [POST /spaces/${id}/files]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/spaces/:id/files/:fileId', requireUser, async (req, res) => {
+    const { id, fileId } = req.params;
+    try {
+        const role = await getSpaceRole(id, req.user.id);
+        if (!role) return res.status(404).json({ error: 'Space not found' });
+        if (!canInSpace(role, 'edit')) return res.status(403).json({ error: `Your role (${role}) cannot remove files from this space` });
+        if (!(await deleteSpaceFile(id, fileId))) return res.status(404).json({ error: 'File not found' });
+        res.json({ success: true });
+    } catch (err) {
+        console.error(`SERVER ERROR [DELETE /spaces/${id}/files/${fileId}]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- Space watches ---
+// Scheduled re-runs of a query (see server/services/watchService.js). Members see watches and their runs;
+// owners/editors create, change and delete them.
+app.get('/api/spaces/:id/watches', requireUser, requireSpacePermission('read'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        res.json(await listWatches(id));
+    } catch (err) {
+        console.error(`SERVER ERROR [GET /spaces/${id}/watches]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// { name, query, schedule, search?, deep?, thinking? }; schedule is 5-field cron in UTC
+app.post('/api/spaces/:id/watches', requireUser, requireSpacePermission('edit'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        res.json(await createWatch({ ...req.body, spaceId: id, userId: req.user.id }));
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error(`SERVER ERROR [POST /spaces/${id}/watches]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.patch('/api/spaces/:id/watches/:watchId', requireUser, requireSpacePermission('edit'), async (req, res) => {
+    const { id, watchId } = req.params;
+    try {
+        const watch = await updateWatch(id, watchId, req.body);
+        if (!watch) return res.status(404).json({ error: 'Watch not found' });
+        res.json(watch);
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error(`SERVER ERROR [PATCH /spaces/${id}/watches/${watchId}]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/spaces/:id/watches/:watchId', requireUser, requireSpacePermission('edit'), async (req, res) => {
+    const { id, watchId } = req.params;
+    try {
+        if (!(await deleteWatch(id, watchId))) return res.status(404).json({ error: 'Watch not found' });
+        res.json({ success: true });
+    } catch (err) {
+        console.error(`SERVER ERROR [DELETE /spaces/${id}/watches/${watchId}]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Queue a run now; it starts on the scheduler's next poll
+app.post('/api/spaces/:id/watches/:watchId/run', requireUser, requireSpacePermission('edit'), async (req, res) => {
+    const { id, watchId } = req.params;
+    try {
+        const watch = await triggerWatch(id, watchId);
+        if (!watch) return res.status(404).json({ error: 'Watch not found' });
+        res.json(watch);
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error(`SERVER ERROR [POST /spaces/${id}/watches/${watchId}/run]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Runs newest first (?limit=, default 20, max 100), each with its new sources and what's-new note
+app.get('/api/spaces/:id/watches/:watchId/runs', requireUser, requireSpacePermission('read'), async (req, res) => {
+    const { id, watchId } = req.params;
+    try {
+        const runs = await listWatchRuns(id, watchId, { limit: req.query.limit });
+        if (!runs) return res.status(404).json({ error: 'Watch not found' });
+        res.json(runs);
+    } catch (err) {
+        console.error(`SERVER ERROR [GET /spaces/${id}/watches/${watchId}/runs]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Get conversations (with optional space_id filter). Private threads plus threads in spaces the user belongs to.
+app.get('/api/conversations', requireUser, async (req, res) => {
     const { space_id } = req.query;
     try {
-        let q = 'SELECT * FROM conversations';
-        let params = [];
+        let q = `SELECT c.* FROM conversations c
+                 WHERE (c.space_id IS NULL AND c.owner_id = $1)
+                    OR c.space_id IN (SELECT space_id FROM space_members WHERE user_id = $1)`;
+        let params = [req.user.id];
         if (space_id) {
             if (space_id === 'default') {
-                q += ' WHERE space_id IS NULL';
+                q = 'SELECT * FROM conversations c WHERE c.space_id IS NULL AND c.owner_id = $1';
             } else {
-                q += ' WHERE space_id = $1';
+                q = `SELECT c.* FROM conversations c
+                     JOIN space_members m ON m.space_id = c.space_id AND m.user_id = $1
+                     WHERE c.space_id = $2`;
                 params.push(space_id);
             }
         }
-        q += ' ORDER BY updated_at DESC';
+        q += ' ORDER BY c.updated_at DESC';
         const result = await query(q, params);
         res.json(result.rows);
     } catch (err) {
@@ -141,13 +654,19 @@ app.get('/api/conversations', async (req, res) => {
     }
 });
 
-// Create new conversation
-app.post('/api/conversations', async (req, res) => {
+// Create new conversation (needs `query` permission in the space)
+app.post('/api/conversations', requireUser, async (req, res) => {
     const { title, space_id } = req.body;
     try {
+        const spaceId = space_id === 'default' ? null : space_id;
+        if (spaceId) {
+            const role = await getSpaceRole(spaceId, req.user.id);
+            if (!role) return res.status(404).json({ error: 'Space not found' });
+            if (!canInSpace(role, 'query')) return res.status(403).json({ error: 'Viewers cannot start threads in this space' });
+        }
         const result = await query(
-            'INSERT INTO conversations (title, space_id) VALUES ($1, $2) RETURNING *',
-            [title || 'New Chat', space_id === 'default' ? null : space_id]
+            'INSERT INTO conversations (title, space_id, owner_id) VALUES ($1, $2, $3) RETURNING *',
+            [title || 'New Chat', spaceId, req.user.id]
         );
         res.json(result.rows[0]);
     } catch (err) {
@@ -156,10 +675,47 @@ app.post('/api/conversations', async (req, res) => {
     }
 });
 
+// Full-text search over the threads of one space (`space_id`, or "default" for private threads)
+app.get('/api/search/history', requireUser, async (req, res) => {
+    const q = String(req.query.q || '').trim();
+    if (!q) return res.status(400).json({ error: 'q is required' });
+    if (q.length > 200) return res.status(400).json({ error: 'q must be at most 200 characters' });
+    try {
+        const spaceId = !req.query.space_id || req.query.space_id === 'default' ? null : req.query.space_id;
+        if (spaceId && !(await getSpaceRole(spaceId, req.user.id))) return res.status(404).json({ error: 'Space not found' });
+        res.json(await searchHistory({ userId: req.user.id, spaceId, q, limit: req.query.limit }));
+    } catch (err) {
+        console.error('SERVER ERROR [GET /search/history]:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Import threads (Monolith JSON export, ChatGPT conversations.json or a [{ role, content }] array) into a space
+app.post('/api/conversations/import', requireUser, async (req, res) => {
+    const { space_id = null, data } = req.body;
+    if (data == null) return res.status(400).json({ error: 'data is required (the parsed export file)' });
+    try {
+        const spaceId = space_id === 'default' ? null : space_id;
+        if (spaceId) {
+            const role = await getSpaceRole(spaceId, req.user.id);
+            if (!role) return res.status(404).json({ error: 'Space not found' });
+            if (!canInSpace(role, 'query')) return res.status(403).json({ error: 'Viewers cannot import threads into this space' });
+        }
+        res.json(await importConversations({ userId: req.user.id, spaceId, data }));
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('SERVER ERROR [POST /conversations/import]:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // Get messages for a conversation
-app.get('/api/conversations/:id/messages', async (req, res) => {
+app.get('/api/conversations/:id/messages', requireUser, async (req, res) => {
     const { id } = req.params;
     try {
+        if (!(await getConversationAccess(id, req.user.id))) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
         const result = await query(
             'SELECT * FROM messages WHERE conversation_id = $1 ORDER BY created_at ASC',
             [id]
@@ -171,20 +727,57 @@ app.get('/api/conversations/:id/messages', async (req, res) => {
     }
 });
 
+// Download a thread as md | html | pdf | json, with citations resolved into footnotes and a bibliography.
+// Exports the active branch, or the branch through `leaf` (the last message the client is showing).
+app.get('/api/conversations/:id/export', requireUser, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const access = await getConversationAccess(id, req.user.id);
+        if (!access) return res.status(404).json({ error: 'Conversation not found' });
+        const messages = (await query(
+            'SELECT id, parent_id, role, content, search_results, created_at FROM messages WHERE conversation_id = $1 ORDER BY created_at ASC',
+            [id]
+        )).rows;
+        const branch = activeBranch(messages, req.query.leaf ? selectBranchTo(messages, String(req.query.leaf)) : {});
+        const file = exportConversation(access.conversation, branch, String(req.query.format || 'md'));
+        res.setHeader('Content-Type', file.mimeType);
+        res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+        res.send(typeof file.body === 'string' ? file.body : Buffer.from(file.body));
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error(`SERVER ERROR [GET /conversations/${id}/export]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // Add a message to a conversation
-app.post('/api/conversations/:id/messages', async (req, res) => {
+app.post('/api/conversations/:id/messages', requireUser, async (req, res) => {
     const { id } = req.params;
-    const { role, content, search_results } = req.body;
+    const { role, content, search_results, parent_id = null } = req.body;
 
     try {
+        const access = await getConversationAccess(id, req.user.id);
+        if (!access) return res.status(404).json({ error: 'Conversation not found' });
+        if (!canInSpace(access.role, 'query')) return res.status(403).json({ error: 'Viewers cannot send messages in this space' });
+        // Edits and regenerations are siblings under the same parent; it must belong to this thread
+        if (parent_id) {
+            const parent = await query('SELECT 1 FROM messages WHERE id = $1 AND conversation_id = $2', [parent_id, id]);
+            if (parent.rows.length === 0) return res.status(400).json({ error: 'parent_id is not a message in this conversation' });
+        }
+
         const result = await query(
-            'INSERT INTO messages (conversation_id, role, content, search_results) VALUES ($1, $2, $3, $4) RETURNING *',
-            [id, role, content, JSON.stringify(search_results)]
+            'INSERT INTO messages (conversation_id, role, content, search_results, parent_id) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+            [id, role, content, JSON.stringify(search_results), parent_id]
         );
 
         // Update timestamp
         await query('UPDATE conversations SET updated_at = NOW() WHERE id = $1', [id]);
 
+        // Each assistant reply may push older turns out of the verbatim window; fold them in the background
+        if (role === 'assistant') {
+            refreshConversationSummary(id).catch(err => console.error(`[Summary] Refresh failed for ${id}:`, err.message));
+        }
+
         res.json(result.rows[0]);
     } catch (err) {
         console.error(`SERVER ERROR [POST /messages/${id}]:`, err);
@@ -192,11 +785,16 @@ app.post('/api/conversations/:id/messages', async (req, res) => {
     }
 });
 
-// Update conversation title
-app.patch('/api/conversations/:id', async (req, res) => {
+// Update conversation title (creator, or an editor/owner of its space)
+app.patch('/api/conversations/:id', requireUser, async (req, res) => {
     const { id } = req.params;
     const { title } = req.body;
     try {
+        const access = await getConversationAccess(id, req.user.id);
+        if (!access) return res.status(404).json({ error: 'Conversation not found' });
+        if (access.conversation.owner_id !== req.user.id && !canInSpace(access.role, 'edit')) {
+            return res.status(403).json({ error: 'Viewers cannot rename threads' });
+        }
         const result = await query(
             'UPDATE conversations SET title = $1 WHERE id = $2 RETURNING *',
             [title, id]
@@ -208,26 +806,151 @@ app.patch('/api/conversations/:id', async (req, res) => {
     }
 });
 
-// Delete conversation
+// Rolling summary of the thread's older turns (what the assistant "remembers")
+app.get('/api/conversations/:id/summary', requireUser, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const access = await getConversationAccess(id, req.user.id);
+        if (!access) return res.status(404).json({ error: 'Conversation not found' });
+        const { summary, summary_through, summary_updated_at } = access.conversation;
+        res.json({ summary, summary_through, summary_updated_at });
+    } catch (err) {
+        console.error(`SERVER ERROR [GET /conversations/${id}/summary]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Correct or clear the summary (creator, or an editor/owner of its space)
+app.patch('/api/conversations/:id/summary', requireUser, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const access = await getConversationAccess(id, req.user.id);
+        if (!access) return res.status(404).json({ error: 'Conversation not found' });
+        if (access.conversation.owner_id !== req.user.id && !canInSpace(access.role, 'edit')) {
+            return res.status(403).json({ error: 'Viewers cannot edit the thread summary' });
+        }
+        res.json(await updateConversationSummary(id, req.body.summary));
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error(`SERVER ERROR [PATCH /conversations/${id}/summary]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Fold older turns now. The dashboard saves messages through Supabase, so it calls this after each reply.
+app.post('/api/conversations/:id/summary/refresh', requireUser, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const access = await getConversationAccess(id, req.user.id);
+        if (!access) return res.status(404).json({ error: 'Conversation not found' });
+        if (!canInSpace(access.role, 'query')) return res.status(403).json({ error: 'Viewers cannot update the thread summary' });
+        const refreshed = await refreshConversationSummary(id);
+        if (refreshed) return res.json({ ...refreshed, refreshed: true });
+        const current = await query(`SELECT ${SUMMARY_COLUMNS} FROM conversations WHERE id = $1`, [id]);
+        res.json({ ...current.rows[0], refreshed: false });
+    } catch (err) {
+        console.error(`SERVER ERROR [POST /conversations/${id}/summary/refresh]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- Public share links ---
+// Publishing puts a thread in front of anyone with the link, so it takes the same rights as renaming it
+const canPublish = (access, userId) => access.conversation.owner_id === userId || canInSpace(access.role, 'edit');
+
+app.get('/api/conversations/:id/shares', requireUser, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const access = await getConversationAccess(id, req.user.id);
+        if (!access) return res.status(404).json({ error: 'Conversation not found' });
+        if (!canPublish(access, req.user.id)) return res.status(403).json({ error: 'Viewers cannot manage share links' });
+        res.json(await listShares(id));
+    } catch (err) {
+        console.error(`SERVER ERROR [GET /conversations/${id}/shares]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Body: { exclude_message_ids?: [...], leaf?: <message id> } (the branch through `leaf`, else the active one)
+app.post('/api/conversations/:id/shares', requireUser, async (req, res) => {
+    const { id } = req.params;
+    const { exclude_message_ids = [], leaf = null } = req.body;
+    try {
+        const access = await getConversationAccess(id, req.user.id);
+        if (!access) return res.status(404).json({ error: 'Conversation not found' });
+        if (!canPublish(access, req.user.id)) return res.status(403).json({ error: 'Viewers cannot share threads' });
+        res.json(await createShare({ conversation: access.conversation, userId: req.user.id, excludeMessageIds: exclude_message_ids, leaf }));
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error(`SERVER ERROR [POST /conversations/${id}/shares]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/conversations/:id/shares/:shareId/revoke', requireUser, async (req, res) => {
+    const { id, shareId } = req.params;
+    try {
+        const access = await getConversationAccess(id, req.user.id);
+        if (!access) return res.status(404).json({ error: 'Conversation not found' });
+        if (!canPublish(access, req.user.id)) return res.status(403).json({ error: 'Viewers cannot revoke share links' });
+        const share = await revokeShare(id, shareId);
+        if (!share) return res.status(404).json({ error: 'Share link not found or already revoked' });
+        res.json(share);
+    } catch (err) {
+        console.error(`SERVER ERROR [POST /conversations/${id}/shares/${shareId}/revoke]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Read-only snapshot behind a share link. No sign-in; never cached, so revoking takes effect at once.
+app.get('/api/shared/:slug', async (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    try {
+        const shared = await getSharedThread(req.params.slug);
+        if (!shared) return res.status(404).json({ error: 'This link does not exist or was revoked' });
+        res.json(shared);
+    } catch (err) {
+        console.error('SERVER ERROR [GET /shared]:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // --- API Key Management (Internal/Dashboard use) ---
-app.post('/api/keys', async (req, res) => {
-    const { name } = req.body;
-    const key = `pk-${crypto.randomBytes(24).toString('hex')}`;
+// The raw key is only returned by POST; afterwards only key_prefix is visible.
+const API_KEY_COLUMNS = 'id, name, key_prefix, scopes, allowed_space_ids, expires_at, revoked_at, rate_limit_rpm, daily_deep_quota, max_tokens, created_at, last_used_at';
+
+const hasAdminToken = (req) => Boolean(process.env.ADMIN_TOKEN) && req.headers['x-admin-token'] === process.env.ADMIN_TOKEN;
+
+// Only ADMIN_TOKEN holders may hand out the `admin` scope; signed-in users otherwise could grant it to themselves
+const adminScopeDenied = (req, scopes) => scopes.includes('admin') && !hasAdminToken(req);
+
+// Per-key limits protect the shared provider keys, so only ADMIN_TOKEN holders may set or lift them
+const KEY_LIMIT_FIELDS = ['rate_limit_rpm', 'daily_deep_quota', 'max_tokens'];
+const keyLimitsDenied = (req) => KEY_LIMIT_FIELDS.some(f => f in req.body) && !hasAdminToken(req);
+
+app.post('/api/keys', requireUser, async (req, res) => {
+    const { name, scopes, allowed_space_ids = null, expires_at = null, rate_limit_rpm = 60, daily_deep_quota = 100, max_tokens = null } = req.body;
+    const grantedScopes = normalizeScopes(scopes);
+    if (adminScopeDenied(req, grantedScopes)) return res.status(403).json({ error: 'The admin scope requires the x-admin-token header' });
+    if (keyLimitsDenied(req)) return res.status(403).json({ error: 'Setting key limits requires the x-admin-token header' });
+    const key = generateApiKey();
     try {
         const result = await query(
-            'INSERT INTO api_keys (key, name) VALUES ($1, $2) RETURNING *',
-            [key, name || 'Default Key']
+            `INSERT INTO api_keys (key_hash, key_prefix, name, scopes, allowed_space_ids, expires_at, rate_limit_rpm, daily_deep_quota, max_tokens, owner_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING ${API_KEY_COLUMNS}`,
+            [await hashApiKey(key), apiKeyPrefix(key), name || 'Default Key', grantedScopes,
+                allowed_space_ids?.length ? allowed_space_ids : null, expires_at, rate_limit_rpm, daily_deep_quota, max_tokens, req.user.id]
         );
-        res.json(result.rows[0]);
+        res.json({ ...result.rows[0], key });
     } catch (err) {
         console.error('SERVER ERROR [POST /keys]:', err);
         res.status(500).json({ error: err.message });
     }
 });
 
-app.get('/api/keys', async (req, res) => {
+app.get('/api/keys', requireUser, async (req, res) => {
     try {
-        const result = await query('SELECT id, name, key, created_at, last_used_at FROM api_keys ORDER BY created_at DESC');
+        const result = await query(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE owner_id = $1 ORDER BY created_at DESC`, [req.user.id]);
         res.json(result.rows);
     } catch (err) {
         console.error('SERVER ERROR [GET /keys]:', err);
@@ -235,10 +958,66 @@ app.get('/api/keys', async (req, res) => {
     }
 });
 
-app.delete('/api/keys/:id', async (req, res) => {
+// Update settings. Send null to lift a limit / expiry / space restriction, omit a field to keep it.
+// Limits can only be changed with ADMIN_TOKEN.
+app.patch('/api/keys/:id', requireUser, async (req, res) => {
+    const { id } = req.params;
+    const fields = ['name', 'scopes', 'allowed_space_ids', 'expires_at', 'rate_limit_rpm', 'daily_deep_quota', 'max_tokens'].filter(f => f in req.body);
+    if (fields.length === 0) return res.status(400).json({ error: 'Nothing to update' });
+    if (keyLimitsDenied(req)) return res.status(403).json({ error: 'Changing key limits requires the x-admin-token header' });
+    const values = fields.map(f => {
+        if (f === 'scopes') return normalizeScopes(req.body.scopes);
+        if (f === 'allowed_space_ids') return req.body.allowed_space_ids?.length ? req.body.allowed_space_ids : null;
+        return req.body[f];
+    });
+    if (fields.includes('scopes') && adminScopeDenied(req, values[fields.indexOf('scopes')])) {
+        return res.status(403).json({ error: 'The admin scope requires the x-admin-token header' });
+    }
+    try {
+        const assignments = fields.map((f, i) => `${f} = $${i + 3}`).join(', ');
+        const result = await query(
+            `UPDATE api_keys SET ${assignments} WHERE id = $1 AND owner_id = $2 RETURNING ${API_KEY_COLUMNS}`,
+            [id, req.user.id, ...values]
+        );
+        if (result.rows.length === 0) return res.status(404).json({ error: 'Key not found' });
+        res.json(result.rows[0]);
+    } catch (err) {
+        console.error(`SERVER ERROR [PATCH /keys/${id}]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Revocation keeps the row (and its usage history); lookups reject it on the next request
+app.post('/api/keys/:id/revoke', requireUser, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const result = await query(
+            `UPDATE api_keys SET revoked_at = COALESCE(revoked_at, NOW()) WHERE id = $1 AND owner_id = $2 RETURNING ${API_KEY_COLUMNS}`,
+            [id, req.user.id]
+        );
+        if (result.rows.length === 0) return res.status(404).json({ error: 'Key not found' });
+        res.json(result.rows[0]);
+    } catch (err) {
+        console.error(`SERVER ERROR [POST /keys/${id}/revoke]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/keys/:id/usage', requireUser, async (req, res) => {
+    const { id } = req.params;
+    try {
+        if (!(await findOwnedRow('api_keys', id, req.user.id))) return res.status(404).json({ error: 'Key not found' });
+        res.json(await getUsageSummary(id, Number(req.query.days) || 30));
+    } catch (err) {
+        console.error(`SERVER ERROR [GET /keys/${id}/usage]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/keys/:id', requireUser, async (req, res) => {
     const { id } = req.params;
     try {
-        await query('DELETE FROM api_keys WHERE id = $1', [id]);
+        await query('DELETE FROM api_keys WHERE id = $1 AND owner_id = $2', [id, req.user.id]);
         res.json({ success: true });
     } catch (err) {
         console.error(`SERVER ERROR [DELETE /keys/${id}]:`, err);
@@ -246,7 +1025,114 @@ app.delete('/api/keys/:id', async (req, res) => {
     }
 });
 
+// --- Dashboard helpers (planner + voice typing run server-side so provider keys never reach the browser) ---
+// `history` lets follow-ups be rewritten into standalone queries before paths are generated
+app.post('/api/search-queries', requireUser, async (req, res) => {
+    const { query: userQuery, count = 3, models = null, history = [] } = req.body;
+    if (!userQuery) return res.status(400).json({ error: 'Query is required' });
+    try {
+        const rewrittenQuery = await rewriteFollowUp(userQuery, history, plannerCompletion({ models }));
+        const queries = await generateSearchQueries(rewrittenQuery, Math.min(count, 8), { models });
+        res.json({ queries, rewritten_query: rewrittenQuery });
+    } catch (err) {
+        console.error('SERVER ERROR [POST /search-queries]:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/transcribe', requireUser, express.raw({ type: () => true, limit: '25mb' }), async (req, res) => {
+    if (!req.body || req.body.length === 0) return res.status(400).json({ error: 'Audio body is required' });
+    try {
+        const text = await transcribeAudio(req.body);
+        res.json({ text });
+    } catch (err) {
+        console.error('SERVER ERROR [POST /transcribe]:', err.message);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- Admin: Provider Key Vault ---
+// ADMIN_TOKEN via x-admin-token, or a Monolith API key with the `admin` scope (only issued with ADMIN_TOKEN)
+const requireAdmin = async (req, res, next) => {
+    if (hasAdminToken(req)) return next();
+
+    const bearer = req.headers.authorization?.startsWith('Bearer ') ? req.headers.authorization.split(' ')[1] : null;
+    if (bearer) {
+        try {
+            const record = await findApiKey(bearer);
+            if (!checkApiKeyAccess(record, { scopes: ['admin'] })) return next();
+        } catch (err) {
+            console.error('API KEY VALIDATION ERROR:', err);
+            return res.status(500).json({ error: 'Server error' });
+        }
+    }
+    res.status(403).json({ error: 'Admin access required' });
+};
+
+app.get('/api/admin/provider-keys', requireAdmin, async (req, res) => {
+    try {
+        res.json(await listKeyHealth());
+    } catch (err) {
+        console.error('SERVER ERROR [GET /admin/provider-keys]:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/admin/provider-keys', requireAdmin, async (req, res) => {
+    const { provider, key, label = null } = req.body;
+    if (!KEY_PROVIDERS.includes(provider) || !key) {
+        return res.status(400).json({ error: `provider (${KEY_PROVIDERS.join(', ')}) and key are required` });
+    }
+    try {
+        const id = await addProviderKey(provider, key, label);
+        res.json({ id });
+    } catch (err) {
+        console.error('SERVER ERROR [POST /admin/provider-keys]:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Body: { disabled?: boolean, reset?: boolean }
+app.patch('/api/admin/provider-keys/:id', requireAdmin, async (req, res) => {
+    const { id } = req.params;
+    const { disabled, reset = false } = req.body;
+    try {
+        const found = await updateProviderKey(id, { disabled, reset });
+        if (!found) return res.status(404).json({ error: 'Key not found' });
+        res.json({ success: true });
+    } catch (err) {
+        console.error(`SERVER ERROR [PATCH /admin/provider-keys/${id}]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Search cache hit/miss metrics and size; DELETE empties it
+app.get('/api/admin/search-cache', requireAdmin, async (req, res) => {
+    try {
+        res.json(await getSearchCacheStats());
+    } catch (err) {
+        console.error('SERVER ERROR [GET /admin/search-cache]:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/admin/search-cache', requireAdmin, async (req, res) => {
+    try {
+        await searchCache.clear();
+        res.json({ success: true });
+    } catch (err) {
+        console.error('SERVER ERROR [DELETE /admin/search-cache]:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // --- API v1 Middleware ---
+// Keys are looked up by hash on every request (no cache), so revocation applies immediately
+async function findApiKey(key) {
+    const result = await query('SELECT * FROM api_keys WHERE key_hash = $1', [await hashApiKey(key)]);
+    return result.rows[0] || null;
+}
+
 const validateApiKey = async (req, res, next) => {
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -254,13 +1140,13 @@ const validateApiKey = async (req, res, next) => {
     }
     const key = authHeader.split(' ')[1];
     try {
-        const result = await query('SELECT * FROM api_keys WHERE key = $1', [key]);
-        if (result.rows.length === 0) {
-            return res.status(401).json({ error: 'Invalid API key' });
-        }
+        const record = await findApiKey(key);
+        const denied = checkApiKeyAccess(record);
+        if (denied) return res.status(denied.status).json({ error: denied.error });
+
         // Update last used
-        await query('UPDATE api_keys SET last_used_at = NOW() WHERE key = $1', [key]);
-        req.apiKey = result.rows[0];
+        await query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [record.id]);
+        req.apiKey = record;
         next();
     } catch (err) {
         console.error('API KEY VALIDATION ERROR:', err);
@@ -268,107 +1154,153 @@ const validateApiKey = async (req, res, next) => {
     }
 };
 
+// Scope + space check (after validateApiKey). `deep: true` additionally needs the `deep` scope.
+const requireApiScope = (scope, { checkSpace = false } = {}) => (req, res, next) => {
+    const scopes = req.body?.deep ? [scope, 'deep'] : [scope];
+    const denied = checkApiKeyAccess(req.apiKey, {
+        scopes,
+        spaceId: checkSpace ? (req.body?.space_id ?? null) : undefined
+    });
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+    next();
+};
+
 // --- API v1 Endpoints (For external consumption) ---
 
+// Usage summary for the calling key (not metered)
+app.get('/api/v1/usage', validateApiKey, async (req, res) => {
+    try {
+        const { id, rate_limit_rpm, daily_deep_quota, max_tokens } = req.apiKey;
+        const summary = await getUsageSummary(id, Number(req.query.days) || 30);
+        res.json({ limits: { rate_limit_rpm, daily_deep_quota, max_tokens }, ...summary });
+    } catch (err) {
+        console.error('v1 Usage Error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // Search Endpoint
-app.post('/api/v1/search', validateApiKey, async (req, res) => {
-    const { query: searchQuery, count = 10, rerank = true } = req.body;
+app.post('/api/v1/search', validateApiKey, requireApiScope('search'), meterApiUsage('search'), async (req, res) => {
+    const { query: searchQuery, count = 10, rerank = true, provider = null, freshness = 'day', cache = null } = req.body;
     if (!searchQuery) return res.status(400).json({ error: 'Query is required' });
+    if (provider && !SEARCH_PROVIDERS.includes(provider)) {
+        return res.status(400).json({ error: `Unknown provider. Use one of: ${SEARCH_PROVIDERS.join(', ')}` });
+    }
 
     try {
-        let results = await searchWeb(searchQuery, count);
+        const found = await searchWebWithCacheStatus(searchQuery, count, { provider, freshness, cache });
+        let results = found.results;
         if (rerank && results.length > 0) {
-            results = await rerankResults(searchQuery, results, 5);
+            results = await rerankResults(searchQuery, results, 5, { provider });
         }
-        res.json({ results });
+        res.json({ results, provider: getSearchProvider(provider).name, cache: found.cache });
     } catch (err) {
         console.error('v1 Search Error:', err);
         res.status(500).json({ error: err.message });
     }
 });
 
-// Completions Endpoint (Standard)
-app.post('/api/v1/chat/completions', validateApiKey, async (req, res) => {
-    const { model, messages, stream = false, deep = false } = req.body;
+// Completions Endpoint (Standard + Streaming)
+// With `stream: true` the response is SSE: typed `progress` events while planning/searching,
+// then OpenAI-compatible `chat.completion.chunk` frames and a final `[DONE]`.
+app.post('/api/v1/chat/completions', validateApiKey, requireApiScope('chat', { checkSpace: true }), meterApiUsage('chat.completions'), async (req, res) => {
+    const { model, stream = false } = req.body;
 
-    try {
-        const lastMessage = messages[messages.length - 1].content;
-        const history = messages.slice(0, -1);
+    // Abort upstream search/LLM calls as soon as the client goes away
+    const controller = new AbortController();
+    const { signal } = controller;
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
 
-        // === MULTI-QUERY FLOW ===
-        // Step 1: Generate optimized search queries from user input
-        console.log('[Chat] Starting multi-query flow...');
-        const searchQueries = await generateSearchQueries(lastMessage, deep ? 5 : 3);
+    const completionId = `chat-${crypto.randomBytes(8).toString('hex')}`;
+    const created = Math.floor(Date.now() / 1000);
+    const modelName = model || 'monolith-v1';
 
-        // Step 2: Run parallel searches across all generated queries
-        const allResults = await parallelSearch(searchQueries, deep ? 15 : 10);
+    const sendEvent = (payload) => {
+        if (stream && !signal.aborted) res.write(sseFrame(payload));
+    };
+    const sendProgress = (event) => sendEvent({ type: 'progress', ...event });
 
-        // Step 3: Rerank all results to get the most relevant ones
-        let reranked = allResults;
-        if (allResults.length > 0) {
-            reranked = await rerankResults(lastMessage, allResults, deep ? 20 : 10);
-        }
-        console.log(`[Chat] Final context: ${reranked.length} sources after reranking`);
+    try {
+        // Space settings, thread summary and the key's limits (services/researchService.js)
+        const options = await prepareResearch(req.body, req.apiKey);
 
         if (stream) {
-            // Streaming Mode
             res.setHeader('Content-Type', 'text/event-stream');
             res.setHeader('Cache-Control', 'no-cache');
             res.setHeader('Connection', 'keep-alive');
+            res.flushHeaders();
+        }
 
-            // Send the generated search queries as a special event
-            res.write(`data: ${JSON.stringify({ type: 'search_queries', data: searchQueries })}\n\n`);
-
-            // Send search results as a special event
-            res.write(`data: ${JSON.stringify({ type: 'search_results', data: reranked })}\n\n`);
-
-            // Stream Generation
-            const { streamAIResponse } = await import('./services/aiService.js');
-            const generator = streamAIResponse(lastMessage, reranked, history);
+        // === ORCHESTRATED FLOW (services/researchService.js) ===
+        const chunkFrame = (delta, finishReason = null) => ({
+            id: completionId,
+            object: 'chat.completion.chunk',
+            created,
+            model: modelName,
+            choices: [{ index: 0, delta, finish_reason: finishReason }]
+        });
+        const research = await runResearch({
+            ...options,
+            signal,
+            onProgress: (event) => {
+                sendProgress(event);
+                if (event.stage === 'synthesis_started') sendEvent(chunkFrame({ role: 'assistant' }));
+            },
+            onPlan: ({ searchQueries, rewrittenQuery, depthLabel, autoApplied }) => sendEvent({
+                type: 'search_queries', data: searchQueries, rewritten_query: rewrittenQuery, depth_label: depthLabel, auto_applied: autoApplied
+            }),
+            onSources: (sources, allResults) => sendEvent({ type: 'search_results', data: sources, all_sources: allResults }),
+            onDelta: stream ? (chunk) => sendEvent(chunkFrame({ content: chunk })) : null
+        });
 
-            for await (const chunk of generator) {
-                res.write(`data: ${JSON.stringify({
-                    choices: [{ delta: { content: chunk } }]
-                })}\n\n`);
+        if (stream) {
+            if (!signal.aborted) {
+                sendEvent(chunkFrame({}, 'stop'));
+                res.write(sseFrame('[DONE]'));
+                res.end();
             }
-
-            res.write('data: [DONE]\n\n');
-            res.end();
         } else {
             // Standard POST response
-            const aiResponse = await getAIResponse(
-                lastMessage,
-                reranked.slice(0, deep ? 20 : 10),
-                history,
-                deep
-            );
+            const usage = getCurrentUsage();
 
             res.json({
-                id: `chat-${crypto.randomBytes(8).toString('hex')}`,
+                id: completionId,
                 object: 'chat.completion',
-                created: Math.floor(Date.now() / 1000),
-                model: model || 'monolith-v1',
+                created,
+                model: modelName,
                 choices: [{
                     index: 0,
                     message: {
                         role: 'assistant',
-                        content: aiResponse,
+                        content: research.answer,
                     },
                     finish_reason: 'stop'
                 }],
                 usage: {
-                    prompt_tokens: -1,
-                    completion_tokens: -1,
-                    total_tokens: -1
+                    prompt_tokens: usage?.prompt_tokens ?? -1,
+                    completion_tokens: usage?.completion_tokens ?? -1,
+                    total_tokens: usage ? usage.prompt_tokens + usage.completion_tokens : -1,
+                    upstream_calls: usage?.upstream_calls ?? -1
                 },
-                search_queries: searchQueries, // Show the generated queries
-                search_results: reranked // The final reranked sources
+                search_queries: research.searchQueries, // Show the generated queries
+                rewritten_query: research.rewrittenQuery, // Standalone form of a follow-up, used for search and rerank
+                context: research.context, // Token budget, plus any history turns or sources left out
+                search_results: research.sources, // The final reranked sources
+                all_sources: research.allResults, // Everything the search layers returned (deduped, domain-capped)
+                auto_applied: research.autoApplied
             });
         }
     } catch (err) {
+        if (signal.aborted) {
+            console.log('[Chat] Request aborted by client.');
+            return;
+        }
+        if (err.status && !res.headersSent) return res.status(err.status).json({ error: err.message });
         console.error('v1 Chat Error:', err);
         if (res.headersSent) {
-            res.write(`data: ${JSON.stringify({ error: err.message })}\n\n`);
+            res.write(sseFrame({ error: err.message }));
             res.end();
         } else {
             res.status(500).json({ error: err.message });
@@ -376,9 +1308,56 @@ app.post('/api/v1/chat/completions', validateApiKey, async (req, res) => {
     }
 });
 
-app.delete('/api/conversations/:id', async (req, res) => {
+// Asynchronous research (services/researchJobService.js). Same body as /chat/completions (`stream` is ignored),
+// plus optional `webhook_url` and `webhook_secret`. Answers 202 with the job; poll GET /api/v1/research/:id.
+app.post('/api/v1/research', validateApiKey, requireApiScope('chat', { checkSpace: true }), meterApiUsage('research'), async (req, res) => {
+    try {
+        // Reject what would fail anyway before queueing (space access, provider, source policy)
+        await prepareResearch(req.body, req.apiKey);
+        const job = await enqueueResearchJob({ apiKey: req.apiKey, usageId: req.usageId, body: req.body });
+        res.status(202).set('Location', `/api/v1/research/${job.id}`).json(job);
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('SERVER ERROR [POST /v1/research]:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Polling is not metered
+app.get('/api/v1/research/:id', validateApiKey, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const job = await getResearchJob(req.apiKey.id, id);
+        if (!job) return res.status(404).json({ error: 'Job not found' });
+        res.json(job);
+    } catch (err) {
+        console.error(`SERVER ERROR [GET /v1/research/${id}]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/v1/research/:id', validateApiKey, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const job = await cancelResearchJob(req.apiKey.id, id);
+        if (!job) return res.status(404).json({ error: 'Job not found' });
+        res.json(job);
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error(`SERVER ERROR [DELETE /v1/research/${id}]:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Creator or space owner only
+app.delete('/api/conversations/:id', requireUser, async (req, res) => {
     const { id } = req.params;
     try {
+        const access = await getConversationAccess(id, req.user.id);
+        if (!access) return res.status(404).json({ error: 'Conversation not found' });
+        if (access.conversation.owner_id !== req.user.id && !canInSpace(access.role, 'manage')) {
+            return res.status(403).json({ error: 'Only the creator or a space owner can delete this thread' });
+        }
         await query('DELETE FROM conversations WHERE id = $1', [id]);
         res.json({ success: true });
     } catch (err) {
@@ -1,16 +1,25 @@
 
 import { query } from '../db.js';
-import crypto from 'crypto';
+import { generateApiKey, hashApiKey, apiKeyPrefix, DEFAULT_SCOPES } from '../../shared/apiKeys.js';
 
+// Usage: node server/scripts/init_key.js <owner-user-id>
 const initKey = async () => {
+    const ownerId = process.argv[2];
+    if (!ownerId) {
+        console.error('Usage: node server/scripts/init_key.js <owner-user-id>');
+        process.exit(1);
+    }
     try {
-        const check = await query('SELECT * FROM api_keys LIMIT 1');
+        const check = await query('SELECT key_prefix FROM api_keys WHERE owner_id = $1 AND revoked_at IS NULL LIMIT 1', [ownerId]);
         if (check.rows.length === 0) {
-            const key = `pk-${crypto.randomBytes(24).toString('hex')}`;
-            await query('INSERT INTO api_keys (key, name) VALUES ($1, $2)', [key, 'System Default']);
-            console.log('Created new System Default API Key:', key);
+            const key = generateApiKey();
+            await query(
+                'INSERT INTO api_keys (key_hash, key_prefix, name, scopes, owner_id) VALUES ($1, $2, $3, $4, $5)',
+                [await hashApiKey(key), apiKeyPrefix(key), 'System Default', DEFAULT_SCOPES, ownerId]
+            );
+            console.log('Created new System Default API Key (shown once):', key);
         } else {
-            console.log('Existing API Key found:', check.rows[0].key);
+            console.log(`Existing API Key found: ${check.rows[0].key_prefix}…`);
         }
         process.exit(0);
     } catch (err) {
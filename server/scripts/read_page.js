@@ -0,0 +1,24 @@
+import { createContentFetcher, contentFetchConfigFromEnv, chunkText, selectPassages } from '../../shared/contentFetcher.js';
+import { resolveHostAddresses } from '../services/contentService.js';
+
+// Usage: node server/scripts/read_page.js <url> [query]
+// Prints what the synthesizer would read from a page. Set CONTENT_FETCH_ALLOW_PRIVATE=true to try a local fixture server.
+const readPage = async () => {
+    const [url, ...queryWords] = process.argv.slice(2);
+    if (!url) {
+        console.error('Usage: node server/scripts/read_page.js <url> [query]');
+        process.exit(1);
+    }
+    const { fetcher: options } = contentFetchConfigFromEnv((name) => process.env[name]);
+    const page = await createContentFetcher({ ...options, resolveHost: resolveHostAddresses }).fetchPage(url);
+    console.log(`Status: ${page.status}${page.error ? ` (${page.error})` : ''}`);
+    if (page.status !== 'ok') process.exit(1);
+
+    console.log(`Title: ${page.title || '-'}\nExtracted: ${page.text.length} chars`);
+    const chunks = chunkText(page.text);
+    const passages = queryWords.length > 0 ? selectPassages(queryWords.join(' '), chunks) : chunks.slice(0, 3);
+    passages.forEach((passage, i) => console.log(`\n--- Passage ${i + 1} ---\n${passage}`));
+    process.exit(0);
+};
+
+readPage();
@@ -1,54 +1,68 @@
-import axios from 'axios';
-
-const LONGCAT_KEYS = [
-    'ak_1ZT5QN3iq4fp2lh54j9BH1rW1Ai7v',
-    'ak_1Xt5vz8fh7go0WM5UG5qH1tZ7717J',
-    'ak_1tn5Db5nh7Ro6mU78e38a8DT62q5M',
-    'ak_1kP69v1S20W75nD0Rg1qp1Dq1xX0l',
-    'ak_1iV6O22pL7PP9Pc6MZ4AL41t8NM02',
-    'ak_1mV6g611i9FE94Y2GS2pj7Dg22Z3Q',
-    'ak_1Hs6ON2Kg3dg7N69YY4tl8Nv1Vh5E',
-    'ak_1t96Cv6b528y8oC6fx37E7Vp9Gh2C',
-    'ak_1ZP6tv7jZ1CT6ri5Fw2jB0uX6jW84',
-    'ak_1By6G582R2fo7UW30k8Hy85U8H56c',
-    'ak_1Ir7Hz8ME8Js4OS03c5mn0PC71H2X',
-    'ak_1YS76u2Qg7xn6xa6UN5JW3BL9QK7K',
-    'ak_1RN7kW08e3XR0hI8xw8QJ5os82133',
-    'ak_1hv7ql7Q85vr45n42U1xD8Gj6Ms1z',
-    'ak_1Bm8Fn89i1Xv4W70IV10T5LK19u1C',
-    'ak_1Uf8lO5PH4Bo4tS8J47dA1FC6Go60'
-];
-
-let currentLongCatKeyIndex = 0;
-
-const getLongCatKey = () => LONGCAT_KEYS[currentLongCatKeyIndex];
-
-const rotateLongCatKey = () => {
-    currentLongCatKeyIndex = (currentLongCatKeyIndex + 1) % LONGCAT_KEYS.length;
-    console.log(`[LongCat] Rate limit hit. Rotating to key index ${currentLongCatKeyIndex}`);
-};
-
-const executeLongCatRequest = async (requestFn) => {
-    let attempts = 0;
-    while (attempts < LONGCAT_KEYS.length) {
-        try {
-            const apiKey = getLongCatKey();
-            return await requestFn(apiKey);
-        } catch (error) {
-            const status = error.response ? error.response.status : (error.status || 500);
-            if (status === 429 || status === 402) {
-                rotateLongCatKey();
-                attempts++;
-                continue;
+import { createChatProvider, resolveModel, completionText } from '../../shared/chatProviders.js';
+import { sourceReadingText } from '../../shared/contentFetcher.js';
+import { budgetContext } from '../../shared/contextBudget.js';
+import { executeWithProviderKey } from './keyVault.js';
+import { recordUpstreamCall, recordTokens, estimateTokens } from './usageService.js';
+
+const executeLongCatRequest = (requestFn) => executeWithProviderKey('longcat', requestFn);
+
+// --- Chat provider ---
+// LLM_BASE_URL points at any OpenAI-compatible server; LLM_<ROLE>_MODEL picks the model per role.
+// LLM_API_KEY pins a single key (any value works for local servers), otherwise the LongCat pool is used.
+let chatProvider = null;
+
+export const getChatProvider = () => {
+    if (!chatProvider) {
+        chatProvider = createChatProvider({
+            baseUrl: process.env.LLM_BASE_URL,
+            models: {
+                planner: process.env.LLM_PLANNER_MODEL,
+                synthesizer: process.env.LLM_SYNTHESIZER_MODEL,
+                thinker: process.env.LLM_THINKER_MODEL,
+                embedding: process.env.LLM_EMBEDDING_MODEL
             }
-            throw error;
-        }
+        });
     }
-    throw new Error("All LongCat API keys are exhausted or rate-limited.");
+    return chatProvider;
+};
+
+const executeChatRequest = (requestFn) => {
+    const metered = (apiKey) => {
+        recordUpstreamCall();
+        return requestFn(apiKey);
+    };
+    return process.env.LLM_API_KEY ? metered(process.env.LLM_API_KEY) : executeLongCatRequest(metered);
 };
 
+const promptText = (messages) => messages.map(m => m.content || '').join('\n');
+
+// Run a completion for a role ('planner' | 'synthesizer' | 'thinker'), honoring per-space model overrides
+export const chatCompletion = async (role, { messages, models = null, ...params }) => {
+    const provider = getChatProvider();
+    const model = resolveModel(provider, role, models);
+    const data = await executeChatRequest((apiKey) => provider.complete({ model, messages, apiKey, ...params }));
+    recordTokens(data.usage || {
+        prompt_tokens: estimateTokens(promptText(messages)),
+        completion_tokens: estimateTokens(completionText(data))
+    });
+    return data;
+};
+
+// Embeddings for the space knowledge base (LLM_EMBEDDING_MODEL). Returns null when no embedding model is set.
+export const embedTexts = async (texts, { signal } = {}) => {
+    const provider = getChatProvider();
+    if (!provider.models.embedding) return null;
+    return executeChatRequest((apiKey) => provider.embed({ input: texts, apiKey, signal }));
+};
+
+export const embedQuery = async (text, options) => (await embedTexts([text], options))?.[0] || null;
+
+// Planner completions for shared/orchestrator.js: (messages, params) -> raw text
+export const plannerCompletion = ({ models = null, signal } = {}) => async (messages, params) =>
+    completionText(await chatCompletion('planner', { messages, models, signal, ...params }));
+
 // Generate multiple optimized search queries from a single user input
-export const generateSearchQueries = async (userQuery, count = 3) => {
+export const generateSearchQueries = async (userQuery, count = 3, { models = null, signal } = {}) => {
     const systemPrompt = `You are a search query optimization expert. Your task is to take a user's question and generate ${count} different, highly specific search queries that will help find comprehensive information to answer their question.
 
 RULES:
@@ -61,25 +75,18 @@ RULES:
 USER QUESTION: ${userQuery}`;
 
     try {
-        const response = await executeLongCatRequest((apiKey) =>
-            axios.post('https://api.longcat.chat/openai/v1/chat/completions', {
-                model: 'LongCat-Flash-Chat',
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: 'Generate the search queries now.' }
-                ],
-                stream: false,
-                max_tokens: 512,
-                temperature: 0.3 // Lower temperature for more focused output
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json'
-                }
-            })
-        );
-
-        const content = response.data.choices[0].message.content.trim();
+        const data = await chatCompletion('planner', {
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: 'Generate the search queries now.' }
+            ],
+            models,
+            max_tokens: 512,
+            temperature: 0.3, // Lower temperature for more focused output
+            signal
+        });
+
+        const content = completionText(data).trim();
         // Parse the JSON array from the response
         const queries = JSON.parse(content);
 
@@ -97,16 +104,19 @@ USER QUESTION: ${userQuery}`;
     }
 };
 
-export const getAIResponse = async (query, contexts, history = [], deep = false, customSystemPrompt = null) => {
-    const contextText = contexts.map((c, i) => `[ID: ${i + 1}] Source: ${c.url}\nTitle: ${c.name}\nContent: ${c.summary || c.snippet}`).join('\n\n');
+// Build the synthesis system prompt shared by the blocking and streaming paths
+const renderContext = (c, i) => `[ID: ${i + 1}]${c.source_type === 'space_file' ? ' (uploaded space file)' : ''} Source: ${c.url}\nTitle: ${c.name}\nContent: ${sourceReadingText(c)}`;
+
+const buildSynthesisPrompt = (contexts, history, deep, customSystemPrompt) => {
+    const contextText = contexts.map(renderContext).join('\n\n');
 
     const historyText = history.map(m => `${m.role.toUpperCase()}: ${m.content}`).join('\n');
 
     const basePrompt = `You are a friendly, intelligent, and ${deep ? 'highly detailed, expert-level' : 'highly conversational'} AI assistant. ${deep ? 'You are currently in DEEP RESEARCH mode, so provide extremely comprehensive, nuanced, and detailed analysis.' : 'Your goal is to help the user with their needs while maintaining a natural, warm, and engaging dialogue.'}`;
 
-    const systemPrompt = `${customSystemPrompt ? `CUSTOM INSTRUCTIONS: ${customSystemPrompt}\n\n` : ''}${basePrompt}
+    return `${customSystemPrompt ? `CUSTOM INSTRUCTIONS: ${customSystemPrompt}\n\n` : ''}${basePrompt}
 
-KNOWLEDGE (REAL-TIME SEARCH RESULTS - PAST 24H):
+KNOWLEDGE (REAL-TIME SEARCH RESULTS):
 ${contextText}
 
 CONVERSATION HISTORY:
@@ -120,29 +130,80 @@ INSTRUCTIONS:
 5. ${deep ? 'Provide a long, exhaustive response with multiple sections if necessary.' : 'Be thorough but concise.'}
 6. If the search results don't help, use your internal knowledge while being honest about your sources.
 7. Adopt a professional yet helpful "sidekick" persona.`;
+};
+
+// Answer length per mode, optionally capped (e.g. by the API key's max_tokens)
+const synthesisMaxTokens = (deep, maxTokens) => Math.min(deep ? 8192 : 4096, maxTokens || Infinity);
+
+// Fits history and sources into CONTEXT_WINDOW_TOKENS after reserving the answer. Returns { history, documents, report }.
+// `summary` (the thread's rolling summary) leads the returned history in place of the turns it covers.
+export const budgetSynthesisContext = (query, contexts, history = [], deep = false, customSystemPrompt = null, { maxTokens = null, summary = null } = {}) =>
+    budgetContext({
+        contextWindow: Number(process.env.CONTEXT_WINDOW_TOKENS) || undefined,
+        reserveTokens: synthesisMaxTokens(deep, maxTokens),
+        fixedText: `${buildSynthesisPrompt([], [], deep, customSystemPrompt)}\n${query}`,
+        history,
+        summary,
+        documents: contexts,
+        renderDocument: renderContext
+    });
+
+export const getAIResponse = async (query, contexts, history = [], deep = false, customSystemPrompt = null, { models = null, thinking = false, maxTokens = null, signal } = {}) => {
+    const systemPrompt = buildSynthesisPrompt(contexts, history, deep, customSystemPrompt);
 
     try {
-        const response = await executeLongCatRequest((apiKey) =>
-            axios.post('https://api.longcat.chat/openai/v1/chat/completions', {
-                model: 'LongCat-Flash-Chat',
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: query }
-                ],
-                stream: false,
-                max_tokens: deep ? 8192 : 4096,
-                temperature: 0.7
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json'
-                }
-            })
-        );
-
-        return response.data.choices[0].message.content;
+        const data = await chatCompletion(thinking ? 'thinker' : 'synthesizer', {
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: query }
+            ],
+            models,
+            max_tokens: synthesisMaxTokens(deep, maxTokens),
+            temperature: 0.7,
+            signal
+        });
+
+        return completionText(data);
     } catch (error) {
         console.error('LongCat API Error:', error.message);
         return "I apologize, but I'm having trouble generating an answer right now. Please try again later.";
     }
 };
+
+// Streaming synthesis: yields content deltas as they arrive from upstream.
+// Aborting `signal` cancels the upstream request and ends the generator.
+export async function* streamAIResponse(query, contexts, history = [], deep = false, customSystemPrompt = null, { models = null, thinking = false, maxTokens = null, signal } = {}) {
+    const provider = getChatProvider();
+    const model = resolveModel(provider, thinking ? 'thinker' : 'synthesizer', models);
+    const systemPrompt = buildSynthesisPrompt(contexts, history, deep, customSystemPrompt);
+    const messages = [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: query }
+    ];
+
+    const stream = await executeChatRequest((apiKey) => provider.openStream({
+        model,
+        messages,
+        apiKey,
+        max_tokens: synthesisMaxTokens(deep, maxTokens),
+        temperature: 0.7,
+        signal
+    }));
+
+    let answer = '';
+    let reportedUsage = null;
+    try {
+        for await (const part of stream) {
+            if (part.usage) reportedUsage = part.usage;
+            if (part.content) {
+                answer += part.content;
+                yield part.content;
+            }
+        }
+    } finally {
+        recordTokens(reportedUsage || {
+            prompt_tokens: estimateTokens(promptText(messages)),
+            completion_tokens: estimateTokens(answer)
+        });
+    }
+}
@@ -0,0 +1,60 @@
+import crypto from 'crypto';
+
+// Supabase Auth
+// The dashboard signs in with Supabase Auth and sends the session's access token as a Bearer token.
+// Tokens are HS256 JWTs signed with the project's JWT secret (SUPABASE_JWT_SECRET).
+
+const base64UrlDecode = (segment) => Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+const authError = (message) => {
+    const error = new Error(message);
+    error.status = 401;
+    return error;
+};
+
+export const verifySupabaseJwt = (token, secret = process.env.SUPABASE_JWT_SECRET) => {
+    if (!secret) throw new Error('SUPABASE_JWT_SECRET is not configured');
+
+    const parts = (token || '').split('.');
+    if (parts.length !== 3) throw authError('Malformed token');
+    const [headerSegment, payloadSegment, signatureSegment] = parts;
+
+    let header, payload;
+    try {
+        header = JSON.parse(base64UrlDecode(headerSegment).toString('utf8'));
+        payload = JSON.parse(base64UrlDecode(payloadSegment).toString('utf8'));
+    } catch {
+        throw authError('Malformed token');
+    }
+    if (header.alg !== 'HS256') throw authError(`Unsupported token algorithm: ${header.alg}`);
+
+    const expected = crypto.createHmac('sha256', secret).update(`${headerSegment}.${payloadSegment}`).digest();
+    const signature = base64UrlDecode(signatureSegment);
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+        throw authError('Invalid token signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (!payload.exp || payload.exp <= now) throw authError('Token expired');
+    // Supabase also signs anon and service_role tokens with this secret; only user sessions carry this audience
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes('authenticated')) throw authError('Wrong token audience');
+    if (!payload.sub || payload.role !== 'authenticated') throw authError('Not a signed-in user');
+
+    return { id: payload.sub, email: payload.email || null };
+};
+
+// Middleware for dashboard routes: sets req.user or answers 401
+export const requireUser = (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({ error: 'Sign in required' });
+    }
+    try {
+        req.user = verifySupabaseJwt(authHeader.split(' ')[1]);
+        next();
+    } catch (err) {
+        if (err.status !== 401) console.error('AUTH ERROR:', err);
+        res.status(err.status || 500).json({ error: err.message });
+    }
+};
@@ -0,0 +1,21 @@
+import { lookup } from 'dns/promises';
+import { createContentFetcher, contentFetchConfigFromEnv } from '../../shared/contentFetcher.js';
+
+// Full-page reading for synthesis. See shared/contentFetcher.js for CONTENT_FETCH_* settings.
+
+// Every address a hostname resolves to (IPv4 and IPv6), so private-address checks see past the name
+export const resolveHostAddresses = async (hostname) => (await lookup(hostname, { all: true, verbatim: true })).map(a => a.address);
+
+const config = contentFetchConfigFromEnv((name) => process.env[name]);
+const fetcher = createContentFetcher({ ...config.fetcher, resolveHost: resolveHostAddresses });
+
+// Attaches page content/passages to the top sources; the rest pass through untouched
+export const readTopSources = async (query, sources, { deep = false, signal } = {}) => {
+    if (!config.enabled || sources.length === 0) return sources;
+    const topN = deep ? config.deepTopN : config.topN;
+    const started = Date.now();
+    const read = await fetcher.readSources(query, sources, { topN, signal });
+    const ok = read.slice(0, topN).filter(s => s.content).length;
+    console.log(`[Content] Read ${ok}/${Math.min(topN, sources.length)} pages in ${Date.now() - started}ms`);
+    return read;
+};
@@ -0,0 +1,73 @@
+import { query } from '../db.js';
+
+// Full-text search over thread titles and message content, scoped to one space (or the user's private
+// threads). The to_tsvector() expressions must stay identical to the GIN indexes created in initDb.
+
+const MAX_LIMIT = 50;
+// Private-use characters can't occur in normal text, so they mark matches unambiguously
+const MARK_START = '\uE000';
+const MARK_END = '\uE001';
+const HEADLINE = `StartSel="${MARK_START}", StopSel="${MARK_END}", MaxWords=28, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "`;
+const TITLE_HEADLINE = `StartSel="${MARK_START}", StopSel="${MARK_END}", HighlightAll=true`;
+
+// ts_headline output -> { text, highlights: [[start, end], ...] }, so clients can mark matches without HTML
+export const splitHighlights = (marked) => {
+    if (marked == null) return null;
+    const highlights = [];
+    let text = '';
+    let start = null;
+    for (const char of marked) {
+        if (char === MARK_START) start = text.length;
+        else if (char === MARK_END && start !== null) {
+            highlights.push([start, text.length]);
+            start = null;
+        } else text += char;
+    }
+    return { text, highlights };
+};
+
+// Best-matching message per thread plus title matches; title hits weigh double.
+// `spaceId` null searches the user's private threads.
+export const searchHistory = async ({ userId, spaceId = null, q, limit = 20 }) => {
+    const scope = spaceId ? 'c.space_id = $2' : 'c.space_id IS NULL AND c.owner_id = $2';
+    const result = await query(
+        `WITH q AS (SELECT websearch_to_tsquery('english', $1) AS query),
+         scoped AS (SELECT c.id, c.title, c.updated_at FROM conversations c WHERE ${scope}),
+         message_hits AS (
+             SELECT DISTINCT ON (m.conversation_id)
+                    m.conversation_id, m.id, m.role, m.content, m.created_at,
+                    ts_rank_cd(to_tsvector('english', m.content), q.query) AS rank,
+                    COUNT(*) OVER (PARTITION BY m.conversation_id) AS match_count
+             FROM messages m
+             JOIN scoped c ON c.id = m.conversation_id
+             CROSS JOIN q
+             WHERE to_tsvector('english', m.content) @@ q.query
+             ORDER BY m.conversation_id, rank DESC, m.created_at ASC
+         ),
+         title_hits AS (
+             SELECT c.id, ts_rank_cd(to_tsvector('english', c.title), q.query) AS rank
+             FROM scoped c CROSS JOIN q
+             WHERE to_tsvector('english', c.title) @@ q.query
+         )
+         SELECT c.id AS conversation_id, c.title, c.updated_at,
+                ts_headline('english', c.title, q.query, $4) AS title_marked,
+                mh.id AS message_id, mh.role AS message_role, mh.created_at AS message_created_at,
+                COALESCE(mh.match_count, 0)::int AS match_count,
+                CASE WHEN mh.id IS NOT NULL THEN ts_headline('english', mh.content, q.query, $5) END AS snippet_marked,
+                COALESCE(th.rank, 0) * 2 + COALESCE(mh.rank, 0) AS rank
+         FROM scoped c
+         CROSS JOIN q
+         LEFT JOIN message_hits mh ON mh.conversation_id = c.id
+         LEFT JOIN title_hits th ON th.id = c.id
+         WHERE mh.id IS NOT NULL OR th.id IS NOT NULL
+         ORDER BY rank DESC, c.updated_at DESC
+         LIMIT $3`,
+        [q, spaceId || userId, Math.min(Math.max(Number(limit) || 20, 1), MAX_LIMIT), TITLE_HEADLINE, HEADLINE]
+    );
+    return result.rows.map(({ title_marked, snippet_marked, rank, ...row }) => ({
+        ...row,
+        rank: Number(Number(rank).toFixed(4)),
+        title_highlight: splitHighlights(title_marked),
+        snippet: splitHighlights(snippet_marked)
+    }));
+};
@@ -0,0 +1,55 @@
+import crypto from 'crypto';
+import { query } from '../db.js';
+import { parseImport } from '../../shared/conversationImport.js';
+
+// Conversation imports (shared/conversationImport.js). Each thread is inserted on its own, so one bad
+// conversation is reported as skipped without undoing the ones before it.
+
+const INSERT_BATCH = 200;
+
+const insertConversation = async ({ userId, spaceId, conversation }) => {
+    const { messages } = conversation;
+    const created = await query(
+        `INSERT INTO conversations (title, space_id, owner_id, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+        [conversation.title, spaceId, userId, messages[0].created_at, messages[messages.length - 1].created_at]
+    );
+    const conversationId = created.rows[0].id;
+    // Imported threads are a single branch: ids are assigned up front so each message can point to the one before
+    const ids = messages.map(() => crypto.randomUUID());
+    try {
+        for (let i = 0; i < messages.length; i += INSERT_BATCH) {
+            const params = [];
+            const rows = messages.slice(i, i + INSERT_BATCH).map((m, j) => {
+                params.push(ids[i + j], conversationId, m.role, m.content, m.search_results ? JSON.stringify(m.search_results) : null, m.created_at, ids[i + j - 1] || null);
+                const n = j * 7;
+                return `($${n + 1}, $${n + 2}, $${n + 3}, $${n + 4}, $${n + 5}, $${n + 6}, $${n + 7})`;
+            });
+            await query(`INSERT INTO messages (id, conversation_id, role, content, search_results, created_at, parent_id) VALUES ${rows.join(', ')}`, params);
+        }
+    } catch (err) {
+        await query('DELETE FROM conversations WHERE id = $1', [conversationId]);
+        throw err;
+    }
+    return conversationId;
+};
+
+// Returns { format, imported: [{ id, title, messages, skipped_messages }], skipped: [{ index, title, reason }] }.
+// An unrecognized payload throws with status 400 (413 when it holds too many conversations).
+export const importConversations = async ({ userId, spaceId = null, data }) => {
+    const started = Date.now();
+    const { format, conversations, skipped } = parseImport(data);
+    const imported = [];
+    for (const conversation of conversations) {
+        try {
+            const id = await insertConversation({ userId, spaceId, conversation });
+            imported.push({ id, title: conversation.title, messages: conversation.messages.length, skipped_messages: conversation.skipped_messages });
+        } catch (err) {
+            console.error(`[Import] Conversation ${conversation.index} failed:`, err.message);
+            skipped.push({ index: conversation.index, title: conversation.title, reason: `Could not be saved: ${err.message}` });
+        }
+    }
+    skipped.sort((a, b) => a.index - b.index);
+    console.log(`[Import] ${format}: ${imported.length} imported, ${skipped.length} skipped in ${Date.now() - started}ms`);
+    return { format, imported, skipped };
+};
@@ -0,0 +1,146 @@
+import { query } from '../db.js';
+import { KEY_PROVIDERS, classifyKeyError, keyStatus, selectUsableKeys, maskKey } from '../../shared/keyPolicy.js';
+
+// Provider Key Vault
+// Keys live in the `provider_keys` table (seeded from LANGSEARCH_KEYS / LONGCAT_KEYS / ASSEMBLYAI_KEYS).
+// Health state is kept on the cached rows and written back, so a cooling key is skipped by every request.
+
+const ENV_KEY_VARS = {
+    langsearch: 'LANGSEARCH_KEYS',
+    longcat: 'LONGCAT_KEYS',
+    assemblyai: 'ASSEMBLYAI_KEYS'
+};
+
+const REFRESH_INTERVAL_MS = 30 * 1000;
+
+let keyCache = [];
+let lastRefresh = 0;
+
+const envKeys = (provider) => (process.env[ENV_KEY_VARS[provider]] || '')
+    .split(',')
+    .map(k => k.trim())
+    .filter(Boolean);
+
+// In-memory rows used when the database is unreachable (id: null means "don't persist")
+const envFallbackRows = () => KEY_PROVIDERS.flatMap(provider =>
+    envKeys(provider).map(key => ({ id: null, provider, key, label: 'env', disabled: false, exhausted: false, success_count: 0, failure_count: 0 }))
+);
+
+export const seedProviderKeysFromEnv = async () => {
+    for (const provider of KEY_PROVIDERS) {
+        for (const key of envKeys(provider)) {
+            await query(
+                'INSERT INTO provider_keys (provider, key, label) VALUES ($1, $2, $3) ON CONFLICT (provider, key) DO NOTHING',
+                [provider, key, 'env']
+            );
+        }
+    }
+    lastRefresh = 0;
+};
+
+const refreshKeys = async (force = false) => {
+    if (!force && Date.now() - lastRefresh < REFRESH_INTERVAL_MS) return;
+    try {
+        const result = await query('SELECT * FROM provider_keys ORDER BY created_at ASC');
+        keyCache = result.rows;
+    } catch (err) {
+        console.error('[Key Vault] Could not load provider_keys, using env keys:', err.message);
+        if (keyCache.length === 0) keyCache = envFallbackRows();
+    }
+    lastRefresh = Date.now();
+};
+
+const persist = (key, sql, params) => {
+    if (!key.id) return;
+    query(sql, params).catch(err => console.error('[Key Vault] Failed to persist key state:', err.message));
+};
+
+const recordSuccess = (key) => {
+    key.success_count = (key.success_count || 0) + 1;
+    key.exhausted = false;
+    persist(key, 'UPDATE provider_keys SET success_count = success_count + 1, exhausted = false, last_used_at = NOW() WHERE id = $1', [key.id]);
+};
+
+const recordFailure = (key, verdict, message) => {
+    key.failure_count = (key.failure_count || 0) + 1;
+    key.last_error = message;
+    key.last_error_at = new Date().toISOString();
+    key.cooldown_until = new Date(Date.now() + verdict.cooldownMs).toISOString();
+    key.exhausted = verdict.exhausted;
+    persist(key,
+        'UPDATE provider_keys SET failure_count = failure_count + 1, last_error = $2, last_error_at = NOW(), cooldown_until = $3, exhausted = $4, last_used_at = NOW() WHERE id = $1',
+        [key.id, message, key.cooldown_until, verdict.exhausted]
+    );
+};
+
+// Run `requestFn(apiKey)` with the best available key, moving on to the next one when the
+// provider rejects the key (429/402/401/403/5xx). Other errors are thrown unchanged.
+export const executeWithProviderKey = async (provider, requestFn) => {
+    await refreshKeys();
+    const candidates = selectUsableKeys(keyCache.filter(k => k.provider === provider));
+    if (candidates.length === 0) {
+        throw new Error(`No usable ${provider} API keys (all disabled, cooling down or exhausted).`);
+    }
+
+    for (const key of candidates) {
+        key.last_used_at = new Date().toISOString();
+        try {
+            const result = await requestFn(key.key);
+            recordSuccess(key);
+            return result;
+        } catch (error) {
+            const status = error.response ? error.response.status : error.status;
+            const retryAfter = Number(error.response?.headers?.['retry-after']) || null;
+            const verdict = classifyKeyError(status, retryAfter);
+            if (!verdict) throw error;
+
+            recordFailure(key, verdict, `${status}: ${error.message}`.slice(0, 500));
+            console.log(`[Key Vault] ${provider} key ${maskKey(key.key)} benched after HTTP ${status}. Trying next key.`);
+        }
+    }
+    throw new Error(`All ${provider} API keys are exhausted or rate-limited.`);
+};
+
+// --- Admin ---
+
+export const listKeyHealth = async () => {
+    await refreshKeys(true);
+    return keyCache.map(k => ({
+        id: k.id,
+        provider: k.provider,
+        label: k.label,
+        key_preview: maskKey(k.key),
+        status: keyStatus(k),
+        disabled: k.disabled,
+        exhausted: k.exhausted,
+        cooldown_until: k.cooldown_until || null,
+        last_error: k.last_error || null,
+        last_error_at: k.last_error_at || null,
+        success_count: k.success_count || 0,
+        failure_count: k.failure_count || 0,
+        last_used_at: k.last_used_at || null
+    }));
+};
+
+export const addProviderKey = async (provider, key, label = null) => {
+    const result = await query(
+        'INSERT INTO provider_keys (provider, key, label) VALUES ($1, $2, $3) ON CONFLICT (provider, key) DO UPDATE SET label = COALESCE(EXCLUDED.label, provider_keys.label) RETURNING id',
+        [provider, key, label]
+    );
+    await refreshKeys(true);
+    return result.rows[0].id;
+};
+
+// `reset` clears cooldown/exhausted state, e.g. after topping up a quota
+export const updateProviderKey = async (id, { disabled, reset = false }) => {
+    const result = await query(
+        `UPDATE provider_keys SET
+            disabled = COALESCE($2, disabled),
+            cooldown_until = CASE WHEN $3 THEN NULL ELSE cooldown_until END,
+            exhausted = CASE WHEN $3 THEN false ELSE exhausted END
+         WHERE id = $1 RETURNING id`,
+        [id, typeof disabled === 'boolean' ? disabled : null, reset]
+    );
+    await refreshKeys(true);
+    return result.rows.length > 0;
+};
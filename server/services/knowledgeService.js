@@ -0,0 +1,94 @@
+import { query } from '../db.js';
+import { prepareSpaceFile, retrieveKnowledge, KNOWLEDGE_DEFAULTS } from '../../shared/spaceKnowledge.js';
+import { embedTexts, embedQuery } from './aiService.js';
+
+// Space knowledge base (shared/spaceKnowledge.js). Files are indexed at upload; KNOWLEDGE_MAX_FILE_MB caps
+// upload size and KNOWLEDGE_MATCH_LIMIT sets how many chunks join each answer.
+
+export const maxUploadBytes = Number(process.env.KNOWLEDGE_MAX_FILE_MB) * 1024 * 1024 || KNOWLEDGE_DEFAULTS.maxFileBytes;
+const matchLimit = Number(process.env.KNOWLEDGE_MATCH_LIMIT) || KNOWLEDGE_DEFAULTS.matchLimit;
+const INSERT_BATCH = 100;
+const EMBED_BATCH = 64;
+
+export const FILE_COLUMNS = 'id, space_id, name, file_type, size_bytes, char_count, chunk_count, embedded, status, error, uploaded_by, created_at';
+
+export const listSpaceFiles = async (spaceId) => {
+    const result = await query(`SELECT ${FILE_COLUMNS} FROM space_files WHERE space_id = $1 ORDER BY created_at DESC`, [spaceId]);
+    return result.rows;
+};
+
+// Chunk vectors, or nulls when no embedding model is configured or the provider fails (full-text still works)
+const embedChunks = async (chunks) => {
+    const vectors = [];
+    try {
+        for (let i = 0; i < chunks.length; i += EMBED_BATCH) {
+            const batch = await embedTexts(chunks.slice(i, i + EMBED_BATCH).map(c => (c.heading ? `${c.heading}\n${c.content}` : c.content)));
+            if (!batch) return chunks.map(() => null);
+            vectors.push(...batch);
+        }
+        return vectors;
+    } catch (err) {
+        console.warn('[Knowledge] Embedding failed, indexing full-text only:', err.message);
+        return chunks.map(() => null);
+    }
+};
+
+// Extracts, chunks, embeds and stores an upload. Bad input throws with a 4xx `status` and stores nothing;
+// a failure while indexing leaves the file row with status "error".
+export const addSpaceFile = async ({ spaceId, userId, name, mimeType, bytes }) => {
+    const prepared = await prepareSpaceFile({ name, mimeType, bytes }, { maxFileBytes: maxUploadBytes });
+    const fileResult = await query(
+        `INSERT INTO space_files (space_id, name, file_type, size_bytes, char_count, uploaded_by)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+        [spaceId, name, prepared.type, bytes.length, prepared.text.length, userId]
+    );
+    const fileId = fileResult.rows[0].id;
+    const started = Date.now();
+
+    try {
+        const vectors = await embedChunks(prepared.chunks);
+        for (let i = 0; i < prepared.chunks.length; i += INSERT_BATCH) {
+            const batch = prepared.chunks.slice(i, i + INSERT_BATCH);
+            const params = [];
+            const rows = batch.map((chunk, j) => {
+                params.push(fileId, spaceId, chunk.index, chunk.heading, chunk.content, vectors[i + j]);
+                const n = j * 6;
+                return `($${n + 1}, $${n + 2}, $${n + 3}, $${n + 4}, $${n + 5}, $${n + 6})`;
+            });
+            await query(
+                `INSERT INTO space_file_chunks (file_id, space_id, chunk_index, heading, content, embedding) VALUES ${rows.join(', ')}`,
+                params
+            );
+        }
+        const result = await query(
+            `UPDATE space_files SET status = 'ready', chunk_count = $1, embedded = $2 WHERE id = $3 RETURNING ${FILE_COLUMNS}`,
+            [prepared.chunks.length, vectors.some(Boolean), fileId]
+        );
+        console.log(`[Knowledge] Indexed "${name}" (${prepared.type}, ${prepared.chunks.length} chunks${vectors.some(Boolean) ? ', embedded' : ''}) in ${Date.now() - started}ms`);
+        return result.rows[0];
+    } catch (err) {
+        await query(`UPDATE space_files SET status = 'error', error = $1 WHERE id = $2`, [err.message, fileId]);
+        throw err;
+    }
+};
+
+export const deleteSpaceFile = async (spaceId, fileId) => {
+    const result = await query('DELETE FROM space_files WHERE id = $1 AND space_id = $2 RETURNING id', [fileId, spaceId]);
+    return result.rows.length > 0;
+};
+
+// Space documents relevant to `queryText`, shaped as research sources (source_type "space_file")
+export const retrieveSpaceKnowledge = async (spaceId, queryText, { signal } = {}) => {
+    if (!spaceId) return [];
+    const started = Date.now();
+    const sources = await retrieveKnowledge(queryText, {
+        limit: matchLimit,
+        embedQuery: (text) => embedQuery(text, { signal }),
+        matchChunks: async ({ terms, embedding, limit, minSimilarity }) => (await query(
+            'SELECT * FROM match_space_chunks($1, $2, $3, $4, $5)',
+            [spaceId, terms, embedding, limit, minSimilarity]
+        )).rows
+    });
+    if (sources.length > 0) console.log(`[Knowledge] ${sources.length} space chunks matched in ${Date.now() - started}ms`);
+    return sources;
+};
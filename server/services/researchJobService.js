@@ -0,0 +1,323 @@
+import { query } from '../db.js';
+import { RESEARCH_JOB_DEFAULTS, validateWebhookUrl, webhookRetryDelaySeconds, generateWebhookSecret, signWebhook, jobView } from '../../shared/researchJobs.js';
+import { checkApiKeyAccess } from '../../shared/apiKeys.js';
+import { resolvesToPrivateHost } from '../../shared/contentFetcher.js';
+import { resolveHostAddresses } from './contentService.js';
+import { prepareResearch, runResearch } from './researchService.js';
+import { runMetered } from './usageService.js';
+
+// Asynchronous research jobs (shared/researchJobs.js). POST /api/v1/research stores the request in
+// research_jobs; a worker claims queued jobs with FOR UPDATE SKIP LOCKED, so several servers can share the
+// queue. A job whose worker stops sending heartbeats (crash, restart) is claimed again and re-run from the
+// start, up to RESEARCH_JOB_MAX_ATTEMPTS times. RESEARCH_WORKER=off keeps a server from running jobs.
+
+const JOB_COLUMNS = 'id, api_key_id, status, stage, progress, partial, result, error, attempts, webhook_url, webhook_status, webhook_attempts, webhook_error, created_at, started_at, finished_at';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const number = (name, fallback) => Number(process.env[name]) || fallback;
+const pollSeconds = number('RESEARCH_POLL_SECONDS', RESEARCH_JOB_DEFAULTS.pollSeconds);
+const concurrency = number('RESEARCH_JOB_CONCURRENCY', 1);
+const maxAttempts = number('RESEARCH_JOB_MAX_ATTEMPTS', RESEARCH_JOB_DEFAULTS.maxAttempts);
+const timeoutSeconds = number('RESEARCH_JOB_TIMEOUT_SECONDS', RESEARCH_JOB_DEFAULTS.timeoutSeconds);
+const heartbeatSeconds = RESEARCH_JOB_DEFAULTS.heartbeatSeconds;
+const allowPrivateWebhooks = process.env.RESEARCH_WEBHOOK_ALLOW_PRIVATE === 'true';
+
+// Jobs running in this process, by id, so a cancel can abort them right away
+const running = new Map();
+
+// --- API ---
+
+// Stores the job; the request body is re-validated when it runs, in case the key or space changed meanwhile.
+// Returns the job view plus `webhook_secret` when a webhook was given (generated unless the client sent one).
+export const enqueueResearchJob = async ({ apiKey, usageId = null, body }) => {
+    const { webhook_url = null, webhook_secret = null, ...request } = body;
+    const webhookUrl = webhook_url ? validateWebhookUrl(webhook_url, { allowPrivate: allowPrivateWebhooks }) : null;
+    if (webhook_secret != null && (typeof webhook_secret !== 'string' || webhook_secret.length < 16)) {
+        throw Object.assign(new Error('webhook_secret must be a string of at least 16 characters'), { status: 400 });
+    }
+    const secret = webhookUrl ? webhook_secret || generateWebhookSecret() : null;
+
+    const result = await query(
+        `INSERT INTO research_jobs (api_key_id, usage_id, request, webhook_url, webhook_secret)
+         VALUES ($1, $2, $3, $4, $5) RETURNING ${JOB_COLUMNS}`,
+        [apiKey.id, usageId, JSON.stringify(request), webhookUrl, secret]
+    );
+    const job = result.rows[0];
+    console.log(`[Research Job] ${job.id}: queued for key ${apiKey.id}${webhookUrl ? ' (webhook)' : ''}`);
+    wakeWorker();
+    return { ...jobView(job), ...(secret && !webhook_secret ? { webhook_secret: secret } : {}) };
+};
+
+// Jobs are only visible to the key that created them
+export const getResearchJob = async (apiKeyId, jobId) => {
+    if (!UUID_PATTERN.test(jobId)) return null;
+    const result = await query(`SELECT ${JOB_COLUMNS} FROM research_jobs WHERE id = $1 AND api_key_id = $2`, [jobId, apiKeyId]);
+    return result.rows[0] ? jobView(result.rows[0]) : null;
+};
+
+// Cancels a queued or running job (a worker in another process notices on its next heartbeat).
+// Returns the job view, or null if there is no such job; throws 409 for finished jobs.
+export const cancelResearchJob = async (apiKeyId, jobId) => {
+    if (!UUID_PATTERN.test(jobId)) return null;
+    const result = await query(
+        `UPDATE research_jobs SET status = 'cancelled', finished_at = NOW(), error = 'Cancelled by the client',
+            webhook_status = CASE WHEN webhook_url IS NULL THEN NULL ELSE 'pending' END, webhook_next_at = NOW()
+         WHERE id = $1 AND api_key_id = $2 AND status IN ('queued', 'running')
+         RETURNING ${JOB_COLUMNS}`,
+        [jobId, apiKeyId]
+    );
+    const job = result.rows[0];
+    if (!job) {
+        const existing = await getResearchJob(apiKeyId, jobId);
+        if (existing) throw Object.assign(new Error(`Job already ${existing.status}`), { status: 409 });
+        return null;
+    }
+    running.get(job.id)?.abort();
+    console.log(`[Research Job] ${job.id}: cancelled`);
+    deliverDueWebhooks();
+    return jobView(job);
+};
+
+// --- WORKER ---
+
+// Claims one queued job, or one whose worker went silent. Jobs out of attempts are failed instead.
+const claimJob = async () => {
+    const result = await query(
+        `UPDATE research_jobs SET status = 'running', attempts = attempts + 1, heartbeat_at = NOW(),
+            started_at = COALESCE(started_at, NOW()), stage = 'queued', progress = '[]'::jsonb, partial = '{}'::jsonb
+         WHERE id = (
+           SELECT id FROM research_jobs
+           WHERE status = 'queued' OR (status = 'running' AND heartbeat_at < NOW() - make_interval(secs => $1))
+           ORDER BY created_at
+           LIMIT 1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [heartbeatSeconds * 4]
+    );
+    return result.rows[0] || null;
+};
+
+// Marks the job finished unless it was cancelled meanwhile; queues its webhook
+const finishJob = async (job, { status, result = null, error = null }) => {
+    await query(
+        `UPDATE research_jobs SET status = $2, result = $3, error = $4, finished_at = NOW(), stage = $5,
+            webhook_status = CASE WHEN webhook_url IS NULL THEN NULL ELSE 'pending' END, webhook_next_at = NOW()
+         WHERE id = $1 AND status = 'running'`,
+        [job.id, status, result ? JSON.stringify(result) : null, error, status === 'succeeded' ? 'done' : status]
+    );
+};
+
+const runJob = async (job) => {
+    if (job.attempts > maxAttempts) {
+        console.log(`[Research Job] ${job.id}: gave up after ${maxAttempts} interrupted attempts`);
+        return finishJob(job, { status: 'failed', error: `Interrupted ${maxAttempts} times (server restarts)` });
+    }
+
+    const controller = new AbortController();
+    running.set(job.id, controller);
+    const timer = setTimeout(() => controller.abort(), timeoutSeconds * 1000);
+
+    // Progress is kept in memory and written with each heartbeat, or sooner when the stage changes.
+    // A heartbeat that finds the job no longer running (cancelled elsewhere) aborts it.
+    const state = { stage: 'queued', progress: [], partial: {} };
+    let lastSaved = 0;
+    let saving = null;
+    let pending = false;
+    const save = async () => {
+        lastSaved = Date.now();
+        const result = await query(
+            `UPDATE research_jobs SET stage = $2, progress = $3, partial = $4, heartbeat_at = NOW()
+             WHERE id = $1 AND status = 'running' RETURNING id`,
+            [job.id, state.stage, JSON.stringify(state.progress), JSON.stringify(state.partial)]
+        );
+        if (result.rows.length === 0) controller.abort();
+    };
+    const persist = (force = false) => {
+        if (saving) {
+            pending = pending || force;
+            return;
+        }
+        if (!force && Date.now() - lastSaved < 2000) return;
+        saving = save()
+            .catch(err => console.error(`[Research Job] ${job.id}: could not save progress:`, err.message))
+            .finally(() => {
+                saving = null;
+                if (pending) {
+                    pending = false;
+                    persist(true);
+                }
+            });
+    };
+    const heartbeat = setInterval(() => persist(true), heartbeatSeconds * 1000);
+
+    const startedAt = Date.now();
+    try {
+        // The key may have been revoked, or lost the space, since the job was queued
+        const apiKey = (await query('SELECT * FROM api_keys WHERE id = $1', [job.api_key_id])).rows[0];
+        const denied = checkApiKeyAccess(apiKey, { scopes: job.request.deep ? ['chat', 'deep'] : ['chat'], spaceId: job.request.space_id ?? null });
+        if (denied) throw Object.assign(new Error(denied.error), { status: denied.status });
+        const options = await prepareResearch(job.request, apiKey);
+
+        const { value: research, usage } = await runMetered(job.usage_id, () => runResearch({
+            ...options,
+            signal: controller.signal,
+            onProgress: (event) => {
+                const stageChanged = event.stage !== state.stage;
+                state.stage = event.stage;
+                state.progress = [...state.progress, { ...event, at: new Date().toISOString() }].slice(-RESEARCH_JOB_DEFAULTS.maxProgressEvents);
+                persist(stageChanged);
+            },
+            onPlan: ({ searchQueries, rewrittenQuery, autoApplied }) => {
+                state.partial = { ...state.partial, search_queries: searchQueries, rewritten_query: rewrittenQuery, auto_applied: autoApplied };
+            },
+            onSources: (sources) => {
+                state.partial = { ...state.partial, search_results: sources.map(s => ({ ...s, content: undefined })), answer: '' };
+            },
+            onDelta: (chunk) => {
+                state.partial.answer += chunk;
+                persist();
+            }
+        }));
+
+        await saving;
+        await finishJob(job, {
+            status: 'succeeded',
+            result: {
+                answer: research.answer,
+                search_queries: research.searchQueries,
+                rewritten_query: research.rewrittenQuery,
+                context: research.context,
+                search_results: research.sources.map(s => ({ ...s, content: undefined })),
+                auto_applied: research.autoApplied,
+                usage: { ...usage, total_tokens: usage.prompt_tokens + usage.completion_tokens }
+            }
+        });
+        console.log(`[Research Job] ${job.id}: done in ${Date.now() - startedAt}ms`);
+    } catch (err) {
+        await saving;
+        // A cancel has already set the final status; finishJob() leaves it alone
+        const timedOut = controller.signal.aborted && Date.now() - startedAt >= timeoutSeconds * 1000;
+        const message = timedOut ? `Job timed out after ${timeoutSeconds}s` : err.message;
+        if (!controller.signal.aborted || timedOut) console.error(`[Research Job] ${job.id}: failed:`, message);
+        await finishJob(job, { status: 'failed', error: message });
+    } finally {
+        clearTimeout(timer);
+        clearInterval(heartbeat);
+        running.delete(job.id);
+    }
+};
+
+// --- WEBHOOKS ---
+
+const deliverWebhook = async (job) => {
+    const body = JSON.stringify(jobView(job));
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+        // The URL was vetted when the job was queued, but its DNS name may point anywhere by now.
+        // Nothing is sent then, and the attempt isn't retried.
+        if (!allowPrivateWebhooks && await resolvesToPrivateHost(new URL(job.webhook_url).hostname, resolveHostAddresses)) {
+            throw Object.assign(new Error('webhook_url resolves to a private address'), { final: true });
+        }
+        const response = await fetch(job.webhook_url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Monolith-Webhook/1.0',
+                'X-Monolith-Event': `research.${job.status}`,
+                'X-Monolith-Timestamp': String(timestamp),
+                'X-Monolith-Signature': await signWebhook(job.webhook_secret, timestamp, body)
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(RESEARCH_JOB_DEFAULTS.webhookTimeoutMs)
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        await query("UPDATE research_jobs SET webhook_status = 'delivered', webhook_error = NULL WHERE id = $1", [job.id]);
+        console.log(`[Research Job] ${job.id}: webhook delivered`);
+    } catch (err) {
+        const gaveUp = err.final || job.webhook_attempts >= RESEARCH_JOB_DEFAULTS.webhookAttempts;
+        await query(
+            `UPDATE research_jobs SET webhook_status = $2, webhook_error = $3, webhook_next_at = NOW() + make_interval(secs => $4)
+             WHERE id = $1`,
+            [job.id, gaveUp ? 'failed' : 'pending', err.message, webhookRetryDelaySeconds(job.webhook_attempts)]
+        );
+        console.error(`[Research Job] ${job.id}: webhook attempt ${job.webhook_attempts} failed:`, err.message);
+    }
+};
+
+// Claims due callbacks (leased for a minute, so another server doesn't send the same one) and sends them
+let delivering = false;
+const deliverDueWebhooks = async () => {
+    if (delivering) return;
+    delivering = true;
+    try {
+        const due = (await query(
+            `UPDATE research_jobs SET webhook_attempts = webhook_attempts + 1, webhook_next_at = NOW() + INTERVAL '1 minute'
+             WHERE id IN (
+               SELECT id FROM research_jobs
+               WHERE webhook_status = 'pending' AND webhook_next_at <= NOW()
+               ORDER BY webhook_next_at
+               LIMIT 10
+               FOR UPDATE SKIP LOCKED
+             )
+             RETURNING *`
+        )).rows;
+        for (const job of due) await deliverWebhook(job);
+    } catch (err) {
+        console.error('[Research Job] Webhook delivery failed:', err.message);
+    } finally {
+        delivering = false;
+    }
+};
+
+// --- SCHEDULING ---
+
+let workerEnabled = false;
+let active = 0;
+
+const tick = async () => {
+    while (workerEnabled && active < concurrency) {
+        // The slot is taken before claiming, so overlapping ticks can't exceed the concurrency
+        active++;
+        let job;
+        try {
+            job = await claimJob();
+        } catch (err) {
+            active--;
+            console.error('[Research Job] Could not claim a job:', err.message);
+            return;
+        }
+        if (!job) {
+            active--;
+            break;
+        }
+        console.log(`[Research Job] ${job.id}: started (attempt ${job.attempts})`);
+        runJob(job)
+            .catch(err => console.error(`[Research Job] ${job.id}: could not record result:`, err.message))
+            .finally(() => {
+                active--;
+                deliverDueWebhooks();
+                tick();
+            });
+    }
+};
+
+const wakeWorker = () => {
+    if (workerEnabled) tick();
+};
+
+export const startResearchWorker = () => {
+    if ((process.env.RESEARCH_WORKER || '').toLowerCase() === 'off') {
+        console.log('[Research Job] Worker disabled (RESEARCH_WORKER=off)');
+        return null;
+    }
+    workerEnabled = true;
+    console.log(`[Research Job] Worker polling every ${pollSeconds}s (${concurrency} at a time)`);
+    wakeWorker();
+    deliverDueWebhooks();
+    return setInterval(() => {
+        tick();
+        deliverDueWebhooks();
+    }, pollSeconds * 1000);
+};
@@ -0,0 +1,181 @@
+import { query } from '../db.js';
+import { planResearch, resolveModes, orchestrateSearch, eliteRerank } from '../../shared/orchestrator.js';
+import { searchLayerFor, rerankChunkFor, rerankFusion } from './searchService.js';
+import { readTopSources } from './contentService.js';
+import { retrieveSpaceKnowledge } from './knowledgeService.js';
+import { getAIResponse, streamAIResponse, plannerCompletion, budgetSynthesisContext } from './aiService.js';
+import { getConversationAccess } from './spaceService.js';
+import { SEARCH_PROVIDERS } from '../../shared/searchProviders.js';
+import { applySummary } from '../../shared/conversationSummary.js';
+import { mergeSourcePolicy } from '../../shared/sourcePolicy.js';
+import { checkApiKeyAccess } from '../../shared/apiKeys.js';
+import { canInSpace } from '../../shared/spaceRoles.js';
+
+const researchError = (status, message) => Object.assign(new Error(message), { status });
+
+// Turns a /api/v1/chat/completions-style body into runResearch() options for an API key: the space's settings
+// (request-level values win) and the thread's rolling summary. Throws with `.status` for requests to reject.
+export const prepareResearch = async (body, apiKey) => {
+    const { messages, search = true, deep = false, thinking = false, provider = null, space_id = null, models = null, max_tokens = null, cache = null, read_pages = true, source_policy = null, conversation_id = null } = body;
+    if (!Array.isArray(messages) || typeof messages[messages.length - 1]?.content !== 'string') {
+        throw researchError(400, 'messages must be a non-empty array of { role, content }');
+    }
+    if (provider && !SEARCH_PROVIDERS.includes(provider)) {
+        throw researchError(400, `Unknown provider. Use one of: ${SEARCH_PROVIDERS.join(', ')}`);
+    }
+    // The key's max_tokens caps whatever the request asks for
+    const maxTokens = Math.min(max_tokens || Infinity, apiKey.max_tokens || Infinity);
+    const history = messages.slice(0, -1);
+
+    let space = null;
+    if (space_id) {
+        // The key acts for its owner, who needs `query` permission in the space
+        const spaceResult = await query(
+            `SELECT s.system_prompt, s.model_config, s.source_policy, m.role FROM spaces s
+             JOIN space_members m ON m.space_id = s.id AND m.user_id = $2
+             WHERE s.id = $1`,
+            [space_id, apiKey.owner_id]
+        );
+        space = spaceResult.rows[0] || null;
+        if (!space) throw researchError(404, 'Space not found');
+        if (!canInSpace(space.role, 'query')) throw researchError(403, 'Viewers cannot query this space');
+    }
+    // A thread's rolling summary stands in for the messages it covers (those sent with created_at)
+    let thread = null;
+    if (conversation_id) {
+        const access = await getConversationAccess(conversation_id, apiKey.owner_id);
+        if (!access) throw researchError(404, 'Conversation not found');
+        const denied = checkApiKeyAccess(apiKey, { spaceId: access.conversation.space_id });
+        if (denied) throw researchError(denied.status, denied.error);
+        thread = applySummary(history, access.conversation);
+    }
+    let sourcePolicy;
+    try {
+        sourcePolicy = mergeSourcePolicy(space?.source_policy, source_policy);
+    } catch (err) {
+        throw researchError(err.status || 400, err.message);
+    }
+
+    return {
+        query: messages[messages.length - 1].content,
+        history,
+        thread,
+        search,
+        deep,
+        thinking,
+        // Keys without the `deep` scope are never auto-escalated
+        allowDeep: !checkApiKeyAccess(apiKey, { scopes: ['deep'] }),
+        provider,
+        cache,
+        readPages: read_pages,
+        spaceId: space_id,
+        systemPrompt: space?.system_prompt || null,
+        models: { ...(space?.model_config || {}), ...(models || {}) },
+        sourcePolicy,
+        maxTokens: Number.isFinite(maxTokens) ? maxTokens : null
+    };
+};
+
+// The orchestrated research flow (shared/orchestrator.js, same steps as the edge function), shared by
+// /api/v1/chat/completions, research jobs and scheduled watches. Callers resolve permissions and the space's settings
+// first (prepareResearch() does it for API requests).
+//   onProgress({ stage, ... })      stage events, as streamed by the v1 endpoint
+//   onPlan({ searchQueries, ... })  once the planner has decided
+//   onSources(sources, allResults)  the documents synthesis will read
+//   onDelta(text)                   streams the answer when given; otherwise it arrives in one piece
+// Returns { answer, sources, allResults, searchQueries, rewrittenQuery, autoApplied, context }.
+export const runResearch = async ({
+    query: question,
+    history = [],
+    thread = null,              // applySummary() output when the conversation has a rolling summary
+    search = true,
+    deep = false,
+    thinking = false,
+    allowDeep = true,
+    provider = null,
+    cache = null,
+    readPages = true,
+    spaceId = null,
+    systemPrompt = null,
+    models = {},
+    sourcePolicy = null,
+    maxTokens = null,
+    signal,
+    onProgress = () => {},
+    onPlan = () => {},
+    onSources = () => {},
+    onDelta = null
+}) => {
+    // Step 1: Plan queries, freshness and depth. Without `allowDeep` the planner never escalates to deep.
+    console.log('[Research] Planning research strategy...');
+    onProgress({ stage: 'planning' });
+    const planner = await planResearch(
+        { query: question, history, deep, search, thinking },
+        plannerCompletion({ models, signal })
+    );
+    const { activeDeep, activeThinking, runSearch, autoApplied } = resolveModes(planner, { search, deep, thinking, allowDeep });
+    // Follow-ups ("what about their Q3?") are searched and reranked in standalone form; synthesis answers the original
+    const rewrittenQuery = planner.rewritten_query || question;
+    const searchQueries = runSearch ? (planner.queries?.length ? planner.queries : [rewrittenQuery]) : [];
+    onPlan({ searchQueries, rewrittenQuery, depthLabel: planner.depth_label || null, autoApplied });
+
+    // Step 2: Search every query path across the planner's freshness layers (domain-capped merge)
+    let allResults = [];
+    let reranked = [];
+    if (runSearch) {
+        allResults = await orchestrateSearch(planner, rewrittenQuery, activeDeep, {
+            searchLayer: searchLayerFor({ provider, cache, signal }),
+            onProgress,
+            policy: sourcePolicy,
+            signal
+        });
+
+        // Step 3: Rerank (BM25 fallback, optional RRF fusion) with reputation and freshness boosts
+        reranked = await eliteRerank(rewrittenQuery, allResults, {
+            rerankChunk: rerankChunkFor({ provider, signal }),
+            paths: searchQueries,
+            fusion: rerankFusion(),
+            policy: sourcePolicy
+        });
+    }
+    let sources = reranked.slice(0, activeDeep ? 20 : 10);
+    console.log(`[Research] Final context: ${sources.length} of ${allResults.length} sources after reranking`);
+    onProgress({ stage: 'rerank_done', sources: sources.length });
+
+    // Step 4: Read the top pages so synthesis sees relevant passages, not just snippets
+    if (readPages && sources.length > 0) {
+        onProgress({ stage: 'reading_started' });
+        sources = await readTopSources(rewrittenQuery, sources, { deep: activeDeep, signal });
+        onProgress({ stage: 'reading_done', pages: sources.filter(s => s.content).length });
+    }
+
+    // Step 4b: Matching chunks from the space's uploaded files are cited alongside the web (source_type "space_file")
+    if (spaceId) {
+        const spaceDocs = await retrieveSpaceKnowledge(spaceId, rewrittenQuery, { signal });
+        if (spaceDocs.length > 0) onProgress({ stage: 'knowledge_done', chunks: spaceDocs.length });
+        sources = [...spaceDocs, ...sources];
+    }
+
+    // Step 5: Fit history and sources into the model window (dropped items are reported in `context`)
+    const context = budgetSynthesisContext(question, sources, thread ? thread.history : history, activeDeep, systemPrompt, { maxTokens, summary: thread?.summary });
+    sources = context.documents;
+    onProgress({ stage: 'context_ready', context: context.report });
+
+    if (signal?.aborted) throw Object.assign(new Error('Research aborted'), { name: 'AbortError' });
+
+    // Step 6: Synthesis
+    onSources(sources, allResults);
+    onProgress({ stage: 'synthesis_started' });
+    const synthesisOptions = { models, thinking: activeThinking, maxTokens, signal };
+    let answer = '';
+    if (onDelta) {
+        for await (const chunk of streamAIResponse(question, sources, context.history, activeDeep, systemPrompt, synthesisOptions)) {
+            answer += chunk;
+            onDelta(chunk);
+        }
+    } else {
+        answer = await getAIResponse(question, sources, context.history, activeDeep, systemPrompt, synthesisOptions);
+    }
+
+    return { answer, sources, allResults, searchQueries, rewrittenQuery, autoApplied, context: context.report };
+};
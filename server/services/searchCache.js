@@ -0,0 +1,60 @@
+import { query } from '../db.js';
+import { createMemoryCacheStore, createSearchCache } from '../../shared/searchCache.js';
+
+// SEARCH_CACHE picks the store: `postgres` (default, shared across restarts/instances), `memory`, or `off`.
+
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+const createPostgresCacheStore = () => {
+    let lastPrune = 0;
+
+    // Expired rows are dropped lazily so the table doesn't grow forever
+    const pruneExpired = () => {
+        if (Date.now() - lastPrune < PRUNE_INTERVAL_MS) return;
+        lastPrune = Date.now();
+        query('DELETE FROM search_cache WHERE expires_at <= NOW()')
+            .catch(err => console.warn('[Search Cache] Prune failed:', err.message));
+    };
+
+    return {
+        name: 'postgres',
+        get: async (key) => {
+            const result = await query(
+                'UPDATE search_cache SET hit_count = hit_count + 1 WHERE cache_key = $1 AND expires_at > NOW() RETURNING results',
+                [key]
+            );
+            return result.rows[0]?.results || null;
+        },
+        set: async (key, value, ttlMs, { provider, query: normalized, freshness }) => {
+            await query(
+                `INSERT INTO search_cache (cache_key, provider, query, freshness, results, expires_at)
+                 VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(secs => $6))
+                 ON CONFLICT (cache_key) DO UPDATE SET results = EXCLUDED.results, expires_at = EXCLUDED.expires_at, created_at = NOW()`,
+                [key, provider, normalized, freshness, JSON.stringify(value), ttlMs / 1000]
+            );
+            pruneExpired();
+        },
+        clear: async () => {
+            await query('DELETE FROM search_cache');
+        },
+        size: async () => {
+            const result = await query('SELECT COUNT(*)::int AS count FROM search_cache WHERE expires_at > NOW()');
+            return result.rows[0].count;
+        }
+    };
+};
+
+const createStore = () => {
+    const mode = (process.env.SEARCH_CACHE || 'postgres').toLowerCase();
+    if (mode === 'off') return null;
+    if (mode === 'memory') return createMemoryCacheStore({ maxEntries: Number(process.env.SEARCH_CACHE_MAX_ENTRIES) || 500 });
+    return createPostgresCacheStore();
+};
+
+export const searchCache = createSearchCache(createStore());
+
+export const getSearchCacheStats = async () => ({
+    store: searchCache.store?.name || 'off',
+    entries: searchCache.store ? await searchCache.store.size() : 0,
+    ...searchCache.metrics()
+});
@@ -1,118 +1,106 @@
-import axios from 'axios';
+import { createSearchProvider, resolveFreshness } from '../../shared/searchProviders.js';
+import { executeWithProviderKey } from './keyVault.js';
+import { recordUpstreamCall } from './usageService.js';
+import { searchCache } from './searchCache.js';
+import { lexicalRerank, fuseRankings } from '../../shared/lexicalRerank.js';
 
-const LANGSEARCH_KEYS = [
-    'sk-b523f81de2824c58b166ec0a6bd7a34f',
-    'sk-dbfa94b2f94e4f16a2f075cba2b0a0a8',
-    'sk-3cc37c168e2f4a2f8004511ad285e4d2',
-    'sk-7afaeaa225a54826ab32e6d3d8a50b71',
-    'sk-a875d42a2fda434a98e76d10b8eb0ede',
-    'sk-977469c8a9854c6b806dea773334053c',
-    'sk-5fb69fee782f410dbc3cdb47419bbcaa'
-];
+const executeLangSearchRequest = (requestFn) => executeWithProviderKey('langsearch', requestFn);
 
-let currentKeyIndex = 0;
+// --- Provider selection ---
+// SEARCH_PROVIDER picks the default adapter; requests may override it with `provider`.
+// RERANK_PROVIDER optionally routes reranking elsewhere (e.g. SearXNG search + LangSearch rerank) unless the request names a provider.
+// RERANK_FUSION=rrf fuses the remote ranking with the local BM25 one; without a reranker BM25 is used alone.
+const providerConfig = () => ({
+    langsearchUrl: process.env.LANGSEARCH_BASE_URL,
+    searxngUrl: process.env.SEARXNG_URL,
+    searxngEngines: process.env.SEARXNG_ENGINES,
+    httpSearchUrl: process.env.SEARCH_HTTP_URL,
+    httpRerankUrl: process.env.SEARCH_HTTP_RERANK_URL,
+    httpResultsPath: process.env.SEARCH_HTTP_RESULTS_PATH
+});
 
-const getLangSearchKey = () => LANGSEARCH_KEYS[currentKeyIndex];
+const providerCache = new Map();
 
-const rotateKey = () => {
-    currentKeyIndex = (currentKeyIndex + 1) % LANGSEARCH_KEYS.length;
-    console.log(`[LangSearch] Rate limit hit. Rotating to key index ${currentKeyIndex}`);
+export const getSearchProvider = (name = null) => {
+    const resolved = name || process.env.SEARCH_PROVIDER || 'langsearch';
+    if (!providerCache.has(resolved)) {
+        providerCache.set(resolved, createSearchProvider(resolved, providerConfig()));
+    }
+    return providerCache.get(resolved);
 };
 
-const executeLangSearchRequest = async (requestFn) => {
-    let attempts = 0;
-    while (attempts < LANGSEARCH_KEYS.length) {
-        try {
-            const apiKey = getLangSearchKey();
-            return await requestFn(apiKey);
-        } catch (error) {
-            if (error.response && (error.response.status === 429 || error.response.status === 402)) {
-                rotateKey();
-                attempts++;
-                continue;
-            }
-            throw error;
-        }
-    }
-    throw new Error("All LangSearch API keys are exhausted or rate-limited.");
+const getRerankProvider = (name = null) => {
+    const provider = getSearchProvider(name || process.env.RERANK_PROVIDER);
+    return provider.capabilities.rerank ? provider : null;
+};
+
+// Keyed providers go through the key vault, keyless ones are called directly
+const executeProviderRequest = (provider, requestFn) => {
+    const metered = (apiKey) => {
+        recordUpstreamCall();
+        return requestFn(apiKey);
+    };
+    return provider.capabilities.requiresKey ? executeLangSearchRequest(metered) : metered(null);
 };
 
-export const searchWeb = async (query, count = 10) => {
+// Cached search. Returns { results, cache: 'hit' | 'miss' | 'bypass' }; `cache: 'bypass'` skips the cache.
+export const searchWebWithCacheStatus = async (query, count = 10, { provider: providerName = null, freshness = 'day', signal, cache = null } = {}) => {
+    const provider = getSearchProvider(providerName);
+    const resolvedFreshness = resolveFreshness(provider, freshness);
     try {
-        const response = await executeLangSearchRequest((apiKey) =>
-            axios.post('https://api.langsearch.com/v1/web-search', {
-                query: query,
-                summary: true,
-                count: count,
-                freshness: 'day'
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json'
-                }
-            })
+        return await searchCache.lookup(
+            { provider: provider.name, query, freshness: resolvedFreshness, count, bypass: cache === 'bypass' },
+            () => executeProviderRequest(provider, (apiKey) =>
+                provider.search(query, { count, freshness: resolvedFreshness, apiKey, signal })
+            )
         );
-        return response.data.data?.webPages?.value || [];
     } catch (error) {
-        console.error('LangSearch Error:', error.message);
-        return [];
+        console.error(`Search Error [${provider.name}]:`, error.message);
+        return { results: [], cache: 'miss' };
     }
 };
 
-// Run multiple searches in parallel and merge unique results
-export const parallelSearch = async (queries, countPerQuery = 10) => {
-    console.log(`[Parallel Search] Running ${queries.length} queries in parallel...`);
-
-    const searchPromises = queries.map(query => searchWeb(query, countPerQuery));
-    const allResults = await Promise.all(searchPromises);
+export const searchWeb = async (query, count = 10, options = {}) =>
+    (await searchWebWithCacheStatus(query, count, options)).results;
 
-    // Flatten and deduplicate by URL
-    const seenUrls = new Set();
-    const uniqueResults = [];
+// --- Orchestrator adapters (shared/orchestrator.js) ---
 
-    for (const results of allResults) {
-        for (const result of results) {
-            if (!seenUrls.has(result.url)) {
-                seenUrls.add(result.url);
-                uniqueResults.push(result);
-            }
-        }
-    }
+// One freshness layer of one query path, through the cache
+export const searchLayerFor = ({ provider = null, cache = null, signal } = {}) => ({ query, freshness, count }) =>
+    searchWebWithCacheStatus(query, count, { provider, freshness, signal, cache });
 
-    console.log(`[Parallel Search] Found ${uniqueResults.length} unique results from ${queries.length} queries`);
-    return uniqueResults;
+// Scores one rerank chunk; resolves to null when no rerank-capable provider is configured
+export const rerankChunkFor = ({ provider: providerName = null, signal } = {}) => async (query, documents) => {
+    const provider = getRerankProvider(providerName);
+    if (!provider) return null;
+    return executeProviderRequest(provider, (apiKey) =>
+        provider.rerank(query, documents.map(d => d.summary || d.snippet || d.name), { topN: documents.length, apiKey, signal })
+    );
 };
 
-export const rerankResults = async (query, documents, topN = 5) => {
+export const rerankFusion = () => process.env.RERANK_FUSION === 'rrf';
+
+// Top `topN` documents with `relevance_score` and `scoring_method` ("remote", "bm25" or "rrf")
+export const rerankResults = async (query, documents, topN = 5, { provider: providerName = null, signal } = {}) => {
     if (!documents || documents.length === 0) return documents;
 
-    try {
-        const response = await executeLangSearchRequest((apiKey) =>
-            axios.post('https://api.langsearch.com/v1/rerank', {
-                model: 'langsearch-reranker-v1',
-                query: query,
-                documents: documents.map(d => d.summary || d.snippet),
-                top_n: topN,
-                return_documents: true
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json'
-                }
-            })
-        );
+    const lexical = lexicalRerank(query, documents);
+    const withScores = (ranking, method) => ranking.slice(0, topN).map(r => ({
+        ...documents[r.index],
+        relevance_score: r.relevance_score,
+        scoring_method: method
+    }));
 
-        const reranked = response.data.results.map(result => {
-            const originalDoc = documents[result.index];
-            return {
-                ...originalDoc,
-                relevance_score: result.relevance_score
-            };
-        });
+    const provider = getRerankProvider(providerName);
+    if (!provider) return withScores(lexical, 'bm25');
 
-        return reranked;
+    try {
+        const ranked = await executeProviderRequest(provider, (apiKey) =>
+            provider.rerank(query, documents.map(d => d.summary || d.snippet), { topN: rerankFusion() ? documents.length : topN, apiKey, signal })
+        );
+        return rerankFusion() ? withScores(fuseRankings([ranked, lexical]), 'rrf') : withScores(ranked, 'remote');
     } catch (error) {
-        console.error('Rerank Error:', error.message);
-        return documents.slice(0, topN);
+        console.error('Rerank Error, using BM25:', error.message);
+        return withScores(lexical, 'bm25');
     }
 };
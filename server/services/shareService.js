@@ -0,0 +1,80 @@
+import crypto from 'crypto';
+import { query } from '../db.js';
+import { activeBranch, selectBranchTo } from '../../shared/messageTree.js';
+
+// Public share links. Publishing freezes one branch of a thread (messages and their sources) under an
+// unguessable slug; later edits to the thread don't reach the link. Revoked links answer 404.
+
+export const SHARE_COLUMNS = 'id, slug, conversation_id, title, excluded_message_ids, created_by, created_at, revoked_at';
+
+const SLUG_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+const shareError = (status, message) => Object.assign(new Error(message), { status });
+
+// Web sources are shown as cited; passages quoted from a space's private files are not published
+const publicSource = (source) => (source.source_type === 'space_file'
+    ? { name: source.name, source_type: source.source_type, file_name: source.file_name }
+    : { name: source.name, url: source.url, snippet: source.snippet || '' });
+
+// Snapshots the branch through `leaf` (the active branch without one), minus `excludeMessageIds`
+export const createShare = async ({ conversation, userId, excludeMessageIds = [], leaf = null }) => {
+    if (!Array.isArray(excludeMessageIds)) throw shareError(400, 'exclude_message_ids must be an array of message ids');
+    const messages = (await query(
+        'SELECT id, parent_id, role, content, search_results, created_at FROM messages WHERE conversation_id = $1 ORDER BY created_at ASC',
+        [conversation.id]
+    )).rows;
+    const branch = activeBranch(messages, leaf ? selectBranchTo(messages, String(leaf)) : {});
+    const excluded = new Set(excludeMessageIds.map(String));
+    const kept = branch.filter(m => !excluded.has(m.id));
+    if (kept.length === 0) throw shareError(400, 'Nothing left to share: every message is excluded');
+
+    const snapshot = {
+        messages: kept.map(m => ({
+            id: m.id,
+            role: m.role,
+            content: m.content,
+            search_results: Array.isArray(m.search_results) ? m.search_results.map(publicSource) : [],
+            created_at: m.created_at
+        }))
+    };
+    const result = await query(
+        `INSERT INTO shared_threads (slug, conversation_id, title, snapshot, excluded_message_ids, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING ${SHARE_COLUMNS}`,
+        [crypto.randomBytes(16).toString('base64url'), conversation.id, conversation.title || 'Shared thread',
+            JSON.stringify(snapshot), branch.filter(m => excluded.has(m.id)).map(m => m.id), userId]
+    );
+    console.log(`[Share] ${conversation.id}: published ${kept.length} messages (${branch.length - kept.length} excluded)`);
+    return { ...result.rows[0], message_count: kept.length };
+};
+
+export const listShares = async (conversationId) => {
+    const result = await query(
+        `SELECT ${SHARE_COLUMNS}, jsonb_array_length(snapshot->'messages') AS message_count
+         FROM shared_threads WHERE conversation_id = $1 ORDER BY created_at DESC`,
+        [conversationId]
+    );
+    return result.rows;
+};
+
+// Returns the revoked share, or null if it doesn't exist (or was already revoked)
+export const revokeShare = async (conversationId, shareId) => {
+    const result = await query(
+        `UPDATE shared_threads SET revoked_at = NOW()
+         WHERE id = $1 AND conversation_id = $2 AND revoked_at IS NULL
+         RETURNING ${SHARE_COLUMNS}`,
+        [shareId, conversationId]
+    );
+    return result.rows[0] || null;
+};
+
+// The public view: { title, published_at, messages }, or null for unknown and revoked slugs
+export const getSharedThread = async (slug) => {
+    if (!SLUG_PATTERN.test(slug)) return null;
+    const result = await query(
+        'SELECT title, snapshot, created_at FROM shared_threads WHERE slug = $1 AND revoked_at IS NULL',
+        [slug]
+    );
+    const share = result.rows[0];
+    if (!share) return null;
+    return { title: share.title, published_at: share.created_at, messages: share.snapshot.messages };
+};
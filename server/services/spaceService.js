@@ -0,0 +1,100 @@
+import { query } from '../db.js';
+import { SPACE_ROLES } from '../../shared/spaceRoles.js';
+
+// Space Membership
+// Every space has at least one `owner` row in space_members. Threads inside a space are shared with its members;
+// threads outside any space stay private to their creator.
+
+export const getSpaceRole = async (spaceId, userId) => {
+    if (!spaceId || !userId) return null;
+    const result = await query('SELECT role FROM space_members WHERE space_id = $1 AND user_id = $2', [spaceId, userId]);
+    return result.rows[0]?.role || null;
+};
+
+// Returns { conversation, role } where role is the user's role for this thread, or null if they can't see it.
+// The creator of a private thread counts as its owner.
+export const getConversationAccess = async (conversationId, userId) => {
+    const result = await query(
+        `SELECT c.*, m.role AS space_role FROM conversations c
+         LEFT JOIN space_members m ON m.space_id = c.space_id AND m.user_id = $2
+         WHERE c.id = $1`,
+        [conversationId, userId]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+    const { space_role, ...conversation } = row;
+    const role = conversation.space_id ? space_role : (conversation.owner_id === userId ? 'owner' : null);
+    return role ? { conversation, role } : null;
+};
+
+export const listSpaceMembers = async (spaceId) => {
+    const result = await query(
+        'SELECT user_id, email, role, invited_by, created_at FROM space_members WHERE space_id = $1 ORDER BY created_at ASC',
+        [spaceId]
+    );
+    return result.rows;
+};
+
+// Invitees need an account already; email lookups go through Supabase's auth.users
+const resolveInvitee = async ({ email, user_id }) => {
+    if (user_id) {
+        const result = await query('SELECT id, email FROM auth.users WHERE id = $1', [user_id]);
+        return result.rows[0] || null;
+    }
+    const result = await query('SELECT id, email FROM auth.users WHERE lower(email) = lower($1)', [email]);
+    return result.rows[0] || null;
+};
+
+const inviteError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+export const addSpaceMember = async (spaceId, { email = null, user_id = null, role = 'viewer' }, invitedBy) => {
+    if (!SPACE_ROLES.includes(role)) throw inviteError(400, `Role must be one of: ${SPACE_ROLES.join(', ')}`);
+    if (!email && !user_id) throw inviteError(400, 'Provide an email or user_id');
+
+    const invitee = await resolveInvitee({ email, user_id });
+    if (!invitee) throw inviteError(404, `No account with that ${user_id ? 'user_id' : 'email'}. Ask them to sign up first.`);
+
+    const result = await query(
+        `INSERT INTO space_members (space_id, user_id, email, role, invited_by) VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (space_id, user_id) DO NOTHING
+         RETURNING user_id, email, role, invited_by, created_at`,
+        [spaceId, invitee.id, invitee.email, role, invitedBy]
+    );
+    // Role changes go through updateSpaceMemberRole(), which keeps the last owner
+    if (result.rows.length === 0) throw inviteError(409, 'Already a member of this space. Change their role instead.');
+    return result.rows[0];
+};
+
+const ownerCount = async (spaceId) => {
+    const result = await query("SELECT COUNT(*)::int AS count FROM space_members WHERE space_id = $1 AND role = 'owner'", [spaceId]);
+    return result.rows[0].count;
+};
+
+// Both guard against leaving a space without an owner
+export const updateSpaceMemberRole = async (spaceId, userId, role) => {
+    if (!SPACE_ROLES.includes(role)) throw inviteError(400, `Role must be one of: ${SPACE_ROLES.join(', ')}`);
+    const current = await getSpaceRole(spaceId, userId);
+    if (!current) return null;
+    if (current === 'owner' && role !== 'owner' && await ownerCount(spaceId) <= 1) {
+        throw inviteError(400, 'A space needs at least one owner');
+    }
+    const result = await query(
+        'UPDATE space_members SET role = $3 WHERE space_id = $1 AND user_id = $2 RETURNING user_id, email, role, invited_by, created_at',
+        [spaceId, userId, role]
+    );
+    return result.rows[0];
+};
+
+export const removeSpaceMember = async (spaceId, userId) => {
+    const current = await getSpaceRole(spaceId, userId);
+    if (!current) return false;
+    if (current === 'owner' && await ownerCount(spaceId) <= 1) {
+        throw inviteError(400, 'A space needs at least one owner');
+    }
+    await query('DELETE FROM space_members WHERE space_id = $1 AND user_id = $2', [spaceId, userId]);
+    return true;
+};
@@ -0,0 +1,73 @@
+import { query } from '../db.js';
+import { pendingTurns, summarizeTurns, SUMMARY_DEFAULTS } from '../../shared/conversationSummary.js';
+import { activeBranch } from '../../shared/messageTree.js';
+import { plannerCompletion } from './aiService.js';
+
+// Rolling conversation summaries (shared/conversationSummary.js). SUMMARY_KEEP_RECENT sets how many of the
+// newest messages stay verbatim; older ones are folded into conversations.summary after each assistant reply.
+
+const keepRecent = Number(process.env.SUMMARY_KEEP_RECENT) || SUMMARY_DEFAULTS.keepRecent;
+
+export const SUMMARY_COLUMNS = 'summary, summary_through, summary_updated_at';
+
+// Folds any unsummarized older turns into the thread's summary. Returns the summary fields, or null if
+// there was nothing to fold. A user edit made while the model was writing wins over the new summary.
+export const refreshConversationSummary = async (conversationId, { signal } = {}) => {
+    const convResult = await query(
+        `SELECT c.summary, c.summary_through, c.summary_updated_at::text AS version, s.model_config FROM conversations c
+         LEFT JOIN spaces s ON s.id = c.space_id
+         WHERE c.id = $1`,
+        [conversationId]
+    );
+    const conversation = convResult.rows[0];
+    if (!conversation) return null;
+
+    // Only the active branch is history; older versions of edited or regenerated messages are not
+    const messages = activeBranch((await query(
+        'SELECT id, parent_id, role, content, created_at FROM messages WHERE conversation_id = $1 ORDER BY created_at ASC',
+        [conversationId]
+    )).rows);
+    const turns = pendingTurns(messages, conversation.summary_through, { keepRecent });
+    if (turns.length < SUMMARY_DEFAULTS.minFold) return null;
+
+    const started = Date.now();
+    const summary = await summarizeTurns(
+        { summary: conversation.summary, turns },
+        plannerCompletion({ models: conversation.model_config || null, signal })
+    );
+    if (!summary) return null;
+
+    // Timestamps stay in SQL (or as text) so microsecond precision survives the round trip
+    const result = await query(
+        `UPDATE conversations
+         SET summary = $1, summary_through = (SELECT created_at FROM messages WHERE id = $2), summary_updated_at = NOW()
+         WHERE id = $3 AND summary_updated_at IS NOT DISTINCT FROM $4::timestamptz
+         RETURNING ${SUMMARY_COLUMNS}`,
+        [summary, turns[turns.length - 1].id, conversationId, conversation.version]
+    );
+    if (result.rows.length === 0) {
+        console.log(`[Summary] ${conversationId}: summary changed during refresh, keeping the newer one`);
+        return null;
+    }
+    console.log(`[Summary] ${conversationId}: folded ${turns.length} messages in ${Date.now() - started}ms`);
+    return result.rows[0];
+};
+
+// A user's correction replaces the text but keeps what it covers; clearing it lets the next refresh start over
+export const updateConversationSummary = async (conversationId, summary) => {
+    if (summary != null && typeof summary !== 'string') {
+        throw Object.assign(new Error('summary must be a string or null'), { status: 400 });
+    }
+    const text = summary?.trim() || null;
+    if (text && text.length > SUMMARY_DEFAULTS.maxChars * 2) {
+        throw Object.assign(new Error(`summary must be at most ${SUMMARY_DEFAULTS.maxChars * 2} characters`), { status: 400 });
+    }
+    const result = await query(
+        `UPDATE conversations
+         SET summary = $1, summary_through = CASE WHEN $1::text IS NULL THEN NULL ELSE summary_through END, summary_updated_at = NOW()
+         WHERE id = $2
+         RETURNING ${SUMMARY_COLUMNS}`,
+        [text, conversationId]
+    );
+    return result.rows[0] || null;
+};
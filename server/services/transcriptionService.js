@@ -0,0 +1,44 @@
+import axios from 'axios';
+import { executeWithProviderKey } from './keyVault.js';
+
+const ASSEMBLY_AI_URL = 'https://api.assemblyai.com/v2';
+
+export const transcribeAudio = async (audioBuffer) => {
+    // Upload + start in one vault call so polling uses the key that owns the transcript
+    const { transcriptId, apiKey } = await executeWithProviderKey('assemblyai', async (apiKey) => {
+        const upload = await axios.post(`${ASSEMBLY_AI_URL}/upload`, audioBuffer, {
+            headers: {
+                'Authorization': apiKey,
+                'Content-Type': 'application/octet-stream'
+            }
+        });
+
+        const transcript = await axios.post(`${ASSEMBLY_AI_URL}/transcript`, {
+            audio_url: upload.data.upload_url
+        }, {
+            headers: {
+                'Authorization': apiKey,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        return { transcriptId: transcript.data.id, apiKey };
+    });
+
+    while (true) {
+        const statusResponse = await axios.get(`${ASSEMBLY_AI_URL}/transcript/${transcriptId}`, {
+            headers: { 'Authorization': apiKey }
+        });
+
+        const { status, text, error } = statusResponse.data;
+
+        if (status === 'completed') {
+            return text;
+        } else if (status === 'error') {
+            throw new Error(`AssemblyAI Transcription Error: ${error}`);
+        }
+
+        // Wait for 1.5 seconds before polling again
+        await new Promise(resolve => setTimeout(resolve, 1500));
+    }
+};
@@ -0,0 +1,196 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { query, withTransaction } from '../db.js';
+
+// API Usage Metering
+// Each v1 call gets an `api_usage` row (inserted up front so in-flight calls count toward limits).
+// Checking the limits and inserting that row happen under a per-key lock, so concurrent calls can't all pass.
+// Upstream calls and tokens are collected through AsyncLocalStorage, so services record them
+// without threading a counter through every function signature.
+
+const usageStorage = new AsyncLocalStorage();
+
+export const recordUpstreamCall = () => {
+    const usage = usageStorage.getStore();
+    if (usage) usage.upstream_calls++;
+};
+
+export const recordTokens = ({ prompt_tokens = 0, completion_tokens = 0 } = {}) => {
+    const usage = usageStorage.getStore();
+    if (!usage) return;
+    usage.prompt_tokens += prompt_tokens || 0;
+    usage.completion_tokens += completion_tokens || 0;
+};
+
+export const getCurrentUsage = () => usageStorage.getStore() || null;
+
+// Rough token estimate for upstreams that don't report usage
+export { estimateTokens } from '../../shared/contextBudget.js';
+
+export const usageMode = ({ deep = false, thinking = false, stream = false } = {}) =>
+    [deep && 'deep', thinking && 'thinking', stream && 'stream'].filter(Boolean).join('+') || 'standard';
+
+const nextUtcMidnight = () => {
+    const d = new Date();
+    d.setUTCHours(24, 0, 0, 0);
+    return d;
+};
+
+// Returns { limited, headers, retryAfter, error }. `db` is the transaction client holding the key's lock.
+const checkLimits = async (db, apiKey, mode) => {
+    const headers = {};
+    const now = Date.now();
+
+    if (apiKey.rate_limit_rpm) {
+        const result = await db.query(
+            `SELECT COUNT(*)::int AS count, MIN(created_at) AS oldest FROM api_usage
+             WHERE api_key_id = $1 AND created_at > NOW() - INTERVAL '1 minute'`,
+            [apiKey.id]
+        );
+        const { count, oldest } = result.rows[0];
+        const resetAt = oldest ? new Date(oldest).getTime() + 60 * 1000 : now + 60 * 1000;
+        headers['X-RateLimit-Limit'] = apiKey.rate_limit_rpm;
+        headers['X-RateLimit-Remaining'] = Math.max(0, apiKey.rate_limit_rpm - count - 1);
+        headers['X-RateLimit-Reset'] = Math.ceil(resetAt / 1000);
+
+        if (count >= apiKey.rate_limit_rpm) {
+            headers['X-RateLimit-Remaining'] = 0;
+            return {
+                limited: true,
+                headers,
+                retryAfter: Math.max(1, Math.ceil((resetAt - now) / 1000)),
+                error: `Rate limit exceeded: ${apiKey.rate_limit_rpm} requests per minute`
+            };
+        }
+    }
+
+    if (mode.startsWith('deep') && apiKey.daily_deep_quota !== null && apiKey.daily_deep_quota !== undefined) {
+        const result = await db.query(
+            `SELECT COUNT(*)::int AS count FROM api_usage
+             WHERE api_key_id = $1 AND mode LIKE 'deep%' AND created_at >= date_trunc('day', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'`,
+            [apiKey.id]
+        );
+        const { count } = result.rows[0];
+        const resetAt = nextUtcMidnight().getTime();
+        headers['X-RateLimit-Deep-Limit'] = apiKey.daily_deep_quota;
+        headers['X-RateLimit-Deep-Remaining'] = Math.max(0, apiKey.daily_deep_quota - count - 1);
+
+        if (count >= apiKey.daily_deep_quota) {
+            headers['X-RateLimit-Deep-Remaining'] = 0;
+            return {
+                limited: true,
+                headers,
+                retryAfter: Math.ceil((resetAt - now) / 1000),
+                error: `Daily deep research quota exceeded: ${apiKey.daily_deep_quota} per day`
+            };
+        }
+    }
+
+    return { limited: false, headers };
+};
+
+// Middleware for v1 endpoints (after validateApiKey): enforces limits, opens a ledger row,
+// and finalizes it with status, duration, upstream calls and tokens when the response ends.
+export const meterApiUsage = (endpoint) => async (req, res, next) => {
+    const mode = usageMode(req.body || {});
+    let usageId;
+    try {
+        const verdict = await withTransaction(async (client) => {
+            // Held until COMMIT: the next call of this key counts only after this one's row is in
+            await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`api_usage:${req.apiKey.id}`]);
+            const limits = await checkLimits(client, req.apiKey, mode);
+            if (limits.limited) return limits;
+            const result = await client.query(
+                'INSERT INTO api_usage (api_key_id, endpoint, mode) VALUES ($1, $2, $3) RETURNING id',
+                [req.apiKey.id, endpoint, mode]
+            );
+            return { ...limits, usageId: result.rows[0].id };
+        });
+        res.set(verdict.headers);
+        if (verdict.limited) {
+            res.set('Retry-After', String(verdict.retryAfter));
+            return res.status(429).json({ error: verdict.error, retry_after: verdict.retryAfter });
+        }
+        usageId = verdict.usageId;
+    } catch (err) {
+        console.error('USAGE METERING ERROR:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+
+    const usage = { upstream_calls: 0, prompt_tokens: 0, completion_tokens: 0 };
+    const startedAt = Date.now();
+    let finalized = false;
+
+    const finalize = () => {
+        if (finalized) return;
+        finalized = true;
+        query(
+            `UPDATE api_usage SET status = $2, duration_ms = $3, upstream_calls = $4,
+                prompt_tokens = $5, completion_tokens = $6, total_tokens = $5 + $6
+             WHERE id = $1`,
+            [usageId, res.statusCode, Date.now() - startedAt, usage.upstream_calls, usage.prompt_tokens, usage.completion_tokens]
+        ).catch(err => console.error('USAGE LEDGER ERROR:', err.message));
+    };
+    res.on('finish', finalize);
+    res.on('close', finalize);
+
+    req.usageId = usageId;
+    usageStorage.run(usage, next);
+};
+
+// Work that outlives its request (research jobs): collects usage the same way and adds it to the
+// request's ledger row once `fn` settles. Returns { value, usage }.
+export const runMetered = async (usageId, fn) => {
+    const usage = { upstream_calls: 0, prompt_tokens: 0, completion_tokens: 0 };
+    try {
+        return { value: await usageStorage.run(usage, fn), usage };
+    } finally {
+        if (usageId) {
+            await query(
+                `UPDATE api_usage SET upstream_calls = upstream_calls + $2, prompt_tokens = prompt_tokens + $3,
+                    completion_tokens = completion_tokens + $4, total_tokens = total_tokens + $3 + $4
+                 WHERE id = $1`,
+                [usageId, usage.upstream_calls, usage.prompt_tokens, usage.completion_tokens]
+            ).catch(err => console.error('USAGE LEDGER ERROR:', err.message));
+        }
+    }
+};
+
+export const getUsageSummary = async (apiKeyId, days = 30) => {
+    const [today, byDay, byEndpoint] = await Promise.all([
+        query(
+            `SELECT COUNT(*)::int AS requests,
+                    COUNT(*) FILTER (WHERE mode LIKE 'deep%')::int AS deep_requests,
+                    COALESCE(SUM(upstream_calls), 0)::int AS upstream_calls,
+                    COALESCE(SUM(total_tokens), 0)::int AS total_tokens
+             FROM api_usage
+             WHERE api_key_id = $1 AND created_at >= date_trunc('day', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'`,
+            [apiKeyId]
+        ),
+        query(
+            `SELECT date_trunc('day', created_at AT TIME ZONE 'UTC')::date AS day,
+                    COUNT(*)::int AS requests,
+                    COALESCE(SUM(upstream_calls), 0)::int AS upstream_calls,
+                    COALESCE(SUM(total_tokens), 0)::int AS total_tokens
+             FROM api_usage
+             WHERE api_key_id = $1 AND created_at > NOW() - make_interval(days => $2)
+             GROUP BY 1 ORDER BY 1 DESC`,
+            [apiKeyId, days]
+        ),
+        query(
+            `SELECT endpoint, mode, COUNT(*)::int AS requests,
+                    COALESCE(SUM(upstream_calls), 0)::int AS upstream_calls,
+                    COALESCE(SUM(total_tokens), 0)::int AS total_tokens,
+                    COALESCE(AVG(duration_ms), 0)::int AS avg_duration_ms
+             FROM api_usage
+             WHERE api_key_id = $1 AND created_at > NOW() - make_interval(days => $2)
+             GROUP BY endpoint, mode ORDER BY requests DESC`,
+            [apiKeyId, days]
+        )
+    ]);
+
+    return {
+        today: today.rows[0],
+        daily: byDay.rows,
+        by_endpoint: byEndpoint.rows
+    };
+};
@@ -0,0 +1,261 @@
+import { query } from '../db.js';
+import { WATCH_DEFAULTS, validateSchedule, nextCronRun, canonicalUrl, diffSources, summarizeChanges, watchResearchOptions } from '../../shared/watches.js';
+import { canInSpace } from '../../shared/spaceRoles.js';
+import { getSpaceRole } from './spaceService.js';
+import { plannerCompletion } from './aiService.js';
+import { runResearch } from './researchService.js';
+
+// Watches (shared/watches.js). A watch re-runs a space's question on a cron schedule (UTC). Each run is saved as
+// an assistant message in the watch's own thread, with the sources no earlier run returned and a short
+// "what's new" note. The scheduler polls for due watches; WATCH_SCHEDULER=off disables it (e.g. on extra replicas).
+
+export const WATCH_COLUMNS = 'id, space_id, conversation_id, created_by, name, query, search, deep, thinking, schedule, enabled, next_run_at, last_run_at, last_status, last_error, created_at';
+const RUN_COLUMNS = 'id, watch_id, message_id, status, started_at, finished_at, new_sources, whats_new, error';
+
+const minIntervalMinutes = Number(process.env.WATCH_MIN_INTERVAL_MINUTES) || WATCH_DEFAULTS.minIntervalMinutes;
+const pollSeconds = Number(process.env.WATCH_POLL_SECONDS) || 60;
+const runTimeoutSeconds = Number(process.env.WATCH_RUN_TIMEOUT_SECONDS) || 600;
+
+// Separates the run's "what's new" block from the full answer in the thread message
+const ANSWER_DIVIDER = '\n\n---\n\n';
+
+const watchError = (status, message) => Object.assign(new Error(message), { status });
+
+const cleanText = (value, field, maxLength) => {
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (!text) throw watchError(400, `${field} is required`);
+    if (text.length > maxLength) throw watchError(400, `${field} must be at most ${maxLength} characters`);
+    return text;
+};
+
+export const listWatches = async (spaceId) => {
+    const result = await query(`SELECT ${WATCH_COLUMNS} FROM watches WHERE space_id = $1 ORDER BY created_at DESC`, [spaceId]);
+    return result.rows;
+};
+
+// Creates the watch and its thread (titled "Watch: <name>", opened by the query as a user message)
+export const createWatch = async ({ spaceId, userId, name, query: question, search = true, deep = false, thinking = false, schedule }) => {
+    const watchName = cleanText(name, 'name', 120);
+    const text = cleanText(question, 'query', 2000);
+    const normalized = validateSchedule(schedule, { minIntervalMinutes });
+
+    const conversation = (await query(
+        'INSERT INTO conversations (space_id, title, owner_id) VALUES ($1, $2, $3) RETURNING id',
+        [spaceId, `Watch: ${watchName}`, userId]
+    )).rows[0];
+    await query(
+        "INSERT INTO messages (conversation_id, role, content, search_results) VALUES ($1, 'user', $2, '[]')",
+        [conversation.id, text]
+    );
+    const result = await query(
+        `INSERT INTO watches (space_id, conversation_id, created_by, name, query, search, deep, thinking, schedule, next_run_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING ${WATCH_COLUMNS}`,
+        [spaceId, conversation.id, userId, watchName, text, search !== false, deep === true, thinking === true, normalized, nextCronRun(normalized)]
+    );
+    console.log(`[Watch] ${result.rows[0].id}: created in space ${spaceId} (${normalized})`);
+    return result.rows[0];
+};
+
+// Partial update. A new schedule, or re-enabling, moves next_run_at to the schedule's next time.
+export const updateWatch = async (spaceId, watchId, changes = {}) => {
+    const current = (await query('SELECT schedule, enabled FROM watches WHERE id = $1 AND space_id = $2', [watchId, spaceId])).rows[0];
+    if (!current) return null;
+
+    const name = changes.name === undefined ? null : cleanText(changes.name, 'name', 120);
+    const text = changes.query === undefined ? null : cleanText(changes.query, 'query', 2000);
+    const schedule = changes.schedule === undefined ? current.schedule : validateSchedule(changes.schedule, { minIntervalMinutes });
+    const enabled = changes.enabled === undefined ? current.enabled : changes.enabled === true;
+    const reschedule = schedule !== current.schedule || (enabled && !current.enabled);
+    const flag = (value) => (value === undefined ? null : value === true);
+
+    const result = await query(
+        `UPDATE watches SET name = COALESCE($1, name), query = COALESCE($2, query), search = COALESCE($3, search),
+         deep = COALESCE($4, deep), thinking = COALESCE($5, thinking), schedule = $6, enabled = $7,
+         next_run_at = CASE WHEN $8 THEN $9::timestamptz ELSE next_run_at END,
+         last_error = CASE WHEN $7 AND NOT enabled THEN NULL ELSE last_error END
+         WHERE id = $10 AND space_id = $11 RETURNING ${WATCH_COLUMNS}`,
+        [name, text, flag(changes.search), flag(changes.deep), flag(changes.thinking), schedule, enabled,
+            reschedule, nextCronRun(schedule), watchId, spaceId]
+    );
+    return result.rows[0] || null;
+};
+
+// The thread stays (as an ordinary space thread); its runs go with the watch
+export const deleteWatch = async (spaceId, watchId) => {
+    const result = await query('DELETE FROM watches WHERE id = $1 AND space_id = $2 RETURNING id', [watchId, spaceId]);
+    return result.rows.length > 0;
+};
+
+// "Run now": due immediately, picked up by the next scheduler tick. Paused watches have to be resumed first.
+export const triggerWatch = async (spaceId, watchId) => {
+    const result = await query(
+        `UPDATE watches SET next_run_at = CASE WHEN enabled THEN NOW() ELSE next_run_at END
+         WHERE id = $1 AND space_id = $2 RETURNING ${WATCH_COLUMNS}`,
+        [watchId, spaceId]
+    );
+    const watch = result.rows[0];
+    if (watch && !watch.enabled) throw watchError(409, 'This watch is paused; resume it to run it');
+    return watch || null;
+};
+
+// Newest first, or null if the watch isn't in this space
+export const listWatchRuns = async (spaceId, watchId, { limit = 20 } = {}) => {
+    const watch = await query('SELECT 1 FROM watches WHERE id = $1 AND space_id = $2', [watchId, spaceId]);
+    if (watch.rows.length === 0) return null;
+    const result = await query(
+        `SELECT ${RUN_COLUMNS} FROM watch_runs WHERE watch_id = $1 ORDER BY started_at DESC LIMIT $2`,
+        [watchId, Math.min(Math.max(Number(limit) || 20, 1), 100)]
+    );
+    return result.rows;
+};
+
+// --- SCHEDULER ---
+
+// Claims due watches so two server instances never run the same one. A lock held for twice the run timeout
+// belongs to a crashed process and is taken over.
+const claimDueWatches = async () => {
+    const result = await query(
+        `UPDATE watches SET locked_at = NOW()
+         WHERE id IN (
+           SELECT id FROM watches
+           WHERE enabled AND next_run_at <= NOW()
+             AND (locked_at IS NULL OR locked_at < NOW() - make_interval(secs => $1))
+           ORDER BY next_run_at
+           LIMIT 5
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [runTimeoutSeconds * 2]
+    );
+    return result.rows;
+};
+
+// The schedule is re-read in case the watch was edited while it ran
+const finishWatch = async (watch, { status, error = null, disable = false }) => {
+    const current = (await query('SELECT schedule FROM watches WHERE id = $1', [watch.id])).rows[0];
+    if (!current) return;
+    await query(
+        `UPDATE watches SET locked_at = NULL, last_run_at = NOW(), last_status = $1, last_error = $2,
+         enabled = enabled AND NOT $3, next_run_at = $4 WHERE id = $5`,
+        [status, error, disable, nextCronRun(current.schedule), watch.id]
+    );
+};
+
+// The answer part of an earlier run's message (after its what's-new block, which may itself contain dividers)
+const answerOf = ({ content, whats_new }) => {
+    const note = whats_new ? content.indexOf(whats_new) : -1;
+    const divider = content.indexOf(ANSWER_DIVIDER, note >= 0 ? note + whats_new.length : 0);
+    return divider >= 0 ? content.slice(divider + ANSWER_DIVIDER.length) : content;
+};
+
+// One run: research, diff against earlier runs, save the message and the run record
+const runWatch = async (watch) => {
+    const startedAt = new Date();
+    // A run still marked running was cut off by a crash or restart (its lock has just been taken over)
+    await query(
+        "UPDATE watch_runs SET status = 'failed', finished_at = NOW(), error = 'Interrupted by a server restart' WHERE watch_id = $1 AND status = 'running'",
+        [watch.id]
+    );
+    const run = (await query(
+        "INSERT INTO watch_runs (watch_id, status, started_at) VALUES ($1, 'running', $2) RETURNING id",
+        [watch.id, startedAt]
+    )).rows[0];
+    const failRun = async (error, { disable = false } = {}) => {
+        await query("UPDATE watch_runs SET status = 'failed', finished_at = NOW(), error = $1 WHERE id = $2", [error, run.id]);
+        await finishWatch(watch, { status: 'failed', error, disable });
+    };
+
+    // Runs act for the watch's creator; once they can no longer query the space the watch stops
+    const role = await getSpaceRole(watch.space_id, watch.created_by);
+    if (!canInSpace(role, 'query')) {
+        console.log(`[Watch] ${watch.id}: creator can no longer query space ${watch.space_id}, disabling`);
+        return failRun('The watch creator can no longer query this space', { disable: true });
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), runTimeoutSeconds * 1000);
+    try {
+        const space = (await query('SELECT system_prompt, model_config, source_policy FROM spaces WHERE id = $1', [watch.space_id])).rows[0];
+        const research = await runResearch({ ...watchResearchOptions(watch, space), signal: controller.signal });
+
+        const previous = (await query(
+            `SELECT r.source_urls, r.whats_new, m.content FROM watch_runs r LEFT JOIN messages m ON m.id = r.message_id
+             WHERE r.watch_id = $1 AND r.status = 'succeeded' ORDER BY r.started_at DESC`,
+            [watch.id]
+        )).rows;
+        const newSources = diffSources(research.sources, previous.flatMap(r => r.source_urls || []));
+        const lastSaved = previous.find(r => r.content);
+        const previousAnswer = lastSaved ? answerOf(lastSaved) : null;
+        const whatsNew = await summarizeChanges(
+            { query: watch.query, previousAnswer, answer: research.answer, newSources },
+            plannerCompletion({ models: space.model_config || null, signal: controller.signal })
+        );
+
+        // Chained after the thread's newest message, so the thread reads as one branch of successive runs
+        const conversation = watch.conversation_id
+            ? (await query('SELECT id FROM conversations WHERE id = $1', [watch.conversation_id])).rows[0]
+            : null;
+        let messageId = null;
+        if (conversation) {
+            const parent = (await query(
+                'SELECT id FROM messages WHERE conversation_id = $1 ORDER BY created_at DESC, id DESC LIMIT 1',
+                [conversation.id]
+            )).rows[0];
+            const newList = newSources.map(s => `- [${s.name}](${s.url})`).join('\n');
+            const content = `**What's new** (${startedAt.toISOString().slice(0, 16).replace('T', ' ')} UTC)\n\n${whatsNew}`
+                + (newList ? `\n\n**New sources**\n${newList}` : '')
+                + ANSWER_DIVIDER + research.answer;
+            // Sources are saved without the page text read for synthesis
+            const message = (await query(
+                "INSERT INTO messages (conversation_id, role, content, search_results, parent_id) VALUES ($1, 'assistant', $2, $3, $4) RETURNING id",
+                [conversation.id, content, JSON.stringify(research.sources.map(source => ({ ...source, content: undefined }))), parent?.id || null]
+            )).rows[0];
+            messageId = message.id;
+            await query('UPDATE conversations SET updated_at = NOW() WHERE id = $1', [conversation.id]);
+        }
+
+        const sourceUrls = [...new Set(research.sources.filter(s => s.url && s.source_type !== 'space_file').map(s => canonicalUrl(s.url)))];
+        await query(
+            `UPDATE watch_runs SET status = 'succeeded', finished_at = NOW(), message_id = $1, source_urls = $2, new_sources = $3, whats_new = $4
+             WHERE id = $5`,
+            [messageId, sourceUrls, JSON.stringify(newSources), whatsNew, run.id]
+        );
+        await finishWatch(watch, { status: 'succeeded' });
+        console.log(`[Watch] ${watch.id}: run finished in ${Date.now() - startedAt.getTime()}ms, ${newSources.length} new sources`);
+    } catch (err) {
+        const message = controller.signal.aborted ? `Run timed out after ${runTimeoutSeconds}s` : err.message;
+        console.error(`[Watch] ${watch.id}: run failed:`, message);
+        await failRun(message);
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+let ticking = false;
+
+const tick = async () => {
+    if (ticking) return;
+    ticking = true;
+    try {
+        // Sequential on purpose: a run is a full research pass, and several at once would compete for provider quota
+        for (let due = await claimDueWatches(); due.length > 0; due = await claimDueWatches()) {
+            for (const watch of due) {
+                await runWatch(watch).catch(err => console.error(`[Watch] ${watch.id}: could not record run:`, err.message));
+            }
+        }
+    } catch (err) {
+        console.error('[Watch] Scheduler tick failed:', err.message);
+    } finally {
+        ticking = false;
+    }
+};
+
+export const startWatchScheduler = () => {
+    if ((process.env.WATCH_SCHEDULER || '').toLowerCase() === 'off') {
+        console.log('[Watch] Scheduler disabled (WATCH_SCHEDULER=off)');
+        return null;
+    }
+    console.log(`[Watch] Scheduler polling every ${pollSeconds}s`);
+    tick();
+    return setInterval(tick, pollSeconds * 1000);
+};
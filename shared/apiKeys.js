@@ -0,0 +1,48 @@
+// Monolith API Keys
+// Secrets are shown once at creation and stored as a SHA-256 hash plus a short visible prefix.
+// Access rules (revocation, expiry, scopes, allowed spaces) are shared by the Node server and the edge function.
+
+export const API_KEY_SCOPES = ['search', 'chat', 'deep', 'admin'];
+export const DEFAULT_SCOPES = ['search', 'chat', 'deep'];
+
+const KEY_PREFIX_LENGTH = 11; // "pk-" + 8 chars
+
+const toHex = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+export const generateApiKey = () => `pk-${toHex(crypto.getRandomValues(new Uint8Array(24)))}`;
+
+export const hashApiKey = async (key) => {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+    return toHex(new Uint8Array(digest));
+};
+
+export const apiKeyPrefix = (key) => key.slice(0, KEY_PREFIX_LENGTH);
+
+// Drops unknown scopes; an empty or missing list means the defaults
+export const normalizeScopes = (scopes) => {
+    const valid = (Array.isArray(scopes) ? scopes : []).filter(s => API_KEY_SCOPES.includes(s));
+    return valid.length > 0 ? [...new Set(valid)] : DEFAULT_SCOPES;
+};
+
+// Returns null when the key may be used, otherwise { status, error }.
+// Space pinning is only checked when `spaceId` is passed (null = the request names no space).
+export const checkApiKeyAccess = (record, { scopes = [], spaceId = undefined, now = Date.now() } = {}) => {
+    if (!record) return { status: 401, error: 'Invalid API key' };
+    if (record.revoked_at) return { status: 401, error: 'API key has been revoked' };
+    if (record.expires_at && new Date(record.expires_at).getTime() <= now) {
+        return { status: 401, error: 'API key has expired' };
+    }
+
+    const granted = record.scopes || DEFAULT_SCOPES;
+    const missing = scopes.filter(s => !granted.includes(s));
+    if (missing.length > 0) {
+        return { status: 403, error: `API key is missing scope: ${missing.join(', ')}` };
+    }
+
+    const allowedSpaces = record.allowed_space_ids;
+    if (spaceId !== undefined && allowedSpaces && allowedSpaces.length > 0) {
+        if (!spaceId) return { status: 403, error: 'API key is restricted to specific spaces; pass space_id' };
+        if (!allowedSpaces.includes(spaceId)) return { status: 403, error: 'API key is not allowed to use this space' };
+    }
+    return null;
+};
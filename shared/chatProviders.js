@@ -0,0 +1,87 @@
+// Chat Model Provider Layer
+// One client for any OpenAI-compatible `/chat/completions` endpoint (LongCat, OpenAI, Ollama, llama.cpp, a local mock).
+// Models are resolved per role so the planner can run on a cheap model while synthesis uses a strong one.
+// An `embedding` model (optional, no default) enables `/embeddings` for space knowledge-base retrieval.
+
+import { readEventStream } from './sse.js';
+
+export const MODEL_ROLES = ['planner', 'synthesizer', 'thinker'];
+
+export const DEFAULT_BASE_URL = 'https://api.longcat.chat/openai/v1';
+
+export const DEFAULT_MODELS = {
+    planner: 'LongCat-Flash-Chat',
+    synthesizer: 'LongCat-Flash-Chat',
+    thinker: 'LongCat-Flash-Thinking'
+};
+
+const providerError = async (resp) => {
+    const error = new Error(`[LLM] HTTP ${resp.status}: ${await resp.text()}`);
+    error.status = resp.status;
+    return error;
+};
+
+export const createChatProvider = ({ baseUrl = DEFAULT_BASE_URL, models = {}, headers = {} } = {}) => {
+    const cleanModels = Object.fromEntries(Object.entries(models).filter(([, v]) => v));
+    const root = (baseUrl || DEFAULT_BASE_URL).replace(/\/$/, '');
+
+    const post = async (body, apiKey, signal, path = '/chat/completions') => {
+        const resp = await fetch(`${root}${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+                ...headers
+            },
+            body: JSON.stringify(body),
+            signal
+        });
+        if (!resp.ok) throw await providerError(resp);
+        return resp;
+    };
+
+    return {
+        baseUrl: baseUrl || DEFAULT_BASE_URL,
+        models: { ...DEFAULT_MODELS, ...cleanModels },
+
+        // Returns the raw OpenAI-style response body ({ choices, usage, ... })
+        complete: async ({ model, messages, apiKey = null, signal, ...params }) => {
+            const resp = await post({ model, messages, ...params, stream: false }, apiKey, signal);
+            return resp.json();
+        },
+
+        // Returns one vector per input string, in input order
+        embed: async ({ model = cleanModels.embedding, input, apiKey = null, signal }) => {
+            const resp = await post({ model, input }, apiKey, signal, '/embeddings');
+            const { data = [] } = await resp.json();
+            return [...data].sort((a, b) => a.index - b.index).map(d => d.embedding);
+        },
+
+        // Resolves once upstream has accepted the request (so key rotation can still retry a 429),
+        // then yields { content } deltas and, if reported, { finish_reason, usage }.
+        openStream: async ({ model, messages, apiKey = null, signal, ...params }) => {
+            const resp = await post({ model, messages, ...params, stream: true }, apiKey, signal);
+            return (async function* () {
+                for await (const data of readEventStream(resp.body)) {
+                    if (data === '[DONE]') return;
+                    let chunk;
+                    try { chunk = JSON.parse(data); } catch { continue; }
+                    const choice = chunk.choices?.[0];
+                    if (choice?.delta?.content) yield { content: choice.delta.content };
+                    if (choice?.finish_reason || chunk.usage) {
+                        yield { finish_reason: choice?.finish_reason || null, usage: chunk.usage || null };
+                    }
+                }
+            })();
+        }
+    };
+};
+
+// Per-request (e.g. per-space) overrides win over the provider's configured role models
+export const resolveModel = (provider, role, overrides = null) => {
+    const override = overrides && overrides[role];
+    return override || provider.models[role] || provider.models.synthesizer;
+};
+
+// Pull the assistant text out of a completion body
+export const completionText = (data) => data?.choices?.[0]?.message?.content || '';
@@ -0,0 +1,377 @@
+// Page Content Fetcher
+// Downloads the top reranked URLs, extracts readable text, chunks it and keeps the passages most relevant
+// to the query, so synthesis reads the article instead of a search snippet.
+// Runtime-agnostic (fetch only). `fetchImpl` can be swapped and private hosts allowed for local fixture servers.
+// `resolveHost` (hostname -> addresses, e.g. dns.lookup in Node) lets the private-host check see where a DNS name points.
+
+export const CONTENT_DEFAULTS = {
+    topN: 4,
+    passagesPerSource: 3,
+    chunkSize: 900,
+    timeoutMs: 6000,
+    maxBytes: 1.5 * 1024 * 1024,
+    maxStoredChars: 12000,
+    userAgent: 'MonolithBot/1.0 (+https://github.com/monolith)'
+};
+
+// --- TEXT EXTRACTION ---
+
+const DROP_ELEMENTS = ['title', 'script', 'style', 'noscript', 'svg', 'nav', 'header', 'footer', 'aside', 'form', 'iframe', 'template', 'button', 'select'];
+const BLOCK_ELEMENTS = /<\/?(p|div|section|article|main|h[1-6]|li|ul|ol|br|tr|table|blockquote|pre|figure|figcaption|dd|dt)\b[^>]*>/gi;
+const BOILERPLATE = /(cookie policy|accept all cookies|sign up for our newsletter|follow us on|subscribe now|all rights reserved|skip to (main )?content)/i;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“' };
+
+const decodeEntities = (text) => text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === '#') {
+        const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isFinite(n) ? String.fromCodePoint(n) : match;
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+});
+
+// Prefer <article> / <main> when the page has them; everything else is treated as chrome.
+// `keepShortLines` keeps headings and list items too (uploaded documents have no site chrome to strip).
+export const extractReadableText = (html = '', { keepShortLines = false } = {}) => {
+    let body = html.replace(/<!--[\s\S]*?-->/g, '');
+    for (const tag of DROP_ELEMENTS) {
+        body = body.replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}>`, 'gi'), ' ');
+    }
+    const main = body.match(/<article\b[\s\S]*?<\/article>/gi) || body.match(/<main\b[\s\S]*?<\/main>/gi);
+    if (main) body = main.join('\n');
+
+    const text = decodeEntities(body.replace(BLOCK_ELEMENTS, '\n').replace(/<[^>]+>/g, ' '));
+    return text
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        // Short fragments are mostly menus, bylines and buttons
+        .filter(line => keepShortLines ? line.length > 0 : line.length >= 40 && !BOILERPLATE.test(line))
+        .join('\n');
+};
+
+export const extractTitle = (html = '') => {
+    const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    return match ? decodeEntities(match[1]).replace(/\s+/g, ' ').trim() : null;
+};
+
+// --- CHUNKING & PASSAGE SELECTION ---
+
+// Paragraph-aligned chunks of roughly `chunkSize` characters; oversized paragraphs are split on sentences
+export const chunkText = (text, chunkSize = CONTENT_DEFAULTS.chunkSize) => {
+    const pieces = text.split('\n').flatMap(paragraph => paragraph.length <= chunkSize
+        ? [paragraph]
+        : paragraph.split(/(?<=[.!?])\s+/));
+
+    const chunks = [];
+    let current = '';
+    for (const piece of pieces) {
+        if (current && current.length + piece.length + 1 > chunkSize) {
+            chunks.push(current.trim());
+            current = '';
+        }
+        current += (current ? ' ' : '') + piece;
+    }
+    if (current.trim()) chunks.push(current.trim());
+    return chunks;
+};
+
+const STOPWORDS = new Set(['the', 'a', 'an', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'is', 'are', 'was', 'were', 'be', 'what', 'how', 'why', 'when', 'who', 'which', 'with', 'about', 'does', 'do', 'it', 'its', 'this', 'that', 'at', 'by', 'from', 'as']);
+
+export const tokenize = (text = '') => (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(t => t.length > 1 && !STOPWORDS.has(t));
+
+// Query-term overlap, damped for long chunks. Returns the top `limit` passages in document order.
+export const selectPassages = (query, chunks, limit = CONTENT_DEFAULTS.passagesPerSource) => {
+    const terms = new Set(tokenize(query));
+    if (terms.size === 0) return chunks.slice(0, limit);
+
+    const scored = chunks.map((chunk, index) => {
+        const tokens = tokenize(chunk);
+        const hits = tokens.filter(t => terms.has(t)).length;
+        const coverage = new Set(tokens.filter(t => terms.has(t))).size / terms.size;
+        return { index, chunk, score: coverage * 2 + hits / Math.sqrt(tokens.length + 1) };
+    });
+    const relevant = scored.filter(s => s.score > 0);
+    if (relevant.length === 0) return chunks.slice(0, limit);
+    return relevant
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .sort((a, b) => a.index - b.index)
+        .map(s => s.chunk);
+};
+
+// --- FETCHING ---
+
+// IPv4: loopback, "this network" (0/8), private, carrier-grade NAT (100.64/10), link-local.
+// IPv6: loopback, unspecified, IPv4-mapped (::ffff:…), unique local, link-local.
+const PRIVATE_HOST = /^(localhost|127\.|0\.|10\.|100\.(6[4-9]|[7-9]\d|1[01]\d|12[0-7])\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|169\.254\.|\[?::1?\]?$|\[?::ffff:|\[?f[cd][0-9a-f]{2}:|\[?fe[89ab][0-9a-f]:)/i;
+
+// Redirects are followed by hand so that every hop is vetted like the first URL
+const MAX_REDIRECTS = 5;
+
+// Loopback, private and link-local addresses (also used to vet webhook URLs)
+export const isPrivateHost = (hostname) => PRIVATE_HOST.test(hostname);
+
+const IP_LITERAL = /^(\d{1,3}(\.\d{1,3}){3}|[0-9a-f:.]*:[0-9a-f:.]*)$/i;
+
+// Like isPrivateHost, but a DNS name also counts as private when any address it resolves to is.
+// Without `resolveHost` only the name itself is checked. Lookup errors are thrown.
+export const resolvesToPrivateHost = async (hostname, resolveHost = null) => {
+    if (isPrivateHost(hostname)) return true;
+    const bare = hostname.replace(/^\[|\]$/g, '');
+    if (!resolveHost || IP_LITERAL.test(bare)) return false;
+    const addresses = await resolveHost(bare);
+    return addresses.some(isPrivateHost);
+};
+
+const fetchError = (status, message) => Object.assign(new Error(message), { fetchStatus: status });
+
+// Abort after `timeoutMs` or when the caller's signal fires, whichever comes first
+const withTimeout = (signal, timeoutMs) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort);
+    return {
+        signal: controller.signal,
+        done: () => { clearTimeout(timer); signal?.removeEventListener('abort', onAbort); }
+    };
+};
+
+// Reads at most maxBytes; larger bodies are rejected rather than truncated mid-document
+const readLimited = async (resp, maxBytes) => {
+    const declared = Number(resp.headers.get('content-length'));
+    if (declared && declared > maxBytes) throw fetchError('too_large', `Body is ${declared} bytes`);
+    if (!resp.body) return await resp.text();
+
+    const reader = resp.body.getReader();
+    const decoder = new TextDecoder();
+    let received = 0;
+    let text = '';
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        received += value.byteLength;
+        if (received > maxBytes) {
+            await reader.cancel();
+            throw fetchError('too_large', `Body exceeds ${maxBytes} bytes`);
+        }
+        text += decoder.decode(value, { stream: true });
+    }
+    return text + decoder.decode();
+};
+
+// --- ROBOTS.TXT ---
+
+// Longest matching Allow/Disallow rule wins (Google semantics); groups for our agent beat `*`
+export const parseRobots = (robotsTxt, userAgent) => {
+    const agent = userAgent.split('/')[0].toLowerCase();
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+    for (const raw of robotsTxt.split(/\r?\n/)) {
+        const line = raw.replace(/#.*$/, '').trim();
+        const sep = line.indexOf(':');
+        if (sep === -1) continue;
+        const field = line.slice(0, sep).trim().toLowerCase();
+        const value = line.slice(sep + 1).trim();
+        if (field === 'user-agent') {
+            if (!lastWasAgent) groups.push(current = { agents: [], rules: [] });
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+        } else {
+            lastWasAgent = false;
+            if (current && (field === 'allow' || field === 'disallow')) current.rules.push({ allow: field === 'allow', path: value });
+        }
+    }
+    const specific = groups.filter(g => g.agents.some(a => a !== '*' && agent.includes(a)));
+    const rules = (specific.length > 0 ? specific : groups.filter(g => g.agents.includes('*'))).flatMap(g => g.rules);
+
+    const matches = (pattern, path) => {
+        if (!pattern) return false;
+        const regex = new RegExp('^' + pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\\\$$/, '$'));
+        return regex.test(path);
+    };
+    return (path) => {
+        let verdict = { allow: true, length: -1 };
+        for (const rule of rules) {
+            if (matches(rule.path, path) && rule.path.length > verdict.length) {
+                verdict = { allow: rule.allow, length: rule.path.length };
+            }
+        }
+        return verdict.allow;
+    };
+};
+
+export const createContentFetcher = ({
+    fetchImpl = (...args) => fetch(...args),
+    userAgent = CONTENT_DEFAULTS.userAgent,
+    timeoutMs = CONTENT_DEFAULTS.timeoutMs,
+    domainTimeouts = {},
+    maxBytes = CONTENT_DEFAULTS.maxBytes,
+    respectRobots = true,
+    allowPrivateHosts = false,
+    resolveHost = null
+} = {}) => {
+    const robotsCache = new Map(); // origin -> Promise<(path) => boolean>
+
+    const timeoutFor = (host) => {
+        const match = Object.keys(domainTimeouts).find(d => host === d || host.endsWith(`.${d}`));
+        return match ? domainTimeouts[match] : timeoutMs;
+    };
+
+    const robotsFor = (url, signal) => {
+        if (!robotsCache.has(url.origin)) {
+            const pending = (async () => {
+                const { signal: timed, done } = withTimeout(signal, Math.min(timeoutFor(url.hostname), 3000));
+                try {
+                    const resp = await fetchImpl(`${url.origin}/robots.txt`, { headers: { 'User-Agent': userAgent }, redirect: 'manual', signal: timed });
+                    // Missing robots.txt means everything is allowed; an auth wall means nothing is
+                    if (resp.status === 401 || resp.status === 403) return () => false;
+                    if (!resp.ok) return () => true;
+                    return parseRobots(await readLimited(resp, 512 * 1024), userAgent);
+                } catch {
+                    return () => true;
+                } finally {
+                    done();
+                }
+            })();
+            robotsCache.set(url.origin, pending);
+        }
+        return robotsCache.get(url.origin);
+    };
+
+    // Returns { url, status, title, text } where status is ok | blocked | timeout | too_large | unsupported | error
+    const fetchPage = async (rawUrl, { signal } = {}) => {
+        let url;
+        try {
+            url = new URL(rawUrl);
+        } catch {
+            return { url: rawUrl, status: 'error', error: 'Invalid URL' };
+        }
+        // Checked for the URL itself and again for every redirect target
+        const refuse = async (target) => {
+            if (!['http:', 'https:'].includes(target.protocol)) return { status: 'unsupported', error: target.protocol };
+            if (!allowPrivateHosts) {
+                let isPrivate;
+                try {
+                    isPrivate = await resolvesToPrivateHost(target.hostname, resolveHost);
+                } catch (err) {
+                    return { status: 'error', error: `DNS lookup failed: ${err.message}` };
+                }
+                if (isPrivate) return { status: 'blocked', error: 'Private host' };
+            }
+            if (respectRobots) {
+                const allowed = await robotsFor(target, signal);
+                if (!allowed(target.pathname + target.search)) return { status: 'blocked', error: 'Disallowed by robots.txt' };
+            }
+            return null;
+        };
+        const refused = await refuse(url);
+        if (refused) return { url: rawUrl, ...refused };
+
+        const limitMs = timeoutFor(url.hostname);
+        const { signal: timed, done } = withTimeout(signal, limitMs);
+        try {
+            let resp;
+            for (let hops = 0; ; hops++) {
+                resp = await fetchImpl(url.href, {
+                    headers: { 'User-Agent': userAgent, 'Accept': 'text/html,application/xhtml+xml,text/plain;q=0.8' },
+                    redirect: 'manual',
+                    signal: timed
+                });
+                const location = resp.status >= 300 && resp.status < 400 ? resp.headers.get('location') : null;
+                if (!location) break;
+                await resp.body?.cancel();
+                if (hops >= MAX_REDIRECTS) return { url: rawUrl, status: 'error', error: `More than ${MAX_REDIRECTS} redirects` };
+                try {
+                    url = new URL(location, url);
+                } catch {
+                    return { url: rawUrl, status: 'error', error: 'Invalid redirect URL' };
+                }
+                const refusedHop = await refuse(url);
+                if (refusedHop) return { url: rawUrl, ...refusedHop };
+            }
+            if (!resp.ok) return { url: rawUrl, status: 'error', error: `HTTP ${resp.status}` };
+
+            const type = (resp.headers.get('content-type') || '').toLowerCase();
+            const isHtml = type.includes('html');
+            if (type && !isHtml && !type.startsWith('text/plain')) {
+                await resp.body?.cancel();
+                return { url: rawUrl, status: 'unsupported', error: type };
+            }
+            const body = await readLimited(resp, maxBytes);
+            const text = isHtml || !type ? extractReadableText(body) : body.replace(/[ \t]+/g, ' ').trim();
+            return { url: rawUrl, status: 'ok', title: isHtml ? extractTitle(body) : null, text };
+        } catch (err) {
+            if (err.fetchStatus) return { url: rawUrl, status: err.fetchStatus, error: err.message };
+            if (timed.aborted && !signal?.aborted) return { url: rawUrl, status: 'timeout', error: `No response in ${limitMs}ms` };
+            if (signal?.aborted) throw err;
+            return { url: rawUrl, status: 'error', error: err.message };
+        } finally {
+            done();
+        }
+    };
+
+    // Reads the first `topN` sources in parallel and attaches `content` (stored text), `passages`
+    // (query-relevant chunks for synthesis) and `content_status`. Sources that already carry `content`
+    // (e.g. re-used from a stored message) are re-ranked without fetching again.
+    const readSources = async (query, sources, {
+        topN = CONTENT_DEFAULTS.topN,
+        passagesPerSource = CONTENT_DEFAULTS.passagesPerSource,
+        chunkSize = CONTENT_DEFAULTS.chunkSize,
+        maxStoredChars = CONTENT_DEFAULTS.maxStoredChars,
+        signal
+    } = {}) => {
+        const head = await Promise.all(sources.slice(0, topN).map(async (source) => {
+            if (source.content) {
+                return { ...source, passages: selectPassages(query, chunkText(source.content, chunkSize), passagesPerSource) };
+            }
+            const page = await fetchPage(source.url, { signal });
+            if (page.status !== 'ok' || !page.text) {
+                return { ...source, content_status: page.status === 'ok' ? 'empty' : page.status };
+            }
+            const content = page.text.slice(0, maxStoredChars);
+            return {
+                ...source,
+                content,
+                content_status: 'ok',
+                content_fetched_at: new Date().toISOString(),
+                passages: selectPassages(query, chunkText(content, chunkSize), passagesPerSource)
+            };
+        }));
+        return [...head, ...sources.slice(topN)];
+    };
+
+    return { fetchPage, readSources };
+};
+
+// Text the synthesizer should read for a source: fetched passages, else the search snippet
+export const sourceReadingText = (source, snippetLimit = 600) => (source.passages?.length
+    ? source.passages.join('\n…\n')
+    : (source.summary || source.snippet || '').replace(/\s+/g, ' ').trim().slice(0, snippetLimit));
+
+// Same CONTENT_FETCH_* variables on the Node server and the edge function. `getEnv` is process.env / Deno.env.get.
+// CONTENT_FETCH=off disables reading; CONTENT_FETCH_DOMAIN_TIMEOUTS is JSON, e.g. {"nytimes.com": 3000}.
+export const contentFetchConfigFromEnv = (getEnv) => {
+    const number = (name, fallback) => Number(getEnv(name)) || fallback;
+    let domainTimeouts = {};
+    try {
+        domainTimeouts = JSON.parse(getEnv('CONTENT_FETCH_DOMAIN_TIMEOUTS') || '{}');
+    } catch {
+        console.warn('[Content] CONTENT_FETCH_DOMAIN_TIMEOUTS is not valid JSON, ignoring');
+    }
+    return {
+        enabled: (getEnv('CONTENT_FETCH') || 'on').toLowerCase() !== 'off',
+        topN: number('CONTENT_FETCH_TOP_N', CONTENT_DEFAULTS.topN),
+        deepTopN: number('CONTENT_FETCH_DEEP_TOP_N', CONTENT_DEFAULTS.topN * 2),
+        fetcher: {
+            timeoutMs: number('CONTENT_FETCH_TIMEOUT_MS', CONTENT_DEFAULTS.timeoutMs),
+            maxBytes: number('CONTENT_FETCH_MAX_BYTES', CONTENT_DEFAULTS.maxBytes),
+            domainTimeouts,
+            respectRobots: getEnv('CONTENT_FETCH_ROBOTS') !== 'ignore',
+            // Only for pointing the fetcher at a local fixture server
+            allowPrivateHosts: getEnv('CONTENT_FETCH_ALLOW_PRIVATE') === 'true'
+        }
+    };
+};
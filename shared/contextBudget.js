@@ -0,0 +1,136 @@
+// Context Budget
+// Fits conversation history and research documents into the model window after reserving room for the answer.
+// Documents are taken by score until their share is spent; history keeps the newest turns, clips very long ones
+// and replaces dropped turns with a one-line recap. Everything left out is reported so responses can surface it.
+// A stored conversation summary (shared/conversationSummary.js) is pinned ahead of history and always kept.
+
+import { summaryMessage } from './conversationSummary.js';
+
+export const CONTEXT_DEFAULTS = {
+    contextWindow: 128000,
+    historyShare: 0.3,     // history may use up to this share before documents are chosen
+    maxTurnTokens: 2000,   // longer turns keep their head and tail
+    safetyMargin: 0.05     // estimates are rough; keep some headroom
+};
+
+// ~4 characters per token for Latin text; CJK and other wide scripts run closer to one token per character
+export const estimateTokens = (text = '') => {
+    const wide = (text.match(/[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length;
+    return Math.ceil((text.length - wide) / 4 + wide);
+};
+
+const messageTokens = (m) => estimateTokens(m.content || '') + 4; // role + framing
+
+// Keeps the start and end of an oversized message
+const clipMessage = (m, maxTokens) => {
+    const maxChars = maxTokens * 4;
+    if ((m.content || '').length <= maxChars) return m;
+    const head = m.content.slice(0, Math.floor(maxChars * 0.7));
+    const tail = m.content.slice(-Math.floor(maxChars * 0.25));
+    return { ...m, content: `${head}\n[… clipped for length …]\n${tail}` };
+};
+
+const recapOf = (dropped) => {
+    const asked = dropped.filter(m => m.role === 'user').map(m => m.content.replace(/\s+/g, ' ').slice(0, 120));
+    return {
+        role: 'system',
+        content: `Earlier turns (${dropped.length}) were omitted for length.${asked.length ? ` The user had asked: ${asked.join(' | ')}` : ''}`
+    };
+};
+
+// Newest turns first until the budget runs out; a recap of dropped turns is included when it fits
+export const fitHistory = (history = [], budget, { maxTurnTokens = CONTEXT_DEFAULTS.maxTurnTokens } = {}) => {
+    const kept = [];
+    let tokens = 0;
+    let truncated = 0;
+    let i = history.length - 1;
+    for (; i >= 0; i--) {
+        const clipped = clipMessage(history[i], maxTurnTokens);
+        const cost = messageTokens(clipped);
+        if (tokens + cost > budget) break;
+        if (clipped !== history[i]) truncated++;
+        kept.unshift(clipped);
+        tokens += cost;
+    }
+
+    let dropped = history.slice(0, i + 1);
+    if (dropped.length > 0) {
+        // The recap is worth more than the oldest kept turn, so make room for it
+        let recap = recapOf(dropped);
+        while (kept.length > 0 && tokens + messageTokens(recap) > budget) {
+            tokens -= messageTokens(kept.shift());
+            dropped = history.slice(0, history.length - kept.length);
+            recap = recapOf(dropped);
+        }
+        if (tokens + messageTokens(recap) <= budget) {
+            tokens += messageTokens(recap);
+            return { history: [recap, ...kept], tokens, kept: kept.length, dropped: dropped.length, truncated };
+        }
+    }
+    return { history: kept, tokens, kept: kept.length, dropped: dropped.length, truncated };
+};
+
+// Highest relevance first; documents that don't fit are skipped (a smaller one later may still fit).
+// Returns the kept documents in their original rank order.
+export const selectDocuments = (documents = [], budget, renderDocument) => {
+    const ranked = documents
+        .map((doc, index) => ({ doc, index, cost: estimateTokens(renderDocument(doc, index)) + 2 }))
+        .sort((a, b) => (b.doc.relevance_score ?? 0) - (a.doc.relevance_score ?? 0) || a.index - b.index);
+
+    const keep = new Set();
+    let tokens = 0;
+    for (const entry of ranked) {
+        if (tokens + entry.cost > budget) continue;
+        keep.add(entry.index);
+        tokens += entry.cost;
+    }
+    return {
+        documents: documents.filter((_, index) => keep.has(index)),
+        dropped: documents.filter((_, index) => !keep.has(index)).map(d => ({ url: d.url, name: d.name, reason: 'budget' })),
+        tokens
+    };
+};
+
+// `fixedText` is everything sent regardless (system prompt, query, tool framing).
+// `renderDocument(doc, index)` must produce the text the document occupies in the prompt.
+// `summary` is the thread's rolling summary; its cost comes out of the history share first.
+export const budgetContext = ({
+    contextWindow = CONTEXT_DEFAULTS.contextWindow,
+    reserveTokens,
+    fixedText = '',
+    history = [],
+    summary = null,
+    documents = [],
+    renderDocument,
+    historyShare = CONTEXT_DEFAULTS.historyShare,
+    maxTurnTokens = CONTEXT_DEFAULTS.maxTurnTokens
+}) => {
+    const fixedTokens = estimateTokens(fixedText);
+    const promptBudget = Math.floor(contextWindow * (1 - CONTEXT_DEFAULTS.safetyMargin)) - reserveTokens;
+    const pinned = summary ? [clipMessage(summaryMessage(summary), maxTurnTokens)] : [];
+    const summaryTokens = pinned.reduce((sum, m) => sum + messageTokens(m), 0);
+    const available = Math.max(0, promptBudget - fixedTokens - summaryTokens);
+
+    let fitted = fitHistory(history, Math.floor(available * historyShare), { maxTurnTokens });
+    const selected = selectDocuments(documents, available - fitted.tokens, renderDocument);
+
+    // Room the documents didn't need goes back to history
+    const leftover = available - fitted.tokens - selected.tokens;
+    if (fitted.dropped > 0 && leftover > 0) {
+        fitted = fitHistory(history, fitted.tokens + leftover, { maxTurnTokens });
+    }
+    const historyTokens = summaryTokens + fitted.tokens;
+
+    return {
+        history: [...pinned, ...fitted.history],
+        documents: selected.documents,
+        report: {
+            context_window: contextWindow,
+            reserved_for_answer: reserveTokens,
+            prompt_budget_tokens: promptBudget,
+            prompt_tokens: fixedTokens + historyTokens + selected.tokens,
+            history: { kept: fitted.kept, dropped: fitted.dropped, truncated: fitted.truncated, tokens: historyTokens, summary_tokens: summaryTokens },
+            documents: { kept: selected.documents.length, dropped: selected.dropped, tokens: selected.tokens }
+        }
+    };
+};
@@ -0,0 +1,434 @@
+// Conversation Export
+// Renders a thread (conversation + messages with their search_results) as Markdown, HTML, PDF or JSON.
+// Inline [n] markers are resolved against the sources of the message they appear in and renumbered
+// thread-wide, so every footnote points at the right document and the bibliography lists each source once.
+// No dependencies: the Markdown subset the synthesizer writes is parsed here and the PDF is written by hand.
+
+export const EXPORT_FORMATS = {
+    md: { mimeType: 'text/markdown; charset=utf-8', extension: 'md' },
+    html: { mimeType: 'text/html; charset=utf-8', extension: 'html' },
+    pdf: { mimeType: 'application/pdf', extension: 'pdf' },
+    json: { mimeType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// [1], [2, 3] (not Markdown links); resolved markers become private-use CITE tokens until a renderer formats them
+const CITATION = /\[(\d+(?:\s*,\s*\d+)*)\](?!\()/g;
+const CITE = /\uE000(\d+)\uE001/g;
+const citeToken = (id) => `\uE000${id}\uE001`;
+
+const hostnameOf = (url) => {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+        return null;
+    }
+};
+
+const oneLine = (text, max) => {
+    const line = String(text || '').replace(/\s+/g, ' ').trim();
+    return line.length > max ? `${line.slice(0, max - 1)}…` : line;
+};
+
+// --- CITATIONS ---
+
+// Returns { title, exported_at, exchanges: [{ question, answers: [{ content, created_at, citations }] }], bibliography }.
+// Answers keep CITE tokens in `content`; bibliography ids are assigned in order of first citation.
+export const buildExport = (conversation, messages, { now = new Date() } = {}) => {
+    const bibliography = [];
+    const idsByKey = new Map();
+
+    const cite = (source) => {
+        const key = source.url || source.name;
+        if (!idsByKey.has(key)) {
+            const spaceFile = source.source_type === 'space_file';
+            bibliography.push({
+                id: bibliography.length + 1,
+                title: source.name || source.url,
+                url: spaceFile ? null : source.url || null,
+                domain: spaceFile ? null : hostnameOf(source.url),
+                source_type: source.source_type || 'web',
+                ...(spaceFile ? { file_name: source.file_name } : {})
+            });
+            idsByKey.set(key, bibliography.length);
+        }
+        return idsByKey.get(key);
+    };
+
+    const resolve = (message) => {
+        const sources = Array.isArray(message.search_results) ? message.search_results : [];
+        const citations = new Set();
+        const resolveMarkers = (text) => text.replace(CITATION, (marker, list) => {
+            const numbers = list.split(',').map(n => Number(n.trim()));
+            // Leave the marker as written if any number has no source (it was never a citation)
+            if (!numbers.every(n => sources[n - 1])) return marker;
+            return numbers.map(n => {
+                const id = cite(sources[n - 1]);
+                citations.add(id);
+                return citeToken(id);
+            }).join('');
+        });
+        // Odd segments are fenced code, where brackets are never citations
+        const content = String(message.content || '')
+            .split(/(```[\s\S]*?(?:```|$))/)
+            .map((segment, i) => (i % 2 ? segment : resolveMarkers(segment)))
+            .join('');
+        return { content, created_at: message.created_at || null, citations: [...citations] };
+    };
+
+    const exchanges = [];
+    for (const message of messages) {
+        if (message.role === 'user') {
+            exchanges.push({ question: { content: String(message.content || ''), created_at: message.created_at || null }, answers: [] });
+        } else if (message.role === 'assistant') {
+            if (exchanges.length === 0) exchanges.push({ question: null, answers: [] });
+            exchanges[exchanges.length - 1].answers.push(resolve(message));
+        }
+    }
+
+    return {
+        title: conversation.title || 'Untitled thread',
+        exported_at: now.toISOString(),
+        exchanges,
+        bibliography
+    };
+};
+
+// --- MARKDOWN BLOCKS ---
+
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_SEPARATOR = /^\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+const isBlockStart = (line) => /^(```|#{1,6}\s|>\s?|\|)/.test(line) || LIST_ITEM.test(line) || /^(-{3,}|\*{3,}|_{3,})\s*$/.test(line);
+
+// The Markdown the synthesizer writes, as blocks: heading, paragraph, list, quote, code, table, rule
+export const parseMarkdownBlocks = (markdown) => {
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        if (/^```/.test(line)) {
+            const code = [];
+            i++;
+            while (i < lines.length && !/^```/.test(lines[i])) code.push(lines[i++]);
+            i++;
+            blocks.push({ type: 'code', text: code.join('\n') });
+        } else if (/^#{1,6}\s/.test(line)) {
+            const [, hashes, text] = line.match(/^(#{1,6})\s+(.*)$/);
+            blocks.push({ type: 'heading', level: hashes.length, text: text.replace(/\s*#+\s*$/, '') });
+            i++;
+        } else if (/^(-{3,}|\*{3,}|_{3,})\s*$/.test(line)) {
+            blocks.push({ type: 'rule' });
+            i++;
+        } else if (LIST_ITEM.test(line)) {
+            const ordered = /^\s*\d/.test(line);
+            const items = [];
+            while (i < lines.length && (LIST_ITEM.test(lines[i]) || (/^\s{2,}\S/.test(lines[i]) && items.length))) {
+                const item = lines[i].match(LIST_ITEM);
+                if (item) items.push(item[2]);
+                else items[items.length - 1] += ` ${lines[i].trim()}`;
+                i++;
+            }
+            blocks.push({ type: 'list', ordered, items });
+        } else if (/^>\s?/.test(line)) {
+            const quote = [];
+            while (i < lines.length && /^>\s?/.test(lines[i])) quote.push(lines[i++].replace(/^>\s?/, ''));
+            blocks.push({ type: 'quote', text: quote.join(' ') });
+        } else if (/^\|/.test(line)) {
+            const rows = [];
+            while (i < lines.length && /^\|/.test(lines[i])) {
+                if (!TABLE_SEPARATOR.test(lines[i])) rows.push(lines[i].replace(/^\||\|\s*$/g, '').split('|').map(c => c.trim()));
+                i++;
+            }
+            blocks.push({ type: 'table', rows });
+        } else if (!line.trim()) {
+            i++;
+        } else {
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() && !(paragraph.length && isBlockStart(lines[i]))) paragraph.push(lines[i++].trim());
+            blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+        }
+    }
+    return blocks;
+};
+
+// --- MARKDOWN ---
+
+// Answer headings sit below the per-question "## n." headings (fenced code is left alone)
+const demoteHeadings = (markdown) => {
+    let fenced = false;
+    return markdown.split('\n').map(line => {
+        if (/^```/.test(line)) fenced = !fenced;
+        return !fenced && /^#{1,6}\s/.test(line) ? line.replace(/^#+/, h => '#'.repeat(Math.min(6, h.length + 2))) : line;
+    }).join('\n');
+};
+
+export const renderMarkdown = (doc) => {
+    const out = [`# ${doc.title}`, '', `_Exported from Monolith on ${doc.exported_at.slice(0, 10)}_`, ''];
+    doc.exchanges.forEach((exchange, i) => {
+        if (exchange.question) {
+            out.push(`## ${i + 1}. ${oneLine(exchange.question.content, 120)}`, '');
+            if (exchange.question.content.trim().length > 120 || exchange.question.content.includes('\n')) {
+                out.push(exchange.question.content.trim().split('\n').map(l => `> ${l}`).join('\n'), '');
+            }
+        }
+        for (const answer of exchange.answers) {
+            out.push(demoteHeadings(answer.content.replace(CITE, (_, id) => `[^${id}]`).trim()), '');
+        }
+    });
+    if (doc.bibliography.length > 0) {
+        out.push('## Sources', '');
+        for (const source of doc.bibliography) {
+            out.push(source.url
+                ? `[^${source.id}]: [${source.title.replace(/[[\]]/g, '')}](${source.url})${source.domain ? ` — ${source.domain}` : ''}`
+                : `[^${source.id}]: ${source.title} (space file)`);
+        }
+        out.push('');
+    }
+    return out.join('\n');
+};
+
+// --- HTML ---
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const inlineHtml = (text) => escapeHtml(text)
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*\w])\*([^*\s][^*]*?)\*(?!\w)/g, '$1<em>$2</em>')
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2">$1</a>')
+    .replace(CITE, (_, id) => `<sup class="cite"><a href="#source-${id}">[${id}]</a></sup>`);
+
+const blocksToHtml = (blocks, headingOffset = 0) => blocks.map(block => {
+    switch (block.type) {
+        case 'heading': {
+            const level = Math.min(6, block.level + headingOffset);
+            return `<h${level}>${inlineHtml(block.text)}</h${level}>`;
+        }
+        case 'code': return `<pre><code>${escapeHtml(block.text)}</code></pre>`;
+        case 'rule': return '<hr>';
+        case 'quote': return `<blockquote>${inlineHtml(block.text)}</blockquote>`;
+        case 'list': {
+            const tag = block.ordered ? 'ol' : 'ul';
+            return `<${tag}>${block.items.map(item => `<li>${inlineHtml(item)}</li>`).join('')}</${tag}>`;
+        }
+        case 'table': {
+            const [head, ...rows] = block.rows;
+            const cells = (row, tag) => `<tr>${row.map(c => `<${tag}>${inlineHtml(c)}</${tag}>`).join('')}</tr>`;
+            return `<table><thead>${cells(head || [], 'th')}</thead><tbody>${rows.map(r => cells(r, 'td')).join('')}</tbody></table>`;
+        }
+        default: return `<p>${inlineHtml(block.text)}</p>`;
+    }
+}).join('\n');
+
+const HTML_STYLE = `body{font-family:-apple-system,"Segoe UI",Helvetica,Arial,sans-serif;max-width:760px;margin:40px auto;padding:0 20px;line-height:1.6;color:#1a1a1a}
+h1{font-size:1.8em;margin-bottom:0}.meta{color:#777;margin-top:4px}h2{margin-top:2.2em;border-bottom:1px solid #e5e5e5;padding-bottom:6px}
+.question{color:#444;white-space:pre-wrap}blockquote{border-left:3px solid #ddd;margin:0;padding-left:14px;color:#555}
+pre{background:#f5f5f5;padding:12px;overflow-x:auto;border-radius:6px}code{font-family:Menlo,Consolas,monospace;font-size:.9em}
+table{border-collapse:collapse}th,td{border:1px solid #ddd;padding:4px 8px}sup.cite a{text-decoration:none}
+.sources li{margin-bottom:6px;word-break:break-word}.domain{color:#777}`;
+
+// Only http(s) URLs become links (like inlineHtml); anything else is printed as text
+const sourceHtml = (source) => {
+    if (!source.url) return `${escapeHtml(source.title)} <span class="domain">(space file)</span>`;
+    const domain = source.domain ? ` <span class="domain">${escapeHtml(source.domain)}</span>` : '';
+    if (!/^https?:\/\//i.test(source.url)) return `${escapeHtml(source.title)} <span class="domain">${escapeHtml(source.url)}</span>`;
+    return `<a href="${escapeHtml(source.url)}">${escapeHtml(source.title)}</a>${domain}`;
+};
+
+export const renderHtml = (doc) => {
+    const sections = doc.exchanges.map((exchange, i) => {
+        const parts = [];
+        if (exchange.question) {
+            parts.push(`<h2>${i + 1}. ${escapeHtml(oneLine(exchange.question.content, 120))}</h2>`);
+            if (exchange.question.content.trim().length > 120 || exchange.question.content.includes('\n')) {
+                parts.push(`<p class="question">${escapeHtml(exchange.question.content.trim())}</p>`);
+            }
+        }
+        for (const answer of exchange.answers) parts.push(blocksToHtml(parseMarkdownBlocks(answer.content), 2));
+        return `<section>\n${parts.join('\n')}\n</section>`;
+    });
+    const sources = doc.bibliography.map(source => `<li id="source-${source.id}" value="${source.id}">${sourceHtml(source)}</li>`);
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(doc.title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(doc.title)}</h1>
+<p class="meta">Exported from Monolith on ${doc.exported_at.slice(0, 10)}</p>
+${sections.join('\n')}
+${sources.length > 0 ? `<h2>Sources</h2>\n<ol class="sources">\n${sources.join('\n')}\n</ol>` : ''}
+</body>
+</html>
+`;
+};
+
+// --- PDF ---
+// Standard Type 1 fonts (Helvetica, Helvetica-Bold, Courier) in WinAnsiEncoding, so no font is embedded;
+// characters outside Western European scripts print as "?".
+
+const PAGE = { width: 612, height: 792, margin: 56 };
+const PDF_FONTS = { regular: ['F1', 'Helvetica'], bold: ['F2', 'Helvetica-Bold'], mono: ['F3', 'Courier'] };
+const WIN_ANSI = { '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99 };
+
+const toWinAnsi = (text) => [...text].map(c => {
+    const code = c.codePointAt(0);
+    if (WIN_ANSI[c]) return String.fromCharCode(WIN_ANSI[c]);
+    return code < 0x80 || (code >= 0xA0 && code <= 0xFF) ? c : '?';
+}).join('');
+
+// Approximate Helvetica advance widths (in em); close enough to wrap lines without font metrics
+const charWidth = (c, font) => {
+    if (font === 'mono') return 0.6;
+    if (/[il.,;:'|!ijtf ]/.test(c)) return 0.28;
+    if (/[mwMW@]/.test(c)) return 0.83;
+    if (/[A-Z]/.test(c)) return 0.67;
+    return 0.53;
+};
+
+const wrapText = (text, font, size, width) => {
+    const lines = [];
+    let line = '';
+    let lineWidth = 0;
+    const spaceWidth = charWidth(' ', font) * size;
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        const wordWidth = [...word].reduce((sum, c) => sum + charWidth(c, font) * size, 0);
+        if (line && lineWidth + spaceWidth + wordWidth > width) {
+            lines.push(line);
+            line = '';
+            lineWidth = 0;
+        }
+        if (!line && wordWidth > width) {
+            // Hard-break words (URLs) wider than the line
+            let part = '';
+            let partWidth = 0;
+            for (const c of word) {
+                const w = charWidth(c, font) * size;
+                if (partWidth + w > width) { lines.push(part); part = ''; partWidth = 0; }
+                part += c;
+                partWidth += w;
+            }
+            line = part;
+            lineWidth = partWidth;
+            continue;
+        }
+        line = line ? `${line} ${word}` : word;
+        lineWidth += (lineWidth ? spaceWidth : 0) + wordWidth;
+    }
+    if (line) lines.push(line);
+    return lines;
+};
+
+const plainInline = (text) => text
+    .replace(/\*\*([^*]+)\*\*/g, '$1')
+    .replace(/(^|[^*\w])\*([^*\s][^*]*?)\*(?!\w)/g, '$1$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '$1')
+    .replace(CITE, (_, id) => `[${id}]`);
+
+// Paragraph-level layout items: { text, font, size, indent, gap }
+const pdfItems = (doc) => {
+    const items = [
+        { text: doc.title, font: 'bold', size: 18, gap: 0 },
+        { text: `Exported from Monolith on ${doc.exported_at.slice(0, 10)}`, font: 'regular', size: 9, gap: 4 }
+    ];
+    const blockItems = (block) => {
+        switch (block.type) {
+            case 'heading': return [{ text: plainInline(block.text), font: 'bold', size: 11.5, gap: 10 }];
+            case 'code': return block.text.split('\n').map((line, i) => ({ text: line || ' ', font: 'mono', size: 8.5, indent: 12, gap: i === 0 ? 6 : 0 }));
+            case 'rule': return [];
+            case 'quote': return [{ text: plainInline(block.text), font: 'regular', size: 10, indent: 16, gap: 6 }];
+            case 'list': return block.items.map((item, i) => ({
+                text: `${block.ordered ? `${i + 1}.` : '•'} ${plainInline(item)}`, font: 'regular', size: 10, indent: 12, gap: i === 0 ? 6 : 2
+            }));
+            case 'table': return block.rows.map((row, i) => ({ text: row.map(plainInline).join('  |  '), font: i === 0 ? 'bold' : 'regular', size: 9, gap: i === 0 ? 6 : 1 }));
+            default: return [{ text: plainInline(block.text), font: 'regular', size: 10, gap: 6 }];
+        }
+    };
+    doc.exchanges.forEach((exchange, i) => {
+        if (exchange.question) items.push({ text: `${i + 1}. ${exchange.question.content.replace(/\s+/g, ' ').trim()}`, font: 'bold', size: 13, gap: 20 });
+        for (const answer of exchange.answers) items.push(...parseMarkdownBlocks(answer.content).flatMap(blockItems));
+    });
+    if (doc.bibliography.length > 0) {
+        items.push({ text: 'Sources', font: 'bold', size: 13, gap: 20 });
+        for (const source of doc.bibliography) {
+            items.push({ text: `[${source.id}] ${source.title}${source.url ? ` — ${source.url}` : ' (space file)'}`, font: 'regular', size: 9, indent: 0, gap: 4 });
+        }
+    }
+    return items;
+};
+
+const pdfString = (text) => `(${toWinAnsi(text).replace(/[\\()]/g, '\\$&')})`;
+
+export const renderPdf = (doc) => {
+    const width = PAGE.width - PAGE.margin * 2;
+    const pages = [[]];
+    let y = PAGE.height - PAGE.margin;
+    for (const item of pdfItems(doc)) {
+        const indent = item.indent || 0;
+        const leading = item.size * 1.35;
+        y -= item.gap || 0;
+        for (const line of wrapText(item.text, item.font, item.size, width - indent)) {
+            if (y - leading < PAGE.margin) {
+                pages.push([]);
+                y = PAGE.height - PAGE.margin;
+            }
+            y -= leading;
+            pages[pages.length - 1].push(`BT /${PDF_FONTS[item.font][0]} ${item.size} Tf ${PAGE.margin + indent} ${y.toFixed(2)} Td ${pdfString(line)} Tj ET`);
+        }
+    }
+
+    // Objects: 1 catalog, 2 page tree, 3-5 fonts, then a page + content stream pair per page
+    const fontRefs = Object.values(PDF_FONTS).map(([name], i) => `/${name} ${3 + i} 0 R`).join(' ');
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pages.map((_, i) => `${6 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        ...Object.values(PDF_FONTS).map(([, base]) => `<< /Type /Font /Subtype /Type1 /BaseFont /${base} /Encoding /WinAnsiEncoding >>`)
+    ];
+    pages.forEach((lines, i) => {
+        const content = lines.join('\n');
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] /Resources << /Font << ${fontRefs} >> >> /Contents ${7 + i * 2} 0 R >>`);
+        objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    });
+
+    let pdf = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+    const offsets = objects.map((body, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`;
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Uint8Array.from(pdf, c => c.charCodeAt(0));
+};
+
+// --- JSON ---
+
+// Citations are renumbered to the bibliography's ids ([n] in `content`, ids in `citations`)
+export const renderJson = (doc) => JSON.stringify({
+    ...doc,
+    exchanges: doc.exchanges.map(exchange => ({
+        ...exchange,
+        answers: exchange.answers.map(answer => ({ ...answer, content: answer.content.replace(CITE, (_, id) => `[${id}]`) }))
+    }))
+}, null, 2);
+
+const RENDERERS = { md: renderMarkdown, html: renderHtml, pdf: renderPdf, json: renderJson };
+
+// Returns { body (string, or bytes for PDF), mimeType, filename }. Unknown formats throw with status 400.
+export const exportConversation = (conversation, messages, format = 'md') => {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) {
+        throw Object.assign(new Error(`Unknown export format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`), { status: 400 });
+    }
+    const doc = buildExport(conversation, messages);
+    const slug = doc.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'thread';
+    return { body: RENDERERS[format](doc), mimeType: spec.mimeType, filename: `${slug}.${spec.extension}` };
+};
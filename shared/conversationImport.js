@@ -0,0 +1,160 @@
+// Conversation Import
+// Normalizes threads exported from Monolith (shared/conversationExport.js JSON), ChatGPT (`conversations.json`)
+// or any generic `[{ role, content }]` array into { title, created_at, messages } ready to insert.
+// Entries that can't be used are reported in `skipped` with a reason instead of failing the whole import.
+
+export const IMPORT_DEFAULTS = {
+    maxConversations: 1000,
+    maxMessageChars: 200000
+};
+
+const ROLE_ALIASES = { user: 'user', human: 'user', assistant: 'assistant', ai: 'assistant', model: 'assistant', bot: 'assistant' };
+
+const importError = (status, message) => Object.assign(new Error(message), { status });
+
+// ISO strings, Date-parsable strings, unix seconds or milliseconds; null when missing or invalid
+const toTimestamp = (value) => {
+    if (value == null || value === '') return null;
+    const date = typeof value === 'number' ? new Date(value < 1e12 ? value * 1000 : value) : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// --- FORMAT DETECTION ---
+
+const isMonolithExport = (item) => item && typeof item === 'object' && Array.isArray(item.exchanges);
+const isChatGptConversation = (item) => item && typeof item === 'object' && item.mapping && typeof item.mapping === 'object';
+const isMessageLike = (item) => item && typeof item === 'object' && 'role' in item && 'content' in item;
+
+// Returns { format, items }; `items` are raw conversations in that format
+export const detectImportFormat = (data) => {
+    if (isMonolithExport(data)) return { format: 'monolith', items: [data] };
+    if (data && typeof data === 'object' && !Array.isArray(data) && Array.isArray(data.messages)) return { format: 'generic', items: [data] };
+    if (Array.isArray(data) && data.length > 0) {
+        if (data.every(isMonolithExport)) return { format: 'monolith', items: data };
+        if (isChatGptConversation(data[0])) return { format: 'chatgpt', items: data };
+        if (isMessageLike(data[0])) return { format: 'generic', items: [{ messages: data }] };
+    }
+    throw importError(400, 'Unrecognized import format. Expected a Monolith JSON export, a ChatGPT conversations.json or an array of { role, content } messages');
+};
+
+// --- PER-FORMAT READERS (raw conversation -> { title, created_at, messages: [{ role, content, created_at, search_results }] }) ---
+
+// Renumbers the export's thread-wide [k] markers back to per-message sources
+const readMonolith = (item) => {
+    const byId = new Map((item.bibliography || []).map(source => [source.id, source]));
+    const messages = [];
+    for (const exchange of item.exchanges) {
+        if (exchange?.question) messages.push({ role: 'user', content: exchange.question.content, created_at: exchange.question.created_at });
+        for (const answer of exchange?.answers || []) {
+            const sources = [];
+            const local = new Map();
+            const content = String(answer.content ?? '').replace(/\[(\d+)\](?!\()/g, (marker, id) => {
+                const source = byId.get(Number(id));
+                if (!source) return marker;
+                if (!local.has(source.id)) {
+                    sources.push({
+                        name: source.title,
+                        url: source.url,
+                        snippet: '',
+                        ...(source.source_type && source.source_type !== 'web' ? { source_type: source.source_type, file_name: source.file_name } : {})
+                    });
+                    local.set(source.id, sources.length);
+                }
+                return `[${local.get(source.id)}]`;
+            });
+            messages.push({ role: 'assistant', content, created_at: answer.created_at, search_results: sources.length ? sources : null });
+        }
+    }
+    return { title: item.title, created_at: item.exchanges[0]?.question?.created_at || null, messages };
+};
+
+// ChatGPT stores a tree of nodes; the visible thread is the path from `current_node` up to the root
+const readChatGpt = (item) => {
+    const path = [];
+    let nodeId = item.current_node || Object.keys(item.mapping).find(id => !item.mapping[id]?.children?.length);
+    const seen = new Set();
+    while (nodeId && item.mapping[nodeId] && !seen.has(nodeId)) {
+        seen.add(nodeId);
+        path.unshift(item.mapping[nodeId]);
+        nodeId = item.mapping[nodeId].parent;
+    }
+    const messages = path
+        .map(node => node.message)
+        .filter(message => message && !message.metadata?.is_visually_hidden_from_conversation)
+        .map(message => ({
+            role: message.author?.role,
+            content: message.content?.content_type === 'text' || message.content?.content_type === 'multimodal_text'
+                ? (message.content.parts || []).filter(part => typeof part === 'string').join('\n')
+                : null,
+            created_at: message.create_time
+        }))
+        // System prompts and tool calls are not part of the readable thread
+        .filter(message => message.role === 'user' || message.role === 'assistant');
+    return { title: item.title, created_at: item.create_time, messages };
+};
+
+const readGeneric = (item) => ({
+    title: item.title,
+    created_at: item.created_at || item.create_time,
+    messages: item.messages.map(message => ({
+        role: message?.role,
+        content: message?.content,
+        created_at: message?.created_at ?? message?.timestamp,
+        search_results: Array.isArray(message?.search_results) ? message.search_results : null
+    }))
+});
+
+const READERS = { monolith: readMonolith, chatgpt: readChatGpt, generic: readGeneric };
+
+// --- NORMALIZATION ---
+
+// Returns { format, conversations, skipped }. Each conversation's messages are valid, non-empty and strictly
+// ordered: missing timestamps continue 1ms after the previous message (or the thread's start, or `now`).
+export const parseImport = (data, { maxConversations = IMPORT_DEFAULTS.maxConversations, maxMessageChars = IMPORT_DEFAULTS.maxMessageChars, now = new Date() } = {}) => {
+    const { format, items } = detectImportFormat(data);
+    if (items.length > maxConversations) {
+        throw importError(413, `Too many conversations (${items.length}). Import at most ${maxConversations} at a time`);
+    }
+
+    const conversations = [];
+    const skipped = [];
+    items.forEach((item, index) => {
+        let raw;
+        try {
+            raw = READERS[format](item);
+        } catch (err) {
+            skipped.push({ index, title: item?.title || null, reason: `Unreadable conversation: ${err.message}` });
+            return;
+        }
+        const title = String(raw.title || '').trim().slice(0, 200) || null;
+
+        const messages = [];
+        let skippedMessages = 0;
+        const start = toTimestamp(raw.created_at)?.getTime() ?? now.getTime();
+        let previous = null;
+        for (const message of raw.messages) {
+            const role = ROLE_ALIASES[String(message.role || '').toLowerCase()];
+            const content = typeof message.content === 'string' ? message.content.trim() : '';
+            if (!role || !content || content.length > maxMessageChars) {
+                skippedMessages++;
+                continue;
+            }
+            const stamp = toTimestamp(message.created_at)?.getTime();
+            const created = previous == null ? stamp ?? start : Math.max(stamp ?? 0, previous + 1);
+            previous = created;
+            messages.push({ role, content, created_at: new Date(created).toISOString(), search_results: message.search_results || null });
+        }
+
+        if (messages.length === 0) {
+            skipped.push({ index, title, reason: 'No user or assistant messages with text' });
+            return;
+        }
+        conversations.push({
+            index,
+            title: title || messages.find(m => m.role === 'user')?.content.replace(/\s+/g, ' ').slice(0, 60) || 'Imported thread',
+            messages,
+            skipped_messages: skippedMessages
+        });
+    });
+    return { format, conversations, skipped };
+};
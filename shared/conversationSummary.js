@@ -0,0 +1,56 @@
+// Conversation Summary
+// Long threads keep a rolling summary in conversations.summary. After each assistant reply, turns older than the
+// newest few are folded into it; prompts then carry the summary instead of those raw turns.
+// `summary_through` is the created_at of the last folded message, so clients can tell which history it replaces.
+
+export const SUMMARY_DEFAULTS = {
+    keepRecent: 6,    // newest messages always sent verbatim
+    minFold: 2,       // fold at least a full exchange at a time
+    maxChars: 4000    // summaries are kept under this length
+};
+
+const SUMMARY_PROMPT = `You maintain the running memory of a research conversation. Merge the new turns into the existing summary.
+Keep: the user's goals and constraints, entities and numbers that were established, conclusions reached, sources the user trusted or rejected, and open questions.
+Drop: pleasantries, formatting, and detail that later turns superseded. Treat the existing summary as authoritative where it conflicts with your reading; the user may have corrected it.
+Write plain prose or terse bullets, third person ("The user..."), under ${SUMMARY_DEFAULTS.maxChars} characters. Output only the summary.`;
+
+const timeOf = (value) => (value ? new Date(value).getTime() : NaN);
+
+// Messages (oldest first, with created_at) that are old enough to fold and not yet covered by the summary
+export const pendingTurns = (messages = [], summaryThrough = null, { keepRecent = SUMMARY_DEFAULTS.keepRecent } = {}) => {
+    const through = timeOf(summaryThrough);
+    return messages
+        .slice(0, Math.max(0, messages.length - keepRecent))
+        .filter(m => Number.isNaN(through) || timeOf(m.created_at) > through);
+};
+
+// Folds `turns` into `summary`. `complete(messages, params)` returns the raw completion text.
+export const summarizeTurns = async ({ summary = null, turns = [] }, complete, { maxChars = SUMMARY_DEFAULTS.maxChars } = {}) => {
+    const transcript = turns
+        .map(m => `${String(m.role).toUpperCase()}: ${String(m.content || '').replace(/\s+/g, ' ').slice(0, 3000)}`)
+        .join('\n');
+    const text = await complete([
+        { role: 'system', content: SUMMARY_PROMPT },
+        { role: 'user', content: `Existing Summary:\n${summary || '(none yet)'}\n\nNew Turns:\n${transcript}` }
+    ], { temperature: 0.2, max_tokens: Math.ceil(maxChars / 3) });
+    return text.trim().slice(0, maxChars);
+};
+
+// The summary as it is placed ahead of the remaining history
+export const summaryMessage = (summary) => ({
+    role: 'system',
+    content: `Summary of the earlier conversation (replaces those turns):\n${summary}`
+});
+
+// Drops the history turns a stored summary covers. Turns without created_at are kept (they are newer than
+// anything stored). Returns { summary, history } with history reduced to role/content.
+export const applySummary = (history = [], { summary = null, summary_through = null } = {}) => {
+    const through = timeOf(summary_through);
+    const remaining = summary && !Number.isNaN(through)
+        ? history.filter(m => !m.created_at || timeOf(m.created_at) > through)
+        : history;
+    return {
+        summary: summary || null,
+        history: remaining.map(({ role, content }) => ({ role, content }))
+    };
+};
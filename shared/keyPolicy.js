@@ -0,0 +1,43 @@
+// Provider Key Policy
+// Pure selection/health rules for pooled provider keys, shared by the Node key vault and the edge function.
+
+export const KEY_PROVIDERS = ['langsearch', 'longcat', 'assemblyai'];
+
+const RATE_LIMIT_COOLDOWN_MS = 60 * 1000;
+const QUOTA_COOLDOWN_MS = 24 * 3600 * 1000;
+const AUTH_COOLDOWN_MS = 10 * 60 * 1000;
+const SERVER_ERROR_COOLDOWN_MS = 15 * 1000;
+
+// Which failures should move on to another key, and how long the failing key sits out.
+// Returns null for errors that are not the key's fault (bad request, network abort, ...).
+export const classifyKeyError = (status, retryAfterSeconds = null) => {
+    if (status === 429) {
+        return { cooldownMs: retryAfterSeconds ? retryAfterSeconds * 1000 : RATE_LIMIT_COOLDOWN_MS, exhausted: false };
+    }
+    if (status === 402) return { cooldownMs: QUOTA_COOLDOWN_MS, exhausted: true };
+    if (status === 401 || status === 403) return { cooldownMs: AUTH_COOLDOWN_MS, exhausted: false };
+    if (status >= 500) return { cooldownMs: SERVER_ERROR_COOLDOWN_MS, exhausted: false };
+    return null;
+};
+
+export const keyStatus = (key, now = Date.now()) => {
+    if (key.disabled) return 'disabled';
+    const cooling = key.cooldown_until && new Date(key.cooldown_until).getTime() > now;
+    if (key.exhausted && cooling) return 'exhausted';
+    if (cooling) return 'cooling';
+    return 'active';
+};
+
+// Usable keys in preference order: least recently used first, fewer failures breaking ties.
+// Exhausted keys come back once their cooldown (quota window) has passed.
+export const selectUsableKeys = (keys, now = Date.now()) => keys
+    .filter(k => keyStatus(k, now) === 'active')
+    .sort((a, b) => {
+        const lastA = a.last_used_at ? new Date(a.last_used_at).getTime() : 0;
+        const lastB = b.last_used_at ? new Date(b.last_used_at).getTime() : 0;
+        if (lastA !== lastB) return lastA - lastB;
+        return (a.failure_count || 0) - (b.failure_count || 0);
+    });
+
+// Never show full secrets outside the vault
+export const maskKey = (key) => (key && key.length > 10 ? `${key.slice(0, 6)}…${key.slice(-4)}` : '••••');
@@ -0,0 +1,79 @@
+// Lexical Rerank
+// BM25 over each result's title + snippet, scored against the query and the planner's rewritten paths.
+// It stands in for the remote reranker when that fails or is not configured, and can be fused with the
+// remote ranking by reciprocal rank fusion (RRF). Pure functions, shared by the Node server and the edge function.
+
+import { tokenize } from './contentFetcher.js';
+
+export const BM25_DEFAULTS = {
+    k1: 1.2,
+    b: 0.75,
+    pathWeight: 0.5   // terms that only appear in rewritten paths count half as much as the query's own
+};
+
+export const RRF_K = 60;
+
+const documentText = (doc) => `${doc.name || ''} ${doc.summary || doc.snippet || ''}`;
+
+// Query terms with their weights: the query's own terms at 1, extra terms from the paths at `pathWeight`
+const weightedTerms = (query, paths, pathWeight) => {
+    const weights = new Map(tokenize(query).map(t => [t, 1]));
+    for (const path of paths) {
+        for (const term of tokenize(path)) {
+            if (!weights.has(term)) weights.set(term, pathWeight);
+        }
+    }
+    return weights;
+};
+
+// Raw BM25 score per document (same order as `docs`)
+export const bm25Scores = (query, docs, { paths = [], k1 = BM25_DEFAULTS.k1, b = BM25_DEFAULTS.b, pathWeight = BM25_DEFAULTS.pathWeight } = {}) => {
+    const terms = weightedTerms(query, paths, pathWeight);
+    const tokenized = docs.map(doc => tokenize(documentText(doc)));
+    if (terms.size === 0 || docs.length === 0) return docs.map(() => 0);
+
+    const avgLength = tokenized.reduce((sum, tokens) => sum + tokens.length, 0) / docs.length || 1;
+    const docFreq = new Map();
+    for (const tokens of tokenized) {
+        for (const term of new Set(tokens)) {
+            if (terms.has(term)) docFreq.set(term, (docFreq.get(term) || 0) + 1);
+        }
+    }
+
+    return tokenized.map(tokens => {
+        const tf = new Map();
+        for (const t of tokens) if (terms.has(t)) tf.set(t, (tf.get(t) || 0) + 1);
+        let score = 0;
+        for (const [term, freq] of tf) {
+            const n = docFreq.get(term);
+            const idf = Math.log(1 + (docs.length - n + 0.5) / (n + 0.5));
+            score += terms.get(term) * idf * (freq * (k1 + 1)) / (freq + k1 * (1 - b + b * tokens.length / avgLength));
+        }
+        return score;
+    });
+};
+
+// [{ index, relevance_score }] best first, in the remote reranker's shape, scaled to 0–1 against the best match
+export const lexicalRerank = (query, docs, options = {}) => {
+    const scores = bm25Scores(query, docs, options);
+    const max = Math.max(0, ...scores);
+    return scores
+        .map((score, index) => ({ index, relevance_score: max > 0 ? Number((score / max).toFixed(4)) : 0 }))
+        .sort((a, b) => b.relevance_score - a.relevance_score);
+};
+
+// Reciprocal rank fusion of rankings over the same documents ([{ index, ... }] best first). Raw RRF scores sit
+// in a narrow band, so they are rescaled between "last everywhere" (0) and "first everywhere" (1); reputation
+// and freshness boosts then weigh about as much as they do on remote scores.
+export const fuseRankings = (rankings, { k = RRF_K } = {}) => {
+    const fused = new Map();
+    for (const ranking of rankings) {
+        ranking.forEach((r, rank) => fused.set(r.index, (fused.get(r.index) || 0) + 1 / (k + rank + 1)));
+    }
+    const best = rankings.length / (k + 1);
+    const worst = rankings.length / (k + Math.max(...rankings.map(r => r.length)));
+    const span = best - worst || 1;
+    return [...fused]
+        .map(([index, score]) => ({ index, relevance_score: Number(Math.max(0, (score - worst) / span).toFixed(4)) }))
+        .sort((a, b) => b.relevance_score - a.relevance_score);
+};
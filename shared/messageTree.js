@@ -0,0 +1,64 @@
+// Message Tree
+// Messages link to the message they answer or follow through parent_id. Editing a query adds a sibling user
+// message and regenerating an answer adds a sibling assistant message, so earlier versions are kept.
+// Only one branch is shown, exported or sent as history at a time. At each fork it follows the version the
+// user picked (`selections`, keyed by parent id) or else the child whose subtree holds the newest message.
+
+const ROOT = 'root';
+
+// Selection key for the children of `parentId` (top-level messages share one key)
+export const branchKey = (parentId) => parentId || ROOT;
+
+// Unsaved messages have no created_at yet; they are the newest in the thread
+const timeOf = (message) => (message.created_at ? new Date(message.created_at).getTime() : Infinity);
+
+// Map of branchKey -> child messages, oldest first
+export const childrenByParent = (messages = []) => {
+    const children = new Map();
+    for (const message of messages) {
+        const key = branchKey(message.parent_id);
+        if (!children.has(key)) children.set(key, []);
+        children.get(key).push(message);
+    }
+    for (const list of children.values()) list.sort((a, b) => timeOf(a) - timeOf(b));
+    return children;
+};
+
+// The messages on the active branch, root first
+export const activeBranch = (messages = [], selections = {}, children = childrenByParent(messages)) => {
+    const newest = new Map();
+    const newestIn = (message) => {
+        if (!newest.has(message.id)) {
+            newest.set(message.id, Math.max(timeOf(message), ...(children.get(message.id) || []).map(newestIn)));
+        }
+        return newest.get(message.id);
+    };
+
+    const path = [];
+    const seen = new Set();
+    let key = ROOT;
+    while (children.has(key)) {
+        const options = children.get(key);
+        const chosen = options.find(m => m.id === selections[key])
+            || options.reduce((best, m) => (newestIn(m) >= newestIn(best) ? m : best));
+        if (seen.has(chosen.id)) break;
+        seen.add(chosen.id);
+        path.push(chosen);
+        key = chosen.id;
+    }
+    return path;
+};
+
+// Selections that put `messageId` on the active branch (merged over `selections`)
+export const selectBranchTo = (messages = [], messageId, selections = {}) => {
+    const byId = new Map(messages.map(m => [m.id, m]));
+    const next = { ...selections };
+    let message = byId.get(messageId);
+    const seen = new Set();
+    while (message && !seen.has(message.id)) {
+        seen.add(message.id);
+        next[branchKey(message.parent_id)] = message.id;
+        message = byId.get(message.parent_id);
+    }
+    return next;
+};
@@ -0,0 +1,292 @@
+// Research Orchestrator
+// Planner -> freshness layers -> domain-capped merge -> reputation/temporal rerank boosts.
+// Shared by the Node server and the edge function; each runtime injects its own LLM, search and rerank calls,
+// so this module stays fetch-free and runtime-agnostic. A space's source policy (shared/sourcePolicy.js)
+// filters and caps results during aggregation and adjusts reputation during rerank.
+
+import { isDomainAllowed, matchesDomain } from './sourcePolicy.js';
+import { lexicalRerank, fuseRankings } from './lexicalRerank.js';
+
+export const DOMAIN_CAP = 3;
+export const RERANK_CHUNK_SIZE = 50;
+
+export const DOMAIN_REPUTATION = {
+    'reuters.com': 0.25,
+    'apnews.com': 0.25,
+    'nytimes.com': 0.20,
+    'wsj.com': 0.20,
+    'theguardian.com': 0.18,
+    'bbc.com': 0.18,
+    'bloomberg.com': 0.20,
+    'nature.com': 0.30,
+    'science.org': 0.30,
+    'arxiv.org': 0.25,
+    'github.com': 0.15,
+    'stackoverflow.com': 0.12,
+    'wikipedia.org': 0.10,
+    'gov': 0.25, // Matches any .gov hostname
+    'edu': 0.20  // Matches any .edu hostname
+};
+
+// Boosts added on top of the reranker's relevance_score
+const FRESHNESS_BOOST = { hour: 0.22, day: 0.14 };
+const RECENT_BOOST = 0.10;
+const RECENT_DAYS = 15;
+
+// Results per search call
+export const layerCount = (deep) => (deep ? 35 : 20);
+
+// --- PLANNING ---
+
+const GREETING = /^(hi|hello|hey|greetings|how are you|how's it going|who are you|what is your name|thanks|thank you|bye|goodbye|good morning|good afternoon|good evening)$/i;
+
+export const isGreeting = (query = '') => GREETING.test(query.trim().toLowerCase());
+
+const PLANNER_PROMPT = `You are the Monolith Search Planner.
+                    DETERMINE if the query requires real-time web access (current events, recent facts, prices, news).
+                    If the query is a greeting, a purely conversational follow-up, a request for personal identity ("who are you"), or a general knowledge question that does NOT need recency (e.g., "how to bake a cake", "what is photosynthesis"), set "skip_search": true.
+                    Otherwise, output queries for search.
+
+                    Output JSON:
+                      "queries": ["query1", ...],
+                      "depth_label": "Surface" | "Standard" | "Deep" | "Elite",
+                      "use_hour_layer": boolean,
+                      "skip_search": boolean,
+                      "freshness": "hour" | "day" | "week" | "month" | "year" | "all",
+                      "suggest_thinking": boolean,
+                      "rewritten_query": string
+                    }
+                    "rewritten_query" is the query rewritten to stand on its own: resolve pronouns ("their", "it") and ellipsis ("what about Q3?") against the recent conversation. If it already stands alone, repeat it unchanged. Search queries must be built from the rewritten query.`;
+
+const REWRITE_PROMPT = `Rewrite the user's latest message as a standalone search query. Resolve pronouns and ellipsis against the recent conversation (e.g. "what about their Q3 numbers?" after a discussion of Nvidia becomes "Nvidia Q3 earnings"). Keep the user's intent and language; do not answer it. If it already stands alone, return it unchanged.
+Output JSON: { "rewritten_query": string }`;
+
+// The last few turns, clipped, as context for resolving follow-ups
+export const recentTurns = (history = [], { turns = 6, maxChars = 500 } = {}) => history
+    .slice(-turns)
+    .map(m => `${String(m.role).toUpperCase()}: ${String(m.content || '').replace(/\s+/g, ' ').slice(0, maxChars)}`)
+    .join('\n');
+
+const parseJson = (text) => JSON.parse(text.trim().replace(/```json|```/g, ''));
+
+// Asks the planner model for a strategy. `complete(messages, params)` returns the raw completion text.
+export const planStrategy = async ({ query, history = [], deep = false, search = true, thinking = false }, complete) => {
+    const conversation = recentTurns(history);
+    const text = await complete([
+        { role: 'system', content: PLANNER_PROMPT },
+        {
+            role: 'user',
+            content: `${conversation ? `Recent Conversation:\n${conversation}\n\n` : ''}Query: "${query}"\nUser Context: [Search: ${search}, Deep: ${deep}, Thinking: ${thinking}, History Length: ${history.length}]\nDetermine the optimal strategy. If the query involves complex reasoning, math, or coding, set suggest_thinking: true.`
+        }
+    ], { temperature: 0.1, response_format: { type: 'json_object' } });
+    const plan = parseJson(text);
+    return { ...plan, rewritten_query: history.length > 0 && plan.rewritten_query?.trim() ? plan.rewritten_query.trim() : query };
+};
+
+// Standalone rewrite for callers that skip the planner (e.g. pre-generated `queries`). First turns pass through.
+export const rewriteFollowUp = async (query, history = [], complete) => {
+    if (history.length === 0) return query;
+    try {
+        const text = await complete([
+            { role: 'system', content: REWRITE_PROMPT },
+            { role: 'user', content: `Recent Conversation:\n${recentTurns(history)}\n\nLatest Message: "${query}"` }
+        ], { temperature: 0.1, response_format: { type: 'json_object' } });
+        return parseJson(text).rewritten_query?.trim() || query;
+    } catch (err) {
+        if (err?.name === 'AbortError') throw err;
+        console.warn('[Planner] Follow-up rewrite failed, using the literal query:', err.message);
+        return query;
+    }
+};
+
+// Greetings skip planning, caller-provided `queries` skip the planner model, and a failed plan degrades to
+// searching the raw query across all time. Every plan carries `rewritten_query`, the standalone form of a
+// follow-up that drives search and rerank (synthesis still answers the original wording).
+export const planResearch = async ({ query, history = [], deep = false, search = true, thinking = false, queries = null, rewrittenQuery = null }, complete) => {
+    if (queries) {
+        const rewritten_query = rewrittenQuery || await rewriteFollowUp(query, history, complete);
+        return { queries, freshness: 'all', use_hour_layer: deep, skip_search: false, suggest_thinking: thinking, rewritten_query };
+    }
+    if (isGreeting(query)) {
+        return { queries: [], skip_search: true, suggest_thinking: false, rewritten_query: query };
+    }
+    try {
+        return await planStrategy({ query, history, deep, search, thinking }, complete);
+    } catch (err) {
+        if (err?.name === 'AbortError') throw err;
+        console.warn('[Planner] Falling back to the raw query:', err.message);
+        const rewritten_query = await rewriteFollowUp(query, history, complete);
+        return { queries: [rewritten_query], freshness: 'all', use_hour_layer: deep, skip_search: false, suggest_thinking: false, rewritten_query };
+    }
+};
+
+// Which modes actually run, and which of them the planner switched on (`auto_applied`).
+// `allowDeep: false` (keys without the `deep` scope) stops the planner from escalating to deep research.
+export const resolveModes = (planner, { search = true, deep = false, thinking = false, allowDeep = true } = {}) => {
+    const activeSearch = search || !planner.skip_search;
+    const activeDeep = deep || (allowDeep && (planner.depth_label === 'Deep' || planner.depth_label === 'Elite'));
+    const activeThinking = thinking || Boolean(planner.suggest_thinking);
+    return {
+        activeSearch,
+        activeDeep,
+        activeThinking,
+        runSearch: activeSearch && !planner.skip_search,
+        autoApplied: {
+            search: activeSearch && !search,
+            deep: activeDeep && !deep,
+            thinking: activeThinking && !thinking
+        }
+    };
+};
+
+// --- SEARCH ---
+
+// The planner's freshness first, then an optional hour layer, then all-time as the safety net
+export const freshnessLayers = (planner) => {
+    const layers = [];
+    if (planner.freshness && planner.freshness !== 'all') layers.push(planner.freshness);
+    if (planner.use_hour_layer && planner.freshness !== 'hour') layers.push('hour');
+    layers.push('all');
+    return layers;
+};
+
+const hostnameOf = (url) => {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch {
+        return null;
+    }
+};
+
+// Dedupe by URL, drop hosts the policy excludes and keep at most the domain cap per host, in path order
+export const mergeResults = (batches, policy = null) => {
+    const domainCap = policy?.domain_cap || DOMAIN_CAP;
+    const results = [];
+    const seenUrls = new Set();
+    const domainCounts = {};
+    for (const batch of batches) {
+        for (const r of batch) {
+            if (seenUrls.has(r.url)) continue;
+            const host = hostnameOf(r.url);
+            if (!host || !isDomainAllowed(host, policy) || (domainCounts[host] || 0) >= domainCap) continue;
+            domainCounts[host] = (domainCounts[host] || 0) + 1;
+            seenUrls.add(r.url);
+            results.push(r);
+        }
+    }
+    return results;
+};
+
+// A path counts as a hit only when every layer was served from the cache
+const summarizeCache = (statuses) => {
+    if (statuses.includes('bypass')) return 'bypass';
+    return statuses.length > 0 && statuses.every(c => c === 'hit') ? 'hit' : 'miss';
+};
+
+// Query paths run in parallel; freshness layers within a path are paced to avoid burst limits.
+// `searchLayer({ query, freshness, count, path, layer })` returns { results, cache }.
+// Results are tagged with `origin_freshness` for the temporal boost.
+export const orchestrateSearch = async (planner, query, deep, {
+    searchLayer,
+    onProgress = null,
+    layerDelayMs = 200,
+    policy = null,
+    signal
+}) => {
+    if (planner.skip_search) return [];
+
+    const queries = [...(planner.queries || [query])];
+    if (!queries.includes(query)) queries.unshift(query);
+    const layers = freshnessLayers(planner);
+    const count = layerCount(deep);
+
+    const batches = await Promise.all(queries.map(async (q, path) => {
+        const local = [];
+        const cacheStatuses = [];
+        onProgress?.({ stage: 'search_started', path, query: q, layers });
+        for (let layer = 0; layer < layers.length; layer++) {
+            if (signal?.aborted) break;
+            const freshness = layers[layer];
+            let cache = 'miss';
+            try {
+                const found = await searchLayer({ query: q, freshness, count, path, layer });
+                cache = found.cache;
+                cacheStatuses.push(cache);
+                local.push(...found.results.map(r => ({ ...r, origin_freshness: freshness })));
+            } catch (err) {
+                if (err?.name === 'AbortError') throw err;
+                console.warn(`[Search] Query ${path} Layer ${layer} error.`, err?.message || err);
+            }
+            // No pause needed after a cache hit
+            if (layer < layers.length - 1 && cache !== 'hit') await new Promise(resolve => setTimeout(resolve, layerDelayMs));
+        }
+        onProgress?.({ stage: 'search_finished', path, query: q, results: local.length, cache: summarizeCache(cacheStatuses) });
+        return local;
+    }));
+
+    return mergeResults(batches, policy);
+};
+
+// --- RERANK ---
+
+// Policy weights replace the defaults for the same domain; negative weights demote a site
+export const reputationFor = (policy) => ({ ...DOMAIN_REPUTATION, ...(policy?.reputation || {}) });
+
+// The most specific matching domain decides (a policy's "blog.example.com" beats a default "example.com")
+export const getDomainBoost = (url, reputation = DOMAIN_REPUTATION) => {
+    const hostname = hostnameOf(url);
+    if (!hostname) return 0;
+    let match = null;
+    for (const domain of Object.keys(reputation)) {
+        if (matchesDomain(hostname, domain) && (!match || domain.length > match.length)) match = domain;
+    }
+    return match ? reputation[match] : 0;
+};
+
+// Reputation + freshness-layer + publication-date boosts, then re-sort
+export const applyEliteBoosts = (docs, { policy = null, now = Date.now() } = {}) => {
+    const reputation = reputationFor(policy);
+    return docs.map(doc => {
+        let boost = getDomainBoost(doc.url, reputation);
+        boost += FRESHNESS_BOOST[doc.origin_freshness] || 0;
+        if (doc.datePublished) {
+            const ageDays = (now - new Date(doc.datePublished).getTime()) / (1000 * 3600 * 24);
+            if (ageDays < RECENT_DAYS) boost += RECENT_BOOST;
+        }
+        return { ...doc, relevance_score: (doc.relevance_score || 0) + boost };
+    }).sort((a, b) => b.relevance_score - a.relevance_score);
+};
+
+// Reranks in parallel chunks. `rerankChunk(query, docs, chunkIndex)` returns [{ index, relevance_score }]
+// (or null when no reranker is available). Chunks it can't score fall back to BM25 (shared/lexicalRerank.js)
+// against the query and the planner's `paths`; with `fusion` both rankings are combined by RRF.
+// Every result records its `scoring_method`: "remote", "bm25" or "rrf".
+export const eliteRerank = async (query, results, { rerankChunk, chunkSize = RERANK_CHUNK_SIZE, paths = [], fusion = false, ...boostOptions }) => {
+    if (results.length === 0) return [];
+
+    // BM25 statistics cover every result, so fallback scores compare across chunks
+    const lexicalScores = [];
+    for (const r of lexicalRerank(query, results, { paths })) lexicalScores[r.index] = r.relevance_score;
+
+    const chunks = [];
+    for (let i = 0; i < results.length; i += chunkSize) chunks.push(results.slice(i, i + chunkSize));
+
+    const scored = await Promise.all(chunks.map(async (chunk, cIdx) => {
+        const lexical = chunk
+            .map((_, i) => ({ index: i, relevance_score: lexicalScores[cIdx * chunkSize + i] }))
+            .sort((a, b) => b.relevance_score - a.relevance_score);
+        let remote = null;
+        try {
+            remote = await rerankChunk(query, chunk, cIdx);
+        } catch (err) {
+            if (err?.name === 'AbortError') throw err;
+            console.warn(`[Rerank] Chunk ${cIdx} failed, using BM25.`, err?.message || err);
+        }
+
+        const withScores = (ranking, method) => ranking.map(r => ({ ...chunk[r.index], relevance_score: r.relevance_score, scoring_method: method }));
+        if (!remote) return withScores(lexical, 'bm25');
+        return fusion ? withScores(fuseRankings([remote, lexical]), 'rrf') : withScores(remote, 'remote');
+    }));
+
+    return applyEliteBoosts(scored.flat(), boostOptions);
+};
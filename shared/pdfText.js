@@ -0,0 +1,272 @@
+// PDF Text Layer
+// Best-effort text extraction for uploaded PDFs without a PDF library: streams are inflated, fonts are tied to
+// their ToUnicode CMaps, and the text-showing operators (Tj, TJ, ', ") of every content stream are read back in
+// order. Scanned PDFs have no text layer and come back empty; they need OCR before upload.
+// Uses DecompressionStream, so it runs unchanged in Node 18+, Deno and browsers.
+
+const latin1 = (bytes) => {
+    let out = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) out += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return out;
+};
+
+const inflate = async (bytes) => {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// --- OBJECTS & STREAMS ---
+
+const OBJECT = /(\d+)\s+\d+\s+obj\b([\s\S]*?)endobj/g;
+const STREAM_START = /^\s*(<<[\s\S]*>>)\s*stream\r?\n/;
+
+// Returns { dict, data } with the stream decoded, or null for filters we don't handle (images, fonts, ...)
+const readStream = async (raw, body, bodyOffset) => {
+    const start = body.match(STREAM_START);
+    if (!start) return null;
+    const dict = start[1];
+    if (/\/Subtype\s*\/Image|\/FontFile|\/Length[123]\b|\/Type\s*\/(XRef|Metadata)/.test(dict)) return null;
+
+    const from = bodyOffset + start[0].length;
+    const direct = dict.match(/\/Length\s+(\d+)(?!\s+\d+\s+R)/);
+    let to = direct ? from + Number(direct[1]) : raw.indexOf('endstream', from);
+    if (to < from || to > raw.length) to = raw.indexOf('endstream', from);
+    let bytes = Uint8Array.from(raw.slice(from, to).replace(/\r?\n$/, ''), c => c.charCodeAt(0));
+
+    const filters = (dict.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/)?.[1].match(/\/\w+/g) || []);
+    for (const filter of filters) {
+        if (filter !== '/FlateDecode' && filter !== '/Fl') return null;
+        try {
+            bytes = await inflate(bytes);
+        } catch {
+            return null;
+        }
+    }
+    return { dict, data: latin1(bytes) };
+};
+
+// Compressed object streams hold plain objects (font dictionaries, resources) back to back
+const unpackObjectStream = (dict, data, objects) => {
+    const count = Number(dict.match(/\/N\s+(\d+)/)?.[1] || 0);
+    const first = Number(dict.match(/\/First\s+(\d+)/)?.[1] || 0);
+    const header = data.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let i = 0; i < count; i++) {
+        const start = first + header[i * 2 + 1];
+        const end = i + 1 < count ? first + header[i * 2 + 3] : data.length;
+        objects.set(header[i * 2], data.slice(start, end));
+    }
+};
+
+// --- CMAPS ---
+
+const utf16 = (hex) => {
+    let out = '';
+    for (let i = 0; i + 4 <= hex.length; i += 4) out += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+    return out;
+};
+
+const parseCMap = (text) => {
+    const map = new Map();
+    const space = text.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+    const codeLength = space ? space[1].length / 2 : 1;
+
+    for (const block of text.match(/beginbfchar[\s\S]*?endbfchar/g) || []) {
+        for (const [, src, dst] of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+            map.set(parseInt(src, 16), utf16(dst));
+        }
+    }
+    for (const block of text.match(/beginbfrange[\s\S]*?endbfrange/g) || []) {
+        for (const [, lo, hi, dst, list] of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(?:<([0-9a-fA-F]+)>|\[([^\]]*)\])/g)) {
+            const low = parseInt(lo, 16);
+            const high = parseInt(hi, 16);
+            if (list) {
+                [...list.matchAll(/<([0-9a-fA-F]*)>/g)].forEach(([, d], i) => map.set(low + i, utf16(d)));
+            } else {
+                const base = utf16(dst);
+                const last = base.charCodeAt(base.length - 1);
+                for (let code = low; code <= high && code - low < 65536; code++) {
+                    map.set(code, base.slice(0, -1) + String.fromCharCode(last + code - low));
+                }
+            }
+        }
+    }
+    return { map, codeLength };
+};
+
+const decodeString = (bytes, cmap) => {
+    if (!cmap) return bytes;
+    let out = '';
+    for (let i = 0; i + cmap.codeLength <= bytes.length; i += cmap.codeLength) {
+        let code = 0;
+        for (let j = 0; j < cmap.codeLength; j++) code = code * 256 + bytes.charCodeAt(i + j);
+        out += cmap.map.get(code) ?? '';
+    }
+    return out;
+};
+
+// --- CONTENT STREAMS ---
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+// Tokens: { s: bytes } strings, { n: number }, { a: [...] } arrays, { name }, { op }
+const tokenize = (content) => {
+    const tokens = [];
+    const stack = [tokens];
+    let i = 0;
+    const push = (token) => stack[stack.length - 1].push(token);
+    while (i < content.length) {
+        const c = content[i];
+        if (c === '(') {
+            let depth = 1;
+            let s = '';
+            i++;
+            while (i < content.length && depth > 0) {
+                const ch = content[i];
+                if (ch === '\\') {
+                    const next = content[i + 1];
+                    if (/[0-7]/.test(next)) {
+                        const octal = content.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+                        s += String.fromCharCode(parseInt(octal, 8));
+                        i += 1 + octal.length;
+                        continue;
+                    }
+                    if (next === '\r' || next === '\n') {
+                        i += next === '\r' && content[i + 2] === '\n' ? 3 : 2;
+                        continue;
+                    }
+                    s += ESCAPES[next] ?? next;
+                    i += 2;
+                    continue;
+                }
+                if (ch === '(') depth++;
+                if (ch === ')' && --depth === 0) break;
+                s += ch;
+                i++;
+            }
+            push({ s });
+            i++;
+        } else if (c === '<' && content[i + 1] !== '<') {
+            const end = content.indexOf('>', i);
+            const hex = content.slice(i + 1, end).replace(/\s+/g, '');
+            let s = '';
+            for (let j = 0; j < hex.length; j += 2) s += String.fromCharCode(parseInt(hex.slice(j, j + 2).padEnd(2, '0'), 16));
+            push({ s });
+            i = end + 1;
+        } else if (c === '[') {
+            const array = [];
+            push({ a: array });
+            stack.push(array);
+            i++;
+        } else if (c === ']') {
+            if (stack.length > 1) stack.pop();
+            i++;
+        } else if (c === '%') {
+            while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++;
+        } else if (/\s/.test(c) || c === '<' || c === '>' || c === '{' || c === '}') {
+            i++;
+        } else {
+            const word = content.slice(i).match(/^\/?[^\s()<>[\]{}/%]*/)[0] || c;
+            i += word.length;
+            if (word[0] === '/') push({ name: word.slice(1) });
+            else if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) push({ n: Number(word) });
+            else if (stack.length === 1) push({ op: word });
+        }
+    }
+    return tokens;
+};
+
+const showText = (content, fontCMaps) => {
+    let out = '';
+    let cmap = null;
+    let lastY = null;
+    let operands = [];
+    const newline = () => { if (out && !out.endsWith('\n')) out += '\n'; };
+    for (const token of tokenize(content)) {
+        if (!token.op) {
+            operands.push(token);
+            continue;
+        }
+        const last = operands[operands.length - 1];
+        switch (token.op) {
+            case 'Tf':
+                cmap = fontCMaps.get(operands[operands.length - 2]?.name) || null;
+                break;
+            case 'Tj':
+                if (last?.s != null) out += decodeString(last.s, cmap);
+                break;
+            case "'":
+            case '"':
+                newline();
+                if (last?.s != null) out += decodeString(last.s, cmap);
+                break;
+            case 'TJ':
+                for (const part of last?.a || []) {
+                    if (part.s != null) out += decodeString(part.s, cmap);
+                    else if (part.n < -200 && !out.endsWith(' ')) out += ' '; // wide kerning gap between words
+                }
+                break;
+            case 'Td':
+            case 'TD':
+                if (Math.abs(operands[operands.length - 1]?.n || 0) > 0.5) newline();
+                else if ((operands[operands.length - 2]?.n || 0) > 0 && !out.endsWith(' ')) out += ' ';
+                break;
+            case 'T*':
+                newline();
+                break;
+            case 'Tm': {
+                const y = operands[operands.length - 1]?.n;
+                if (lastY !== null && Math.abs(y - lastY) > 0.5) newline();
+                lastY = y;
+                break;
+            }
+            case 'ET':
+                if (out && !/\s$/.test(out)) out += ' ';
+                break;
+        }
+        operands = [];
+    }
+    return out;
+};
+
+// Returns the document's text, one line per text line; empty when there is no text layer
+export const extractPdfText = async (bytes) => {
+    const raw = latin1(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+    if (!raw.startsWith('%PDF')) throw Object.assign(new Error('Not a PDF file'), { status: 422 });
+
+    const objects = new Map();
+    const streams = new Map();
+    const contents = [];
+    for (const match of raw.matchAll(OBJECT)) {
+        const num = Number(match[1]);
+        const bodyOffset = match.index + match[0].indexOf(match[2]);
+        objects.set(num, match[2]);
+        if (!match[2].includes('stream')) continue;
+        const stream = await readStream(raw, match[2], bodyOffset);
+        if (!stream) continue;
+        if (/\/Type\s*\/ObjStm/.test(stream.dict)) unpackObjectStream(stream.dict, stream.data, objects);
+        else if (stream.data.includes('begincmap')) streams.set(num, parseCMap(stream.data));
+        else if (/\bBT\b/.test(stream.data)) contents.push(stream.data);
+    }
+
+    // Font resource names (/F1) -> font object -> ToUnicode CMap. Names are assumed consistent across pages.
+    const fontCMaps = new Map();
+    for (const body of objects.values()) {
+        const fontDicts = [...body.matchAll(/\/Font\s*<<([^>]*)>>/g)].map(m => m[1]);
+        const indirect = body.match(/\/Font\s+(\d+)\s+\d+\s+R/);
+        if (indirect && objects.has(Number(indirect[1]))) fontDicts.push(objects.get(Number(indirect[1])));
+        for (const dict of fontDicts) {
+            for (const [, name, ref] of dict.matchAll(/\/([^\s/<>[\]]+)\s+(\d+)\s+\d+\s+R/g)) {
+                const toUnicode = objects.get(Number(ref))?.match(/\/ToUnicode\s+(\d+)\s+\d+\s+R/);
+                if (toUnicode && streams.has(Number(toUnicode[1]))) fontCMaps.set(name, streams.get(Number(toUnicode[1])));
+            }
+        }
+    }
+
+    return contents
+        .map(content => showText(content, fontCMaps))
+        .join('\n')
+        .split('\n')
+        .map(line => line.replace(/[^\S\n]+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n');
+};
@@ -0,0 +1,67 @@
+// Research Jobs
+// Asynchronous /api/v1/research requests: queued in Postgres, run by a worker, polled for progress, and
+// optionally reported to a webhook. Callbacks are signed like this:
+//   X-Monolith-Timestamp: <unix seconds>
+//   X-Monolith-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the job's webhook secret>
+// Receivers should recompute the signature over the raw body and reject old timestamps.
+
+import { isPrivateHost } from './contentFetcher.js';
+
+export const RESEARCH_JOB_DEFAULTS = {
+    pollSeconds: 5,
+    heartbeatSeconds: 30,     // a running job's heartbeat; one silent for 4x this is taken over by another worker
+    maxAttempts: 3,           // runs per job, counting restarts after a crash
+    timeoutSeconds: 1800,
+    maxProgressEvents: 200,
+    webhookAttempts: 5,
+    webhookTimeoutMs: 10000
+};
+
+const jobError = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Normalized webhook URL; throws (status 400) for anything but a public http(s) URL
+export const validateWebhookUrl = (value, { allowPrivate = false } = {}) => {
+    let url;
+    try {
+        url = new URL(String(value));
+    } catch {
+        throw jobError('webhook_url must be an absolute http(s) URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) throw jobError('webhook_url must be an absolute http(s) URL');
+    if (url.username || url.password) throw jobError('webhook_url must not contain credentials');
+    if (!allowPrivate && isPrivateHost(url.hostname)) throw jobError('webhook_url must not point to a private address');
+    return url.href;
+};
+
+// Between webhook attempts: 10s, 40s, 160s, 640s
+export const webhookRetryDelaySeconds = (attempt) => 10 * 4 ** Math.max(0, attempt - 1);
+
+const toHex = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+export const generateWebhookSecret = () => `whsec_${toHex(crypto.getRandomValues(new Uint8Array(24)))}`;
+
+export const signWebhook = async (secret, timestamp, body) => {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${timestamp}.${body}`));
+    return `sha256=${toHex(new Uint8Array(signature))}`;
+};
+
+// What GET /api/v1/research/:id returns (and the webhook body). `result` is only set once the job succeeded;
+// until then `partial` has what is known so far.
+export const jobView = (job) => ({
+    id: job.id,
+    object: 'research.job',
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress || [],
+    partial: job.status === 'succeeded' ? null : (job.partial || {}),
+    result: job.status === 'succeeded' ? job.result : null,
+    error: job.error,
+    attempts: job.attempts,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    webhook: job.webhook_url
+        ? { url: job.webhook_url, status: job.webhook_status, attempts: job.webhook_attempts, last_error: job.webhook_error }
+        : null
+});
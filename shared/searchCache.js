@@ -0,0 +1,112 @@
+// Search Result Cache
+// Keyed by provider + freshness + count + normalized query, with freshness-aware TTLs.
+// Stores are pluggable: anything with async get(key) / set(key, value, ttlMs, meta) / clear() works
+// (in-memory below, Postgres on the Node server, the search_cache table from the edge function).
+
+const MINUTE = 60 * 1000;
+
+export const FRESHNESS_TTL_MS = {
+    hour: 5 * MINUTE,
+    day: 30 * MINUTE,
+    week: 3 * 60 * MINUTE,
+    month: 6 * 60 * MINUTE,
+    year: 12 * 60 * MINUTE,
+    all: 24 * 60 * MINUTE
+};
+
+const DEFAULT_TTL_MS = 30 * MINUTE;
+
+export const ttlForFreshness = (freshness) => FRESHNESS_TTL_MS[freshness] || DEFAULT_TTL_MS;
+
+// "  What's the  GDP of France? " and "what's the gdp of france" share an entry
+export const normalizeQuery = (query = '') => query
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[?!.。]+$/u, '')
+    .trim();
+
+export const searchCacheKey = ({ provider, query, freshness = 'all', count = 10 }) =>
+    `${provider}|${freshness}|${count}|${normalizeQuery(query)}`;
+
+export const createMemoryCacheStore = ({ maxEntries = 500 } = {}) => {
+    const entries = new Map();
+    return {
+        name: 'memory',
+        get: async (key) => {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            // Refresh recency so the oldest-used entry is evicted first
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry.value;
+        },
+        set: async (key, value, ttlMs) => {
+            entries.delete(key);
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+            while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+        },
+        clear: async () => entries.clear(),
+        size: async () => entries.size
+    };
+};
+
+// Wraps a store with hit/miss accounting. `lookup` returns { results, cache: 'hit' | 'miss' | 'bypass' }.
+// Empty result sets and loader errors are never cached; store failures degrade to a miss.
+export const createSearchCache = (store) => {
+    const metrics = { hits: 0, misses: 0, bypassed: 0, errors: 0, by_freshness: {} };
+
+    const count = (freshness, field) => {
+        metrics[field]++;
+        const bucket = metrics.by_freshness[freshness] || (metrics.by_freshness[freshness] = { hits: 0, misses: 0 });
+        if (field in bucket) bucket[field]++;
+    };
+
+    return {
+        store,
+
+        lookup: async ({ provider, query, freshness = 'all', count: resultCount = 10, bypass = false }, loader) => {
+            if (!store || bypass) {
+                metrics.bypassed++;
+                return { results: await loader(), cache: 'bypass' };
+            }
+
+            const key = searchCacheKey({ provider, query, freshness, count: resultCount });
+            let cached = null;
+            try {
+                cached = await store.get(key);
+            } catch (err) {
+                metrics.errors++;
+                console.warn('[Search Cache] Read failed:', err.message);
+            }
+            if (cached) {
+                count(freshness, 'hits');
+                return { results: cached, cache: 'hit' };
+            }
+
+            count(freshness, 'misses');
+            const results = await loader();
+            if (Array.isArray(results) && results.length > 0) {
+                try {
+                    await store.set(key, results, ttlForFreshness(freshness), { provider, query: normalizeQuery(query), freshness });
+                } catch (err) {
+                    metrics.errors++;
+                    console.warn('[Search Cache] Write failed:', err.message);
+                }
+            }
+            return { results, cache: 'miss' };
+        },
+
+        metrics: () => {
+            const lookups = metrics.hits + metrics.misses;
+            return { ...metrics, hit_rate: lookups > 0 ? Number((metrics.hits / lookups).toFixed(3)) : null };
+        },
+
+        clear: async () => store?.clear?.()
+    };
+};
@@ -0,0 +1,126 @@
+// Search Provider Layer
+// Runtime-agnostic adapters (fetch only) shared by the Node server, the React client and the edge function.
+// Every adapter normalizes results to the LangSearch web page shape: { name, url, snippet, summary, datePublished }
+// and rerank output to [{ index, relevance_score }], so the rest of the pipeline never sees vendor formats.
+
+export const FRESHNESS_LEVELS = ['hour', 'day', 'week', 'month', 'year', 'all'];
+
+const providerError = async (provider, resp) => {
+    const error = new Error(`[${provider}] HTTP ${resp.status}: ${await resp.text()}`);
+    error.status = resp.status;
+    return error;
+};
+
+const postJson = async (provider, url, body, { apiKey, headers = {}, signal } = {}) => {
+    const resp = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+            ...headers
+        },
+        body: JSON.stringify(body),
+        signal
+    });
+    if (!resp.ok) throw await providerError(provider, resp);
+    return resp.json();
+};
+
+// Resolve a dotted path like "data.webPages.value" inside a response body
+const pluck = (obj, path) => path.split('.').reduce((acc, part) => (acc == null ? acc : acc[part]), obj);
+
+// Map a requested freshness onto the closest one the provider supports (falling back to a broader window)
+export const resolveFreshness = (provider, freshness = 'all') => {
+    const supported = provider.capabilities.freshness;
+    if (supported.includes(freshness)) return freshness;
+    const start = FRESHNESS_LEVELS.indexOf(freshness);
+    for (let i = Math.max(start, 0); i < FRESHNESS_LEVELS.length; i++) {
+        if (supported.includes(FRESHNESS_LEVELS[i])) return FRESHNESS_LEVELS[i];
+    }
+    return 'all';
+};
+
+// --- ADAPTERS ---
+
+export const createLangSearchProvider = ({ baseUrl = 'https://api.langsearch.com', rerankModel = 'langsearch-reranker-v1' } = {}) => ({
+    name: 'langsearch',
+    capabilities: { freshness: FRESHNESS_LEVELS, rerank: true, requiresKey: true },
+    search: async (query, { count = 10, freshness = 'all', apiKey, signal } = {}) => {
+        const data = await postJson('langsearch', `${baseUrl}/v1/web-search`, { query, summary: true, count, freshness }, { apiKey, signal });
+        return data.data?.webPages?.value || [];
+    },
+    rerank: async (query, documents, { topN = documents.length, apiKey, signal } = {}) => {
+        const data = await postJson('langsearch', `${baseUrl}/v1/rerank`, {
+            model: rerankModel,
+            query,
+            documents,
+            top_n: topN,
+            return_documents: false
+        }, { apiKey, signal });
+        return data.results.map(r => ({ index: r.index, relevance_score: r.relevance_score }));
+    }
+});
+
+// Self-hosted SearXNG instance (requires `json` in the instance's enabled formats)
+export const createSearxngProvider = ({ baseUrl, engines = null, language = 'en' } = {}) => ({
+    name: 'searxng',
+    capabilities: { freshness: ['day', 'week', 'month', 'year', 'all'], rerank: false, requiresKey: false },
+    search: async (query, { count = 10, freshness = 'all', signal } = {}) => {
+        if (!baseUrl) throw new Error('[searxng] No base URL configured');
+        const params = new URLSearchParams({ q: query, format: 'json', language });
+        if (freshness !== 'all') params.set('time_range', freshness);
+        if (engines) params.set('engines', engines);
+
+        const resp = await fetch(`${baseUrl.replace(/\/$/, '')}/search?${params}`, { signal });
+        if (!resp.ok) throw await providerError('searxng', resp);
+        const data = await resp.json();
+        return (data.results || []).slice(0, count).map(r => ({
+            name: r.title,
+            url: r.url,
+            snippet: r.content || '',
+            summary: r.content || '',
+            datePublished: r.publishedDate || null
+        }));
+    },
+    rerank: null
+});
+
+// Generic JSON-over-HTTP provider. Useful for local stand-ins during tests or offline work.
+// Search: POST { query, count, freshness } -> results at `resultsPath` with title/name, url/link, snippet/content fields.
+// Rerank: POST { query, documents, top_n } -> { results: [{ index, relevance_score }] }
+export const createHttpJsonProvider = ({ searchUrl, rerankUrl = null, resultsPath = 'results', headers = {} } = {}) => ({
+    name: 'http',
+    capabilities: { freshness: FRESHNESS_LEVELS, rerank: Boolean(rerankUrl), requiresKey: false },
+    search: async (query, { count = 10, freshness = 'all', apiKey, signal } = {}) => {
+        if (!searchUrl) throw new Error('[http] No search URL configured');
+        const data = await postJson('http', searchUrl, { query, count, freshness }, { apiKey, headers, signal });
+        return (pluck(data, resultsPath) || []).slice(0, count).map(r => ({
+            name: r.name || r.title,
+            url: r.url || r.link,
+            snippet: r.snippet || r.content || '',
+            summary: r.summary || r.snippet || r.content || '',
+            datePublished: r.datePublished || r.published_at || null
+        }));
+    },
+    rerank: rerankUrl ? async (query, documents, { topN = documents.length, apiKey, signal } = {}) => {
+        const data = await postJson('http', rerankUrl, { query, documents, top_n: topN }, { apiKey, headers, signal });
+        return data.results.map(r => ({ index: r.index, relevance_score: r.relevance_score }));
+    } : null
+});
+
+// --- REGISTRY ---
+
+const FACTORIES = {
+    langsearch: (config) => createLangSearchProvider({ baseUrl: config.langsearchUrl }),
+    searxng: (config) => createSearxngProvider({ baseUrl: config.searxngUrl, engines: config.searxngEngines }),
+    http: (config) => createHttpJsonProvider({ searchUrl: config.httpSearchUrl, rerankUrl: config.httpRerankUrl, resultsPath: config.httpResultsPath })
+};
+
+export const SEARCH_PROVIDERS = Object.keys(FACTORIES);
+
+// Build a provider by name from a flat config object. Unknown names fall back to LangSearch.
+export const createSearchProvider = (name, config = {}) => {
+    const factory = FACTORIES[name] || FACTORIES.langsearch;
+    if (!FACTORIES[name]) console.warn(`[Search Provider] Unknown provider "${name}", using langsearch.`);
+    return factory(Object.fromEntries(Object.entries(config).filter(([, v]) => v !== undefined && v !== '')));
+};
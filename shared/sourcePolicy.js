@@ -0,0 +1,76 @@
+// Source Policy
+// Per-space control over which sites feed research: allowlist, denylist, reputation weights and the per-domain cap.
+// Stored in spaces.source_policy and accepted as `source_policy` on the API (request fields win per field).
+// Entries are bare domains or suffixes: "nature.com" covers www.nature.com, "gov" covers every .gov host.
+
+export const EMPTY_SOURCE_POLICY = { allow: [], deny: [], reputation: {}, domain_cap: null };
+
+const MAX_DOMAIN_CAP = 50;
+
+const policyError = (message) => Object.assign(new Error(`Invalid source_policy: ${message}`), { status: 400 });
+
+// "https://www.Example.com/path" -> "example.com", "*.gov" -> "gov"
+export const normalizeDomain = (entry = '') => String(entry)
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/^\*?\./, '')
+    .replace(/^www\./, '');
+
+export const matchesDomain = (hostname, domain) => hostname === domain || hostname.endsWith(`.${domain}`);
+
+const domainList = (value, field) => {
+    if (value == null) return [];
+    if (!Array.isArray(value)) throw policyError(`${field} must be an array of domains`);
+    return [...new Set(value.map(normalizeDomain).filter(Boolean))];
+};
+
+// Validates and canonicalizes a policy; throws an error with status 400 on bad input
+export const normalizeSourcePolicy = (raw) => {
+    if (raw == null) return { ...EMPTY_SOURCE_POLICY };
+    if (typeof raw !== 'object' || Array.isArray(raw)) throw policyError('must be an object');
+
+    const reputation = {};
+    for (const [domain, weight] of Object.entries(raw.reputation || {})) {
+        const value = Number(weight);
+        if (!Number.isFinite(value) || value < -1 || value > 1) throw policyError(`reputation for ${domain} must be between -1 and 1`);
+        const key = normalizeDomain(domain);
+        if (key) reputation[key] = value;
+    }
+
+    let domainCap = null;
+    if (raw.domain_cap != null && raw.domain_cap !== '') {
+        domainCap = Number(raw.domain_cap);
+        if (!Number.isInteger(domainCap) || domainCap < 1 || domainCap > MAX_DOMAIN_CAP) {
+            throw policyError(`domain_cap must be an integer from 1 to ${MAX_DOMAIN_CAP}`);
+        }
+    }
+
+    return {
+        allow: domainList(raw.allow, 'allow'),
+        deny: domainList(raw.deny, 'deny'),
+        reputation,
+        domain_cap: domainCap
+    };
+};
+
+// Space policy first, then any field the request sets replaces the space's value
+export const mergeSourcePolicy = (spacePolicy, override) => {
+    const base = normalizeSourcePolicy(spacePolicy);
+    if (override == null) return base;
+    const patch = normalizeSourcePolicy(override);
+    return {
+        allow: override.allow !== undefined ? patch.allow : base.allow,
+        deny: override.deny !== undefined ? patch.deny : base.deny,
+        reputation: override.reputation !== undefined ? { ...base.reputation, ...patch.reputation } : base.reputation,
+        domain_cap: override.domain_cap !== undefined ? patch.domain_cap : base.domain_cap
+    };
+};
+
+// Deny beats allow; an empty allowlist admits everything
+export const isDomainAllowed = (hostname, policy) => {
+    if (!policy) return true;
+    if (policy.deny.some(d => matchesDomain(hostname, d))) return false;
+    return policy.allow.length === 0 || policy.allow.some(d => matchesDomain(hostname, d));
+};
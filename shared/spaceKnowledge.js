@@ -0,0 +1,206 @@
+// Space Knowledge Base
+// Files uploaded to a space (Markdown, plain text, HTML, PDF text layer, CSV) are turned into text, split into
+// heading-aware chunks and indexed in space_file_chunks: a Postgres tsvector always, an embedding when an
+// embedding model is configured. At query time the best chunks join the web results as extra [DOCUMENT n]
+// entries marked `source_type: "space_file"`. Storage and embedding calls are injected by each runtime.
+
+import { extractReadableText, extractTitle, tokenize } from './contentFetcher.js';
+import { extractPdfText } from './pdfText.js';
+
+export const KNOWLEDGE_DEFAULTS = {
+    maxFileBytes: 10 * 1024 * 1024,
+    chunkSize: 1200,
+    chunkOverlap: 200,   // tail of the previous chunk repeated at the start of the next
+    matchLimit: 6,       // chunks retrieved per query
+    minSimilarity: 0.3   // embedding-only matches below this are ignored
+};
+
+const FILE_TYPES = {
+    markdown: { extensions: ['md', 'markdown'], mime: ['text/markdown', 'text/x-markdown'] },
+    text: { extensions: ['txt', 'text'], mime: ['text/plain'] },
+    html: { extensions: ['html', 'htm'], mime: ['text/html'] },
+    pdf: { extensions: ['pdf'], mime: ['application/pdf'] },
+    csv: { extensions: ['csv'], mime: ['text/csv', 'application/csv'] }
+};
+
+export const SUPPORTED_EXTENSIONS = Object.values(FILE_TYPES).flatMap(t => t.extensions);
+
+const knowledgeError = (status, message) => Object.assign(new Error(message), { status });
+
+// The extension wins; the MIME type is the fallback for names without one
+export const detectFileType = (name = '', mimeType = '') => {
+    const ext = name.includes('.') ? name.toLowerCase().split('.').pop() : '';
+    const mime = mimeType.toLowerCase().split(';')[0].trim();
+    return Object.keys(FILE_TYPES).find(t => FILE_TYPES[t].extensions.includes(ext))
+        || Object.keys(FILE_TYPES).find(t => FILE_TYPES[t].mime.includes(mime))
+        || null;
+};
+
+// --- EXTRACTION ---
+
+const parseCsv = (text, delimiter) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (c === '"') quoted = false;
+            else field += c;
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field || row.length) rows.push([...row, field]);
+    return rows.filter(r => r.some(f => f.trim()));
+};
+
+// Each row becomes "column: value; ..." so a chunk still makes sense without the header line
+const csvToText = (text) => {
+    const firstLine = text.split('\n', 1)[0];
+    const delimiter = [',', ';', '\t'].sort((a, b) => firstLine.split(b).length - firstLine.split(a).length)[0];
+    const [header, ...rows] = parseCsv(text, delimiter);
+    if (!header) return '';
+    const columns = header.map((h, i) => h.trim() || `column ${i + 1}`);
+    return rows
+        .map(r => columns.map((col, i) => (r[i]?.trim() ? `${col}: ${r[i].trim()}` : null)).filter(Boolean).join('; '))
+        .join('\n\n');
+};
+
+// Returns { text, title }; title is only known for HTML
+export const extractFileText = async (type, bytes) => {
+    if (type === 'pdf') return { text: await extractPdfText(bytes), title: null };
+    const raw = new TextDecoder().decode(bytes).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    if (type === 'html') return { text: extractReadableText(raw, { keepShortLines: true }), title: extractTitle(raw) };
+    if (type === 'csv') return { text: csvToText(raw), title: null };
+    return { text: raw, title: null };
+};
+
+// --- CHUNKING ---
+
+const HEADING = /^(#{1,6})\s+(.+)$/;
+
+// Blocks, then lines, then sentences, then hard cuts until every piece fits
+const splitPieces = (text, size) => text
+    .split(/\n\s*\n/)
+    .flatMap(block => (block.length <= size ? [block] : block.split('\n')))
+    .flatMap(line => (line.length <= size ? [line] : line.split(/(?<=[.!?])\s+/)))
+    .flatMap(sentence => {
+        if (sentence.length <= size) return [sentence];
+        const parts = [];
+        for (let i = 0; i < sentence.length; i += size) parts.push(sentence.slice(i, i + size));
+        return parts;
+    })
+    .map(piece => piece.trim())
+    .filter(Boolean);
+
+// Returns [{ index, heading, content }]. A Markdown heading starts a new chunk (unless the current one is still
+// short) and is remembered as the chunk's section; chunks overlap by the tail of the previous one.
+export const chunkDocument = (text, { chunkSize = KNOWLEDGE_DEFAULTS.chunkSize, chunkOverlap = KNOWLEDGE_DEFAULTS.chunkOverlap } = {}) => {
+    const chunks = [];
+    let heading = null;
+    let chunkHeading = null; // section the chunk's first new piece belongs to
+    let current = [];
+    let carried = 0; // pieces at the start of `current` repeated from the previous chunk
+    let length = 0;
+
+    const flush = () => {
+        if (current.length <= carried) return;
+        chunks.push({ index: chunks.length, heading: chunkHeading, content: current.join('\n') });
+        const tail = current[current.length - 1];
+        current = tail.length <= chunkOverlap && !HEADING.test(tail) ? [tail] : [];
+        carried = current.length;
+        length = current.reduce((sum, p) => sum + p.length + 1, 0);
+    };
+
+    for (const piece of splitPieces(text, chunkSize)) {
+        const isHeading = HEADING.test(piece);
+        if (isHeading && length > chunkSize / 3) flush();
+        if (length + piece.length + 1 > chunkSize) flush();
+        if (isHeading) {
+            heading = piece.match(HEADING)[2].trim();
+            // Overlap never crosses into a new section
+            if (current.length === carried) { current = []; carried = 0; length = 0; }
+        }
+        if (current.length === carried) chunkHeading = heading;
+        current.push(piece);
+        length += piece.length + 1;
+    }
+    flush();
+    return chunks;
+};
+
+// Validates and prepares an upload: { type, title, text, chunks }. Errors carry an HTTP status.
+export const prepareSpaceFile = async ({ name, mimeType = '', bytes }, options = {}) => {
+    const maxFileBytes = options.maxFileBytes || KNOWLEDGE_DEFAULTS.maxFileBytes;
+    const type = detectFileType(name, mimeType);
+    if (!type) throw knowledgeError(415, `Unsupported file type. Upload one of: ${SUPPORTED_EXTENSIONS.join(', ')}`);
+    if (!bytes || bytes.length === 0) throw knowledgeError(400, 'File is empty');
+    if (bytes.length > maxFileBytes) throw knowledgeError(413, `File is larger than ${Math.round(maxFileBytes / 1024 / 1024)} MB`);
+
+    const { text, title } = await extractFileText(type, bytes);
+    if (!text.trim()) {
+        throw knowledgeError(422, type === 'pdf' ? 'No text layer found in this PDF (scanned documents need OCR first)' : 'No text found in this file');
+    }
+    return { type, title, text, chunks: chunkDocument(text, options) };
+};
+
+// --- RETRIEVAL ---
+
+// to_tsquery OR-query: a chunk matching any term is a candidate, ts_rank_cd favors the ones matching more
+export const textSearchTerms = (query) => [...new Set(tokenize(query))].slice(0, 24).join(' | ') || null;
+
+// A match_space_chunks() row as a research document
+export const knowledgeSource = (row, relevance) => ({
+    name: row.heading ? `${row.file_name} — ${row.heading}` : row.file_name,
+    url: `space-file://${row.file_id}#chunk-${row.chunk_index}`,
+    snippet: row.content.replace(/\s+/g, ' ').slice(0, 300),
+    passages: [row.content],
+    relevance_score: relevance,
+    source_type: 'space_file',
+    file_id: row.file_id,
+    file_name: row.file_name,
+    chunk_index: row.chunk_index
+});
+
+// `matchChunks({ terms, embedding, limit, minSimilarity })` runs match_space_chunks() and returns its rows;
+// `embedQuery(text)` is omitted when no embedding model is configured. Scores are relative to the best match,
+// mapped into 0.5–1 so matching team documents sit alongside strong web sources in the context budget.
+export const retrieveKnowledge = async (query, { matchChunks, embedQuery = null, limit = KNOWLEDGE_DEFAULTS.matchLimit, minSimilarity = KNOWLEDGE_DEFAULTS.minSimilarity }) => {
+    const terms = textSearchTerms(query);
+    let embedding = null;
+    if (embedQuery) {
+        try {
+            embedding = await embedQuery(query);
+        } catch (err) {
+            if (err?.name === 'AbortError') throw err;
+            console.warn('[Knowledge] Query embedding failed, using full-text only:', err.message);
+        }
+    }
+    if (!terms && !embedding) return [];
+
+    let rows;
+    try {
+        rows = await matchChunks({ terms, embedding, limit, minSimilarity });
+    } catch (err) {
+        if (err?.name === 'AbortError') throw err;
+        console.warn('[Knowledge] Chunk lookup failed, answering without space files:', err.message);
+        return [];
+    }
+    const best = Math.max(0, ...rows.map(r => Number(r.score) || 0));
+    if (best === 0) return [];
+    return rows.map(row => knowledgeSource(row, Number((0.5 + 0.5 * (Number(row.score) / best)).toFixed(4))));
+};
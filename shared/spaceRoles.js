@@ -0,0 +1,13 @@
+// Space Roles
+// Who may do what in a shared space. Used by the Node server and the dashboard; RLS in supabase_schema.sql mirrors it.
+
+export const SPACE_ROLES = ['owner', 'editor', 'viewer'];
+
+const SPACE_PERMISSIONS = {
+    read: ['owner', 'editor', 'viewer'],   // see the space and its threads
+    query: ['owner', 'editor'],            // start threads and send messages
+    edit: ['owner', 'editor'],             // change name, system prompt, model overrides
+    manage: ['owner']                      // invite/remove members, change roles, delete the space
+};
+
+export const canInSpace = (role, action) => Boolean(role) && (SPACE_PERMISSIONS[action] || []).includes(role);
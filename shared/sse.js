@@ -0,0 +1,38 @@
+// Server-Sent Events helpers shared by every runtime (fetch ReadableStream based).
+
+// The joined `data:` lines of one raw event ("" when it has none)
+const eventData = (rawEvent) => rawEvent
+    .split(/\r?\n/)
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).replace(/^ /, ''))
+    .join('\n');
+
+// Yield the `data:` payload of each event in a streamed response body. Multi-line data fields are joined with "\n".
+// A last event the stream ends without terminating is still yielded.
+export async function* readEventStream(body) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+
+            let boundary;
+            while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+                const data = eventData(buffer.slice(0, boundary));
+                buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+                if (data) yield data;
+            }
+        }
+        const data = eventData(buffer + decoder.decode());
+        if (data) yield data;
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+// Format one SSE frame
+export const sseFrame = (payload) => `data: ${typeof payload === 'string' ? payload : JSON.stringify(payload)}\n\n`;
@@ -0,0 +1,195 @@
+// Watches
+// A watch re-asks a space's question on a cron schedule and reports what changed since its earlier runs:
+// sources whose URL no earlier run returned, and a short "what's new" comparison of the answers.
+// Schedules are standard 5-field cron (minute hour day-of-month month day-of-week), evaluated in UTC.
+
+import { mergeSourcePolicy } from './sourcePolicy.js';
+
+export const WATCH_DEFAULTS = {
+    minIntervalMinutes: 15,   // closest two runs of one schedule may be
+    maxNewSources: 20,        // new sources kept per run
+    whatsNewChars: 1200
+};
+
+const watchError = (message) => Object.assign(new Error(message), { status: 400 });
+
+// --- CRON ---
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 }
+];
+
+const parseValue = (text, field) => {
+    const index = field.names?.indexOf(text.toLowerCase()) ?? -1;
+    const value = index >= 0 ? index + field.offset : Number(text);
+    if (!/^\w+$/.test(text) || !Number.isInteger(value) || value < field.min || value > field.max) {
+        throw watchError(`Invalid ${field.name} "${text}" in schedule`);
+    }
+    return value;
+};
+
+// "1-5", "*/15", "mon,wed,fri", "10-40/10" -> Set of values
+const parseField = (text, field) => {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) throw watchError(`Invalid step "${part}" in ${field.name}`);
+        let start = field.min;
+        let end = field.max;
+        if (range !== '*') {
+            const [from, to] = range.split('-');
+            start = parseValue(from, field);
+            end = to === undefined ? (stepText === undefined ? start : field.max) : parseValue(to, field);
+            if (end < start) throw watchError(`Invalid range "${range}" in ${field.name}`);
+        }
+        for (let v = start; v <= end; v += step) values.add(v);
+    }
+    return values;
+};
+
+export const parseCron = (expression) => {
+    const text = String(expression || '').trim().toLowerCase();
+    const parts = (MACROS[text] || text).split(/\s+/);
+    if (parts.length !== 5) throw watchError('Schedule must be a 5-field cron expression, e.g. "0 7 * * *" (07:00 UTC daily)');
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    if (dayOfWeek.has(7)) dayOfWeek.add(0); // 7 is Sunday too
+    return {
+        minute, hour, dayOfMonth, month, dayOfWeek,
+        // Cron runs on either day field when both are restricted, and on the restricted one otherwise
+        anyDayOfMonth: parts[2] === '*',
+        anyDayOfWeek: parts[4] === '*'
+    };
+};
+
+const dayMatches = (cron, date) => {
+    const dom = cron.dayOfMonth.has(date.getUTCDate());
+    const dow = cron.dayOfWeek.has(date.getUTCDay());
+    if (cron.anyDayOfMonth) return dow;
+    if (cron.anyDayOfWeek) return dom;
+    return dom || dow;
+};
+
+// First time after `after` (exclusive, to the minute) that the schedule fires, or null within ~5 years
+export const nextCronRun = (expression, after = new Date()) => {
+    const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+    const date = new Date(after.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+    const limit = after.getTime() + 5 * 366 * 24 * 3600 * 1000;
+    while (date.getTime() <= limit) {
+        if (!cron.month.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0);
+        } else if (!dayMatches(cron, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0);
+        } else if (!cron.hour.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0);
+        } else if (!cron.minute.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+    return null;
+};
+
+// Normalized schedule text; throws (status 400) for bad syntax, dates that never occur, or runs too close together
+export const validateSchedule = (expression, { minIntervalMinutes = WATCH_DEFAULTS.minIntervalMinutes, now = new Date() } = {}) => {
+    const schedule = String(expression || '').trim().replace(/\s+/g, ' ');
+    const cron = parseCron(schedule);
+    let previous = nextCronRun(cron, now);
+    if (!previous) throw watchError(`Schedule "${schedule}" never runs`);
+    // Gaps can differ within one schedule ("0,5 9 * * *"), so check a run of upcoming ones
+    for (let i = 0; i < 24 * 6; i++) {
+        const next = nextCronRun(cron, previous);
+        if (!next) break;
+        if (next - previous < minIntervalMinutes * 60000) {
+            throw watchError(`Schedule "${schedule}" runs more often than every ${minIntervalMinutes} minutes`);
+        }
+        previous = next;
+    }
+    return schedule;
+};
+
+// --- SOURCE DIFF ---
+
+// Comparable form of a URL: no fragment, tracking parameters, "www." or trailing slash
+export const canonicalUrl = (url) => {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        for (const key of [...parsed.searchParams.keys()]) {
+            if (/^(utm_|fbclid$|gclid$|ref$)/i.test(key)) parsed.searchParams.delete(key);
+        }
+        const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+        const path = parsed.pathname.replace(/\/+$/, '');
+        return `${host}${path}${parsed.search}`;
+    } catch {
+        return String(url || '').trim().toLowerCase();
+    }
+};
+
+// Web sources (best first) whose URL is not in `seenUrls` (canonical form); space files are never "new"
+export const diffSources = (sources = [], seenUrls = [], { limit = WATCH_DEFAULTS.maxNewSources } = {}) => {
+    const seen = new Set(seenUrls);
+    const fresh = [];
+    for (const source of sources) {
+        if (!source?.url || source.source_type === 'space_file') continue;
+        const key = canonicalUrl(source.url);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        fresh.push({ name: source.name, url: source.url, snippet: String(source.snippet || '').slice(0, 300) });
+    }
+    return fresh.slice(0, limit);
+};
+
+// --- WHAT'S NEW ---
+
+const WHATS_NEW_PROMPT = `You monitor a topic for a research team. Compare today's report with the previous one.
+List only material changes: new facts, events, numbers, versions, statuses, or claims that were reversed. Mention new sources when they add something.
+Use 1-5 terse bullets. If nothing material changed, answer exactly: "No material changes since the last run."`;
+
+// `complete(messages, params)` returns the raw completion text. The first run has nothing to compare against.
+export const summarizeChanges = async ({ query, previousAnswer = null, answer, newSources = [] }, complete, { maxChars = WATCH_DEFAULTS.whatsNewChars } = {}) => {
+    if (!previousAnswer) return 'First run: this answer is the baseline for later comparisons.';
+    const sourceList = newSources.map(s => `- ${s.name} (${s.url})`).join('\n') || '(none)';
+    const text = await complete([
+        { role: 'system', content: WHATS_NEW_PROMPT },
+        {
+            role: 'user',
+            content: `Question: ${query}\n\nPrevious Report:\n${previousAnswer.slice(0, 6000)}\n\nToday's Report:\n${answer.slice(0, 6000)}\n\nSources Not Seen Before:\n${sourceList}`
+        }
+    ], { temperature: 0.2, max_tokens: Math.ceil(maxChars / 3) });
+    return text.trim().slice(0, maxChars);
+};
+
+// --- RUN OPTIONS ---
+
+// runResearch() options for one run, with the space's settings. The stored source policy is normalized like
+// prepareResearch() does: spaces that never saved one hold the column default `{}`.
+export const watchResearchOptions = (watch, space) => ({
+    query: watch.query,
+    search: watch.search,
+    deep: watch.deep,
+    thinking: watch.thinking,
+    spaceId: watch.space_id,
+    systemPrompt: space.system_prompt || null,
+    models: space.model_config || {},
+    sourcePolicy: mergeSourcePolicy(space.source_policy, null)
+});
@@ -1,19 +1,64 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Search, Home, Library, Settings, Sparkles, Share2, ChevronRight, Loader2, Globe, BrainCircuit, MessageSquare, Plus, Menu, Trash2, Edit2, Check, X, Moon, Sun, BookOpen, Layers, PlusCircle, MoreVertical, Mic, MicOff, Square } from 'lucide-react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Search, Home, Library, Settings, Sparkles, Share2, ChevronLeft, ChevronRight, RefreshCw, Loader2, Globe, BrainCircuit, MessageSquare, Plus, Menu, Trash2, Edit2, Check, X, Moon, Sun, BookOpen, Layers, PlusCircle, MoreVertical, Mic, MicOff, Square, LogOut, Users, NotebookPen, FileText, Upload, Download, Eye, Play, Pause } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import { supabase } from './supabase';
-import { generateSearchQueries, transcribeAudio } from './services/api';
-
-const FUNCTION_URL = import.meta.env.VITE_SUPABASE_FUNCTION_URL;
+import { generateSearchQueries, transcribeAudio, streamMonolithChat, listApiKeys, createApiKey as createServerApiKey, revokeApiKey as revokeServerApiKey, deleteApiKey as deleteServerApiKey, listSpaceMembers, inviteSpaceMember, updateSpaceMember, removeSpaceMember, refreshThreadSummary, updateThreadSummary, listSpaceFiles, uploadSpaceFile, deleteSpaceFile, exportThread, importThreads, searchHistory, listThreadShares, createThreadShare, revokeThreadShare, shareUrl, listSpaceWatches, createSpaceWatch, updateSpaceWatch, deleteSpaceWatch, runSpaceWatch, listWatchRuns } from './services/api';
+import { SPACE_ROLES, canInSpace } from '../shared/spaceRoles.js';
+import { normalizeSourcePolicy } from '../shared/sourcePolicy.js';
+import { activeBranch, branchKey, childrenByParent, selectBranchTo } from '../shared/messageTree.js';
+
+// `admin` is left out: only ADMIN_TOKEN holders can issue it (POST /api/keys with x-admin-token)
+const API_KEY_SCOPES = ['search', 'chat', 'deep'];
+
+// Regenerate menu: each entry overrides the toolbar's mode toggles for that one answer
+const REGENERATE_PRESETS = [
+  ['Same settings', {}],
+  ['Web search', { search: true, deep: false }],
+  ['Deep research', { search: true, deep: true }],
+  ['Thinking', { thinking: true }],
+  ['Offline', { search: false, deep: false }]
+];
+
+// New watch form in the space modal (schedule is cron, UTC)
+const EMPTY_WATCH_FORM = { name: '', query: '', schedule: '0 7 * * *', deep: false };
+
+// Source policy <-> space modal fields (one domain per line, reputation as "domain weight")
+const EMPTY_POLICY_FORM = { allow: '', deny: '', reputation: '', domain_cap: '' };
+const splitDomains = (text) => text.split(/[\s,]+/).filter(Boolean);
+const policyToForm = (policy) => ({
+  allow: (policy?.allow || []).join('\n'),
+  deny: (policy?.deny || []).join('\n'),
+  reputation: Object.entries(policy?.reputation || {}).map(([domain, weight]) => `${domain} ${weight}`).join('\n'),
+  domain_cap: policy?.domain_cap ?? ''
+});
+const formToPolicy = (form) => normalizeSourcePolicy({
+  allow: splitDomains(form.allow),
+  deny: splitDomains(form.deny),
+  reputation: Object.fromEntries(form.reputation.split('\n').filter(line => line.trim()).map(line => {
+    const [domain, weight] = line.trim().split(/[\s:=]+/);
+    return [domain, weight === undefined ? NaN : Number(weight)];
+  })),
+  domain_cap: form.domain_cap === '' ? null : form.domain_cap
+});
 
 const App = () => {
+  // Auth State (Supabase Auth; RLS and the server scope all data to this user)
+  const [session, setSession] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
+  const [authForm, setAuthForm] = useState({ email: '', password: '', mode: 'signin' });
+  const [authError, setAuthError] = useState('');
+
   const [query, setQuery] = useState('');
   const [isSearching, setIsSearching] = useState(false);
   const [threads, setThreads] = useState([]);
   const [activeThreadId, setActiveThreadId] = useState(null);
-  const [messages, setMessages] = useState([]);
+  const [messages, setMessages] = useState([]); // every version of every message; see shared/messageTree.js
+  const [branchSelections, setBranchSelections] = useState({}); // branchKey -> version picked at that fork
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editDraft, setEditDraft] = useState('');
+  const [regenerateMenuId, setRegenerateMenuId] = useState(null);
   const [isSidebarOpen, setIsSidebarOpen] = useState(window.innerWidth > 768);
   // const skipFetchRef = useRef(false); // Deprecated: handling state more explicitly now
 
@@ -24,18 +69,66 @@ const App = () => {
   const [editingThreadId, setEditingThreadId] = useState(null);
   const [editTitle, setEditTitle] = useState('');
   const [searchStatus, setSearchStatus] = useState('');
+  const [isSummaryOpen, setIsSummaryOpen] = useState(false);
+  const [summaryDraft, setSummaryDraft] = useState('');
+  const [summaryError, setSummaryError] = useState('');
+  const [isExportMenuOpen, setIsExportMenuOpen] = useState(false);
+  const [exportingFormat, setExportingFormat] = useState(null);
 
   // Space State
   const [spaces, setSpaces] = useState([]);
   const [activeSpaceId, setActiveSpaceId] = useState('default'); // 'default' or UUID
   const [isSpaceModalOpen, setIsSpaceModalOpen] = useState(false);
-  const [newSpaceData, setNewSpaceData] = useState({ name: '', system_prompt: '' });
+  const [newSpaceData, setNewSpaceData] = useState({ name: '', system_prompt: '', model_config: {} });
   const [editingSpaceId, setEditingSpaceId] = useState(null);
+  const [spaceMembers, setSpaceMembers] = useState([]);
+  const [inviteData, setInviteData] = useState({ identifier: '', role: 'viewer' });
+  const [memberError, setMemberError] = useState('');
+  const [policyForm, setPolicyForm] = useState(EMPTY_POLICY_FORM);
+  const [policyError, setPolicyError] = useState('');
+  const [spaceFiles, setSpaceFiles] = useState([]);
+  const [isUploadingFile, setIsUploadingFile] = useState(false);
+  const [fileError, setFileError] = useState('');
+  const [spaceWatches, setSpaceWatches] = useState([]);
+  const [watchForm, setWatchForm] = useState(EMPTY_WATCH_FORM);
+  const [watchError, setWatchError] = useState('');
+  const [openWatchRunsId, setOpenWatchRunsId] = useState(null);
+  const [watchRuns, setWatchRuns] = useState([]);
+
+  // Share Link State
+  const [isShareModalOpen, setIsShareModalOpen] = useState(false);
+  const [threadShares, setThreadShares] = useState([]);
+  const [shareExcludedIds, setShareExcludedIds] = useState([]);
+  const [isPublishing, setIsPublishing] = useState(false);
+  const [shareError, setShareError] = useState('');
+
+  // History Search State
+  const [historyQuery, setHistoryQuery] = useState('');
+  const [historyResults, setHistoryResults] = useState(null); // null = not searching, show the thread list
+  const [isHistorySearching, setIsHistorySearching] = useState(false);
+  const [pendingJumpId, setPendingJumpId] = useState(null);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+
+  // Import State
+  const [isImportModalOpen, setIsImportModalOpen] = useState(false);
+  const [importSpaceId, setImportSpaceId] = useState('default');
+  const [importFile, setImportFile] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [importResult, setImportResult] = useState(null);
+  const [importError, setImportError] = useState('');
 
   // API Key State
   const [apiKeys, setApiKeys] = useState([]);
   const [isApiKeyModalOpen, setIsApiKeyModalOpen] = useState(false);
   const [newKeyName, setNewKeyName] = useState('');
+  const [newKeySettings, setNewKeySettings] = useState({ scopes: ['search', 'chat', 'deep'], expires_at: '', allowed_space_ids: [] });
+  const [revealedKey, setRevealedKey] = useState(null); // shown once after creation
+
+  // Viewers of a shared space can read its threads but not send queries
+  const activeSpaceRole = activeSpaceId === 'default' ? 'owner' : spaces.find(s => s.id === activeSpaceId)?.role;
+  const canQuerySpace = canInSpace(activeSpaceRole, 'query');
+  const editingSpaceRole = editingSpaceId ? spaces.find(s => s.id === editingSpaceId)?.role : 'owner';
+  const canEditSpace = canInSpace(editingSpaceRole, 'edit');
 
   const [isSearchActive, setIsSearchActive] = useState(true);
   const [isDeepResearch, setIsDeepResearch] = useState(false);
@@ -55,8 +148,28 @@ const App = () => {
 
 
   useEffect(() => {
+    supabase.auth.getSession().then(({ data }) => {
+      setSession(data.session);
+      setAuthChecked(true);
+    });
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((_event, newSession) => setSession(newSession));
+    return () => subscription.unsubscribe();
+  }, []);
+
+  // Reload everything when the signed-in user changes
+  useEffect(() => {
+    if (!session) {
+      setSpaces([]);
+      setThreads([]);
+      setActiveThreadId(null);
+      setMessages([]);
+      return;
+    }
     fetchSpaces();
     fetchThreads();
+  }, [session?.user?.id]);
+
+  useEffect(() => {
     // Check system preference
     if (window.matchMedia && window.matchMedia('(prefers-color-scheme: light)').matches) {
       setTheme('light');
@@ -80,6 +193,12 @@ const App = () => {
 
   // Load messages when active thread changes
   useEffect(() => {
+    setIsSummaryOpen(false);
+    setIsExportMenuOpen(false);
+    setIsShareModalOpen(false);
+    setBranchSelections({});
+    setEditingMessageId(null);
+    setRegenerateMenuId(null);
     if (activeThreadId) {
       // Only fetch if we don't have messages yet.
       // This prevents handleSearch from being overwritten by an empty/partial fetch
@@ -106,6 +225,55 @@ const App = () => {
     }
   }, [messages, isSearching]);
 
+  // The branch on screen, which is also the history sent with the next question
+  const messageChildren = useMemo(() => childrenByParent(messages), [messages]);
+  const branchMessages = useMemo(() => activeBranch(messages, branchSelections, messageChildren), [messages, branchSelections, messageChildren]);
+
+  // Sidebar history search: debounced, scoped to the active space; a newer query cancels the older request
+  useEffect(() => {
+    const q = historyQuery.trim();
+    if (!q) {
+      setHistoryResults(null);
+      return;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setIsHistorySearching(true);
+      try {
+        setHistoryResults(await searchHistory(q, activeSpaceId, { signal: controller.signal }));
+      } catch (err) {
+        if (!controller.signal.aborted) console.error("History search failed", err);
+      } finally {
+        if (!controller.signal.aborted) setIsHistorySearching(false);
+      }
+    }, 300);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [historyQuery, activeSpaceId]);
+
+  // Scroll to a history-search hit once its thread has rendered
+  useEffect(() => {
+    if (!pendingJumpId || !messages.some(m => m.id === pendingJumpId)) return;
+    if (!branchMessages.some(m => m.id === pendingJumpId)) {
+      // The hit is in an older version of the thread: show that branch first
+      setBranchSelections(prev => selectBranchTo(messages, pendingJumpId, prev));
+      return;
+    }
+    const target = document.getElementById(`message-${pendingJumpId}`);
+    if (!target) return;
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setHighlightedMessageId(pendingJumpId);
+    setPendingJumpId(null);
+  }, [messages, branchMessages, pendingJumpId]);
+
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+    const timer = setTimeout(() => setHighlightedMessageId(null), 2500);
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId]);
+
   // Textarea auto-resize
   useEffect(() => {
     const textareas = document.querySelectorAll('.search-input');
@@ -123,7 +291,28 @@ const App = () => {
     }
   }, [isSearching]);
 
+  const handleAuthSubmit = async (e) => {
+    e.preventDefault();
+    setAuthError('');
+    const { email, password, mode } = authForm;
+    const { error } = mode === 'signup'
+      ? await supabase.auth.signUp({ email, password })
+      : await supabase.auth.signInWithPassword({ email, password });
+    if (error) {
+      setAuthError(error.message);
+    } else if (mode === 'signup') {
+      setAuthError('Check your inbox to confirm your email, then sign in.');
+      setAuthForm({ ...authForm, mode: 'signin' });
+    }
+  };
+
+  const handleSignOut = async () => {
+    abortControllerRef.current?.abort();
+    await supabase.auth.signOut();
+  };
+
   const fetchThreads = async () => {
+    if (!session) return;
     try {
       let query = supabase
         .from('conversations')
@@ -144,14 +333,17 @@ const App = () => {
     }
   };
 
+  // Spaces the user belongs to, each with the user's `role` in it
   const fetchSpaces = async () => {
+    if (!session) return;
     try {
       const { data, error } = await supabase
         .from('spaces')
-        .select('*')
+        .select('*, space_members!inner(role)')
+        .eq('space_members.user_id', session.user.id)
         .order('created_at', { ascending: false });
       if (error) throw error;
-      setSpaces(data || []);
+      setSpaces((data || []).map(({ space_members, ...space }) => ({ ...space, role: space_members[0]?.role })));
     } catch (err) {
       console.error("Failed to fetch spaces", err.message);
     }
@@ -159,18 +351,27 @@ const App = () => {
 
   const handleCreateSpace = async () => {
     if (!newSpaceData.name.trim()) return;
+    let source_policy;
+    try {
+      source_policy = formToPolicy(policyForm);
+      setPolicyError('');
+    } catch (err) {
+      setPolicyError(err.message);
+      return;
+    }
     try {
       if (editingSpaceId) {
         await supabase
           .from('spaces')
-          .update(newSpaceData)
+          .update({ ...newSpaceData, source_policy })
           .eq('id', editingSpaceId);
       } else {
         await supabase
           .from('spaces')
-          .insert(newSpaceData);
+          .insert({ ...newSpaceData, source_policy });
       }
-      setNewSpaceData({ name: '', system_prompt: '' });
+      setNewSpaceData({ name: '', system_prompt: '', model_config: {} });
+      setPolicyForm(EMPTY_POLICY_FORM);
       setIsSpaceModalOpen(false);
       setEditingSpaceId(null);
       fetchSpaces();
@@ -194,14 +395,178 @@ const App = () => {
     }
   };
 
+  const openSpaceModal = async (space) => {
+    setEditingSpaceId(space.id);
+    setNewSpaceData({ name: space.name, system_prompt: space.system_prompt, model_config: space.model_config || {} });
+    setPolicyForm(policyToForm(space.source_policy));
+    setPolicyError('');
+    setSpaceMembers([]);
+    setMemberError('');
+    setSpaceFiles([]);
+    setFileError('');
+    setSpaceWatches([]);
+    setWatchForm(EMPTY_WATCH_FORM);
+    setWatchError('');
+    setOpenWatchRunsId(null);
+    setIsSpaceModalOpen(true);
+    try {
+      setSpaceMembers(await listSpaceMembers(space.id));
+    } catch (err) {
+      console.error("Failed to fetch space members", err);
+    }
+    try {
+      setSpaceFiles(await listSpaceFiles(space.id));
+    } catch (err) {
+      console.error("Failed to fetch space files", err);
+    }
+    try {
+      setSpaceWatches(await listSpaceWatches(space.id));
+    } catch (err) {
+      console.error("Failed to fetch space watches", err);
+    }
+  };
+
+  // Knowledge files are indexed on upload, so the request returns once the file is searchable
+  const handleUploadSpaceFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+    setFileError('');
+    setIsUploadingFile(true);
+    try {
+      for (const file of files) {
+        await uploadSpaceFile(editingSpaceId, file);
+      }
+    } catch (err) {
+      setFileError(err.response?.data?.error || err.message);
+    } finally {
+      setIsUploadingFile(false);
+      setSpaceFiles(await listSpaceFiles(editingSpaceId).catch(() => spaceFiles));
+    }
+  };
+
+  const handleDeleteSpaceFile = async (fileId) => {
+    if (!window.confirm("Remove this file from the space's knowledge base?")) return;
+    setFileError('');
+    try {
+      await deleteSpaceFile(editingSpaceId, fileId);
+      setSpaceFiles(prev => prev.filter(f => f.id !== fileId));
+    } catch (err) {
+      setFileError(err.response?.data?.error || err.message);
+    }
+  };
+
+  // Watches run on the server's scheduler; each run lands in the watch's own thread
+  const handleCreateWatch = async () => {
+    if (!watchForm.name.trim() || !watchForm.query.trim()) return;
+    setWatchError('');
+    try {
+      const watch = await createSpaceWatch(editingSpaceId, watchForm);
+      setSpaceWatches(prev => [watch, ...prev]);
+      setWatchForm(EMPTY_WATCH_FORM);
+    } catch (err) {
+      setWatchError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const handleUpdateWatch = async (watchId, changes) => {
+    setWatchError('');
+    try {
+      const watch = await updateSpaceWatch(editingSpaceId, watchId, changes);
+      setSpaceWatches(prev => prev.map(w => (w.id === watchId ? watch : w)));
+    } catch (err) {
+      setWatchError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const handleRunWatch = async (watchId) => {
+    setWatchError('');
+    try {
+      const watch = await runSpaceWatch(editingSpaceId, watchId);
+      setSpaceWatches(prev => prev.map(w => (w.id === watchId ? watch : w)));
+    } catch (err) {
+      setWatchError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const handleDeleteWatch = async (watchId) => {
+    if (!window.confirm("Delete this watch? Its thread is kept.")) return;
+    setWatchError('');
+    try {
+      await deleteSpaceWatch(editingSpaceId, watchId);
+      setSpaceWatches(prev => prev.filter(w => w.id !== watchId));
+    } catch (err) {
+      setWatchError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const toggleWatchRuns = async (watchId) => {
+    if (openWatchRunsId === watchId) {
+      setOpenWatchRunsId(null);
+      return;
+    }
+    setOpenWatchRunsId(watchId);
+    setWatchRuns([]);
+    try {
+      setWatchRuns(await listWatchRuns(editingSpaceId, watchId));
+    } catch (err) {
+      setWatchError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const openWatchThread = (watch) => {
+    if (watch.conversation_id !== activeThreadId) {
+      setMessages([]);
+      setActiveThreadId(watch.conversation_id);
+    }
+    setIsSpaceModalOpen(false);
+  };
+
+  const handleInviteMember = async () => {
+    const identifier = inviteData.identifier.trim();
+    if (!identifier) return;
+    setMemberError('');
+    try {
+      const invite = identifier.includes('@') ? { email: identifier } : { user_id: identifier };
+      await inviteSpaceMember(editingSpaceId, { ...invite, role: inviteData.role });
+      setInviteData({ identifier: '', role: 'viewer' });
+      setSpaceMembers(await listSpaceMembers(editingSpaceId));
+    } catch (err) {
+      setMemberError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const handleChangeMemberRole = async (userId, role) => {
+    setMemberError('');
+    try {
+      await updateSpaceMember(editingSpaceId, userId, role);
+      setSpaceMembers(await listSpaceMembers(editingSpaceId));
+    } catch (err) {
+      setMemberError(err.response?.data?.error || err.message);
+    }
+  };
+
+  // Removing yourself means leaving the space
+  const handleRemoveMember = async (userId, spaceId = editingSpaceId) => {
+    const leaving = userId === session.user.id;
+    if (!window.confirm(leaving ? "Leave this space?" : "Remove this member?")) return;
+    setMemberError('');
+    try {
+      await removeSpaceMember(spaceId, userId);
+      if (leaving) {
+        setIsSpaceModalOpen(false);
+        if (activeSpaceId === spaceId) setActiveSpaceId('default');
+        fetchSpaces();
+      } else {
+        setSpaceMembers(await listSpaceMembers(spaceId));
+      }
+    } catch (err) {
+      setMemberError(err.response?.data?.error || err.message);
+    }
+  };
+
   const fetchApiKeys = async () => {
     try {
-      const { data, error } = await supabase
-        .from('api_keys')
-        .select('*')
-        .order('created_at', { ascending: false });
-      if (error) throw error;
-      setApiKeys(data || []);
+      setApiKeys(await listApiKeys());
     } catch (err) {
       console.error("Failed to fetch API keys", err);
     }
@@ -209,32 +574,51 @@ const App = () => {
 
   const createApiKey = async () => {
     if (!newKeyName.trim()) return;
-    const { nanoid } = await import('https://esm.sh/nanoid');
-    const newKey = `pk-${nanoid()}`;
     try {
-      await supabase
-        .from('api_keys')
-        .insert({ name: newKeyName, key: newKey });
+      const created = await createServerApiKey({
+        name: newKeyName,
+        scopes: newKeySettings.scopes,
+        expires_at: newKeySettings.expires_at ? new Date(newKeySettings.expires_at).toISOString() : null,
+        allowed_space_ids: newKeySettings.allowed_space_ids
+      });
+      setRevealedKey(created);
       setNewKeyName('');
+      setNewKeySettings({ scopes: ['search', 'chat', 'deep'], expires_at: '', allowed_space_ids: [] });
       fetchApiKeys();
     } catch (err) {
       console.error("Failed to create API key", err);
+      alert(err.response?.data?.error || err.message);
+    }
+  };
+
+  const revokeApiKey = async (id) => {
+    if (!window.confirm("Revoke this API key? Apps using it will stop working immediately.")) return;
+    try {
+      await revokeServerApiKey(id);
+      fetchApiKeys();
+    } catch (err) {
+      console.error("Failed to revoke API key", err);
     }
   };
 
   const deleteApiKey = async (id) => {
-    if (!window.confirm("Delete this API key? This will break any apps using it.")) return;
+    if (!window.confirm("Delete this API key and its usage history? This will break any apps using it.")) return;
     try {
-      await supabase
-        .from('api_keys')
-        .delete()
-        .eq('id', id);
+      await deleteServerApiKey(id);
       fetchApiKeys();
     } catch (err) {
       console.error("Failed to delete API key", err);
     }
   };
 
+  const toggleListValue = (list, value) => list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+
+  const apiKeyStatus = (key) => {
+    if (key.revoked_at) return 'Revoked';
+    if (key.expires_at && new Date(key.expires_at) <= new Date()) return 'Expired';
+    return null;
+  };
+
   const fetchMessages = async (threadId) => {
     try {
       const { data, error } = await supabase
@@ -312,7 +696,7 @@ const App = () => {
     }
   };
 
-  const saveMessage = async (threadId, role, content, searchResults = null) => {
+  const saveMessage = async (threadId, role, content, searchResults = null, parentId = null) => {
     try {
       const { data, error } = await supabase
         .from('messages')
@@ -320,7 +704,8 @@ const App = () => {
           conversation_id: threadId,
           role,
           content,
-          search_results: searchResults
+          search_results: searchResults,
+          parent_id: parentId
         })
         .select()
         .single();
@@ -351,6 +736,140 @@ const App = () => {
     }
   };
 
+  // Thread summary: what the engine "remembers" about turns older than the verbatim window
+  const applyThreadSummary = (threadId, { summary, summary_through, summary_updated_at }) => {
+    setThreads(prev => prev.map(t => t.id === threadId ? { ...t, summary, summary_through, summary_updated_at } : t));
+  };
+
+  const openThreadSummary = () => {
+    setSummaryDraft(threads.find(t => t.id === activeThreadId)?.summary || '');
+    setSummaryError('');
+    setIsSummaryOpen(true);
+  };
+
+  const saveThreadSummary = async (summary) => {
+    try {
+      const updated = await updateThreadSummary(activeThreadId, summary);
+      applyThreadSummary(activeThreadId, updated);
+      setSummaryDraft(updated.summary || '');
+      setIsSummaryOpen(false);
+    } catch (err) {
+      console.error("Failed to save thread summary", err);
+      setSummaryError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const downloadThread = async (format) => {
+    setExportingFormat(format);
+    try {
+      const { blob, filename } = await exportThread(activeThreadId, format, { leaf: branchMessages[branchMessages.length - 1]?.id });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+      setIsExportMenuOpen(false);
+    } catch (err) {
+      console.error("Failed to export thread", err);
+      alert(`Export failed: ${err.message}`);
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+
+  // Share links freeze the branch on screen; unchecked messages are left out of the snapshot
+  const openShareModal = async () => {
+    setShareExcludedIds([]);
+    setShareError('');
+    setThreadShares([]);
+    setIsShareModalOpen(true);
+    try {
+      setThreadShares(await listThreadShares(activeThreadId));
+    } catch (err) {
+      setShareError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const handlePublishShare = async () => {
+    setShareError('');
+    setIsPublishing(true);
+    try {
+      const share = await createThreadShare(activeThreadId, {
+        excludeMessageIds: shareExcludedIds,
+        leaf: branchMessages[branchMessages.length - 1]?.id
+      });
+      setThreadShares(prev => [share, ...prev]);
+      navigator.clipboard?.writeText(shareUrl(share.slug)).catch(() => {});
+    } catch (err) {
+      setShareError(err.response?.data?.error || err.message);
+    } finally {
+      setIsPublishing(false);
+    }
+  };
+
+  const handleRevokeShare = async (shareId) => {
+    if (!window.confirm("Revoke this link? Anyone who has it will no longer be able to open the thread.")) return;
+    try {
+      const revoked = await revokeThreadShare(activeThreadId, shareId);
+      setThreadShares(prev => prev.map(share => share.id === shareId ? { ...share, ...revoked } : share));
+    } catch (err) {
+      setShareError(err.response?.data?.error || err.message);
+    }
+  };
+
+  // Title-only matches just open the thread
+  const jumpToHistoryResult = (result) => {
+    if (result.conversation_id !== activeThreadId) {
+      setMessages([]);
+      setActiveThreadId(result.conversation_id);
+    }
+    setPendingJumpId(result.message_id);
+    if (window.innerWidth < 768) setIsSidebarOpen(false);
+  };
+
+  const renderHighlighted = ({ text, highlights }) => {
+    const parts = [];
+    let last = 0;
+    highlights.forEach(([start, end], i) => {
+      if (start > last) parts.push(text.slice(last, start));
+      parts.push(<mark key={i}>{text.slice(start, end)}</mark>);
+      last = end;
+    });
+    parts.push(text.slice(last));
+    return parts;
+  };
+
+  const openImportModal = () => {
+    setImportSpaceId(canQuerySpace ? activeSpaceId : 'default');
+    setImportFile(null);
+    setImportResult(null);
+    setImportError('');
+    setIsImportModalOpen(true);
+  };
+
+  // The file is parsed in the browser; the server detects the format and reports what it skipped
+  const handleImportThreads = async () => {
+    if (!importFile) return;
+    setImportError('');
+    setImportResult(null);
+    setIsImporting(true);
+    try {
+      let data;
+      try {
+        data = JSON.parse(await importFile.text());
+      } catch {
+        throw new Error(`${importFile.name} is not valid JSON`);
+      }
+      setImportResult(await importThreads(importSpaceId, data));
+      if (importSpaceId === activeSpaceId) fetchThreads();
+    } catch (err) {
+      setImportError(err.response?.data?.error || err.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
   const generateSmartTitle = async (query, answer) => {
     let title = query;
     if (title.length > 30) title = title.substring(0, 30) + '...';
@@ -362,11 +881,11 @@ const App = () => {
       abortControllerRef.current.abort();
       setIsSearching(false);
       setSearchStatus('');
-      // Clean up the last message if it was loading
+      // Clean up the last message if it was loading or mid-stream (partial tokens are kept)
       setMessages(prev => {
         const last = prev[prev.length - 1];
-        if (last && last.isLoading) {
-          return prev.map((m, i) => i === prev.length - 1 ? { ...m, isLoading: false, content: m.content || 'Generation stopped by user.' } : m);
+        if (last && (last.isLoading || last.isStreaming)) {
+          return prev.map((m, i) => i === prev.length - 1 ? { ...m, isLoading: false, isStreaming: false, content: m.content || 'Generation stopped by user.' } : m);
         }
         return prev;
       });
@@ -425,28 +944,46 @@ const App = () => {
   };
 
 
+  // Mode flags from the toolbar toggles
+  const currentModes = () => ({ search: isSearchActive || isDeepResearch, deep: isDeepResearch, thinking: isThinkingMode });
+
   const handleSearch = async (e, customQuery = null) => {
     if (e) e.preventDefault();
     const searchQuery = customQuery || query;
-    if (!searchQuery.trim()) return;
+    if (!searchQuery.trim() || !canQuerySpace) return;
+
+    setQuery('');
+    const branch = branchMessages.filter(m => !m.isError);
+    await runTurn({ searchQuery, parentId: branch[branch.length - 1]?.id || null, branch, modes: currentModes() });
+  };
 
-    const tempUserMsgId = 'user-' + Date.now();
-    const userMsg = { role: 'user', content: searchQuery, id: tempUserMsgId };
+  // One question and answer, added under `parentId`. Regenerating passes the saved `userMessage` instead of
+  // asking again. `branch` holds the messages before the question; the new version becomes the one on screen.
+  const runTurn = async ({ searchQuery, parentId = null, branch = [], modes, userMessage = null }) => {
+    const tempUserMsgId = userMessage?.id || 'user-' + Date.now();
+    const userMsg = { role: 'user', content: searchQuery, id: tempUserMsgId, parent_id: parentId };
 
     const tempAiMsgId = 'ai-temp-' + Date.now();
     const tempAiMsg = {
       role: 'assistant',
       content: '',
       id: tempAiMsgId,
+      parent_id: tempUserMsgId,
       isLoading: true
     };
 
-    setMessages(prev => [...prev, userMsg, tempAiMsg]);
-    setQuery('');
+    // Unsaved error answers drop out once the next answer starts
+    setMessages(prev => [...prev.filter(m => !m.isError), ...(userMessage ? [] : [userMsg]), tempAiMsg]);
+    setBranchSelections(prev => {
+      const next = { ...prev };
+      delete next[branchKey(userMessage ? userMessage.id : parentId)];
+      return next;
+    });
     setIsSearching(true);
     setGeneratedQueries([]);
 
     let currentThreadId = activeThreadId;
+    let userMsgId = tempUserMsgId;
 
     try {
       let isNewThread = false;
@@ -456,62 +993,123 @@ const App = () => {
           setActiveThreadId(currentThreadId);
           isNewThread = true;
         }
-      } else {
-        await saveMessage(currentThreadId, 'user', searchQuery);
       }
+      // Stored ids/timestamps let the engine tell which turns the thread summary already covers
+      const savedUserMsg = currentThreadId && !userMessage ? await saveMessage(currentThreadId, 'user', searchQuery, null, parentId) : null;
+      if (savedUserMsg) {
+        userMsgId = savedUserMsg.id;
+        setMessages(prev => prev.map(msg => {
+          if (msg.id === tempUserMsgId) return { ...msg, id: savedUserMsg.id, created_at: savedUserMsg.created_at };
+          if (msg.parent_id === tempUserMsgId) return { ...msg, parent_id: savedUserMsg.id };
+          return msg;
+        }));
+      }
+
+      const currentSpace = spaces.find(s => s.id === activeSpaceId);
 
       // 1. Determine Search Mode
       let finalQueries = [];
-      if (isSearchActive || isDeepResearch) {
+      let rewrittenQuery = null;
+      const history = branch.map(m => ({ role: m.role, content: m.content, created_at: m.created_at }));
+      if (modes.search || modes.deep) {
         setSearchStatus('Generating search paths...');
-        const queryCount = isDeepResearch ? 8 : 3;
-        finalQueries = await generateSearchQueries(searchQuery, queryCount);
+        const queryCount = modes.deep ? 8 : 3;
+        const generated = await generateSearchQueries(searchQuery, queryCount, { models: currentSpace?.model_config, history });
+        finalQueries = generated.queries;
+        rewrittenQuery = generated.rewritten_query;
         setGeneratedQueries(finalQueries);
         setSearchStatus(`Searching ${finalQueries.length} paths...`);
       } else {
         setSearchStatus('Thinking offline...');
       }
 
-      const currentSpace = spaces.find(s => s.id === activeSpaceId);
-
       // Initialize AbortController for this request
       abortControllerRef.current = new AbortController();
 
-      const { data, error } = await supabase.functions.invoke('monolith-chat', {
-        body: {
+      const updateTempMessage = (updater) => {
+        setMessages(prev => prev.map(msg => msg.id === tempAiMsgId ? { ...msg, ...updater(msg) } : msg));
+      };
+
+      let answer = '';
+      let sources = [];
+      let allSources = [];
+      let searchQueriesUsed = finalQueries;
+
+      try {
+        await streamMonolithChat({
           query: searchQuery,
           queries: finalQueries.length > 0 ? finalQueries : null,
-          history: messages.map(m => ({ role: m.role, content: m.content })),
-          search: isSearchActive || isDeepResearch,
-          deep: isDeepResearch,
-          thinking: isThinkingMode, // New: Thinking flag
+          rewritten_query: rewrittenQuery,
+          history,
+          search: modes.search || modes.deep,
+          deep: modes.deep,
+          thinking: modes.thinking, // New: Thinking flag
           space_id: activeSpaceId,
-          custom_prompt: currentSpace?.system_prompt
-        },
-        signal: abortControllerRef.current.signal
-      });
-
-      if (error) throw error;
+          conversation_id: currentThreadId,
+          custom_prompt: currentSpace?.system_prompt,
+          models: currentSpace?.model_config || null
+        }, {
+          signal: abortControllerRef.current.signal,
+          onEvent: (event) => {
+            if (event.type === 'plan') {
+              searchQueriesUsed = event.search_queries;
+              if (!event.skip_search && event.search_queries.length > 0) {
+                setGeneratedQueries(event.search_queries);
+                const followUp = event.rewritten_query && event.rewritten_query !== searchQuery ? ` for "${event.rewritten_query}"` : '';
+                setSearchStatus(`Searching ${event.search_queries.length} paths${followUp}...`);
+              }
+            } else if (event.type === 'reading') {
+              setSearchStatus(`Reading ${event.urls.length} pages...`);
+            } else if (event.type === 'knowledge') {
+              setSearchStatus(`Found ${event.chunks} passages in ${event.files.length} space file${event.files.length === 1 ? '' : 's'}...`);
+            } else if (event.type === 'sources') {
+              sources = event.sources;
+              allSources = event.all_sources;
+              setSearchStatus(sources.length > 0 ? `Reading ${sources.length} sources...` : 'Writing answer...');
+              updateTempMessage(() => ({ search_results: sources, all_sources: allSources }));
+            } else if (event.type === 'delta') {
+              answer += event.content;
+              updateTempMessage(() => ({ content: answer, isLoading: false, isStreaming: true }));
+            } else if (event.type === 'done') {
+              searchQueriesUsed = event.search_queries;
+            }
+          }
+        });
+      } catch (streamErr) {
+        // Stop button: keep whatever was streamed so far
+        if (streamErr.name !== 'AbortError') throw streamErr;
+        answer = answer || 'Generation stopped by user.';
+      }
 
+      const finalAiMsgId = 'ai-' + Date.now();
       setMessages(prev => prev.map(msg => {
         if (msg.id === tempAiMsgId) {
           return {
             role: 'assistant',
-            content: data.answer,
-            id: 'ai-' + Date.now(),
-            search_results: data.sources,
-            all_sources: data.all_sources,
-            search_queries: data.search_queries,
-            isLoading: false
+            content: answer,
+            id: finalAiMsgId,
+            parent_id: msg.parent_id,
+            search_results: sources,
+            all_sources: allSources,
+            search_queries: searchQueriesUsed,
+            isLoading: false,
+            isStreaming: false
           };
         }
         return msg;
       }));
 
-      await saveMessage(currentThreadId, 'assistant', data.answer, data.sources);
+      const savedAiMsg = await saveMessage(currentThreadId, 'assistant', answer, sources, userMsgId);
+      if (savedAiMsg) {
+        setMessages(prev => prev.map(msg => msg.id === finalAiMsgId ? { ...msg, id: savedAiMsg.id, created_at: savedAiMsg.created_at } : msg));
+        // Fold older turns into the thread summary; nothing to wait for
+        refreshThreadSummary(currentThreadId)
+          .then(updated => updated.refreshed && applyThreadSummary(currentThreadId, updated))
+          .catch(err => console.error("Failed to refresh thread summary", err));
+      }
 
       if (isNewThread) {
-        const smartTitle = await generateSmartTitle(searchQuery, data.answer);
+        const smartTitle = await generateSmartTitle(searchQuery, answer);
         await updateThreadTitle(currentThreadId, smartTitle);
       }
 
@@ -523,6 +1121,8 @@ const App = () => {
             role: 'assistant',
             content: `Error: ${err.message || 'The search engine is currently unavailable.'}`,
             id: 'error-' + Date.now(),
+            parent_id: msg.parent_id,
+            isError: true,
             isLoading: false
           };
         }
@@ -535,6 +1135,56 @@ const App = () => {
     }
   };
 
+  // A fork inside the summarized part of the thread leaves the summary describing the old branch; start it over
+  const resetSummaryIfForked = async (message) => {
+    const thread = threads.find(t => t.id === activeThreadId);
+    if (!thread?.summary_through || !message.created_at || new Date(message.created_at) > new Date(thread.summary_through)) return;
+    try {
+      applyThreadSummary(activeThreadId, await updateThreadSummary(activeThreadId, null));
+    } catch (err) {
+      console.error("Failed to reset thread summary", err);
+    }
+  };
+
+  // Editing a query asks it again as a sibling; the original and its answers stay one arrow away
+  const handleSubmitEdit = async (message) => {
+    const content = editDraft.trim();
+    setEditingMessageId(null);
+    if (!content || content === message.content || isSearching) return;
+    await resetSummaryIfForked(message);
+    const index = branchMessages.findIndex(m => m.id === message.id);
+    await runTurn({ searchQuery: content, parentId: message.parent_id || null, branch: branchMessages.slice(0, index), modes: currentModes() });
+  };
+
+  const handleRegenerate = async (answer, preset = {}) => {
+    setRegenerateMenuId(null);
+    const index = branchMessages.findIndex(m => m.id === answer.id);
+    const userMessage = branchMessages[index - 1];
+    if (!userMessage?.created_at || userMessage.role !== 'user' || isSearching) return;
+    await resetSummaryIfForked(answer);
+    await runTurn({ searchQuery: userMessage.content, userMessage, branch: branchMessages.slice(0, index - 1), modes: { ...currentModes(), ...preset } });
+  };
+
+  // "< 2/3 >" arrows between versions of a message; picking one shows the newest branch below it
+  const renderBranchNav = (message) => {
+    const key = branchKey(message?.parent_id);
+    const versions = (message && messageChildren.get(key)) || [];
+    if (versions.length < 2) return null;
+    const index = versions.findIndex(m => m.id === message.id);
+    const select = (version) => setBranchSelections(prev => ({ ...prev, [key]: version.id }));
+    return (
+      <span className="branch-nav">
+        <button disabled={isSearching || index === 0} onClick={() => select(versions[index - 1])} title="Previous version">
+          <ChevronLeft size={12} />
+        </button>
+        {index + 1}/{versions.length}
+        <button disabled={isSearching || index === versions.length - 1} onClick={() => select(versions[index + 1])} title="Next version">
+          <ChevronRight size={12} />
+        </button>
+      </span>
+    );
+  };
+
   const [allSourcesForSidebar, setAllSourcesForSidebar] = useState([]); // All searched sources
   const [sourceViewMode, setSourceViewMode] = useState('used'); // 'used' or 'all'
 
@@ -549,16 +1199,19 @@ const App = () => {
     const packs = [];
     let currentPack = {};
 
-    messages.forEach(msg => {
+    branchMessages.forEach(msg => {
       if (msg.role === 'user') {
         if (currentPack.user) packs.push(currentPack);
-        currentPack = { user: msg.content, id: msg.id };
+        currentPack = { user: msg.content, id: msg.id, userMsg: msg };
       } else if (msg.role === 'assistant') {
         currentPack.ai = msg.content;
+        currentPack.aiId = msg.id;
+        currentPack.aiMsg = msg;
         currentPack.sources = msg.search_results ? (typeof msg.search_results === 'string' ? JSON.parse(msg.search_results) : msg.search_results) : [];
         currentPack.allSources = msg.all_sources || []; // ALL sources searched
         currentPack.searchQueries = msg.search_queries || [];
         currentPack.isLoading = msg.isLoading;
+        currentPack.isStreaming = msg.isStreaming;
         packs.push(currentPack);
         currentPack = {};
       }
@@ -570,14 +1223,49 @@ const App = () => {
         <motion.header
           initial={{ opacity: 0, y: 10 }}
           animate={{ opacity: 1, y: 0 }}
-          className="results-header"
+          id={pack.id ? `message-${pack.id}` : undefined}
+          className={`results-header ${pack.id && pack.id === highlightedMessageId ? 'search-hit-flash' : ''}`}
         >
           {pack.user && (
             <>
               <div className="section-label">
                 <Globe size={14} className="section-icon" /> Query
+                <span className="message-actions">
+                  {renderBranchNav(pack.userMsg)}
+                  {canQuerySpace && !isSearching && pack.userMsg?.created_at && editingMessageId !== pack.id && (
+                    <button
+                      className="message-action-btn"
+                      onClick={() => { setEditingMessageId(pack.id); setEditDraft(pack.user); }}
+                      title="Edit and ask again"
+                    >
+                      <Edit2 size={12} />
+                    </button>
+                  )}
+                </span>
               </div>
-              <h2 className="results-query">{pack.user}</h2>
+              {editingMessageId === pack.id ? (
+                <div className="query-edit">
+                  <textarea
+                    autoFocus
+                    value={editDraft}
+                    onChange={(e) => setEditDraft(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter' && !e.shiftKey) {
+                        e.preventDefault();
+                        handleSubmitEdit(pack.userMsg);
+                      } else if (e.key === 'Escape') {
+                        setEditingMessageId(null);
+                      }
+                    }}
+                  />
+                  <div className="query-edit-actions">
+                    <button className="btn-secondary" onClick={() => setEditingMessageId(null)}>Cancel</button>
+                    <button className="btn-primary" disabled={!editDraft.trim()} onClick={() => handleSubmitEdit(pack.userMsg)}>Ask again</button>
+                  </div>
+                </div>
+              ) : (
+                <h2 className="results-query">{pack.user}</h2>
+              )}
             </>
           )}
         </motion.header>
@@ -587,7 +1275,8 @@ const App = () => {
             initial={{ opacity: 0 }}
             animate={{ opacity: 1 }}
             transition={{ duration: 0.5 }}
-            className="mb-6"
+            id={pack.aiId ? `message-${pack.aiId}` : undefined}
+            className={`mb-6 ${pack.aiId && pack.aiId === highlightedMessageId ? 'search-hit-flash' : ''}`}
           >
             {/* Show search status and generated queries while loading */}
             {pack.isLoading && (
@@ -616,6 +1305,27 @@ const App = () => {
 
             <div className="section-label">
               <Sparkles size={14} className="section-icon" /> {pack.isLoading ? 'Searching...' : 'Intelligent Answer'}
+              <span className="message-actions">
+                {renderBranchNav(pack.aiMsg)}
+                {canQuerySpace && !isSearching && pack.userMsg?.created_at && (
+                  <div className="thread-export">
+                    <button
+                      className={`message-action-btn ${regenerateMenuId === pack.aiId ? 'active' : ''}`}
+                      onClick={() => setRegenerateMenuId(regenerateMenuId === pack.aiId ? null : pack.aiId)}
+                      title="Regenerate answer"
+                    >
+                      <RefreshCw size={12} />
+                    </button>
+                    {regenerateMenuId === pack.aiId && (
+                      <div className="thread-export-menu regenerate-menu">
+                        {REGENERATE_PRESETS.map(([label, preset]) => (
+                          <button key={label} onClick={() => handleRegenerate(pack.aiMsg, preset)}>{label}</button>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </span>
             </div>
 
             {pack.isLoading ? (
@@ -624,14 +1334,13 @@ const App = () => {
               <div className="answer-content markdown-body">
                 {pack.ai ? (
                   <ReactMarkdown remarkPlugins={[remarkGfm]}>{pack.ai}</ReactMarkdown>
-                ) : (
-                  <span className="blinking-cursor">▍</span>
-                )}
+                ) : null}
+                {(!pack.ai || pack.isStreaming) && <span className="blinking-cursor">▍</span>}
               </div>
             )}
 
             {/* View Sources Button - Shows used sources + total searched */}
-            {!pack.isLoading && pack.sources && pack.sources.length > 0 && (
+            {!pack.isLoading && !pack.isStreaming && pack.sources && pack.sources.length > 0 && (
               <motion.div
                 initial={{ opacity: 0 }}
                 animate={{ opacity: 1 }}
@@ -658,6 +1367,52 @@ const App = () => {
     ));
   };
 
+  if (!authChecked) return null;
+
+  if (!session) {
+    return (
+      <div className="auth-screen">
+        <form className="modal-content auth-card" onSubmit={handleAuthSubmit}>
+          <div className="modal-header">
+            <h3>{authForm.mode === 'signup' ? 'Create your Monolith account' : 'Sign in to Monolith'}</h3>
+          </div>
+          <div className="modal-body">
+            <div className="input-group">
+              <label>Email</label>
+              <input
+                type="email"
+                required
+                value={authForm.email}
+                onChange={(e) => setAuthForm({ ...authForm, email: e.target.value })}
+              />
+            </div>
+            <div className="input-group">
+              <label>Password</label>
+              <input
+                type="password"
+                required
+                minLength={6}
+                value={authForm.password}
+                onChange={(e) => setAuthForm({ ...authForm, password: e.target.value })}
+              />
+            </div>
+            {authError && <p className="text-xs text-red-500">{authError}</p>}
+          </div>
+          <div className="modal-footer">
+            <button
+              type="button"
+              className="btn-secondary"
+              onClick={() => setAuthForm({ ...authForm, mode: authForm.mode === 'signup' ? 'signin' : 'signup' })}
+            >
+              {authForm.mode === 'signup' ? 'I have an account' : 'Create account'}
+            </button>
+            <button type="submit" className="btn-primary">{authForm.mode === 'signup' ? 'Sign Up' : 'Sign In'}</button>
+          </div>
+        </form>
+      </div>
+    );
+  }
+
   return (
     <div className="app-container">
       {/* Mobile Top Bar */}
@@ -705,7 +1460,7 @@ const App = () => {
             <div className="nav-section-title">
               <span>Spaces</span>
               <button
-                onClick={() => { setEditingSpaceId(null); setNewSpaceData({ name: '', system_prompt: '' }); setIsSpaceModalOpen(true); }}
+                onClick={() => { setEditingSpaceId(null); setNewSpaceData({ name: '', system_prompt: '', model_config: {} }); setPolicyForm(EMPTY_POLICY_FORM); setPolicyError(''); setSpaceMembers([]); setSpaceFiles([]); setSpaceWatches([]); setIsSpaceModalOpen(true); }}
                 title="Create New Space"
               >
                 <PlusCircle size={16} />
@@ -725,27 +1480,67 @@ const App = () => {
                   className={`nav-item group ${activeSpaceId === space.id ? 'active' : ''}`}
                   onClick={() => { setActiveSpaceId(space.id); if (window.innerWidth < 768) setIsSidebarOpen(false); }}
                 >
-                  <Layers size={16} className="shrink-0" />
+                  {space.role === 'owner' ? <Layers size={16} className="shrink-0" /> : <Users size={16} className="shrink-0" title="Shared with you" />}
                   <span className="nav-text">{space.name}</span>
                   <div className="nav-item-actions opacity-0 group-hover:opacity-100 flex gap-1">
-                    <button className="action-btn" onClick={(e) => {
+                    <button className="action-btn" title={canInSpace(space.role, 'edit') ? 'Edit space' : 'Members'} onClick={(e) => {
                       e.stopPropagation();
-                      setEditingSpaceId(space.id);
-                      setNewSpaceData({ name: space.name, system_prompt: space.system_prompt });
-                      setIsSpaceModalOpen(true);
+                      openSpaceModal(space);
                     }}>
-                      <Edit2 size={12} />
-                    </button>
-                    <button className="action-btn delete" onClick={(e) => handleDeleteSpace(e, space.id)}>
-                      <Trash2 size={12} />
+                      {canInSpace(space.role, 'edit') ? <Edit2 size={12} /> : <Users size={12} />}
                     </button>
+                    {canInSpace(space.role, 'manage') ? (
+                      <button className="action-btn delete" onClick={(e) => handleDeleteSpace(e, space.id)}>
+                        <Trash2 size={12} />
+                      </button>
+                    ) : (
+                      <button className="action-btn delete" title="Leave space" onClick={(e) => { e.stopPropagation(); handleRemoveMember(session.user.id, space.id); }}>
+                        <LogOut size={12} />
+                      </button>
+                    )}
                   </div>
                 </div>
               ))}
             </div>
 
-            <div className="nav-section-title">History</div>
-            <div className="threads-list">
+            <div className="nav-section-title">
+              <span>History</span>
+              <button onClick={openImportModal} title="Import conversations">
+                <Upload size={14} />
+              </button>
+            </div>
+            <div className="history-search">
+              {isHistorySearching ? <Loader2 size={14} className="animate-spin" /> : <Search size={14} />}
+              <input
+                placeholder="Search history..."
+                value={historyQuery}
+                onChange={(e) => setHistoryQuery(e.target.value)}
+                onKeyDown={(e) => e.key === 'Escape' && setHistoryQuery('')}
+              />
+              {historyQuery && (
+                <button className="action-btn" onClick={() => setHistoryQuery('')} title="Clear search"><X size={12} /></button>
+              )}
+            </div>
+            {historyResults !== null && (
+              <div className="threads-list">
+                {historyResults.length === 0 && !isHistorySearching && <p className="history-search-empty">No matching threads</p>}
+                {historyResults.map(result => (
+                  <div
+                    key={result.conversation_id}
+                    className={`nav-item history-hit ${activeThreadId === result.conversation_id ? 'active' : ''}`}
+                    onClick={() => jumpToHistoryResult(result)}
+                  >
+                    <MessageSquare size={16} className="shrink-0" />
+                    <div className="history-hit-body">
+                      <span className="nav-text">{renderHighlighted(result.title_highlight)}</span>
+                      {result.snippet && <span className="history-hit-snippet">{renderHighlighted(result.snippet)}</span>}
+                      {result.match_count > 1 && <span className="history-hit-count">{result.match_count} matching messages</span>}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+            {historyResults === null && <div className="threads-list">
               {threads.map(thread => (
                 <div
                   key={thread.id}
@@ -792,7 +1587,7 @@ const App = () => {
                   )}
                 </div>
               ))}
-            </div>
+            </div>}
           </nav>
         )}
 
@@ -805,6 +1600,10 @@ const App = () => {
             {theme === 'dark' ? <Sun size={18} /> : <Moon size={18} />}
             {isSidebarOpen && <span>{theme === 'dark' ? 'Light Mode' : 'Dark Mode'}</span>}
           </button>
+          <button className="nav-item w-full" onClick={handleSignOut} title={`Sign out ${session.user.email || ''}`}>
+            <LogOut size={20} />
+            {isSidebarOpen && <span className="nav-text">Sign Out</span>}
+          </button>
         </div>
       </aside>
 
@@ -868,10 +1667,11 @@ const App = () => {
                     <div className="search-input-group">
                       <textarea
                         className="search-input"
-                        placeholder={!(isSearchActive || isDeepResearch) ? (transcriptionLoading ? "Transcribing..." : "Chat offline...") : (transcriptionLoading ? "Transcribing..." : "Ask anything...")}
+                        placeholder={!canQuerySpace ? "View only: ask a space owner for editor access" : !(isSearchActive || isDeepResearch) ? (transcriptionLoading ? "Transcribing..." : "Chat offline...") : (transcriptionLoading ? "Transcribing..." : "Ask anything...")}
                         value={query}
                         onChange={(e) => setQuery(e.target.value)}
                         onKeyDown={handleKeyDown}
+                        disabled={!canQuerySpace}
                         rows={1}
                         style={{ height: 'auto', minHeight: '44px', padding: '12px 4px' }}
                       />
@@ -916,7 +1716,80 @@ const App = () => {
                 <div className="space-sticky-label">
                   <Layers size={12} className="shrink-0" />
                   <span>{activeSpaceId === 'default' ? 'monolith' : spaces.find(s => s.id === activeSpaceId)?.name || 'monolith'}</span>
+                  {activeThreadId && (
+                    <button
+                      className={`thread-summary-toggle ${isSummaryOpen ? 'active' : ''}`}
+                      onClick={() => isSummaryOpen ? setIsSummaryOpen(false) : openThreadSummary()}
+                      title="Thread memory"
+                    >
+                      <NotebookPen size={12} />
+                    </button>
+                  )}
+                  {activeThreadId && (
+                    <div className="thread-export">
+                      <button
+                        className={`thread-summary-toggle ${isExportMenuOpen ? 'active' : ''}`}
+                        onClick={() => setIsExportMenuOpen(!isExportMenuOpen)}
+                        title="Export thread"
+                      >
+                        <Download size={12} />
+                      </button>
+                      {isExportMenuOpen && (
+                        <div className="thread-export-menu">
+                          {[['md', 'Markdown'], ['html', 'HTML'], ['pdf', 'PDF'], ['json', 'JSON']].map(([format, label]) => (
+                            <button key={format} disabled={Boolean(exportingFormat)} onClick={() => downloadThread(format)}>
+                              {exportingFormat === format ? <Loader2 size={12} className="animate-spin" /> : <FileText size={12} />}
+                              {label}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  )}
+                  {activeThreadId && (threads.find(t => t.id === activeThreadId)?.owner_id === session.user.id || canInSpace(activeSpaceRole, 'edit')) && (
+                    <button
+                      className={`thread-summary-toggle ${isShareModalOpen ? 'active' : ''}`}
+                      onClick={openShareModal}
+                      title="Share a read-only link"
+                    >
+                      <Share2 size={12} />
+                    </button>
+                  )}
                 </div>
+                {isSummaryOpen && (() => {
+                  const thread = threads.find(t => t.id === activeThreadId);
+                  const canEditSummary = thread?.owner_id === session.user.id || canInSpace(activeSpaceRole, 'edit');
+                  return (
+                    <div className="thread-summary-panel">
+                      <div className="thread-summary-header">
+                        <span>Thread memory</span>
+                        <span className="thread-summary-meta">
+                          {thread?.summary_through
+                            ? `Covers messages up to ${new Date(thread.summary_through).toLocaleString()}`
+                            : 'Older turns are summarized here once the thread grows'}
+                        </span>
+                      </div>
+                      <textarea
+                        className="base-input"
+                        rows={6}
+                        value={summaryDraft}
+                        onChange={(e) => setSummaryDraft(e.target.value)}
+                        placeholder="No summary yet. Write what the assistant should remember about this thread."
+                        readOnly={!canEditSummary}
+                      />
+                      {summaryError && <p className="text-xs text-red-500">{summaryError}</p>}
+                      {canEditSummary && (
+                        <div className="thread-summary-actions">
+                          {thread?.summary && (
+                            <button className="btn-secondary" onClick={() => saveThreadSummary(null)}>Clear</button>
+                          )}
+                          <button className="btn-secondary" onClick={() => setIsSummaryOpen(false)}>Cancel</button>
+                          <button className="btn-primary" onClick={() => saveThreadSummary(summaryDraft)}>Save</button>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })()}
                 {/* Render Conversation logic handles the loading state now */}
                 {renderConversation()}
                 <div className="chat-bottom-spacer" />
@@ -976,19 +1849,28 @@ const App = () => {
                   {(sourceViewMode === 'used' ? sidebarSources : allSourcesForSidebar).map((source, idx) => (
                     <a
                       key={idx}
-                      href={source.url}
+                      href={source.source_type === 'space_file' ? undefined : source.url}
                       target="_blank"
                       rel="noreferrer"
                       className="source-card sidebar-card"
                     >
                       <div className="source-header">
-                        <img
-                          src={`https://www.google.com/s2/favicons?sz=64&domain=${new URL(source.url).hostname}`}
-                          className="source-favicon"
-                          alt=""
-                          onError={(e) => e.target.style.display = 'none'}
-                        />
-                        <span className="source-domain">{new URL(source.url).hostname}</span>
+                        {source.source_type === 'space_file' ? (
+                          <>
+                            <FileText size={16} className="source-favicon" />
+                            <span className="source-domain">Space file</span>
+                          </>
+                        ) : (
+                          <>
+                            <img
+                              src={`https://www.google.com/s2/favicons?sz=64&domain=${new URL(source.url).hostname}`}
+                              className="source-favicon"
+                              alt=""
+                              onError={(e) => e.target.style.display = 'none'}
+                            />
+                            <span className="source-domain">{new URL(source.url).hostname}</span>
+                          </>
+                        )}
                         {sourceViewMode === 'used' && source.relevance_score && (
                           <span className="relevance-badge">
                             {Math.round(source.relevance_score * 100)}% match
@@ -1053,10 +1935,11 @@ const App = () => {
                 <div className="search-input-group">
                   <textarea
                     className="search-input"
-                    placeholder={!(isSearchActive || isDeepResearch) ? (transcriptionLoading ? "Transcribing..." : "Chat offline...") : (transcriptionLoading ? "Transcribing..." : "Ask a follow-up...")}
+                    placeholder={!canQuerySpace ? "View only: ask a space owner for editor access" : !(isSearchActive || isDeepResearch) ? (transcriptionLoading ? "Transcribing..." : "Chat offline...") : (transcriptionLoading ? "Transcribing..." : "Ask a follow-up...")}
                     value={query}
                     onChange={(e) => setQuery(e.target.value)}
                     onKeyDown={handleKeyDown}
+                    disabled={!canQuerySpace}
                     rows={1}
                     style={{ height: 'auto', minHeight: '44px', padding: '12px 4px' }}
                   />
@@ -1097,7 +1980,7 @@ const App = () => {
               className="modal-content"
             >
               <div className="modal-header">
-                <h3>{editingSpaceId ? 'Edit Space' : 'Create New Space'}</h3>
+                <h3>{editingSpaceId ? (canEditSpace ? 'Edit Space' : 'Space Members') : 'Create New Space'}</h3>
                 <button onClick={() => setIsSpaceModalOpen(false)}><X size={20} /></button>
               </div>
               <div className="modal-body">
@@ -1106,6 +1989,7 @@ const App = () => {
                   <input
                     placeholder="e.g. Legal Research, Coding Sidekick..."
                     value={newSpaceData.name}
+                    disabled={!canEditSpace}
                     onChange={(e) => setNewSpaceData({ ...newSpaceData, name: e.target.value })}
                   />
                 </div>
@@ -1115,14 +1999,375 @@ const App = () => {
                     placeholder="e.g. You are a legal expert... Always focus on case law..."
                     rows={5}
                     value={newSpaceData.system_prompt}
+                    disabled={!canEditSpace}
                     onChange={(e) => setNewSpaceData({ ...newSpaceData, system_prompt: e.target.value })}
                   />
                 </div>
+                <div className="input-group">
+                  <label>Model Overrides (optional)</label>
+                  <div className="model-override-grid">
+                    {[['planner', 'Planner'], ['synthesizer', 'Synthesizer'], ['thinker', 'Thinker']].map(([role, label]) => (
+                      <input
+                        key={role}
+                        placeholder={`${label} model`}
+                        value={newSpaceData.model_config?.[role] || ''}
+                        disabled={!canEditSpace}
+                        onChange={(e) => setNewSpaceData({
+                          ...newSpaceData,
+                          model_config: { ...newSpaceData.model_config, [role]: e.target.value || undefined }
+                        })}
+                      />
+                    ))}
+                  </div>
+                </div>
+                <div className="input-group">
+                  <label>Source Policy (optional)</label>
+                  <div className="source-policy-grid">
+                    <textarea
+                      placeholder={'Only these domains\ne.g. nature.com\ngov'}
+                      rows={3}
+                      value={policyForm.allow}
+                      disabled={!canEditSpace}
+                      onChange={(e) => setPolicyForm({ ...policyForm, allow: e.target.value })}
+                    />
+                    <textarea
+                      placeholder={'Never these domains\ne.g. contentfarm.com'}
+                      rows={3}
+                      value={policyForm.deny}
+                      disabled={!canEditSpace}
+                      onChange={(e) => setPolicyForm({ ...policyForm, deny: e.target.value })}
+                    />
+                    <textarea
+                      placeholder={'Reputation weights (-1 to 1)\ne.g. github.com 0.3'}
+                      rows={3}
+                      value={policyForm.reputation}
+                      disabled={!canEditSpace}
+                      onChange={(e) => setPolicyForm({ ...policyForm, reputation: e.target.value })}
+                    />
+                    <input
+                      type="number"
+                      min={1}
+                      max={50}
+                      placeholder="Max results per domain (default 3)"
+                      value={policyForm.domain_cap}
+                      disabled={!canEditSpace}
+                      onChange={(e) => setPolicyForm({ ...policyForm, domain_cap: e.target.value })}
+                    />
+                  </div>
+                  {policyError && <p className="text-xs text-red-500">{policyError}</p>}
+                </div>
+                {editingSpaceId && (
+                  <div className="input-group">
+                    <label>Members</label>
+                    <div className="space-members-list">
+                      {spaceMembers.map(member => (
+                        <div key={member.user_id} className="space-member-row">
+                          <span className="flex-1 text-sm truncate">
+                            {member.email || member.user_id}
+                            {member.user_id === session.user.id && <span className="text-muted"> (you)</span>}
+                          </span>
+                          {canInSpace(editingSpaceRole, 'manage') ? (
+                            <select value={member.role} onChange={(e) => handleChangeMemberRole(member.user_id, e.target.value)}>
+                              {SPACE_ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                            </select>
+                          ) : (
+                            <span className="text-xs text-muted">{member.role}</span>
+                          )}
+                          {(canInSpace(editingSpaceRole, 'manage') || member.user_id === session.user.id) && (
+                            <button className="action-btn delete" title={member.user_id === session.user.id ? 'Leave space' : 'Remove member'} onClick={() => handleRemoveMember(member.user_id)}>
+                              <X size={14} />
+                            </button>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                    {canInSpace(editingSpaceRole, 'manage') && (
+                      <div className="space-member-row">
+                        <input
+                          placeholder="Invite by email or user id"
+                          value={inviteData.identifier}
+                          onChange={(e) => setInviteData({ ...inviteData, identifier: e.target.value })}
+                        />
+                        <select value={inviteData.role} onChange={(e) => setInviteData({ ...inviteData, role: e.target.value })}>
+                          {SPACE_ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                        </select>
+                        <button className="btn-secondary whitespace-nowrap" onClick={handleInviteMember}>Invite</button>
+                      </div>
+                    )}
+                    {memberError && <p className="text-xs text-red-500">{memberError}</p>}
+                  </div>
+                )}
+                {editingSpaceId && (
+                  <div className="input-group">
+                    <label>Knowledge Files</label>
+                    <div className="space-members-list">
+                      {spaceFiles.length === 0 && <p className="text-xs text-muted">No files yet. Uploaded documents are searched alongside the web.</p>}
+                      {spaceFiles.map(file => (
+                        <div key={file.id} className="space-member-row">
+                          <FileText size={14} className="text-muted" />
+                          <span className="flex-1 text-sm truncate" title={file.error || file.name}>{file.name}</span>
+                          <span className={`text-xs ${file.status === 'error' ? 'text-red-500' : 'text-muted'}`}>
+                            {file.status === 'ready' ? `${file.chunk_count} chunks` : file.status}
+                          </span>
+                          {canEditSpace && (
+                            <button className="action-btn delete" title="Remove file" onClick={() => handleDeleteSpaceFile(file.id)}>
+                              <X size={14} />
+                            </button>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                    {canEditSpace && (
+                      <label className="btn-secondary space-file-upload">
+                        {isUploadingFile ? <Loader2 size={14} className="animate-spin" /> : <Upload size={14} />}
+                        {isUploadingFile ? 'Indexing...' : 'Upload Markdown, text, HTML, PDF or CSV'}
+                        <input
+                          type="file"
+                          multiple
+                          hidden
+                          accept=".md,.markdown,.txt,.html,.htm,.pdf,.csv"
+                          disabled={isUploadingFile}
+                          onChange={(e) => { handleUploadSpaceFiles(e.target.files); e.target.value = ''; }}
+                        />
+                      </label>
+                    )}
+                    {fileError && <p className="text-xs text-red-500">{fileError}</p>}
+                  </div>
+                )}
+                {editingSpaceId && (
+                  <div className="input-group">
+                    <label>Watches</label>
+                    <div className="space-members-list">
+                      {spaceWatches.length === 0 && <p className="text-xs text-muted">No watches yet. A watch re-runs a query on a schedule and notes what changed.</p>}
+                      {spaceWatches.map(watch => (
+                        <div key={watch.id} className="watch-item">
+                          <div className="space-member-row">
+                            <Eye size={14} className={`text-muted ${watch.enabled ? '' : 'watch-paused'}`} />
+                            <span className="flex-1 text-sm truncate" title={watch.query}>{watch.name}</span>
+                            <code className="text-xs text-muted" title="Cron schedule (UTC)">{watch.schedule}</code>
+                            <span className={`text-xs ${watch.last_status === 'failed' ? 'text-red-500' : 'text-muted'}`} title={watch.last_error || ''}>
+                              {!watch.enabled ? 'paused' : watch.last_status || 'not run yet'}
+                            </span>
+                            <button className="action-btn" title="Runs" onClick={() => toggleWatchRuns(watch.id)}>
+                              <ChevronRight size={14} className={`watch-runs-toggle ${openWatchRunsId === watch.id ? 'open' : ''}`} />
+                            </button>
+                            {watch.conversation_id && (
+                              <button className="action-btn" title="Open thread" onClick={() => openWatchThread(watch)}>
+                                <MessageSquare size={14} />
+                              </button>
+                            )}
+                            {canEditSpace && (
+                              <>
+                                <button className="action-btn" title="Run now" disabled={!watch.enabled} onClick={() => handleRunWatch(watch.id)}>
+                                  <RefreshCw size={14} />
+                                </button>
+                                <button className="action-btn" title={watch.enabled ? 'Pause' : 'Resume'} onClick={() => handleUpdateWatch(watch.id, { enabled: !watch.enabled })}>
+                                  {watch.enabled ? <Pause size={14} /> : <Play size={14} />}
+                                </button>
+                                <button className="action-btn delete" title="Delete watch" onClick={() => handleDeleteWatch(watch.id)}>
+                                  <X size={14} />
+                                </button>
+                              </>
+                            )}
+                          </div>
+                          {openWatchRunsId === watch.id && (
+                            <div className="watch-runs">
+                              {watch.enabled && watch.next_run_at && (
+                                <p className="text-xs text-muted">Next run {new Date(watch.next_run_at).toLocaleString()}</p>
+                              )}
+                              {watchRuns.length === 0 && <p className="text-xs text-muted">No runs yet.</p>}
+                              {watchRuns.map(run => (
+                                <div key={run.id} className="watch-run">
+                                  <div className="text-xs text-muted">
+                                    {new Date(run.started_at).toLocaleString()} · {run.status}
+                                    {run.status === 'succeeded' && ` · ${run.new_sources.length} new source${run.new_sources.length === 1 ? '' : 's'}`}
+                                  </div>
+                                  {run.error && <p className="text-xs text-red-500">{run.error}</p>}
+                                  {run.whats_new && <p className="watch-run-note">{run.whats_new}</p>}
+                                  {run.new_sources.length > 0 && (
+                                    <ul className="watch-run-sources">
+                                      {run.new_sources.map(source => (
+                                        <li key={source.url}><a href={source.url} target="_blank" rel="noreferrer">{source.name}</a></li>
+                                      ))}
+                                    </ul>
+                                  )}
+                                </div>
+                              ))}
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                    {canEditSpace && (
+                      <div className="watch-form">
+                        <div className="space-member-row">
+                          <input
+                            placeholder="Name"
+                            value={watchForm.name}
+                            onChange={(e) => setWatchForm({ ...watchForm, name: e.target.value })}
+                          />
+                          <input
+                            className="watch-schedule-input"
+                            placeholder="Cron (UTC)"
+                            title="minute hour day-of-month month day-of-week, in UTC (e.g. 0 7 * * 1-5)"
+                            value={watchForm.schedule}
+                            onChange={(e) => setWatchForm({ ...watchForm, schedule: e.target.value })}
+                          />
+                        </div>
+                        <div className="space-member-row">
+                          <input
+                            placeholder="Query to re-run"
+                            value={watchForm.query}
+                            onChange={(e) => setWatchForm({ ...watchForm, query: e.target.value })}
+                          />
+                          <label className="watch-deep-toggle">
+                            <input type="checkbox" checked={watchForm.deep} onChange={(e) => setWatchForm({ ...watchForm, deep: e.target.checked })} />
+                            Deep
+                          </label>
+                          <button className="btn-secondary whitespace-nowrap" onClick={handleCreateWatch}>Add Watch</button>
+                        </div>
+                      </div>
+                    )}
+                    {watchError && <p className="text-xs text-red-500">{watchError}</p>}
+                  </div>
+                )}
+              </div>
+              <div className="modal-footer">
+                <button className="btn-secondary" onClick={() => setIsSpaceModalOpen(false)}>{canEditSpace ? 'Cancel' : 'Close'}</button>
+                {canEditSpace && (
+                  <button className="btn-primary" onClick={handleCreateSpace}>
+                    {editingSpaceId ? 'Update Space' : 'Create Space'}
+                  </button>
+                )}
+              </div>
+            </motion.div>
+          </div>
+        )}
+      </AnimatePresence>
+      {/* Import Modal */}
+      <AnimatePresence>
+        {isImportModalOpen && (
+          <div className="modal-overlay">
+            <motion.div
+              initial={{ scale: 0.9, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.9, opacity: 0 }}
+              className="modal-content"
+            >
+              <div className="modal-header">
+                <h3>Import Conversations</h3>
+                <button onClick={() => setIsImportModalOpen(false)}><X size={20} /></button>
+              </div>
+              <div className="modal-body">
+                <div className="input-group">
+                  <label>Space</label>
+                  <select className="base-input" value={importSpaceId} onChange={(e) => setImportSpaceId(e.target.value)}>
+                    <option value="default">monolith</option>
+                    {spaces.filter(space => canInSpace(space.role, 'query')).map(space => (
+                      <option key={space.id} value={space.id}>{space.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="input-group">
+                  <label>Export File</label>
+                  <input type="file" accept=".json,application/json" onChange={(e) => { setImportFile(e.target.files[0] || null); setImportResult(null); }} />
+                  <p className="text-xs text-muted">A Monolith JSON export, ChatGPT's conversations.json, or an array of {'{ role, content }'} messages. Timestamps are kept.</p>
+                </div>
+                {importError && <p className="text-xs text-red-500">{importError}</p>}
+                {importResult && (
+                  <div className="import-report">
+                    <p className="text-sm">
+                      Imported {importResult.imported.length} thread{importResult.imported.length === 1 ? '' : 's'} ({importResult.format} format)
+                      {importResult.imported.some(t => t.skipped_messages) && `, ${importResult.imported.reduce((sum, t) => sum + t.skipped_messages, 0)} invalid messages left out`}.
+                    </p>
+                    {importResult.skipped.length > 0 && (
+                      <>
+                        <p className="text-sm">Skipped {importResult.skipped.length}:</p>
+                        <ul className="import-skipped">
+                          {importResult.skipped.map(entry => (
+                            <li key={entry.index} className="text-xs text-muted">
+                              #{entry.index + 1}{entry.title ? ` "${entry.title}"` : ''}: {entry.reason}
+                            </li>
+                          ))}
+                        </ul>
+                      </>
+                    )}
+                  </div>
+                )}
               </div>
               <div className="modal-footer">
-                <button className="btn-secondary" onClick={() => setIsSpaceModalOpen(false)}>Cancel</button>
-                <button className="btn-primary" onClick={handleCreateSpace}>
-                  {editingSpaceId ? 'Update Space' : 'Create Space'}
+                <button className="btn-secondary" onClick={() => setIsImportModalOpen(false)}>{importResult ? 'Done' : 'Cancel'}</button>
+                <button className="btn-primary" disabled={!importFile || isImporting} onClick={handleImportThreads}>
+                  {isImporting ? 'Importing...' : 'Import'}
+                </button>
+              </div>
+            </motion.div>
+          </div>
+        )}
+      </AnimatePresence>
+      {/* Share Link Modal */}
+      <AnimatePresence>
+        {isShareModalOpen && (
+          <div className="modal-overlay">
+            <motion.div
+              initial={{ scale: 0.9, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.9, opacity: 0 }}
+              className="modal-content max-w-2xl"
+            >
+              <div className="modal-header">
+                <h3>Share Thread</h3>
+                <button onClick={() => setIsShareModalOpen(false)}><X size={20} /></button>
+              </div>
+              <div className="modal-body">
+                <p className="text-secondary text-sm mb-4">
+                  Anyone with the link can read a copy of this thread as it is now, with its sources. Later messages are not added. Passages quoted from space files are not published.
+                </p>
+                <div className="input-group">
+                  <label>Messages to include</label>
+                  <div className="share-message-list">
+                    {branchMessages.filter(m => m.created_at).map(message => (
+                      <label key={message.id} className="share-message">
+                        <input
+                          type="checkbox"
+                          checked={!shareExcludedIds.includes(message.id)}
+                          onChange={() => setShareExcludedIds(toggleListValue(shareExcludedIds, message.id))}
+                        />
+                        <span className="share-message-role">{message.role === 'user' ? 'Query' : 'Answer'}</span>
+                        <span className="share-message-text">{message.content}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                {shareError && <p className="text-xs text-red-500">{shareError}</p>}
+                {threadShares.length > 0 && (
+                  <div className="input-group">
+                    <label>Links</label>
+                    <div className="share-links">
+                      {threadShares.map(share => (
+                        <div key={share.id} className="share-link" style={{ opacity: share.revoked_at ? 0.6 : 1 }}>
+                          <code className="text-xs">{shareUrl(share.slug)}</code>
+                          <span className="text-[10px] text-muted">
+                            {new Date(share.created_at).toLocaleString()} · {share.message_count} messages
+                            {share.excluded_message_ids?.length > 0 && ` · ${share.excluded_message_ids.length} left out`}
+                            {share.revoked_at && <span className="text-red-500"> · Revoked</span>}
+                          </span>
+                          {!share.revoked_at && (
+                            <div className="flex gap-2">
+                              <button className="btn-secondary text-xs py-1" onClick={() => navigator.clipboard.writeText(shareUrl(share.slug))}>Copy</button>
+                              <button className="btn-secondary text-xs py-1" onClick={() => handleRevokeShare(share.id)}>Revoke</button>
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+              <div className="modal-footer">
+                <button className="btn-secondary" onClick={() => setIsShareModalOpen(false)}>Done</button>
+                <button className="btn-primary" disabled={isPublishing || isSearching} onClick={handlePublishShare}>
+                  {isPublishing ? 'Publishing...' : 'Publish & Copy Link'}
                 </button>
               </div>
             </motion.div>
@@ -1148,7 +2393,7 @@ const App = () => {
                   Use your own Perplexity-like API in external applications. All requests use your internal search & AI pool.
                 </p>
 
-                <div className="flex gap-2 mb-8">
+                <div className="flex gap-2 mb-4">
                   <input
                     placeholder="Key name (e.g. My Website)"
                     value={newKeyName}
@@ -1158,31 +2403,99 @@ const App = () => {
                   <button className="btn-primary whitespace-nowrap" onClick={createApiKey}>Generate New Key</button>
                 </div>
 
+                <div className="api-key-options mb-8">
+                  <div className="flex gap-3 items-center flex-wrap">
+                    <span className="text-xs text-muted">Scopes</span>
+                    {API_KEY_SCOPES.map(scope => (
+                      <label key={scope} className="text-xs flex items-center gap-1">
+                        <input
+                          type="checkbox"
+                          checked={newKeySettings.scopes.includes(scope)}
+                          onChange={() => setNewKeySettings({ ...newKeySettings, scopes: toggleListValue(newKeySettings.scopes, scope) })}
+                        />
+                        {scope}
+                      </label>
+                    ))}
+                  </div>
+                  <div className="flex gap-3 items-center">
+                    <span className="text-xs text-muted">Expires</span>
+                    <input
+                      type="date"
+                      value={newKeySettings.expires_at}
+                      onChange={(e) => setNewKeySettings({ ...newKeySettings, expires_at: e.target.value })}
+                    />
+                  </div>
+                  {spaces.length > 0 && (
+                    <div className="flex gap-3 items-center flex-wrap">
+                      <span className="text-xs text-muted">Spaces</span>
+                      {spaces.map(space => (
+                        <label key={space.id} className="text-xs flex items-center gap-1">
+                          <input
+                            type="checkbox"
+                            checked={newKeySettings.allowed_space_ids.includes(space.id)}
+                            onChange={() => setNewKeySettings({ ...newKeySettings, allowed_space_ids: toggleListValue(newKeySettings.allowed_space_ids, space.id) })}
+                          />
+                          {space.name}
+                        </label>
+                      ))}
+                      {newKeySettings.allowed_space_ids.length === 0 && <span className="text-[10px] text-muted">(all spaces)</span>}
+                    </div>
+                  )}
+                </div>
+
+                {revealedKey && (
+                  <div className="p-4 rounded-xl mb-6" style={{ background: 'var(--bg-main)', border: '1px solid var(--accent)' }}>
+                    <p className="text-xs mb-2">Copy <strong>{revealedKey.name}</strong> now. It will not be shown again.</p>
+                    <div className="flex gap-2 items-center">
+                      <code className="text-xs flex-1 rounded p-2 overflow-x-auto" style={{ background: 'var(--bg-panel)', border: '1px solid var(--border)' }}>
+                        {revealedKey.key}
+                      </code>
+                      <button
+                        className="btn-secondary text-xs py-1"
+                        onClick={() => {
+                          navigator.clipboard.writeText(revealedKey.key);
+                          alert("API Key copied to clipboard!");
+                        }}
+                      >
+                        Copy
+                      </button>
+                      <button className="btn-secondary text-xs py-1" onClick={() => setRevealedKey(null)}>Done</button>
+                    </div>
+                  </div>
+                )}
+
                 <div className="api-keys-list" style={{ maxHeight: '300px', overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '1rem' }}>
                   {apiKeys.map(key => (
-                    <div key={key.id} className="p-4 rounded-xl" style={{ background: 'var(--bg-main)', border: '1px solid var(--border)' }}>
+                    <div key={key.id} className="p-4 rounded-xl" style={{ background: 'var(--bg-main)', border: '1px solid var(--border)', opacity: apiKeyStatus(key) ? 0.6 : 1 }}>
                       <div className="flex justify-between items-start mb-2">
                         <div>
-                          <h4 className="font-bold text-sm">{key.name}</h4>
-                          <p className="text-[10px] text-muted">Created: {new Date(key.created_at).toLocaleDateString()}</p>
+                          <h4 className="font-bold text-sm">
+                            {key.name}
+                            {apiKeyStatus(key) && <span className="text-[10px] text-red-500 ml-2">{apiKeyStatus(key)}</span>}
+                          </h4>
+                          <p className="text-[10px] text-muted">
+                            Created: {new Date(key.created_at).toLocaleDateString()}
+                            {key.expires_at && ` · Expires: ${new Date(key.expires_at).toLocaleDateString()}`}
+                            {key.last_used_at && ` · Last used: ${new Date(key.last_used_at).toLocaleDateString()}`}
+                          </p>
+                        </div>
+                        <div className="flex gap-2">
+                          {!key.revoked_at && (
+                            <button className="btn-secondary text-xs py-1" onClick={() => revokeApiKey(key.id)}>Revoke</button>
+                          )}
+                          <button className="text-red-500 hover:text-red-400" onClick={() => deleteApiKey(key.id)}>
+                            <Trash2 size={14} />
+                          </button>
                         </div>
-                        <button className="text-red-500 hover:text-red-400" onClick={() => deleteApiKey(key.id)}>
-                          <Trash2 size={14} />
-                        </button>
                       </div>
-                      <div className="flex gap-2 items-center">
-                        <code className="text-xs flex-1 rounded p-2 overflow-x-auto" style={{ background: 'var(--bg-panel)', border: '1px solid var(--border)' }}>
-                          {key.key}
+                      <div className="flex gap-2 items-center flex-wrap">
+                        <code className="text-xs rounded p-2" style={{ background: 'var(--bg-panel)', border: '1px solid var(--border)' }}>
+                          {key.key_prefix}…
                         </code>
-                        <button
-                          className="btn-secondary text-xs py-1"
-                          onClick={() => {
-                            navigator.clipboard.writeText(key.key);
-                            alert("API Key copied to clipboard!");
-                          }}
-                        >
-                          Copy
-                        </button>
+                        <span className="text-[10px] text-muted">
+                          {(key.scopes || []).join(', ')}
+                          {key.allowed_space_ids?.length > 0 && ` · ${key.allowed_space_ids.length} space(s)`}
+                        </span>
                       </div>
                     </div>
                   ))}
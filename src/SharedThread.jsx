@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import { Globe, Sparkles, FileText, Loader2, Link2Off } from 'lucide-react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { getSharedThread } from './services/api';
+
+// Read-only view of a published thread (`?share=<slug>`). Needs no account: the server returns the snapshot
+// taken at publish time, so nothing here can reach the live thread.
+const SharedThread = ({ slug }) => {
+  const [thread, setThread] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (window.matchMedia && window.matchMedia('(prefers-color-scheme: light)').matches) {
+      document.documentElement.setAttribute('data-theme', 'light');
+    }
+    getSharedThread(slug)
+      .then(data => {
+        setThread(data);
+        document.title = `${data.title} · Monolith`;
+      })
+      .catch(err => setError(err.response?.data?.error || err.message));
+  }, [slug]);
+
+  const hostname = (url) => {
+    try {
+      return new URL(url).hostname;
+    } catch {
+      return url;
+    }
+  };
+
+  if (error) {
+    return (
+      <div className="auth-screen">
+        <div className="shared-thread-empty">
+          <Link2Off size={28} />
+          <p>{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!thread) {
+    return (
+      <div className="auth-screen">
+        <Loader2 size={24} className="animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="main-content shared-thread">
+      <div className="content-wrapper">
+        <header className="shared-thread-header">
+          <h1 className="results-query">{thread.title}</h1>
+          <p className="text-xs text-muted">Shared from Monolith · published {new Date(thread.published_at).toLocaleString()} · read-only</p>
+        </header>
+        {thread.messages.map(message => message.role === 'user' ? (
+          <div key={message.id} className="results-container">
+            <div className="section-label">
+              <Globe size={14} className="section-icon" /> Query
+            </div>
+            <h2 className="results-query">{message.content}</h2>
+          </div>
+        ) : (
+          <div key={message.id} className="results-container mb-6">
+            <div className="section-label">
+              <Sparkles size={14} className="section-icon" /> Answer
+            </div>
+            <div className="answer-content markdown-body">
+              <ReactMarkdown remarkPlugins={[remarkGfm]}>{message.content}</ReactMarkdown>
+            </div>
+            {message.search_results.length > 0 && (
+              <ol className="shared-thread-sources">
+                {message.search_results.map((source, i) => (
+                  <li key={i}>
+                    {source.source_type === 'space_file' ? (
+                      <span><FileText size={12} /> {source.name} <span className="text-muted">(space file)</span></span>
+                    ) : (
+                      <a href={source.url} target="_blank" rel="noreferrer">
+                        {source.name} <span className="text-muted">{hostname(source.url)}</span>
+                      </a>
+                    )}
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SharedThread;
@@ -2,9 +2,13 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import SharedThread from './SharedThread.jsx'
+
+// Share links (`?share=<slug>`) open the public read-only view instead of the dashboard
+const shareSlug = new URLSearchParams(window.location.search).get('share')
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {shareSlug ? <SharedThread slug={shareSlug} /> : <App />}
   </StrictMode>,
 )
@@ -4,20 +4,38 @@
 -- 1. SPACES TABLE
 CREATE TABLE IF NOT EXISTS spaces (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID REFERENCES auth.users(id) ON DELETE CASCADE DEFAULT auth.uid(),
   name TEXT NOT NULL,
   system_prompt TEXT,
+  model_config JSONB DEFAULT '{}'::jsonb, -- per-role model overrides: { planner, synthesizer, thinker }
+  source_policy JSONB DEFAULT '{}'::jsonb, -- { allow: [], deny: [], reputation: { domain: weight }, domain_cap }
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
 -- 2. CONVERSATIONS TABLE
 CREATE TABLE IF NOT EXISTS conversations (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID REFERENCES auth.users(id) ON DELETE CASCADE DEFAULT auth.uid(),
   space_id UUID REFERENCES spaces(id) ON DELETE CASCADE,
   title TEXT NOT NULL,
+  summary TEXT, -- rolling summary of older turns (server-maintained, user-editable)
+  summary_through TIMESTAMP WITH TIME ZONE, -- created_at of the last message folded into the summary
+  summary_updated_at TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- 2b. SPACE MEMBERS (shared spaces: owner / editor / viewer)
+CREATE TABLE IF NOT EXISTS space_members (
+  space_id UUID REFERENCES spaces(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  email TEXT,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+  invited_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (space_id, user_id)
+);
+
 -- 3. MESSAGES TABLE
 CREATE TABLE IF NOT EXISTS messages (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -25,31 +43,361 @@ CREATE TABLE IF NOT EXISTS messages (
   role TEXT NOT NULL CHECK (role IN ('user', 'assistant', 'system')),
   content TEXT NOT NULL,
   search_results JSONB,
+  parent_id UUID REFERENCES messages(id) ON DELETE CASCADE, -- previous message on its branch (see shared/messageTree.js)
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
 -- 4. API KEYS TABLE (For monolith-v1 public API)
+-- Only the SHA-256 hash and a short prefix are stored; the raw key is shown once at creation.
 CREATE TABLE IF NOT EXISTS api_keys (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  key TEXT UNIQUE NOT NULL,
+  owner_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+  key TEXT UNIQUE,                         -- legacy plaintext column, always NULL for new keys
+  key_hash TEXT UNIQUE,
+  key_prefix TEXT,
   name TEXT,
+  scopes TEXT[] NOT NULL DEFAULT '{search,chat,deep}', -- search | chat | deep | admin
+  allowed_space_ids UUID[],                -- NULL = every space
+  expires_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  rate_limit_rpm INTEGER DEFAULT 60,       -- NULL = unlimited
+  daily_deep_quota INTEGER DEFAULT 100,    -- NULL = unlimited
+  max_tokens INTEGER,                      -- cap on synthesis tokens per request
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   last_used_at TIMESTAMP WITH TIME ZONE
 );
 
+-- 4b. API USAGE LEDGER (one row per v1 request)
+CREATE TABLE IF NOT EXISTS api_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  api_key_id UUID REFERENCES api_keys(id) ON DELETE CASCADE,
+  endpoint TEXT NOT NULL,
+  mode TEXT NOT NULL DEFAULT 'standard',
+  status INTEGER,
+  upstream_calls INTEGER NOT NULL DEFAULT 0,
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  total_tokens INTEGER NOT NULL DEFAULT 0,
+  duration_ms INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 5. PROVIDER KEYS (vault for LangSearch / LongCat / AssemblyAI keys, with per-key health)
+CREATE TABLE IF NOT EXISTS provider_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  provider TEXT NOT NULL,
+  key TEXT NOT NULL,
+  label TEXT,
+  disabled BOOLEAN NOT NULL DEFAULT false,
+  exhausted BOOLEAN NOT NULL DEFAULT false,
+  cooldown_until TIMESTAMP WITH TIME ZONE,
+  last_error TEXT,
+  last_error_at TIMESTAMP WITH TIME ZONE,
+  success_count INTEGER NOT NULL DEFAULT 0,
+  failure_count INTEGER NOT NULL DEFAULT 0,
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (provider, key)
+);
+
+-- 6. SEARCH CACHE (normalized query + freshness + count + provider -> results, freshness-aware TTL)
+CREATE TABLE IF NOT EXISTS search_cache (
+  cache_key TEXT PRIMARY KEY,
+  provider TEXT NOT NULL,
+  query TEXT NOT NULL,
+  freshness TEXT NOT NULL,
+  results JSONB NOT NULL,
+  hit_count INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 7. SPACE KNOWLEDGE BASE (uploaded files, chunked and indexed for retrieval next to web results)
+CREATE TABLE IF NOT EXISTS space_files (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  space_id UUID NOT NULL REFERENCES spaces(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  file_type TEXT NOT NULL,                 -- markdown | text | html | pdf | csv
+  size_bytes INTEGER NOT NULL,
+  char_count INTEGER NOT NULL DEFAULT 0,
+  chunk_count INTEGER NOT NULL DEFAULT 0,
+  embedded BOOLEAN NOT NULL DEFAULT false, -- chunks carry embeddings
+  status TEXT NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'ready', 'error')),
+  error TEXT,
+  uploaded_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE IF NOT EXISTS space_file_chunks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  file_id UUID NOT NULL REFERENCES space_files(id) ON DELETE CASCADE,
+  space_id UUID NOT NULL REFERENCES spaces(id) ON DELETE CASCADE,
+  chunk_index INTEGER NOT NULL,
+  heading TEXT,
+  content TEXT NOT NULL,
+  tsv TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', coalesce(heading, '') || ' ' || content)) STORED,
+  embedding REAL[]
+);
+CREATE INDEX IF NOT EXISTS idx_space_files_space_id ON space_files(space_id);
+CREATE INDEX IF NOT EXISTS idx_space_file_chunks_space_id ON space_file_chunks(space_id);
+CREATE INDEX IF NOT EXISTS idx_space_file_chunks_tsv ON space_file_chunks USING GIN (tsv);
+
+-- Knowledge retrieval (shared/spaceKnowledge.js builds the arguments; the server and edge function both call it)
+CREATE OR REPLACE FUNCTION cosine_similarity(a REAL[], b REAL[]) RETURNS REAL
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT (SUM(x * y) / NULLIF(SQRT(SUM(x * x)) * SQRT(SUM(y * y)), 0))::real FROM unnest(a, b) AS t(x, y);
+$$;
+
+-- Ranked chunks for a query: p_terms is an OR tsquery ("refund | policy"), p_embedding the query vector (optional).
+-- Score is ts_rank_cd (normalized to 0..1), blended 30/70 with cosine similarity when both sides have embeddings.
+CREATE OR REPLACE FUNCTION match_space_chunks(p_space_id UUID, p_terms TEXT, p_embedding REAL[] DEFAULT NULL, p_limit INTEGER DEFAULT 6, p_min_similarity REAL DEFAULT 0.3)
+RETURNS TABLE (file_id UUID, file_name TEXT, chunk_index INTEGER, heading TEXT, content TEXT, text_rank REAL, similarity REAL, score REAL)
+LANGUAGE sql STABLE AS $$
+  WITH q AS (
+    SELECT CASE WHEN coalesce(p_terms, '') = '' THEN NULL ELSE to_tsquery('english', p_terms) END AS tsq
+  ), scored AS (
+    SELECT c.file_id, f.name AS file_name, c.chunk_index, c.heading, c.content,
+           (CASE WHEN q.tsq IS NOT NULL AND c.tsv @@ q.tsq THEN ts_rank_cd(c.tsv, q.tsq, 32) ELSE 0 END)::real AS text_rank,
+           CASE WHEN p_embedding IS NOT NULL AND c.embedding IS NOT NULL THEN cosine_similarity(c.embedding, p_embedding) END AS similarity
+    FROM space_file_chunks c
+    JOIN space_files f ON f.id = c.file_id AND f.status = 'ready'
+    CROSS JOIN q
+    WHERE c.space_id = p_space_id
+      AND ((q.tsq IS NOT NULL AND c.tsv @@ q.tsq) OR (p_embedding IS NOT NULL AND c.embedding IS NOT NULL))
+  )
+  SELECT s.*, (CASE WHEN s.similarity IS NULL THEN s.text_rank ELSE 0.7 * s.similarity + 0.3 * s.text_rank END)::real AS score
+  FROM scored s
+  WHERE s.text_rank > 0 OR s.similarity >= p_min_similarity
+  ORDER BY score DESC
+  LIMIT p_limit;
+$$;
+
+-- 8. SHARED THREADS (public read-only links: a frozen copy of one branch of a thread)
+CREATE TABLE IF NOT EXISTS shared_threads (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  slug TEXT UNIQUE NOT NULL,                 -- 128 random bits, base64url
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  snapshot JSONB NOT NULL,                   -- { messages: [{ id, role, content, search_results, created_at }] }
+  excluded_message_ids UUID[] NOT NULL DEFAULT '{}',
+  created_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+-- 9. WATCHES (scheduled re-runs of a space query; each run is a message in the watch's thread)
+CREATE TABLE IF NOT EXISTS watches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  space_id UUID NOT NULL REFERENCES spaces(id) ON DELETE CASCADE,
+  conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL, -- the thread runs are saved to
+  created_by UUID,                           -- runs act for this member while they can query the space
+  name TEXT NOT NULL,
+  query TEXT NOT NULL,
+  search BOOLEAN NOT NULL DEFAULT true,
+  deep BOOLEAN NOT NULL DEFAULT false,
+  thinking BOOLEAN NOT NULL DEFAULT false,
+  schedule TEXT NOT NULL,                    -- 5-field cron, UTC
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  next_run_at TIMESTAMP WITH TIME ZONE,
+  locked_at TIMESTAMP WITH TIME ZONE,        -- set while a scheduler runs it
+  last_run_at TIMESTAMP WITH TIME ZONE,
+  last_status TEXT,
+  last_error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS watch_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  watch_id UUID NOT NULL REFERENCES watches(id) ON DELETE CASCADE,
+  message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+  status TEXT NOT NULL CHECK (status IN ('running', 'succeeded', 'failed')),
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  finished_at TIMESTAMP WITH TIME ZONE,
+  source_urls TEXT[] NOT NULL DEFAULT '{}',  -- canonical URLs of the run's web sources
+  new_sources JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ name, url, snippet }] not returned by earlier runs
+  whats_new TEXT,
+  error TEXT
+);
+
+-- 10. RESEARCH JOBS (queue for asynchronous /api/v1/research requests)
+CREATE TABLE IF NOT EXISTS research_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  api_key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+  usage_id UUID REFERENCES api_usage(id) ON DELETE SET NULL, -- ledger row of the POST; the job's tokens are added to it
+  request JSONB NOT NULL,                    -- the /api/v1/chat/completions-style body, minus webhook fields
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+  stage TEXT NOT NULL DEFAULT 'queued',
+  progress JSONB NOT NULL DEFAULT '[]'::jsonb, -- stage events, oldest first
+  partial JSONB NOT NULL DEFAULT '{}'::jsonb,  -- search_queries, search_results and the answer so far
+  result JSONB,
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  heartbeat_at TIMESTAMP WITH TIME ZONE,     -- refreshed by the worker running it
+  webhook_url TEXT,
+  webhook_secret TEXT,                       -- HMAC key for the callback signature
+  webhook_status TEXT CHECK (webhook_status IN ('pending', 'delivered', 'failed')),
+  webhook_attempts INTEGER NOT NULL DEFAULT 0,
+  webhook_next_at TIMESTAMP WITH TIME ZONE,
+  webhook_error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP WITH TIME ZONE,
+  finished_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Migrations for existing deployments
+ALTER TABLE spaces ADD COLUMN IF NOT EXISTS model_config JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE spaces ADD COLUMN IF NOT EXISTS source_policy JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS rate_limit_rpm INTEGER DEFAULT 60;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS daily_deep_quota INTEGER DEFAULT 100;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS max_tokens INTEGER;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS key_hash TEXT UNIQUE;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS key_prefix TEXT;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS scopes TEXT[] NOT NULL DEFAULT '{search,chat,deep}';
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS allowed_space_ids UUID[];
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE api_keys ALTER COLUMN key DROP NOT NULL;
+UPDATE api_keys SET key_hash = encode(sha256(convert_to(key, 'UTF8')), 'hex'), key_prefix = left(key, 11), key = NULL
+WHERE key IS NOT NULL;
+DROP POLICY IF EXISTS "Public Access" ON api_keys;
+ALTER TABLE spaces ADD COLUMN IF NOT EXISTS owner_id UUID REFERENCES auth.users(id) ON DELETE CASCADE DEFAULT auth.uid();
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS owner_id UUID REFERENCES auth.users(id) ON DELETE CASCADE DEFAULT auth.uid();
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS summary TEXT;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS summary_through TIMESTAMP WITH TIME ZONE;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS summary_updated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS owner_id UUID REFERENCES auth.users(id) ON DELETE CASCADE;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS parent_id UUID REFERENCES messages(id) ON DELETE CASCADE;
+-- Threads from before message branching are flat: chain each message to the one before it
+UPDATE messages m SET parent_id = ordered.previous_id
+FROM (
+  SELECT id, LAG(id) OVER (PARTITION BY conversation_id ORDER BY created_at, id) AS previous_id
+  FROM messages
+  WHERE conversation_id IN (SELECT conversation_id FROM messages GROUP BY conversation_id HAVING COUNT(parent_id) = 0 AND COUNT(*) > 1)
+) ordered
+WHERE m.id = ordered.id AND ordered.previous_id IS NOT NULL;
+DROP POLICY IF EXISTS "Public Access" ON spaces;
+DROP POLICY IF EXISTS "Public Access" ON conversations;
+DROP POLICY IF EXISTS "Public Access" ON messages;
+INSERT INTO space_members (space_id, user_id, role)
+SELECT id, owner_id, 'owner' FROM spaces WHERE owner_id IS NOT NULL
+ON CONFLICT (space_id, user_id) DO NOTHING;
+DROP POLICY IF EXISTS "Owner access" ON spaces;
+DROP POLICY IF EXISTS "Owner access" ON conversations;
+DROP POLICY IF EXISTS "Owner access" ON messages;
+-- Recreated below with a WITH CHECK that keeps owner_id / space_id from being changed
+DROP POLICY IF EXISTS "Editors update" ON spaces;
+DROP POLICY IF EXISTS "Writers update" ON conversations;
+-- Rows created before accounts existed have no owner and are hidden. To claim them for one user:
+-- UPDATE spaces SET owner_id = '<user-id>' WHERE owner_id IS NULL;
+-- UPDATE conversations SET owner_id = '<user-id>' WHERE owner_id IS NULL;
+-- UPDATE api_keys SET owner_id = '<user-id>' WHERE owner_id IS NULL;
+
 -- Indices for performance
 CREATE INDEX IF NOT EXISTS idx_messages_conversation_id ON messages(conversation_id);
+CREATE INDEX IF NOT EXISTS idx_messages_parent_id ON messages(parent_id);
 CREATE INDEX IF NOT EXISTS idx_conversations_space_id ON conversations(space_id);
+CREATE INDEX IF NOT EXISTS idx_api_usage_key_created ON api_usage(api_key_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_spaces_owner_id ON spaces(owner_id);
+CREATE INDEX IF NOT EXISTS idx_conversations_owner_id ON conversations(owner_id);
+CREATE INDEX IF NOT EXISTS idx_space_members_user_id ON space_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_search_cache_expires_at ON search_cache(expires_at);
+CREATE INDEX IF NOT EXISTS idx_shared_threads_conversation_id ON shared_threads(conversation_id);
+CREATE INDEX IF NOT EXISTS idx_watches_space_id ON watches(space_id);
+CREATE INDEX IF NOT EXISTS idx_watches_next_run_at ON watches(next_run_at) WHERE enabled;
+CREATE INDEX IF NOT EXISTS idx_watch_runs_watch_started ON watch_runs(watch_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_research_jobs_active ON research_jobs(created_at) WHERE status IN ('queued', 'running');
+CREATE INDEX IF NOT EXISTS idx_research_jobs_webhook_due ON research_jobs(webhook_next_at) WHERE webhook_status = 'pending';
+-- History search: expression indexes, matched by the identical expressions in historySearchService.js
+CREATE INDEX IF NOT EXISTS idx_messages_content_fts ON messages USING GIN (to_tsvector('english', content));
+CREATE INDEX IF NOT EXISTS idx_conversations_title_fts ON conversations USING GIN (to_tsvector('english', title));
 
--- Enable Row Level Security (RLS) - For now, we allow all for simplicity, 
--- but in production, you'd restrict this to authenticated users.
+-- Enable Row Level Security (RLS): signed-in users only see their own rows.
 ALTER TABLE spaces ENABLE ROW LEVEL SECURITY;
 ALTER TABLE conversations ENABLE ROW LEVEL SECURITY;
 ALTER TABLE messages ENABLE ROW LEVEL SECURITY;
-ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE space_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY; -- no policies: managed through the server
+ALTER TABLE provider_keys ENABLE ROW LEVEL SECURITY; -- no policies: service role only
+ALTER TABLE api_usage ENABLE ROW LEVEL SECURITY; -- no policies: written by the server only
+ALTER TABLE search_cache ENABLE ROW LEVEL SECURITY; -- no policies: server / edge function only
+ALTER TABLE space_files ENABLE ROW LEVEL SECURITY;
+ALTER TABLE space_file_chunks ENABLE ROW LEVEL SECURITY; -- no policies: server / edge function only
+ALTER TABLE shared_threads ENABLE ROW LEVEL SECURITY; -- no policies: published and read through the server
+ALTER TABLE watches ENABLE ROW LEVEL SECURITY; -- no policies: managed and run by the server
+ALTER TABLE watch_runs ENABLE ROW LEVEL SECURITY; -- no policies: written by the server only
+ALTER TABLE research_jobs ENABLE ROW LEVEL SECURITY; -- no policies: server only
+
+-- Membership helpers. SECURITY DEFINER so policies can read space_members without recursing into its own RLS.
+CREATE OR REPLACE FUNCTION public.space_role(p_space_id UUID) RETURNS TEXT
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public AS $$
+  SELECT role FROM space_members WHERE space_id = p_space_id AND user_id = auth.uid();
+$$;
+
+-- Role for a thread: the creator of a private thread, or the caller's role in the thread's space
+CREATE OR REPLACE FUNCTION public.conversation_role(p_conversation_id UUID) RETURNS TEXT
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public AS $$
+  SELECT CASE
+    WHEN c.space_id IS NULL THEN CASE WHEN c.owner_id = auth.uid() THEN 'owner' END
+    ELSE (SELECT role FROM space_members m WHERE m.space_id = c.space_id AND m.user_id = auth.uid())
+  END
+  FROM conversations c WHERE c.id = p_conversation_id;
+$$;
+
+-- For UPDATE policies: WITH CHECK only sees the new row, so these compare it with the stored one.
+-- Editors may rename a space or thread, but not hand it to another owner or move it to another space.
+CREATE OR REPLACE FUNCTION public.space_owner_unchanged(p_space_id UUID, p_owner_id UUID) RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public AS $$
+  SELECT EXISTS (SELECT 1 FROM spaces WHERE id = p_space_id AND owner_id IS NOT DISTINCT FROM p_owner_id);
+$$;
+
+CREATE OR REPLACE FUNCTION public.conversation_placement_unchanged(p_conversation_id UUID, p_owner_id UUID, p_space_id UUID) RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM conversations
+    WHERE id = p_conversation_id AND owner_id IS NOT DISTINCT FROM p_owner_id AND space_id IS NOT DISTINCT FROM p_space_id
+  );
+$$;
+
+-- The creator of a space becomes its first owner
+CREATE OR REPLACE FUNCTION public.add_space_owner() RETURNS TRIGGER
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public AS $$
+BEGIN
+  IF NEW.owner_id IS NOT NULL THEN
+    INSERT INTO space_members (space_id, user_id, email, role)
+    VALUES (NEW.id, NEW.owner_id, (SELECT email FROM auth.users WHERE id = NEW.owner_id), 'owner')
+    ON CONFLICT (space_id, user_id) DO NOTHING;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+DROP TRIGGER IF EXISTS spaces_add_owner ON spaces;
+CREATE TRIGGER spaces_add_owner AFTER INSERT ON spaces FOR EACH ROW EXECUTE FUNCTION public.add_space_owner();
+
+-- Spaces: members read, owners/editors edit, owners delete
+CREATE POLICY "Members read" ON spaces FOR SELECT USING (space_role(id) IS NOT NULL);
+CREATE POLICY "Create own" ON spaces FOR INSERT WITH CHECK (owner_id = auth.uid());
+CREATE POLICY "Editors update" ON spaces FOR UPDATE USING (space_role(id) IN ('owner', 'editor'))
+  WITH CHECK (space_role(id) IN ('owner', 'editor') AND space_owner_unchanged(id, owner_id));
+CREATE POLICY "Owners delete" ON spaces FOR DELETE USING (space_role(id) = 'owner');
+
+-- Members: visible to fellow members; only owners manage them; anyone may leave
+CREATE POLICY "Members read" ON space_members FOR SELECT USING (space_role(space_id) IS NOT NULL);
+CREATE POLICY "Owners invite" ON space_members FOR INSERT WITH CHECK (space_role(space_id) = 'owner');
+CREATE POLICY "Owners change roles" ON space_members FOR UPDATE USING (space_role(space_id) = 'owner');
+CREATE POLICY "Owners remove, members leave" ON space_members FOR DELETE
+  USING (space_role(space_id) = 'owner' OR user_id = auth.uid());
+
+-- Conversations: private threads for their creator, space threads for members; viewers can't start threads
+CREATE POLICY "Members read" ON conversations FOR SELECT USING (conversation_role(id) IS NOT NULL);
+CREATE POLICY "Writers create" ON conversations FOR INSERT
+  WITH CHECK (owner_id = auth.uid() AND (space_id IS NULL OR space_role(space_id) IN ('owner', 'editor')));
+CREATE POLICY "Writers update" ON conversations FOR UPDATE USING (conversation_role(id) IN ('owner', 'editor'))
+  WITH CHECK (conversation_role(id) IN ('owner', 'editor') AND conversation_placement_unchanged(id, owner_id, space_id));
+CREATE POLICY "Creator or owner delete" ON conversations FOR DELETE
+  USING (owner_id = auth.uid() OR conversation_role(id) = 'owner');
+
+-- Messages follow their thread; viewers read only
+CREATE POLICY "Members read" ON messages FOR SELECT USING (conversation_role(conversation_id) IS NOT NULL);
+CREATE POLICY "Writers create" ON messages FOR INSERT WITH CHECK (conversation_role(conversation_id) IN ('owner', 'editor'));
 
--- Allow public access (Replace with authenticated roles later if needed)
-CREATE POLICY "Public Access" ON spaces FOR ALL USING (true);
-CREATE POLICY "Public Access" ON conversations FOR ALL USING (true);
-CREATE POLICY "Public Access" ON messages FOR ALL USING (true);
-CREATE POLICY "Public Access" ON api_keys FOR ALL USING (true);
+-- Space files: members see the list; uploads and deletes go through the server
+CREATE POLICY "Members read" ON space_files FOR SELECT USING (space_role(space_id) IS NOT NULL);
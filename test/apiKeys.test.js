@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { DEFAULT_SCOPES, generateApiKey, hashApiKey, apiKeyPrefix, normalizeScopes, checkApiKeyAccess } from '../shared/apiKeys.js';
+
+test('generated keys, hashes and prefixes', async () => {
+    const key = generateApiKey();
+    assert.match(key, /^pk-[0-9a-f]{48}$/);
+    assert.equal(apiKeyPrefix(key), key.slice(0, 11));
+    assert.equal(await hashApiKey(key), createHash('sha256').update(key).digest('hex'));
+});
+
+test('normalizeScopes', async (t) => {
+    const cases = [
+        { scopes: undefined, expected: DEFAULT_SCOPES },
+        { scopes: [], expected: DEFAULT_SCOPES },
+        { scopes: ['bogus'], expected: DEFAULT_SCOPES },
+        { scopes: ['search', 'search', 'bogus'], expected: ['search'] },
+        { scopes: ['admin', 'chat'], expected: ['admin', 'chat'] },
+        { scopes: 'search', expected: DEFAULT_SCOPES }
+    ];
+    for (const c of cases) await t.test(JSON.stringify(c.scopes), () => assert.deepEqual(normalizeScopes(c.scopes), c.expected));
+});
+
+test('checkApiKeyAccess', async (t) => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    const key = { scopes: ['search', 'chat'], allowed_space_ids: ['s1'], expires_at: '2026-06-01T00:00:00Z', revoked_at: null };
+    const cases = [
+        { name: 'unknown key', record: null, options: {}, status: 401 },
+        { name: 'revoked', record: { ...key, revoked_at: '2025-12-01T00:00:00Z' }, options: {}, status: 401 },
+        { name: 'expired', record: { ...key, expires_at: '2025-12-31T00:00:00Z' }, options: {}, status: 401 },
+        { name: 'granted scope', record: key, options: { scopes: ['chat'] }, status: null },
+        { name: 'missing scope', record: key, options: { scopes: ['deep'] }, status: 403 },
+        { name: 'admin is never implied', record: { ...key, scopes: null }, options: { scopes: ['admin'] }, status: 403 },
+        { name: 'null scopes mean the defaults', record: { ...key, scopes: null }, options: { scopes: ['deep'] }, status: null },
+        { name: 'allowed space', record: key, options: { spaceId: 's1' }, status: null },
+        { name: 'other space', record: key, options: { spaceId: 's2' }, status: 403 },
+        { name: 'pinned key without a space', record: key, options: { spaceId: null }, status: 403 },
+        { name: 'space not checked', record: key, options: {}, status: null },
+        { name: 'unpinned key', record: { ...key, allowed_space_ids: [] }, options: { spaceId: 's2' }, status: null }
+    ];
+    for (const c of cases) {
+        await t.test(c.name, () => assert.equal(checkApiKeyAccess(c.record, { ...c.options, now })?.status ?? null, c.status));
+    }
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { verifySupabaseJwt } from '../server/services/authService.js';
+
+const SECRET = 'test-jwt-secret';
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const sign = (payload, header = { alg: 'HS256', typ: 'JWT' }) => {
+    const unsigned = `${encode(header)}.${encode(payload)}`;
+    return `${unsigned}.${crypto.createHmac('sha256', SECRET).update(unsigned).digest('base64url')}`;
+};
+
+const session = { sub: 'user-1', email: 'a@example.com', role: 'authenticated', aud: 'authenticated', exp: Math.floor(Date.now() / 1000) + 3600 };
+
+test('verifySupabaseJwt', async (t) => {
+    await t.test('accepts a signed-in session', () => {
+        assert.deepEqual(verifySupabaseJwt(sign(session), SECRET), { id: 'user-1', email: 'a@example.com' });
+    });
+    const rejected = [
+        ['another algorithm', sign(session, { alg: 'HS512', typ: 'JWT' }), 'Unsupported token algorithm: HS512'],
+        ['an unsigned token', sign(session, { alg: 'none' }), 'Unsupported token algorithm: none'],
+        ['another audience', sign({ ...session, aud: 'service' }), 'Wrong token audience'],
+        ['no audience', sign({ ...session, aud: undefined }), 'Wrong token audience'],
+        ['no expiry', sign({ ...session, exp: undefined }), 'Token expired'],
+        ['an expired token', sign({ ...session, exp: 1 }), 'Token expired'],
+        ['an anon key', sign({ ...session, role: 'anon', sub: undefined }), 'Not a signed-in user'],
+        ['a bad signature', `${sign(session).slice(0, -2)}xx`, 'Invalid token signature']
+    ];
+    for (const [name, token, message] of rejected) {
+        await t.test(`rejects ${name}`, () => {
+            assert.throws(() => verifySupabaseJwt(token, SECRET), { status: 401, message });
+        });
+    }
+});
@@ -0,0 +1,195 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createContentFetcher, isPrivateHost, resolvesToPrivateHost } from '../shared/contentFetcher.js';
+import { startFixtureServer, redirectTo } from './fixtures/server.js';
+
+// The fixture server listens on 127.0.0.1, which the fetcher refuses. Requests to PUBLIC are sent to it instead,
+// so redirects from a "public" page to the real loopback address can be checked.
+const PUBLIC = 'http://fixture.test';
+
+let fixture;
+let fetcher;
+
+before(async () => {
+    fixture = await startFixtureServer({
+        routes: {
+            '/moved': redirectTo('/article.html', 301),
+            '/to-loopback': (req, res) => redirectTo(`${fixture.origin}/article.html`)(req, res),
+            '/to-mapped-loopback': redirectTo('http://[::ffff:127.0.0.1]/article.html'),
+            '/to-private-path': redirectTo('/private/page.html'),
+            '/to-file': redirectTo('file:///etc/passwd'),
+            '/to-internal-name': redirectTo('http://metadata.test/latest/meta-data/'),
+            '/loop': redirectTo('/loop'),
+            '/slow': () => {}
+        }
+    });
+    fetcher = createContentFetcher({
+        fetchImpl: (url, init) => fetch(url.replace(PUBLIC, fixture.origin), init),
+        timeoutMs: 500
+    });
+});
+
+after(() => fixture.close());
+
+test('fetchPage', async (t) => {
+    const cases = [
+        { path: '/article.html', status: 'ok' },
+        { path: '/notes.txt', status: 'ok' },
+        { path: '/moved', status: 'ok' },
+        { path: '/pixel.png', status: 'unsupported', error: 'image/png' },
+        { path: '/missing.html', status: 'error', error: 'HTTP 404' },
+        { path: '/private/page.html', status: 'blocked', error: 'Disallowed by robots.txt' },
+        { path: '/to-private-path', status: 'blocked', error: 'Disallowed by robots.txt' },
+        { path: '/to-loopback', status: 'blocked', error: 'Private host' },
+        { path: '/to-mapped-loopback', status: 'blocked', error: 'Private host' },
+        { path: '/to-file', status: 'unsupported', error: 'file:' },
+        { path: '/loop', status: 'error', error: 'More than 5 redirects' },
+        { path: '/slow', status: 'timeout', error: 'No response in 500ms' }
+    ];
+    for (const c of cases) {
+        await t.test(c.path, async () => {
+            const page = await fetcher.fetchPage(`${PUBLIC}${c.path}`);
+            assert.equal(page.url, `${PUBLIC}${c.path}`);
+            assert.equal(page.status, c.status);
+            if (c.error) assert.equal(page.error, c.error);
+        });
+    }
+
+    await t.test('readable text drops chrome and boilerplate', async () => {
+        const page = await fetcher.fetchPage(`${PUBLIC}/article.html`);
+        assert.equal(page.title, 'Heat pumps & cold climates');
+        assert.deepEqual(page.text.split('\n'), [
+            'Modern cold-climate heat pumps keep most of their heating capacity down to about minus fifteen degrees Celsius.',
+            'Below that point many installations switch to a backup resistance heater, which lowers the seasonal efficiency.'
+        ]);
+    });
+
+    await t.test('plain text is whitespace-collapsed', async () => {
+        const page = await fetcher.fetchPage(`${PUBLIC}/notes.txt`);
+        assert.equal(page.title, null);
+        assert.equal(page.text, 'Plain text notes about ground-source heat pumps and their boreholes.');
+    });
+
+    await t.test('redirect targets on private hosts are never requested', async () => {
+        const seen = fixture.requests.length;
+        await fetcher.fetchPage(`${PUBLIC}/to-loopback`);
+        assert.deepEqual(fixture.requests.slice(seen), ['/to-loopback']);
+    });
+
+    await t.test('private hosts are refused before any request', async () => {
+        const seen = fixture.requests.length;
+        const page = await fetcher.fetchPage(`${fixture.origin}/article.html`);
+        assert.equal(page.status, 'blocked');
+        assert.equal(fixture.requests.length, seen);
+    });
+
+    await t.test('allowPrivateHosts reaches the fixture directly', async () => {
+        const local = createContentFetcher({ allowPrivateHosts: true });
+        assert.equal((await local.fetchPage(`${fixture.origin}/to-loopback`)).status, 'ok');
+    });
+
+    await t.test('bodies over maxBytes', async () => {
+        const small = createContentFetcher({ fetchImpl: (url, init) => fetch(url.replace(PUBLIC, fixture.origin), init), maxBytes: 100 });
+        assert.equal((await small.fetchPage(`${PUBLIC}/article.html`)).status, 'too_large');
+    });
+
+    await t.test('invalid and non-http URLs', async () => {
+        assert.equal((await fetcher.fetchPage('not a url')).status, 'error');
+        assert.equal((await fetcher.fetchPage('ftp://fixture.test/file')).status, 'unsupported');
+    });
+});
+
+test('fetchPage checks the addresses DNS names resolve to', async (t) => {
+    const dns = { 'fixture.test': ['93.184.216.34'], 'metadata.test': ['169.254.169.254'], 'mixed.test': ['93.184.216.34', '::1'] };
+    const dnsFetcher = createContentFetcher({
+        fetchImpl: (url, init) => fetch(url.replace(PUBLIC, fixture.origin), init),
+        resolveHost: async (hostname) => {
+            if (!dns[hostname]) throw new Error(`getaddrinfo ENOTFOUND ${hostname}`);
+            return dns[hostname];
+        },
+        timeoutMs: 500
+    });
+    const cases = [
+        { url: `${PUBLIC}/article.html`, status: 'ok' },
+        { url: 'http://metadata.test/latest/meta-data/', status: 'blocked', error: 'Private host' },
+        { url: 'http://mixed.test/', status: 'blocked', error: 'Private host' },
+        { url: `${PUBLIC}/to-internal-name`, status: 'blocked', error: 'Private host' },
+        { url: 'http://nowhere.test/', status: 'error', error: 'DNS lookup failed: getaddrinfo ENOTFOUND nowhere.test' }
+    ];
+    for (const c of cases) {
+        await t.test(c.url, async () => {
+            const page = await dnsFetcher.fetchPage(c.url);
+            assert.equal(page.status, c.status);
+            if (c.error) assert.equal(page.error, c.error);
+        });
+    }
+});
+
+test('readSources attaches content and passages to the top sources', async () => {
+    const sources = [
+        { name: 'Article', url: `${PUBLIC}/article.html` },
+        { name: 'Gone', url: `${PUBLIC}/missing.html` },
+        { name: 'Stored', url: `${PUBLIC}/stored`, content: 'Stored text about heat pumps that is long enough to be a passage.' },
+        { name: 'Beyond topN', url: `${PUBLIC}/notes.txt` }
+    ];
+    const read = await fetcher.readSources('heat pump backup heater', sources, { topN: 3 });
+    assert.equal(read[0].content_status, 'ok');
+    assert.ok(read[0].passages.some(p => p.includes('backup resistance heater')));
+    assert.equal(read[1].content_status, 'error');
+    assert.deepEqual(read[2].passages, [sources[2].content]);
+    assert.equal(read[3], sources[3]);
+});
+
+test('isPrivateHost', async (t) => {
+    const cases = [
+        ['localhost', true],
+        ['127.0.0.1', true],
+        ['0.0.0.0', true],
+        ['0.1.2.3', true],
+        ['10.1.2.3', true],
+        ['100.64.0.1', true],
+        ['100.127.255.254', true],
+        ['100.128.0.1', false],
+        ['100.63.255.255', false],
+        ['172.16.0.1', true],
+        ['172.32.0.1', false],
+        ['192.168.1.1', true],
+        ['169.254.169.254', true],
+        ['[::1]', true],
+        ['[::]', true],
+        ['[::ffff:7f00:1]', true],
+        ['[fd12:3456::1]', true],
+        ['[fe80::1]', true],
+        ['[2606:4700::1111]', false],
+        ['8.8.8.8', false],
+        ['example.com', false]
+    ];
+    for (const [host, expected] of cases) await t.test(host, () => assert.equal(isPrivateHost(host), expected));
+    await t.test('hostnames as URL parses them', () => {
+        for (const url of ['http://[::ffff:127.0.0.1]/', 'http://2130706433/', 'http://0x7f.1/']) {
+            assert.ok(isPrivateHost(new URL(url).hostname), url);
+        }
+    });
+});
+
+test('resolvesToPrivateHost', async (t) => {
+    const lookups = [];
+    const resolveHost = async (hostname) => {
+        lookups.push(hostname);
+        return hostname === 'internal.example' ? ['10.0.0.5'] : ['2606:4700::1111'];
+    };
+    await t.test('private names and addresses need no lookup', async () => {
+        assert.equal(await resolvesToPrivateHost('localhost', resolveHost), true);
+        assert.equal(await resolvesToPrivateHost('8.8.8.8', resolveHost), false);
+        assert.equal(await resolvesToPrivateHost('[2606:4700::1111]', resolveHost), false);
+        assert.deepEqual(lookups, []);
+    });
+    await t.test('DNS names are checked by address', async () => {
+        assert.equal(await resolvesToPrivateHost('internal.example', resolveHost), true);
+        assert.equal(await resolvesToPrivateHost('example.com', resolveHost), false);
+        assert.deepEqual(lookups, ['internal.example', 'example.com']);
+    });
+    await t.test('without a resolver only the name is checked', async () => {
+        assert.equal(await resolvesToPrivateHost('internal.example'), false);
+    });
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTokens, fitHistory, selectDocuments, budgetContext } from '../shared/contextBudget.js';
+
+test('estimateTokens', async (t) => {
+    const cases = [
+        { text: '', tokens: 0 },
+        { text: 'abcd', tokens: 1 },
+        { text: 'abcde', tokens: 2 },
+        { text: '你好世界', tokens: 4 },
+        { text: 'ab你好', tokens: 3 }
+    ];
+    for (const c of cases) await t.test(JSON.stringify(c.text), () => assert.equal(estimateTokens(c.text), c.tokens));
+});
+
+const turn = (role, chars) => ({ role, content: 'x'.repeat(chars) });
+
+test('fitHistory', async (t) => {
+    await t.test('keeps everything that fits', () => {
+        const history = [turn('user', 40), turn('assistant', 40)];
+        const fitted = fitHistory(history, 1000);
+        assert.deepEqual(fitted.history, history);
+        assert.equal(fitted.dropped, 0);
+        assert.equal(fitted.tokens, 2 * (10 + 4));
+    });
+    await t.test('drops the oldest turns and adds a recap', () => {
+        const history = [{ role: 'user', content: 'first question' }, turn('assistant', 400), turn('user', 40), turn('assistant', 40)];
+        const fitted = fitHistory(history, 80);
+        assert.equal(fitted.dropped, 2);
+        assert.equal(fitted.kept, 2);
+        assert.equal(fitted.history[0].role, 'system');
+        assert.match(fitted.history[0].content, /Earlier turns \(2\).*first question/);
+        assert.ok(fitted.tokens <= 80);
+    });
+    await t.test('clips turns over maxTurnTokens', () => {
+        const fitted = fitHistory([turn('user', 4000)], 10000, { maxTurnTokens: 100 });
+        assert.equal(fitted.truncated, 1);
+        assert.match(fitted.history[0].content, /clipped for length/);
+    });
+    await t.test('zero budget keeps nothing', () => {
+        const fitted = fitHistory([turn('user', 40)], 0);
+        assert.deepEqual(fitted.history, []);
+        assert.equal(fitted.dropped, 1);
+    });
+});
+
+test('selectDocuments', async (t) => {
+    const render = (doc) => doc.text;
+    const documents = [
+        { url: 'a', text: 'x'.repeat(400), relevance_score: 0.2 },
+        { url: 'b', text: 'x'.repeat(4000), relevance_score: 0.9 },
+        { url: 'c', text: 'x'.repeat(400), relevance_score: 0.5 }
+    ];
+    await t.test('takes the best scores first and keeps rank order', () => {
+        const selected = selectDocuments(documents, 300, render);
+        assert.deepEqual(selected.documents.map(d => d.url), ['a', 'c']);
+        assert.deepEqual(selected.dropped, [{ url: 'b', name: undefined, reason: 'budget' }]);
+    });
+    await t.test('a large budget keeps everything', () => {
+        assert.equal(selectDocuments(documents, 10000, render).documents.length, 3);
+    });
+});
+
+test('budgetContext reserves the answer and pins the summary', () => {
+    const result = budgetContext({
+        contextWindow: 1000,
+        reserveTokens: 200,
+        fixedText: 'x'.repeat(400),
+        history: [turn('user', 40)],
+        summary: 'Earlier we compared A and B.',
+        documents: [{ url: 'a', text: 'x'.repeat(400) }],
+        renderDocument: (doc) => doc.text
+    });
+    assert.equal(result.report.prompt_budget_tokens, 750);
+    assert.equal(result.history.length, 2);
+    assert.match(result.history[0].content, /compared A and B/);
+    assert.equal(result.documents.length, 1);
+    assert.ok(result.report.prompt_tokens <= result.report.prompt_budget_tokens);
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectImportFormat, parseImport } from '../shared/conversationImport.js';
+
+const now = new Date('2026-01-01T00:00:00Z');
+
+const monolithExport = {
+    title: 'Solar panels',
+    exchanges: [{
+        question: { content: 'Are panels worth it?', created_at: '2025-06-01T10:00:00Z' },
+        answers: [{ content: 'Usually [3], sometimes not [5][3].', created_at: '2025-06-01T10:00:05Z' }]
+    }],
+    bibliography: [
+        { id: 3, title: 'Energy report', url: 'https://energy.example/report' },
+        { id: 5, title: 'notes.pdf', url: null, source_type: 'space_file', file_name: 'notes.pdf' }
+    ]
+};
+
+const chatGptExport = [{
+    title: 'Trip',
+    create_time: 1735689600,
+    current_node: 'c',
+    mapping: {
+        root: { id: 'root', parent: null, children: ['a'], message: null },
+        a: { id: 'a', parent: 'root', children: ['b'], message: { author: { role: 'user' }, content: { content_type: 'text', parts: ['Plan a trip'] }, create_time: 1735689601 } },
+        b: { id: 'b', parent: 'a', children: ['c', 'x'], message: { author: { role: 'tool' }, content: { content_type: 'text', parts: ['tool output'] } } },
+        x: { id: 'x', parent: 'b', children: [], message: { author: { role: 'assistant' }, content: { content_type: 'text', parts: ['Abandoned branch'] } } },
+        c: { id: 'c', parent: 'b', children: [], message: { author: { role: 'assistant' }, content: { content_type: 'text', parts: ['Go to Lisbon'] }, create_time: 1735689605 } }
+    }
+}];
+
+test('detectImportFormat', async (t) => {
+    const cases = [
+        { name: 'monolith export', data: monolithExport, format: 'monolith', items: 1 },
+        { name: 'list of monolith exports', data: [monolithExport, monolithExport], format: 'monolith', items: 2 },
+        { name: 'chatgpt conversations.json', data: chatGptExport, format: 'chatgpt', items: 1 },
+        { name: 'message array', data: [{ role: 'user', content: 'hi' }], format: 'generic', items: 1 },
+        { name: 'object with messages', data: { title: 't', messages: [] }, format: 'generic', items: 1 }
+    ];
+    for (const c of cases) {
+        await t.test(c.name, () => {
+            const detected = detectImportFormat(c.data);
+            assert.equal(detected.format, c.format);
+            assert.equal(detected.items.length, c.items);
+        });
+    }
+    for (const data of [null, {}, [], 'text', [1, 2]]) {
+        await t.test(`rejects ${JSON.stringify(data)}`, () => assert.throws(() => detectImportFormat(data), { status: 400 }));
+    }
+});
+
+test('parseImport', async (t) => {
+    await t.test('monolith citations are renumbered per message', () => {
+        const { conversations: [conversation] } = parseImport(monolithExport, { now });
+        const answer = conversation.messages[1];
+        assert.equal(answer.content, 'Usually [1], sometimes not [2][1].');
+        assert.deepEqual(answer.search_results.map(s => s.name), ['Energy report', 'notes.pdf']);
+        assert.equal(answer.search_results[1].source_type, 'space_file');
+    });
+
+    await t.test('chatgpt follows current_node and drops tool messages', () => {
+        const { format, conversations: [conversation] } = parseImport(chatGptExport, { now });
+        assert.equal(format, 'chatgpt');
+        assert.deepEqual(conversation.messages.map(m => [m.role, m.content]), [['user', 'Plan a trip'], ['assistant', 'Go to Lisbon']]);
+        assert.equal(conversation.messages[0].created_at, '2025-01-01T00:00:01.000Z');
+    });
+
+    await t.test('generic messages get aliased roles, ordered timestamps and a title', () => {
+        const { conversations: [conversation] } = parseImport([
+            { role: 'Human', content: '  What is BM25?  ' },
+            { role: 'system', content: 'ignored' },
+            { role: 'ai', content: 'A ranking function.', created_at: '2000-01-01T00:00:00Z' },
+            { role: 'user', content: '' }
+        ], { now });
+        assert.equal(conversation.title, 'What is BM25?');
+        assert.equal(conversation.skipped_messages, 2);
+        assert.deepEqual(conversation.messages.map(m => [m.role, m.created_at]), [
+            ['user', '2026-01-01T00:00:00.000Z'],
+            ['assistant', '2026-01-01T00:00:00.001Z']
+        ]);
+    });
+
+    await t.test('threads without usable messages are skipped with a reason', () => {
+        const { conversations, skipped } = parseImport({ title: 'Empty', messages: [{ role: 'user', content: ' ' }] }, { now });
+        assert.deepEqual(conversations, []);
+        assert.deepEqual(skipped, [{ index: 0, title: 'Empty', reason: 'No user or assistant messages with text' }]);
+    });
+
+    await t.test('too many conversations', () => {
+        assert.throws(() => parseImport([monolithExport, monolithExport], { maxConversations: 1 }), { status: 413 });
+    });
+});
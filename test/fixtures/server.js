@@ -0,0 +1,45 @@
+// Static HTTP server for fetch tests: serves test/fixtures/site on 127.0.0.1 and records every request path.
+// `routes` maps a path to a custom (req, res) handler, e.g. redirects or a page that never answers.
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize } from 'node:path';
+
+const SITE = join(import.meta.dirname, 'site');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.png': 'image/png'
+};
+
+export const redirectTo = (location, status = 302) => (req, res) => {
+    res.writeHead(status, { Location: location });
+    res.end();
+};
+
+export const startFixtureServer = async ({ routes = {} } = {}) => {
+    const requests = [];
+    const server = createServer(async (req, res) => {
+        const path = new URL(req.url, 'http://fixture').pathname;
+        requests.push(path);
+        if (routes[path]) return routes[path](req, res);
+        try {
+            const body = await readFile(join(SITE, normalize(path).replace(/^(\.\.[/\\])+/, '')));
+            res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(path)] || 'application/octet-stream' });
+            res.end(body);
+        } catch {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        origin: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+};
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bm25Scores, lexicalRerank, fuseRankings } from '../shared/lexicalRerank.js';
+
+const docs = [
+    { name: 'Gardening tips', snippet: 'How to grow tomatoes on a balcony' },
+    { name: 'Rust async runtime', snippet: 'Tokio is an async runtime for Rust' },
+    { name: 'Async in Rust', snippet: 'A guide to async and await in Rust with Tokio' }
+];
+
+test('bm25Scores', async (t) => {
+    const cases = [
+        { name: 'no overlap scores zero', query: 'quantum chromodynamics', expect: (s) => assert.deepEqual(s, [0, 0, 0]) },
+        { name: 'empty query scores zero', query: '', expect: (s) => assert.deepEqual(s, [0, 0, 0]) },
+        { name: 'matching documents score above others', query: 'rust async', expect: (s) => assert.ok(s[1] > s[0] && s[2] > s[0]) }
+    ];
+    for (const c of cases) await t.test(c.name, () => c.expect(bm25Scores(c.query, docs)));
+
+    await t.test('path-only terms count less than query terms', () => {
+        const [pathMatch, queryMatch] = bm25Scores('rust', [{ name: 'tokio' }, { name: 'rust' }], { paths: ['tokio'] });
+        assert.ok(pathMatch > 0 && pathMatch < queryMatch);
+    });
+});
+
+test('lexicalRerank', async (t) => {
+    await t.test('best match first, scaled to 1', () => {
+        const ranked = lexicalRerank('tomatoes balcony', docs);
+        assert.equal(ranked[0].index, 0);
+        assert.equal(ranked[0].relevance_score, 1);
+        assert.equal(ranked.length, docs.length);
+    });
+    await t.test('no matches keeps every score at 0', () => {
+        assert.ok(lexicalRerank('zzz', docs).every(r => r.relevance_score === 0));
+    });
+    await t.test('no documents', () => assert.deepEqual(lexicalRerank('rust', []), []));
+});
+
+test('fuseRankings', async (t) => {
+    const cases = [
+        {
+            name: 'first everywhere scores 1, last everywhere 0',
+            rankings: [[{ index: 0 }, { index: 1 }], [{ index: 0 }, { index: 1 }]],
+            expected: [{ index: 0, relevance_score: 1 }, { index: 1, relevance_score: 0 }]
+        },
+        {
+            name: 'disagreeing rankings tie',
+            rankings: [[{ index: 0 }, { index: 1 }], [{ index: 1 }, { index: 0 }]],
+            expected: [{ index: 0, relevance_score: 0.5 }, { index: 1, relevance_score: 0.5 }]
+        }
+    ];
+    for (const c of cases) await t.test(c.name, () => assert.deepEqual(fuseRankings(c.rankings), c.expected));
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { branchKey, childrenByParent, activeBranch, selectBranchTo } from '../shared/messageTree.js';
+
+// q1 -> a1 -> q2 -> a2, with an edited q1' (its own answer a1') and a regenerated a2'
+const at = (minute) => `2026-01-01T00:${String(minute).padStart(2, '0')}:00Z`;
+const messages = [
+    { id: 'q1', parent_id: null, created_at: at(0) },
+    { id: 'a1', parent_id: 'q1', created_at: at(1) },
+    { id: 'q2', parent_id: 'a1', created_at: at(2) },
+    { id: 'a2', parent_id: 'q2', created_at: at(3) },
+    { id: 'q1b', parent_id: null, created_at: at(4) },
+    { id: 'a1b', parent_id: 'q1b', created_at: at(5) },
+    { id: 'a2b', parent_id: 'q2', created_at: at(6) }
+];
+const ids = (path) => path.map(m => m.id);
+
+test('branchKey', () => {
+    assert.equal(branchKey(null), 'root');
+    assert.equal(branchKey(undefined), 'root');
+    assert.equal(branchKey('q1'), 'q1');
+});
+
+test('childrenByParent sorts siblings oldest first, unsaved last', () => {
+    const children = childrenByParent([{ id: 'new', parent_id: 'p' }, { id: 'b', parent_id: 'p', created_at: at(2) }, { id: 'a', parent_id: 'p', created_at: at(1) }]);
+    assert.deepEqual(ids(children.get('p')), ['a', 'b', 'new']);
+});
+
+test('activeBranch', async (t) => {
+    const cases = [
+        { name: 'follows the newest message by default', selections: {}, expected: ['q1', 'a1', 'q2', 'a2b'] },
+        { name: 'honours a selection at the root', selections: { root: 'q1b' }, expected: ['q1b', 'a1b'] },
+        { name: 'honours a selection deeper down', selections: { q2: 'a2' }, expected: ['q1', 'a1', 'q2', 'a2'] },
+        { name: 'ignores selections of unknown ids', selections: { root: 'gone' }, expected: ['q1', 'a1', 'q2', 'a2b'] }
+    ];
+    for (const c of cases) await t.test(c.name, () => assert.deepEqual(ids(activeBranch(messages, c.selections)), c.expected));
+
+    await t.test('empty thread', () => assert.deepEqual(activeBranch([]), []));
+    await t.test('stops on a parent cycle', () => {
+        assert.deepEqual(ids(activeBranch([{ id: 'x', parent_id: null }, { id: 'y', parent_id: 'x' }, { id: 'x', parent_id: 'y' }])), ['x', 'y']);
+    });
+});
+
+test('selectBranchTo puts a message and its ancestors on the active branch', () => {
+    const selections = selectBranchTo(messages, 'a2', { root: 'q1b' });
+    assert.deepEqual(selections, { root: 'q1', q1: 'a1', a1: 'q2', q2: 'a2' });
+    assert.deepEqual(ids(activeBranch(messages, selections)), ['q1', 'a1', 'q2', 'a2']);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+const ROOT = join(import.meta.dirname, '..');
+
+// Tables referenced by a foreign key before their CREATE TABLE (a fresh database rejects those statements).
+// Schema-qualified references such as auth.users live outside these files.
+const forwardReferences = (sql) => {
+    const created = new Set();
+    const missing = [];
+    for (const [, table, referenced] of sql.matchAll(/CREATE TABLE IF NOT EXISTS (\w+)|REFERENCES ([\w.]+)\(/g)) {
+        if (table) created.add(table);
+        else if (!referenced.includes('.') && !created.has(referenced)) missing.push(referenced);
+    }
+    return missing;
+};
+
+test('supabase_schema.sql creates tables before referencing them', async () => {
+    assert.deepEqual(forwardReferences(await readFile(join(ROOT, 'supabase_schema.sql'), 'utf8')), []);
+});
+
+test('initDb creates tables before referencing them', async () => {
+    const source = await readFile(join(ROOT, 'server/index.js'), 'utf8');
+    const initDb = source.slice(source.indexOf('const initDb'), source.indexOf("console.log('Database tables initialized')"));
+    assert.ok(initDb.includes('CREATE TABLE IF NOT EXISTS research_jobs'));
+    assert.deepEqual(forwardReferences(initDb), []);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeDomain, matchesDomain, normalizeSourcePolicy, mergeSourcePolicy, isDomainAllowed } from '../shared/sourcePolicy.js';
+
+test('normalizeDomain', async (t) => {
+    const cases = [
+        ['https://www.Example.com/path?q=1', 'example.com'],
+        ['*.gov', 'gov'],
+        ['.edu', 'edu'],
+        ['  nature.com  ', 'nature.com'],
+        ['', '']
+    ];
+    for (const [entry, expected] of cases) await t.test(entry, () => assert.equal(normalizeDomain(entry), expected));
+});
+
+test('matchesDomain', () => {
+    assert.ok(matchesDomain('www.nature.com', 'nature.com'));
+    assert.ok(matchesDomain('data.census.gov', 'gov'));
+    assert.ok(!matchesDomain('notnature.com', 'nature.com'));
+});
+
+test('normalizeSourcePolicy', async (t) => {
+    await t.test('canonicalizes lists, weights and the cap', () => {
+        assert.deepEqual(normalizeSourcePolicy({ allow: ['https://www.nature.com', 'nature.com'], reputation: { 'www.Blog.io': '-0.5' }, domain_cap: '3' }), {
+            allow: ['nature.com'],
+            deny: [],
+            reputation: { 'blog.io': -0.5 },
+            domain_cap: 3
+        });
+    });
+    const invalid = [
+        ['not an object', []],
+        ['allow not a list', { allow: 'nature.com' }],
+        ['reputation out of range', { reputation: { 'a.com': 2 } }],
+        ['domain_cap too large', { domain_cap: 51 }],
+        ['domain_cap not an integer', { domain_cap: 1.5 }]
+    ];
+    for (const [name, raw] of invalid) await t.test(name, () => assert.throws(() => normalizeSourcePolicy(raw), { status: 400 }));
+});
+
+test('mergeSourcePolicy lets request fields replace the space\'s', () => {
+    const space = { allow: ['nature.com'], deny: ['spam.com'], reputation: { 'a.com': 0.5 }, domain_cap: 2 };
+    assert.deepEqual(mergeSourcePolicy(space, { deny: [], reputation: { 'b.com': -1 } }), {
+        allow: ['nature.com'],
+        deny: [],
+        reputation: { 'a.com': 0.5, 'b.com': -1 },
+        domain_cap: 2
+    });
+    assert.deepEqual(mergeSourcePolicy(space, null), normalizeSourcePolicy(space));
+});
+
+test('isDomainAllowed', async (t) => {
+    const policy = normalizeSourcePolicy({ allow: ['gov', 'nature.com'], deny: ['ads.nature.com'] });
+    const cases = [
+        ['www.nature.com', true],
+        ['ads.nature.com', false],
+        ['census.gov', true],
+        ['example.com', false]
+    ];
+    for (const [host, allowed] of cases) await t.test(host, () => assert.equal(isDomainAllowed(host, policy), allowed));
+    await t.test('no policy admits everything', () => assert.ok(isDomainAllowed('example.com', null)));
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readEventStream, sseFrame } from '../shared/sse.js';
+
+// A body that arrives in the given chunks (strings or bytes)
+const streamOf = (chunks) => new ReadableStream({
+    start(controller) {
+        for (const chunk of chunks) controller.enqueue(typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk);
+        controller.close();
+    }
+});
+
+const cafe = new TextEncoder().encode('data: café\n\n'); // "é" is bytes 9-10
+
+const readAll = async (chunks) => {
+    const events = [];
+    for await (const data of readEventStream(streamOf(chunks))) events.push(data);
+    return events;
+};
+
+test('readEventStream', async (t) => {
+    const cases = [
+        { name: 'one event per frame', chunks: ['data: a\n\ndata: b\n\n'], events: ['a', 'b'] },
+        { name: 'frames split across chunks', chunks: ['da', 'ta: {"x"', ':1}\n', '\n'], events: ['{"x":1}'] },
+        { name: 'CRLF boundaries', chunks: ['data: a\r\n\r\ndata: b\r\n\r\n'], events: ['a', 'b'] },
+        { name: 'multi-line data and other fields', chunks: ['event: delta\ndata: a\ndata:b\nid: 1\n\n'], events: ['a\nb'] },
+        { name: 'frames without data are skipped', chunks: [': keep-alive\n\ndata: a\n\n'], events: ['a'] },
+        { name: 'a trailing event without a blank line is flushed', chunks: ['data: a\n\ndata: [DONE]'], events: ['a', '[DONE]'] },
+        { name: 'a trailing newline only', chunks: ['data: a\n\ndata: b\n'], events: ['a', 'b'] },
+        { name: 'a multi-byte character split across chunks', chunks: [cafe.slice(0, 10), cafe.slice(10)], events: ['café'] },
+        { name: 'empty body', chunks: [], events: [] }
+    ];
+    for (const c of cases) await t.test(c.name, async () => assert.deepEqual(await readAll(c.chunks), c.events));
+});
+
+test('sseFrame', () => {
+    assert.equal(sseFrame('[DONE]'), 'data: [DONE]\n\n');
+    assert.equal(sseFrame({ a: 1 }), 'data: {"a":1}\n\n');
+});
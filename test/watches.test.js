@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextCronRun, validateSchedule, canonicalUrl, diffSources, watchResearchOptions } from '../shared/watches.js';
+import { mergeResults } from '../shared/orchestrator.js';
+
+const after = new Date('2026-03-10T08:30:15Z'); // a Tuesday
+
+test('parseCron', async (t) => {
+    const cases = [
+        { expression: '*/15 * * * *', field: 'minute', values: [0, 15, 30, 45] },
+        { expression: '0 9-17/4 * * *', field: 'hour', values: [9, 13, 17] },
+        { expression: '0 0 * * mon,wed,FRI', field: 'dayOfWeek', values: [1, 3, 5] },
+        { expression: '0 0 * * 7', field: 'dayOfWeek', values: [0, 7] },
+        { expression: '0 0 1 jan-mar *', field: 'month', values: [1, 2, 3] },
+        { expression: '@daily', field: 'hour', values: [0] }
+    ];
+    for (const c of cases) {
+        await t.test(c.expression, () => assert.deepEqual([...parseCron(c.expression)[c.field]].sort((a, b) => a - b), c.values));
+    }
+    for (const expression of ['', '* * * *', '60 * * * *', '0 24 * * *', '0 0 0 * *', '*/0 * * * *', '5-1 * * * *', '0 0 * * funday']) {
+        await t.test(`rejects ${JSON.stringify(expression)}`, () => assert.throws(() => parseCron(expression), { status: 400 }));
+    }
+});
+
+test('nextCronRun', async (t) => {
+    const cases = [
+        { expression: '*/15 * * * *', next: '2026-03-10T08:45:00.000Z' },
+        { expression: '0 7 * * *', next: '2026-03-11T07:00:00.000Z' },
+        { expression: '0 9 * * mon', next: '2026-03-16T09:00:00.000Z' },
+        { expression: '0 0 1 * *', next: '2026-04-01T00:00:00.000Z' },
+        // Both day fields restricted: either one matches
+        { expression: '0 0 13 * mon', next: '2026-03-13T00:00:00.000Z' },
+        { expression: '0 0 29 2 *', next: '2028-02-29T00:00:00.000Z' }
+    ];
+    for (const c of cases) await t.test(c.expression, () => assert.equal(nextCronRun(c.expression, after).toISOString(), c.next));
+
+    await t.test('a date that never occurs', () => assert.equal(nextCronRun('0 0 31 2 *', after), null));
+});
+
+test('validateSchedule', async (t) => {
+    await t.test('normalizes whitespace', () => assert.equal(validateSchedule('  0   7 * * * ', { now: after }), '0 7 * * *'));
+    await t.test('rejects runs closer than the minimum interval', () => {
+        assert.throws(() => validateSchedule('*/5 * * * *', { now: after }), /more often than every 15 minutes/);
+        assert.throws(() => validateSchedule('0,5 9 * * *', { now: after }), { status: 400 });
+    });
+    await t.test('rejects schedules that never run', () => assert.throws(() => validateSchedule('0 0 30 2 *', { now: after }), /never runs/));
+});
+
+test('canonicalUrl', async (t) => {
+    const cases = [
+        ['https://www.Example.com/a/?utm_source=x&id=2#top', 'example.com/a?id=2'],
+        ['http://example.com/a/', 'example.com/a'],
+        ['not a url', 'not a url']
+    ];
+    for (const [url, expected] of cases) await t.test(url, () => assert.equal(canonicalUrl(url), expected));
+});
+
+test('diffSources returns unseen web sources once', () => {
+    const sources = [
+        { name: 'Old', url: 'https://example.com/old' },
+        { name: 'New', url: 'https://example.com/new?utm_medium=rss' },
+        { name: 'New again', url: 'https://www.example.com/new/' },
+        { name: 'File', url: 'notes.pdf', source_type: 'space_file' }
+    ];
+    assert.deepEqual(diffSources(sources, ['example.com/old']).map(s => s.name), ['New']);
+});
+
+test('watchResearchOptions normalizes the space\'s stored source policy', async (t) => {
+    const watch = { query: 'heat pumps', search: true, deep: false, thinking: false, space_id: 's1' };
+    const results = [[{ url: 'https://a.example/1' }, { url: 'https://spam.example/2' }]];
+    const cases = [
+        { name: 'column default {}', stored: {}, urls: ['https://a.example/1', 'https://spam.example/2'] },
+        { name: 'no policy', stored: null, urls: ['https://a.example/1', 'https://spam.example/2'] },
+        { name: 'saved policy', stored: { deny: ['spam.example'] }, urls: ['https://a.example/1'] }
+    ];
+    for (const c of cases) {
+        await t.test(c.name, () => {
+            const options = watchResearchOptions(watch, { system_prompt: null, model_config: {}, source_policy: c.stored });
+            assert.deepEqual(mergeResults(results, options.sourcePolicy).map(r => r.url), c.urls);
+        });
+    }
+    await t.test('carries the watch and space settings', () => {
+        const options = watchResearchOptions(watch, { system_prompt: 'Be brief', model_config: { synthesis: 'm' }, source_policy: {} });
+        assert.equal(options.query, 'heat pumps');
+        assert.equal(options.spaceId, 's1');
+        assert.equal(options.systemPrompt, 'Be brief');
+        assert.deepEqual(options.models, { synthesis: 'm' });
+    });
+});
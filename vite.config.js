@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // Dashboard helpers (planner, transcription, exports...) live on the Node server
+    proxy: {
+      '/api': 'http://localhost:3001',
+    },
+  },
 })